@@ -0,0 +1,183 @@
+// Binary search trees for the tree questions: building one from a paper's keys,
+// traversing it, laying it out, and checking a tree the student drew.
+//
+// A tree is a plain object from node path to key, where a path spells the way
+// down from the root: '' is the root, 'L' its left child, 'LR' that child's
+// right child. Built and drawn trees share the shape, so comparing them is
+// comparing paths. Keys stay strings; compareTreeKeys() knows numbers and dates.
+//
+// Loaded as a plain script before main.js. Nothing in here may touch the DOM.
+
+const TREE_ORDERS = ['inorder', 'preorder', 'postorder'];
+
+// ============== KEYS ==============
+const TREE_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/;
+
+// Dates in the papers are dd/mm/yyyy, so they sort by year, month, day
+function treeKeyValue(key) {
+  const date = key.match(TREE_DATE_PATTERN);
+  if (date) {
+    const [, day, month, year] = date;
+    return parseInt(year.padStart(4, '20') + month.padStart(2, '0') + day.padStart(2, '0'), 10);
+  }
+  return /^-?\d+(\.\d+)?$/.test(key) ? parseFloat(key) : null;
+}
+
+function compareTreeKeys(a, b) {
+  const valueA = treeKeyValue(a);
+  const valueB = treeKeyValue(b);
+  if (valueA !== null && valueB !== null) return valueA - valueB;
+  return a.localeCompare(b);
+}
+
+// ============== BUILDING ==============
+// Adds key to the tree in place and returns the path it went in at, plus one step
+// per comparison on the way: { path, key, direction } where direction is 'L' or 'R'.
+// Equal keys go right, as in the mark schemes.
+function insertTreeKey(tree, key) {
+  const steps = [];
+  let path = '';
+  
+  while (path in tree) {
+    const direction = compareTreeKeys(key, tree[path]) < 0 ? 'L' : 'R';
+    steps.push({ path, key: tree[path], direction });
+    path += direction;
+  }
+  
+  tree[path] = key;
+  return { path, steps };
+}
+
+function buildTree(keys) {
+  const tree = {};
+  keys.forEach(key => insertTreeKey(tree, key));
+  return tree;
+}
+
+// Paths in the order the traversal visits them
+function traverseTree(tree, order, path = '') {
+  if (!(path in tree)) return [];
+  
+  const left = traverseTree(tree, order, `${path}L`);
+  const right = traverseTree(tree, order, `${path}R`);
+  if (order === 'preorder') return [path, ...left, ...right];
+  if (order === 'postorder') return [...left, ...right, path];
+  return [...left, path, ...right];
+}
+
+// ============== LAYOUT ==============
+// One entry per node as { path, key, column, depth }: columns follow the in-order
+// position, so every left subtree sits left of its parent. With withSlots, the
+// empty children of each node are included too (key null), for dropping keys into.
+function layoutTree(tree, withSlots = false) {
+  const entries = [];
+  
+  const visit = (path, depth) => {
+    const filled = path in tree;
+    if (!filled && !(withSlots && (path === '' || path.slice(0, -1) in tree))) return;
+  
+    if (filled) visit(`${path}L`, depth + 1);
+    entries.push({ path, key: filled ? tree[path] : null, column: entries.length, depth });
+    if (filled) visit(`${path}R`, depth + 1);
+  };
+  visit('', 0);
+  
+  return entries;
+}
+
+// ============== ANSWERS ==============
+// Drawn trees are saved as answer text, one line per node with children, root
+// first, so they read sensibly in exports and teacher review:
+//   519: left 337, right 788
+//   337: left 101, right 451
+function formatTreeAnswer(tree) {
+  if (!('' in tree)) return '';
+  
+  const lines = traverseTree(tree, 'preorder')
+    .map(path => {
+      const children = [['left', `${path}L`], ['right', `${path}R`]]
+        .filter(([, child]) => child in tree)
+        .map(([side, child]) => `${side} ${tree[child]}`);
+      return children.length ? `${tree[path]}: ${children.join(', ')}` : null;
+    })
+    .filter(Boolean);
+  
+  return lines.length ? lines.join('\n') : tree[''];
+}
+
+// Reads formatTreeAnswer() text back into a tree; lines it can't place are ignored
+function parseTreeAnswer(text) {
+  const tree = {};
+  const pathOf = new Map();
+  
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach((line, i) => {
+    const match = line.match(/^([^:]+?)(?::\s*(.*))?$/);
+    const key = match[1].trim();
+  
+    if (i === 0) {
+      tree[''] = key;
+      pathOf.set(key, '');
+    }
+    if (!pathOf.has(key) || !match[2]) return;
+  
+    match[2].split(',').forEach(part => {
+      const child = part.trim().match(/^(left|right)\s+(.+)$/i);
+      if (!child) return;
+      const path = pathOf.get(key) + (child[1].toLowerCase() === 'left' ? 'L' : 'R');
+      tree[path] = child[2].trim();
+      pathOf.set(child[2].trim(), path);
+    });
+  });
+  
+  return tree;
+}
+
+// ============== CHECKING ==============
+// Compares a drawn tree with the ones the keys build when inserted in the order
+// given and in ascending order (what an in-order traversal feeds back in).
+// Returns { complete, missing, misplaced, matches } where misplaced lists
+// { key, ancestor, side } for keys on the wrong side of an ancestor, and matches
+// is 'given', 'ascending' or null.
+function checkTreeDrawing(tree, keys) {
+  const drawn = Object.values(tree);
+  const missing = keys.filter(key => !drawn.includes(key));
+  const misplaced = [];
+  
+  Object.entries(tree).forEach(([path, key]) => {
+    for (let depth = 0; depth < path.length; depth++) {
+      const ancestor = tree[path.slice(0, depth)];
+      const side = path[depth];
+      const order = compareTreeKeys(key, ancestor);
+      if ((side === 'L' && order >= 0) || (side === 'R' && order < 0)) {
+        misplaced.push({ key, ancestor, side });
+        break;
+      }
+    }
+  });
+  
+  const sameTree = other => Object.keys(other).length === Object.keys(tree).length &&
+    Object.entries(other).every(([path, key]) => tree[path] === key);
+  
+  let matches = null;
+  if (sameTree(buildTree(keys))) {
+    matches = 'given';
+  } else if (sameTree(buildTree([...keys].sort(compareTreeKeys)))) {
+    matches = 'ascending';
+  }
+  
+  return { complete: missing.length === 0, missing, misplaced, matches };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TREE_ORDERS,
+    compareTreeKeys,
+    insertTreeKey,
+    buildTree,
+    traverseTree,
+    layoutTree,
+    formatTreeAnswer,
+    parseTreeAnswer,
+    checkTreeDrawing,
+  };
+}
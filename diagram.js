@@ -0,0 +1,329 @@
+// Diagram answers for "Draw the mEngines array ..." and "Sketch the resulting
+// linked list ..." parts: boxes for objects and list nodes, rows of array cells,
+// named reference variables and null markers, joined by pointer arrows.
+//
+// A diagram is plain JSON, saved as the answer text:
+//   { version: 1, items: [...], arrows: [{ from: { id, slot }, to }] }
+// where an item is one of
+//   { id, type: 'object', x, y, title, fields: [{ name, value }] }
+//   { id, type: 'array', x, y, name, cells: [value] }
+//   { id, type: 'variable', x, y, name }
+//   { id, type: 'null', x, y }
+// Every field, cell and variable is a slot (numbered from 0; a variable has just
+// slot 0) holding either a typed value or an arrow to another item.
+//
+// Loaded as a plain script before main.js. Nothing in here may touch the DOM.
+
+const DIAGRAM_VERSION = 1;
+const DIAGRAM_ITEM_TYPES = ['object', 'array', 'variable', 'null'];
+
+// Item sizes in pixels, shared by the editor and the SVG export so arrows meet the boxes
+const DIAGRAM_SIZES = {
+  objectWidth: 150,
+  headerHeight: 26,
+  rowHeight: 26,
+  cellWidth: 56,
+  cellHeight: 34,
+  labelHeight: 18,
+  variableWidth: 110,
+  nullWidth: 40,
+  nullHeight: 26,
+  gap: 50,
+  margin: 20,
+};
+
+// ============== EDITING ==============
+function createDiagram() {
+  return { version: DIAGRAM_VERSION, items: [], arrows: [] };
+}
+
+function newDiagramItem(type, id, x, y) {
+  if (type === 'object') return { id, type, x, y, title: '', fields: [{ name: 'data', value: '' }, { name: 'next', value: '' }] };
+  if (type === 'array') return { id, type, x, y, name: '', cells: ['', '', '', ''] };
+  if (type === 'variable') return { id, type, x, y, name: '' };
+  return { id, type: 'null', x, y };
+}
+
+// Adds an item of the given type in place and returns it. New items go right of
+// the last one, or start a new row when that would pass maxWidth.
+function addDiagramItem(diagram, type, maxWidth = 700) {
+  const ids = diagram.items.map(item => parseInt(item.id.slice(1), 10));
+  const id = `i${Math.max(0, ...ids) + 1}`;
+  const item = newDiagramItem(type, id, DIAGRAM_SIZES.margin, DIAGRAM_SIZES.margin);
+  
+  const last = diagram.items[diagram.items.length - 1];
+  if (last) {
+    const lastBounds = itemBounds(last);
+    item.x = lastBounds.x + lastBounds.width + DIAGRAM_SIZES.gap;
+    item.y = last.y;
+    if (item.x + itemBounds(item).width > maxWidth) {
+      item.x = DIAGRAM_SIZES.margin;
+      item.y = Math.max(...diagram.items.map(other => itemBounds(other).y + itemBounds(other).height)) + DIAGRAM_SIZES.gap;
+    }
+  }
+  
+  diagram.items.push(item);
+  return item;
+}
+
+// Removes the item and every arrow into or out of it
+function removeDiagramItem(diagram, id) {
+  diagram.items = diagram.items.filter(item => item.id !== id);
+  diagram.arrows = diagram.arrows.filter(arrow => arrow.from.id !== id && arrow.to !== id);
+}
+
+function addDiagramSlot(diagram, id) {
+  const item = diagram.items.find(i => i.id === id);
+  if (item.type === 'object') item.fields.push({ name: '', value: '' });
+  if (item.type === 'array') item.cells.push('');
+}
+
+// Removes an object's last field or an array's last cell, with its arrow
+function removeDiagramSlot(diagram, id) {
+  const item = diagram.items.find(i => i.id === id);
+  const slots = item.type === 'object' ? item.fields : item.cells;
+  if (!slots || slots.length <= 1) return;
+  
+  slots.pop();
+  diagram.arrows = diagram.arrows.filter(arrow => !(arrow.from.id === id && arrow.from.slot >= slots.length));
+}
+
+// Points a slot at an item (replacing any arrow it had), or clears it when to is null
+function setDiagramArrow(diagram, from, to) {
+  diagram.arrows = diagram.arrows.filter(arrow => !(arrow.from.id === from.id && arrow.from.slot === from.slot));
+  if (to !== null) diagram.arrows.push({ from: { id: from.id, slot: from.slot }, to });
+}
+
+function findDiagramArrow(diagram, id, slot) {
+  return diagram.arrows.find(arrow => arrow.from.id === id && arrow.from.slot === slot) || null;
+}
+
+// ============== GEOMETRY ==============
+function itemBounds(item) {
+  const s = DIAGRAM_SIZES;
+  if (item.type === 'object') {
+    return { x: item.x, y: item.y, width: s.objectWidth, height: s.headerHeight + item.fields.length * s.rowHeight };
+  }
+  if (item.type === 'array') {
+    return { x: item.x, y: item.y, width: item.cells.length * s.cellWidth, height: s.labelHeight * 2 + s.cellHeight };
+  }
+  if (item.type === 'variable') {
+    return { x: item.x, y: item.y, width: s.variableWidth, height: s.cellHeight };
+  }
+  return { x: item.x, y: item.y, width: s.nullWidth, height: s.nullHeight };
+}
+
+// Where an arrow out of the slot starts
+function slotAnchor(item, slot) {
+  const s = DIAGRAM_SIZES;
+  if (item.type === 'object') {
+    return { x: item.x + s.objectWidth - s.rowHeight / 2, y: item.y + s.headerHeight + slot * s.rowHeight + s.rowHeight / 2 };
+  }
+  if (item.type === 'array') {
+    return { x: item.x + slot * s.cellWidth + s.cellWidth / 2, y: item.y + s.labelHeight + s.cellHeight / 2 };
+  }
+  return { x: item.x + s.variableWidth - s.cellHeight / 2, y: item.y + s.cellHeight / 2 };
+}
+
+// { x1, y1, x2, y2 } from the slot to the edge of the target item, or null when
+// either end no longer exists
+function arrowGeometry(diagram, arrow) {
+  const from = diagram.items.find(item => item.id === arrow.from.id);
+  const to = diagram.items.find(item => item.id === arrow.to);
+  if (!from || !to) return null;
+  
+  const start = slotAnchor(from, arrow.from.slot);
+  const box = itemBounds(to);
+  const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  const dx = start.x - centre.x;
+  const dy = start.y - centre.y;
+  const scale = Math.max(Math.abs(dx) / (box.width / 2), Math.abs(dy) / (box.height / 2));
+  
+  // An arrow starting inside its own target (a node pointing at itself) ends on the top edge
+  if (scale <= 1) return { x1: start.x, y1: start.y, x2: centre.x, y2: box.y };
+  return { x1: start.x, y1: start.y, x2: centre.x + dx / scale, y2: centre.y + dy / scale };
+}
+
+function diagramSize(diagram) {
+  const bounds = diagram.items.map(itemBounds);
+  return {
+    width: Math.max(0, ...bounds.map(b => b.x + b.width)) + DIAGRAM_SIZES.margin,
+    height: Math.max(0, ...bounds.map(b => b.y + b.height)) + DIAGRAM_SIZES.margin,
+  };
+}
+
+// ============== ANSWERS ==============
+function formatDiagramAnswer(diagram) {
+  return diagram.items.length > 0 ? JSON.stringify(diagram) : '';
+}
+
+// Reads a saved diagram back, dropping anything malformed; null when the text
+// isn't a diagram at all (an answer typed before the part became a drawing)
+function parseDiagramAnswer(text) {
+  if (!text || !text.trim()) return createDiagram();
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.items) || !Array.isArray(data.arrows)) return null;
+  
+  const items = data.items.filter(item => item && typeof item.id === 'string' && DIAGRAM_ITEM_TYPES.includes(item.type) &&
+    Number.isFinite(item.x) && Number.isFinite(item.y) &&
+    (item.type !== 'object' || Array.isArray(item.fields)) && (item.type !== 'array' || Array.isArray(item.cells)));
+  const ids = new Set(items.map(item => item.id));
+  const arrows = data.arrows.filter(arrow => arrow?.from && ids.has(arrow.from.id) && ids.has(arrow.to) &&
+    Number.isInteger(arrow.from.slot));
+  
+  return { version: DIAGRAM_VERSION, items, arrows };
+}
+
+function describeDiagramItem(diagram, item) {
+  if (item.type === 'null') return 'null';
+  if (item.type === 'object') {
+    return item.title || `object ${diagram.items.filter(i => i.type === 'object').indexOf(item) + 1}`;
+  }
+  return item.name || item.type;
+}
+
+// The diagram as text, one line per item, for Markdown exports:
+//   head → KL1102
+//   KL1102: data = KL1102, next → LH8803
+//   mEngines: [7, 9, null, null]
+function describeDiagram(diagram) {
+  const slotText = (item, slot, value) => {
+    const arrow = findDiagramArrow(diagram, item.id, slot);
+    if (!arrow) return value || '–';
+    return `→ ${describeDiagramItem(diagram, diagram.items.find(i => i.id === arrow.to))}`;
+  };
+  
+  return diagram.items
+    .filter(item => item.type !== 'null')
+    .map(item => {
+      const name = describeDiagramItem(diagram, item);
+      if (item.type === 'variable') return `${name} ${slotText(item, 0, '')}`;
+      if (item.type === 'array') return `${name}: [${item.cells.map((cell, i) => slotText(item, i, cell)).join(', ')}]`;
+  
+      const fields = item.fields.map((field, i) => {
+        const text = slotText(item, i, field.value);
+        return `${field.name || '?'}${text.startsWith('→') ? ' ' : ' = '}${text}`;
+      });
+      return `${name}: ${fields.join(', ')}`;
+    })
+    .join('\n');
+}
+
+// ============== SVG ==============
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function svgText(x, y, text, attributes = '') {
+  return `<text x="${x}" y="${y}" ${attributes}>${escapeXml(text)}</text>`;
+}
+
+// A pointing slot shows a dot where its arrow starts; anything else shows its value
+function svgSlot(diagram, item, slot, value, x, y) {
+  if (findDiagramArrow(diagram, item.id, slot)) {
+    const anchor = slotAnchor(item, slot);
+    return `<circle cx="${anchor.x}" cy="${anchor.y}" r="3.5" class="dot"/>`;
+  }
+  return value ? svgText(x, y, value, 'class="value" text-anchor="middle"') : '';
+}
+
+function svgItem(diagram, item) {
+  const s = DIAGRAM_SIZES;
+  const box = itemBounds(item);
+  
+  if (item.type === 'null') {
+    return `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" class="null"/>` +
+      svgText(box.x + box.width / 2, box.y + box.height / 2 + 4, 'null', 'class="label" text-anchor="middle"');
+  }
+  
+  if (item.type === 'variable') {
+    const boxX = box.x + box.width - s.cellHeight;
+    return svgText(box.x, box.y + box.height / 2 + 4, item.name, 'class="label"') +
+      `<rect x="${boxX}" y="${box.y}" width="${s.cellHeight}" height="${s.cellHeight}" class="box"/>` +
+      svgSlot(diagram, item, 0, '', boxX + s.cellHeight / 2, box.y + s.cellHeight / 2 + 4);
+  }
+  
+  if (item.type === 'array') {
+    const cellsY = box.y + s.labelHeight;
+    return svgText(box.x, box.y + s.labelHeight - 5, item.name, 'class="label"') +
+      item.cells.map((cell, i) => {
+        const cellX = box.x + i * s.cellWidth;
+        return `<rect x="${cellX}" y="${cellsY}" width="${s.cellWidth}" height="${s.cellHeight}" class="box"/>` +
+          svgSlot(diagram, item, i, cell, cellX + s.cellWidth / 2, cellsY + s.cellHeight / 2 + 4) +
+          svgText(cellX + s.cellWidth / 2, cellsY + s.cellHeight + s.labelHeight - 5, `[${i}]`, 'class="index" text-anchor="middle"');
+      }).join('');
+  }
+  
+  const rows = item.fields.map((field, i) => {
+    const rowY = box.y + s.headerHeight + i * s.rowHeight;
+    return `<line x1="${box.x}" y1="${rowY}" x2="${box.x + box.width}" y2="${rowY}" class="rule"/>` +
+      svgText(box.x + 6, rowY + s.rowHeight / 2 + 4, field.name, 'class="field"') +
+      svgSlot(diagram, item, i, field.value, box.x + box.width * 0.7, rowY + s.rowHeight / 2 + 4);
+  }).join('');
+  return `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" class="box"/>` +
+    svgText(box.x + box.width / 2, box.y + s.headerHeight / 2 + 5, item.title, 'class="title" text-anchor="middle"') +
+    rows;
+}
+
+// Just the arrows, with their arrowhead; the editor lays these over its own boxes
+function renderDiagramArrows(diagram) {
+  const lines = diagram.arrows
+    .map(arrow => arrowGeometry(diagram, arrow))
+    .filter(Boolean)
+    .map(a => `<line x1="${a.x1}" y1="${a.y1}" x2="${a.x2}" y2="${a.y2}" class="arrow" marker-end="url(#diagram-arrowhead)"/>`);
+  
+  return '<defs><marker id="diagram-arrowhead" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+    '<path d="M0,0 L10,5 L0,10 z" fill="#1f2937"/></marker></defs>' + lines.join('');
+}
+
+// A standalone SVG document of the whole diagram, for downloads and printed booklets.
+// Its styles are scoped to .diagram-svg so it can also sit inline in a page.
+function diagramToSvg(diagram) {
+  const { width, height } = diagramSize(diagram);
+  const style = [
+    '.diagram-svg text { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; font-size: 12px; fill: #1f2937; }',
+    '.diagram-svg .title { font-weight: 600; }',
+    '.diagram-svg .field, .diagram-svg .index { fill: #4b5563; font-size: 11px; }',
+    '.diagram-svg .value { font-family: Consolas, monospace; }',
+    '.diagram-svg .box, .diagram-svg .null { fill: #fff; stroke: #1f2937; stroke-width: 1.5; }',
+    '.diagram-svg .null { stroke-dasharray: 4 3; }',
+    '.diagram-svg .rule { stroke: #d1d5db; }',
+    '.diagram-svg .dot { fill: #1f2937; }',
+    '.diagram-svg .arrow { stroke: #1f2937; stroke-width: 1.5; }',
+  ].join(' ');
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<style>${style}</style><rect width="100%" height="100%" fill="#fff"/>` +
+    diagram.items.map(item => svgItem(diagram, item)).join('') +
+    renderDiagramArrows(diagram) +
+    '</svg>';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DIAGRAM_SIZES,
+    createDiagram,
+    addDiagramItem,
+    removeDiagramItem,
+    addDiagramSlot,
+    removeDiagramSlot,
+    setDiagramArrow,
+    findDiagramArrow,
+    itemBounds,
+    arrowGeometry,
+    formatDiagramAnswer,
+    parseDiagramAnswer,
+    describeDiagram,
+    diagramToSvg,
+  };
+}
@@ -0,0 +1,416 @@
+// Static checks for code answers: unbalanced brackets, missing semicolons, and
+// members the answer uses that the exam classes don't have or keep private.
+// Offline feedback for classrooms that can't run the JDK runner; main.js shows
+// the diagnostics as editor gutter markers.
+//
+// Loaded as a plain script after parser.js, whose Java tokenizer and class scanner
+// it uses. Nothing in here may touch the DOM.
+
+const lintSource = typeof tokenizeJava === 'function' ? { tokenizeJava, scanClasses, convertUMLType } : require('./parser.js');
+
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue', 'default',
+  'do', 'double', 'else', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if', 'implements',
+  'import', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'short', 'static', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws',
+  'true', 'try', 'var', 'void', 'while',
+]);
+
+// java.lang and java.util names that IB answers commonly use
+const JAVA_LIBRARY_NAMES = new Set([
+  'String', 'Math', 'System', 'Integer', 'Double', 'Boolean', 'Character', 'Long', 'Float', 'Object',
+  'StringBuilder', 'ArrayList', 'LinkedList', 'List', 'HashMap', 'Map', 'HashSet', 'Set', 'Arrays',
+  'Collections', 'Iterator', 'Stack', 'Queue', 'Scanner', 'Random', 'Comparable', 'Override',
+  'Exception', 'RuntimeException', 'IllegalArgumentException', 'NullPointerException',
+  'ArrayIndexOutOfBoundsException', 'IndexOutOfBoundsException', 'Date', 'LocalDate', 'java', 'javax',
+]);
+
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized']);
+const BLOCK_KEYWORDS = new Set(['else', 'do', 'try', 'finally']);
+
+// Tokens that can't end a statement, or that continue one from the previous line
+const STATEMENT_CONTINUERS = new Set([
+  ';', '{', '}', ',', '(', '[', '.', '=', '+', '-', '*', '/', '%', '<', '>', '!', '&', '|', '^', '?', ':',
+  '&&', '||', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '->', '@',
+]);
+const LINE_CONTINUERS = new Set([
+  '{', '.', '=', '+', '-', '*', '/', '%', '<', '>', '&', '|', '^', '?', ':', ')', ']', ',', ';',
+  '&&', '||', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '->', 'throws', 'extends', 'implements',
+]);
+const BRACKET_PAIRS = { ')': '(', ']': '[', '}': '{' };
+
+// ============== SYNTAX ==============
+function checkBrackets(tokens) {
+  const diagnostics = [];
+  const stack = [];
+  
+  tokens.forEach(token => {
+    if (token.value === '(' || token.value === '[' || token.value === '{') {
+      stack.push(token);
+    } else if (token.type === 'punct' && BRACKET_PAIRS[token.value]) {
+      // Closing an outer bracket means the ones opened inside it were never closed
+      const matchIndex = stack.map(t => t.value).lastIndexOf(BRACKET_PAIRS[token.value]);
+      if (matchIndex === -1) {
+        diagnostics.push(lintDiagnostic(token, 'error', `Unexpected '${token.value}' with nothing to close`));
+        return;
+      }
+      stack.splice(matchIndex).slice(1).forEach(open => {
+        diagnostics.push(lintDiagnostic(open, 'error', `'${open.value}' is never closed`));
+      });
+    }
+  });
+  
+  stack.forEach(open => {
+    diagnostics.push(lintDiagnostic(open, 'error', `'${open.value}' is never closed`));
+  });
+  
+  return diagnostics;
+}
+
+// A statement ends where its line ends, unless the next line carries on with it
+function checkSemicolons(tokens) {
+  const diagnostics = [];
+  const braceKinds = [];
+  let parenDepth = 0;
+  let statementStart = 0;
+  let headerDepth = null;
+  
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    const prev = tokens[i - 1];
+    const first = tokens[statementStart];
+    
+    if (token.value === '(' || token.value === '[') parenDepth++;
+    if (token.value === ')' || token.value === ']') parenDepth = Math.max(0, parenDepth - 1);
+    if (token.value === '{') braceKinds.push(prev && (prev.value === '=' || prev.value === ']' || braceKinds[braceKinds.length - 1] === 'init') ? 'init' : 'block');
+    if (token.value === '}') braceKinds.pop();
+    
+    if (token.value === '(' && prev && CONTROL_KEYWORDS.has(prev.value) && headerDepth === null) headerDepth = parenDepth - 1;
+    
+    const endsHeader = token.value === ')' && headerDepth !== null && parenDepth === headerDepth;
+    if (endsHeader) headerDepth = null;
+    
+    const atBoundary = !next || next.line > token.line || (next.value === '}' && braceKinds[braceKinds.length - 1] !== 'init');
+    const needsSemicolon = atBoundary &&
+      parenDepth === 0 &&
+      braceKinds[braceKinds.length - 1] !== 'init' &&
+      !endsHeader &&
+      !BLOCK_KEYWORDS.has(token.value) &&
+      (!STATEMENT_CONTINUERS.has(token.value) || token.value === '++' || token.value === '--') &&
+      !(next && next.line > token.line && LINE_CONTINUERS.has(next.value)) &&
+      !(first && first.value === '@') &&
+      !(first && (first.value === 'case' || first.value === 'default'));
+    
+    if (needsSemicolon) {
+      diagnostics.push(lintDiagnostic(token, 'error', "Missing ';' at the end of this statement"));
+    }
+    
+    if (token.value === ';' || token.value === '{' || token.value === '}' || endsHeader || BLOCK_KEYWORDS.has(token.value) ||
+        (token.value === ':' && first && (first.value === 'case' || first.value === 'default')) || needsSemicolon) {
+      statementStart = i + 1;
+    }
+  });
+  
+  return diagnostics;
+}
+
+function lintDiagnostic(token, severity, message) {
+  return { line: token.line, ch: token.ch, endCh: token.ch + token.value.length, severity, message };
+}
+
+// ============== MEMBERS ==============
+// Field and method names per class, from the exam code and the UML diagrams
+function buildJavaClassModel(files, umlDiagrams) {
+  const model = new Map();
+  
+  files.forEach(file => {
+    lintSource.scanClasses(lintSource.tokenizeJava(file.content)).forEach(cls => {
+      model.set(cls.name, {
+        name: cls.name,
+        superName: cls.superName,
+        fields: new Map(cls.fields.map(f => [f.name, f])),
+        methods: new Map(cls.methods.map(m => [m.name, m])),
+        // "// ... more variables, accessor and mutator methods" means the listing is partial
+        incomplete: /\.\.\.|more (?:variables|methods|attributes)/i.test(file.content),
+        hasAccessors: /accessor|mutator|getters?\b|setters?\b/i.test(file.content),
+      });
+    });
+  });
+  
+  umlDiagrams.forEach(uml => {
+    if (!model.has(uml.name)) {
+      model.set(uml.name, { name: uml.name, superName: uml.superName, fields: new Map(), methods: new Map(), incomplete: false, hasAccessors: false });
+    }
+    const cls = model.get(uml.name);
+    
+    uml.attributes.forEach(attr => {
+      if (!cls.fields.has(attr.name)) {
+        cls.fields.set(attr.name, { name: attr.name, type: lintSource.convertUMLType(attr.type), modifiers: [attr.visibility] });
+      }
+    });
+    uml.methods.filter(method => !method.isConstructor).forEach(method => {
+      if (!cls.methods.has(method.name)) {
+        cls.methods.set(method.name, {
+          name: method.name,
+          returnType: lintSource.convertUMLType(method.returnType || 'void'),
+          modifiers: [method.visibility, ...(method.isStatic ? ['static'] : [])],
+          params: method.params,
+        });
+      }
+    });
+    if (uml.hasAccessors || uml.hasMutators) cls.hasAccessors = true;
+    if (uml.moreAttributes || uml.moreMethods) cls.incomplete = true;
+  });
+  
+  return model;
+}
+
+// The field or method with its declaring class, looking up the extends chain
+function findMember(model, className, name, kind) {
+  const seen = new Set();
+  
+  for (let cls = model.get(className); cls && !seen.has(cls.name); cls = model.get(cls.superName)) {
+    seen.add(cls.name);
+    const member = (kind === 'method' ? cls.methods : cls.fields).get(name);
+    if (member) return { ...member, owner: cls.name };
+  }
+  return null;
+}
+
+// Whether a member we can't see might still exist: partial listings, accessors the paper
+// only mentions in passing, or a superclass that isn't in the exam
+function mayHaveMember(model, className, name) {
+  const seen = new Set();
+  let cls = model.get(className);
+  
+  for (; cls && !seen.has(cls.name); cls = model.get(cls.superName)) {
+    seen.add(cls.name);
+    if (cls.incomplete) return true;
+    if (cls.hasAccessors && /^(?:get|set|is)[A-Z]/.test(name)) return true;
+    if (cls.superName && !model.has(cls.superName)) return true;
+  }
+  return false;
+}
+
+function elementType(type) {
+  return type && type.endsWith('[]') ? type.slice(0, -2) : null;
+}
+
+// Static type of the expression ending at tokens[index], when it's simple enough to follow
+function resolveExpressionType(tokens, index, scope, className, model) {
+  const token = tokens[index];
+  if (!token) return null;
+  
+  if (token.value === 'this') return className;
+  
+  if (token.value === ']') {
+    const open = findOpeningToken(tokens, index);
+    return open > 0 ? elementType(resolveExpressionType(tokens, open - 1, scope, className, model)) : null;
+  }
+  
+  if (token.value === ')') {
+    const open = findOpeningToken(tokens, index);
+    const nameToken = tokens[open - 1];
+    if (!nameToken || nameToken.type !== 'word') return null;
+    const owner = tokens[open - 2] && tokens[open - 2].value === '.'
+      ? resolveExpressionType(tokens, open - 3, scope, className, model)
+      : className;
+    const method = findMember(model, owner, nameToken.value, 'method');
+    return method ? method.returnType : null;
+  }
+  
+  if (token.type === 'word') {
+    if (tokens[index - 1] && tokens[index - 1].value === '.') {
+      const owner = resolveExpressionType(tokens, index - 2, scope, className, model);
+      const field = findMember(model, owner, token.value, 'field');
+      return field ? field.type : null;
+    }
+    if (scope.has(token.value)) return scope.get(token.value);
+    const field = findMember(model, className, token.value, 'field');
+    if (field) return field.type;
+    if (model.has(token.value)) return token.value;
+  }
+  
+  return null;
+}
+
+function findOpeningToken(tokens, closeIndex) {
+  const close = tokens[closeIndex].value;
+  const open = { ')': '(', ']': '[', '}': '{' }[close];
+  let depth = 0;
+  
+  for (let i = closeIndex; i >= 0; i--) {
+    if (tokens[i].value === close) depth++;
+    if (tokens[i].value === open && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Local variables declared anywhere in a method body, as name -> type
+function collectLocals(tokens, start, end) {
+  const locals = new Map();
+  
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+    if (token.type !== 'word' || (JAVA_KEYWORDS.has(token.value) && !/^(?:int|double|boolean|char|long|float|short|byte|var)$/.test(token.value))) continue;
+    if (prev && (prev.value === '.' || prev.value === 'new')) continue;
+    
+    // Type, then optional <...> and [] suffixes, then the name
+    let j = i + 1;
+    let type = token.value;
+    if (tokens[j] && tokens[j].value === '<') {
+      let depth = 0;
+      for (; j < end; j++) {
+        type += tokens[j].value;
+        if (tokens[j].value === '<') depth++;
+        if (tokens[j].value === '>' && --depth === 0) break;
+      }
+      j++;
+    }
+    while (tokens[j] && tokens[j].value === '[' && tokens[j + 1] && tokens[j + 1].value === ']') {
+      type += '[]';
+      j += 2;
+    }
+    
+    const name = tokens[j];
+    const after = tokens[j + 1];
+    if (!name || name.type !== 'word' || JAVA_KEYWORDS.has(name.value) || !after || !['=', ';', ',', ')', ':'].includes(after.value)) continue;
+    locals.set(name.value, type);
+    
+    // More declarators in the same statement: int i = 0, total = 0;
+    let depth = 0;
+    for (let k = j + 1; k < end && !(depth === 0 && [';', ')', '{'].includes(tokens[k].value)); k++) {
+      if (['(', '[', '{'].includes(tokens[k].value)) depth++;
+      if ([')', ']', '}'].includes(tokens[k].value)) depth--;
+      const more = tokens[k + 1];
+      const moreAfter = tokens[k + 2];
+      if (depth === 0 && tokens[k].value === ',' && more && more.type === 'word' && moreAfter && ['=', ';', ','].includes(moreAfter.value)) {
+        locals.set(more.value, type);
+      }
+    }
+  }
+  
+  // Lambda parameters: x -> ...
+  for (let i = start; i < end; i++) {
+    if (tokens[i].type === 'word' && tokens[i + 1] && tokens[i + 1].value === '->') locals.set(tokens[i].value, null);
+  }
+  
+  return locals;
+}
+
+function checkMethodBody(tokens, method, className, model, report) {
+  const scope = collectLocals(tokens, method.bodyStart + 1, method.bodyEnd);
+  method.params.forEach(p => scope.set(p.name, p.type));
+  const reported = new Set();
+  
+  for (let i = method.bodyStart + 1; i < method.bodyEnd; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    
+    if (token.value === 'return' && method.returnType === 'void' && next && next.value !== ';') {
+      report(token, 'error', `${method.name}() is void, so it can't return a value`);
+    }
+    
+    if (token.type !== 'word' || JAVA_KEYWORDS.has(token.value) || /^[A-Z]$/.test(token.value)) continue;
+    if (prev && (prev.value === '@' || prev.value === 'case')) continue;
+    
+    // Labels: "outer:" at the start of a statement
+    if (next && next.value === ':' && (!prev || [';', '{', '}'].includes(prev.value))) continue;
+    
+    const isCall = next && next.value === '(';
+    
+    if (prev && prev.value === '.') {
+      const ownerType = resolveExpressionType(tokens, i - 2, scope, className, model);
+      if (!ownerType || !model.has(ownerType)) continue;
+      
+      const member = findMember(model, ownerType, token.value, isCall ? 'method' : 'field');
+      if (!member) {
+        if (!mayHaveMember(model, ownerType, token.value)) {
+          report(token, 'warning', isCall
+            ? `${ownerType} has no method ${token.value}()`
+            : `${ownerType} has no field ${token.value}`);
+        }
+      } else if (member.modifiers.includes('private') && member.owner !== className) {
+        report(token, 'warning', isCall
+          ? `${token.value}() is private in ${member.owner}`
+          : `${token.value} is private in ${member.owner} — use its accessor method instead`);
+      }
+      continue;
+    }
+    
+    if (scope.has(token.value) || model.has(token.value) || JAVA_LIBRARY_NAMES.has(token.value)) continue;
+    
+    const member = findMember(model, className, token.value, isCall ? 'method' : 'field');
+    if (member) {
+      if (member.modifiers.includes('private') && member.owner !== className) {
+        report(token, 'warning', `${token.value} is private in ${member.owner}, so ${className} can't use it directly`);
+      }
+      continue;
+    }
+    
+    if (reported.has(token.value) || mayHaveMember(model, className, token.value)) continue;
+    reported.add(token.value);
+    report(token, 'warning', isCall
+      ? `${token.value}() isn't a method of ${className} or the exam classes`
+      : `${token.value} isn't declared in your answer or the exam classes`);
+  }
+}
+
+// ============== ANSWERS ==============
+// Diagnostics for the answer as { line, ch, endCh, severity, message }, lines relative to
+// the answer. buildUnit() returns the exam files with the answer in place, as the runner
+// gets them; it is only called once the brackets balance.
+function analyseJavaAnswer(answer, examInfo, buildUnit) {
+  const tokens = lintSource.tokenizeJava(answer);
+  const bracketDiagnostics = checkBrackets(tokens);
+  const diagnostics = [...bracketDiagnostics, ...checkSemicolons(tokens)];
+  
+  // Member checks need the answer's structure, which unbalanced brackets scramble
+  if (bracketDiagnostics.length > 0 || !examInfo) return diagnostics;
+  
+  const unit = buildUnit();
+  const model = buildJavaClassModel(unit.files, examInfo.umlDiagrams);
+  const fileTokens = lintSource.tokenizeJava(unit.files.find(f => f.name === unit.answerFile).content);
+  const firstLine = unit.answerOffset;
+  const lastLine = firstLine + unit.answerLineCount - 1;
+  const inAnswer = token => token && token.line >= firstLine && token.line <= lastLine;
+  const hasExamClasses = examInfo.classes.length > 0 || examInfo.umlDiagrams.length > 0;
+  
+  const report = (token, severity, message) => {
+    if (!inAnswer(token)) return;
+    diagnostics.push({ ...lintDiagnostic(token, severity, message), line: token.line - firstLine });
+  };
+  
+  lintSource.scanClasses(fileTokens).forEach(cls => {
+    cls.methods.forEach(method => {
+      if (inAnswer(method.nameToken) && !method.returnType && method.name !== cls.name) {
+        report(method.nameToken, 'error', `${method.name}() has no return type — use void if it doesn't return anything`);
+      }
+      
+      const bodyInAnswer = method.bodyStart !== null && method.bodyEnd !== -1 &&
+        fileTokens.slice(method.bodyStart, method.bodyEnd + 1).some(inAnswer);
+      if (!bodyInAnswer) return;
+      
+      if (hasExamClasses) {
+        checkMethodBody(fileTokens, method, cls.name, model, report);
+      } else if (method.returnType === 'void') {
+        checkMethodBody(fileTokens, method, cls.name, model, (token, severity, message) => {
+          if (severity === 'error') report(token, severity, message);
+        });
+      }
+    });
+  });
+  
+  return diagnostics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    checkBrackets,
+    checkSemicolons,
+    buildJavaClassModel,
+    analyseJavaAnswer,
+  };
+}
@@ -5,12 +5,30 @@ const state = {
   currentQuestion: null,
   currentSubQuestion: null,
   answers: {},
+  revealed: {}, // Answer keys whose mark scheme has been revealed
+  scores: {}, // Self-marking per answer key: { checked: [pointIndex], score }
+  notes: {}, // Student's own notes per answer key
+  feedback: {}, // Teacher's marking per answer key: { awarded: [pointIndex], score, comment }
+  answerTimes: {}, // ISO timestamp of the last edit per answer key
+  currentExamId: null,
   examCode: '',
+  // Timed mock exam: 'idle' | 'running' | 'finished'
+  mock: {
+    status: 'idle',
+    endsAt: 0,
+    timerId: null,
+    activeKey: null,
+    activeSince: 0,
+    timeSpent: {}
+  },
   currentLevel: 'SL', // SL or HL
+  listMode: 'paper', // 'paper' lists the current exam, 'topic' lists a topic across all exams
+  currentTopic: null,
   // Structured exam data for tabs
   examInfo: {
     scenario: '',
     umlDiagrams: [],
+    umlRelationships: [],
     tables: [],
     classes: []
   }
@@ -18,7 +36,7 @@ const state = {
 
 let codeAnswerEditor = null;
 let examCodeEditor = null;
-let classEditors = {}; // Editors for each class tab
+let classEditors = {}; // Editors for each class tab, and the scratchpad's
 
 document.addEventListener('DOMContentLoaded', () => {
   initEditors();
@@ -49,11 +67,22 @@ function initEditors() {
     smartIndent: true,
     indentWithTabs: false,
     lineWrapping: false,
+    gutters: ['CodeMirror-linenumbers', LINT_GUTTER, DIAGNOSTICS_GUTTER],
     extraKeys: {
       'Tab': (cm) => cm.execCommand('indentMore'),
       'Shift-Tab': (cm) => cm.execCommand('indentLess'),
     }
   });
+  codeAnswerEditor.on('change', handleCodeAnswerChange);
+}
+
+function handleCodeAnswerChange(cm, change) {
+  // setValue() is a saved answer being loaded, not the student typing
+  if (change.origin === 'setValue' || !state.currentSubQuestion) return;
+  
+  setAnswer(getAnswerKey(state.currentQuestion, state.currentSubQuestion), cm.getValue());
+  persistProgress();
+  scheduleStaticChecks();
 }
 
 // ============== EVENTS ==============
@@ -66,10 +95,108 @@ function wireEvents() {
     });
   }
   
-  document.getElementById('clearAnswer').addEventListener('click', clearCurrentAnswer);
+  document.getElementById('resetPaper').addEventListener('click', resetCurrentPaper);
   
   document.getElementById('revealMS').addEventListener('click', toggleMarkScheme);
   
+  document.getElementById('mockBtn').addEventListener('click', () => {
+    if (state.mock.status === 'running') {
+      if (confirm('Finish the mock exam now?')) finishMockExam();
+    } else if (state.mock.status === 'finished') {
+      exitMockExam();
+    } else {
+      startMockExam();
+    }
+  });
+  document.getElementById('closeMockSummary').addEventListener('click', exitMockExam);
+  
+  document.querySelectorAll('.list-mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setListMode(btn.dataset.mode);
+      updateRoute();
+    });
+  });
+  document.getElementById('topicSelect').addEventListener('change', e => {
+    state.currentTopic = e.target.value;
+    renderTopicList();
+    updateRoute();
+  });
+  
+  document.getElementById('searchBtn').addEventListener('click', openSearchDialog);
+  document.getElementById('closeSearch').addEventListener('click', closeSearchDialog);
+  document.getElementById('searchInput').addEventListener('input', scheduleSearch);
+  ['searchLevel', 'searchType', 'searchFromYear', 'searchToYear'].forEach(id => {
+    document.getElementById(id).addEventListener('change', runSearch);
+  });
+  
+  document.getElementById('exportBtn').addEventListener('click', openExportDialog);
+  document.getElementById('closeExport').addEventListener('click', closeExportDialog);
+  document.getElementById('printBookletBtn').addEventListener('click', printBooklet);
+  document.getElementById('downloadHtmlBtn').addEventListener('click', downloadBookletHtml);
+  document.getElementById('downloadMdBtn').addEventListener('click', downloadBookletMarkdown);
+  
+  document.getElementById('backupBtn').addEventListener('click', openBackupDialog);
+  document.getElementById('closeBackup').addEventListener('click', closeBackupDialog);
+  document.getElementById('exportProgressBtn').addEventListener('click', exportProgress);
+  document.getElementById('importProgressBtn').addEventListener('click', () => {
+    document.getElementById('importProgressFile').click();
+  });
+  document.getElementById('importProgressFile').addEventListener('change', e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importProgressFile(file);
+  });
+  
+  document.getElementById('copyLink').addEventListener('click', () => copyToClipboard(location.href));
+  document.getElementById('runCodeBtn').addEventListener('click', runAnswerCode);
+  document.getElementById('addToScratchpadBtn').addEventListener('click', insertAnswerIntoScratchpad);
+  document.getElementById('closeRunnerConsole').addEventListener('click', hideRunnerConsole);
+  document.getElementById('dismissRouteNotice').addEventListener('click', hideRouteNotice);
+  
+  // Back/forward and hand-edited links. Routes live in the hash, so hashchange covers
+  // both; listening to popstate too would apply each Back press twice at once
+  window.addEventListener('hashchange', applyRoute);
+  
+  document.getElementById('dashboardBtn').addEventListener('click', () => {
+    if (document.getElementById('dashboardView').classList.contains('hidden')) {
+      openDashboard();
+    } else {
+      closeDashboard();
+    }
+  });
+  
+  document.getElementById('flashcardBtn').addEventListener('click', () => {
+    if (document.getElementById('flashcardView').classList.contains('hidden')) {
+      openFlashcards();
+    } else {
+      closeFlashcards();
+    }
+  });
+  
+  document.getElementById('reviewBtn').addEventListener('click', () => {
+    if (document.getElementById('reviewView').classList.contains('hidden')) {
+      openReview();
+    } else {
+      closeReview();
+    }
+  });
+  document.getElementById('reviewExamSelect').addEventListener('change', e => loadReviewExam(e.target.value));
+  document.getElementById('reviewAddFiles').addEventListener('click', () => {
+    document.getElementById('reviewFiles').click();
+  });
+  document.getElementById('reviewFiles').addEventListener('change', e => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length) addReviewFiles(files);
+  });
+  document.getElementById('reviewSummaryBtn').addEventListener('click', () => {
+    if (!reviewSession) return;
+    reviewSession.showSummary = !reviewSession.showSummary;
+    renderReview();
+  });
+  document.getElementById('reviewExportBtn').addEventListener('click', exportReviewFeedback);
+  document.getElementById('reviewClearBtn').addEventListener('click', clearReviewSession);
+  
   // Hide theme toggle since we're using clean white
   const themeBtn = document.getElementById('themeToggle');
   if (themeBtn) themeBtn.style.display = 'none';
@@ -77,6 +204,12 @@ function wireEvents() {
   // Level toggle (SL/HL)
   document.getElementById('slBtn').addEventListener('click', () => setLevel('SL'));
   document.getElementById('hlBtn').addEventListener('click', () => setLevel('HL'));
+  
+  // Flush the in-progress answer before the page goes away
+  window.addEventListener('beforeunload', () => {
+    saveCurrentAnswer();
+    persistProgress();
+  });
 }
 
 function setLevel(level) {
@@ -90,750 +223,3807 @@ function setLevel(level) {
   populateExamSelect(state.exams);
   
   // Load first exam of this level
-  const filteredExams = state.exams.filter(e => e.level === level);
+  const filteredExams = state.exams.filter(e => e.level === level && !e.variantId);
   if (filteredExams.length) {
     document.getElementById('examSelect').value = filteredExams[filteredExams.length - 1].id;
     loadExam(filteredExams[filteredExams.length - 1].id);
   }
 }
 
-function clearCurrentAnswer() {
-  if (!state.currentSubQuestion) return;
+function resetCurrentPaper() {
+  if (!state.currentExamId) return;
+  if (!confirm('Reset this paper? All answers for this exam session will be deleted.')) return;
   
-  const key = `${state.currentQuestion.number}-${state.currentSubQuestion.letter}`;
+  state.answers = {};
+  state.revealed = {};
+  state.scores = {};
+  state.notes = {};
+  state.feedback = {};
+  state.answerTimes = {};
+  state.currentQuestion = null;
+  state.currentSubQuestion = null;
+  clearProgress(state.currentExamId);
   
-  if (state.currentSubQuestion.isCoding) {
-    codeAnswerEditor.setValue(state.currentSubQuestion.starterCode || '// Write your code here\n\n');
-    state.answers[key] = state.currentSubQuestion.starterCode || '';
-  } else {
-    document.getElementById('textAnswer').value = '';
-    state.answers[key] = '';
-  }
+  renderQuestionList();
+  clearAnswerPanel();
+  renderPaperTotal();
+  updateRoute();
 }
 
 function toggleMarkScheme() {
-  const content = document.getElementById('markSchemeContent');
-  const btn = document.getElementById('revealMS');
+  if (state.mock.status === 'running') return;
   
-  if (content.classList.contains('hidden')) {
-    content.classList.remove('hidden');
-    btn.innerHTML = '<span class="reveal-icon">▼</span> Hide Mark Scheme';
-  } else {
-    content.classList.add('hidden');
-    btn.innerHTML = '<span class="reveal-icon">▶</span> Click to Reveal Mark Scheme';
+  const content = document.getElementById('markSchemeContent');
+  setMarkSchemeVisible(content.classList.contains('hidden'));
+  
+  if (state.currentSubQuestion) {
+    const key = getAnswerKey(state.currentQuestion, state.currentSubQuestion);
+    if (content.classList.contains('hidden')) {
+      delete state.revealed[key];
+    } else {
+      state.revealed[key] = true;
+    }
+    persistProgress();
+    
+    // The signature check names the expected header only once the mark scheme is shown
+    if (state.currentSubQuestion.isCoding) renderSignatureCheck(state.currentSubQuestion, codeAnswerEditor.getValue());
   }
 }
 
-// ============== DATA LOADING ==============
-async function loadManifest() {
-  try {
-    const res = await fetch('exams.json');
-    const exams = await res.json();
-    state.exams = exams;
-    populateExamSelect(exams);
-    
-    // Load the most recent exam of the current level
-    const filteredExams = exams.filter(e => e.level === state.currentLevel);
-    if (filteredExams.length) {
-      document.getElementById('examSelect').value = filteredExams[filteredExams.length - 1].id;
-      await loadExam(filteredExams[filteredExams.length - 1].id);
-    }
-  } catch (err) {
-    console.error('Failed to load manifest:', err);
-  }
+function setMarkSchemeVisible(visible) {
+  const content = document.getElementById('markSchemeContent');
+  const btn = document.getElementById('revealMS');
+  const locked = state.mock.status === 'running';
+  
+  content.classList.toggle('hidden', !visible || locked);
+  btn.disabled = locked;
+  btn.innerHTML = locked
+    ? '<span class="reveal-icon">🔒</span> Mark scheme locked until the mock exam ends'
+    : visible
+    ? '<span class="reveal-icon">▼</span> Hide Mark Scheme'
+    : '<span class="reveal-icon">▶</span> Click to Reveal Mark Scheme';
 }
 
-function populateExamSelect(exams) {
-  const select = document.getElementById('examSelect');
-  const currentValue = select.value;
-  select.innerHTML = '';
-  
-  // Filter by current level
-  const filteredExams = exams.filter(e => e.level === state.currentLevel);
-  
-  filteredExams.forEach(exam => {
-    const opt = document.createElement('option');
-    opt.value = exam.id;
-    opt.textContent = exam.label;
-    select.appendChild(opt);
-  });
-  
-  // Only add event listener once
-  if (!select.dataset.listenerAdded) {
-    select.addEventListener('change', e => loadExam(e.target.value));
-    select.dataset.listenerAdded = 'true';
-  }
+// ============== MOCK EXAM ==============
+// IB Paper 2 allows 1 hour 20 minutes for 65 marks at HL, and 1 hour for 45 at SL
+const MINUTES_PER_MARK = { HL: 80 / 65, SL: 60 / 45 };
+
+function getMinutesPerMark() {
+  const exam = state.exams.find(e => e.id === state.currentExamId);
+  return MINUTES_PER_MARK[exam?.level] || MINUTES_PER_MARK.HL;
 }
 
-async function loadExam(examId) {
-  const exam = state.exams.find(e => e.id === examId);
-  if (!exam) return;
-  
-  state.answers = {};
-  state.currentQuestion = null;
-  state.currentSubQuestion = null;
-  
-  try {
-    const [qpText, msText] = await Promise.all([
-      fetch(exam.questionPath).then(r => r.text()),
-      fetch(exam.markSchemePath).then(r => r.text()),
-    ]);
-    
-    parseExam(qpText, msText);
-    renderQuestionList();
-    renderExamCode();
-    clearAnswerPanel();
-  } catch (err) {
-    console.error('Failed to load exam:', err);
-  }
+function getPaperMarks(questions = state.questions) {
+  return questions.reduce((total, q) =>
+    total + q.subQuestions.reduce((sum, sub) => sum + (sub.marks || 0), 0), 0);
 }
 
-// ============== PARSING ==============
-function parseExam(qpText, msText) {
-  // Extract Option D section
-  const optionDText = extractOptionD(qpText);
-  const optionDMS = extractOptionD(msText);
+function startMockExam() {
+  const totalMarks = getPaperMarks();
+  if (!totalMarks) return;
   
-  // Extract structured exam info
-  state.examInfo = extractStructuredExamInfo(optionDText);
+  const minutes = Math.round(totalMarks * getMinutesPerMark());
+  if (!confirm(`Start a ${minutes}-minute mock exam for ${totalMarks} marks? The mark scheme stays locked until time is up.`)) return;
   
-  // For backwards compatibility, also set examCode
-  state.examCode = state.examInfo.classes.map(c => c.code).join('\n\n');
-  
-  // Parse questions and sub-questions
-  const rawQuestions = splitMainQuestions(optionDText);
-  const rawMS = splitMainQuestions(optionDMS);
+  saveCurrentAnswer();
   
-  // Create mark scheme map
-  const msMap = new Map();
-  rawMS.forEach(q => {
-    const subMS = parseSubQuestions(q.text, true);
-    subMS.forEach(sub => {
-      msMap.set(`${q.number}-${sub.letter}`, sub);
-    });
-  });
+  state.mock = {
+    status: 'running',
+    endsAt: Date.now() + minutes * 60 * 1000,
+    timerId: setInterval(tickMockTimer, 1000),
+    activeKey: state.currentSubQuestion ? getAnswerKey(state.currentQuestion, state.currentSubQuestion) : null,
+    activeSince: Date.now(),
+    timeSpent: {}
+  };
+  persistProgress();
   
-  // Build final questions array
-  state.questions = rawQuestions
-    .filter(q => parseInt(q.number, 10) >= 10)
-    .map(q => {
-      const subQuestions = parseSubQuestions(q.text, false).map(sub => {
-        const msKey = `${q.number}-${sub.letter}`;
-        const ms = msMap.get(msKey);
-        return {
-          ...sub,
-          markScheme: ms?.text || 'Mark scheme not available.',
-          marks: ms?.marks || sub.marks,
-          isCoding: detectCodingQuestion(sub.text),
-          starterCode: extractStarterCode(sub.text, state.examCode),
-        };
-      });
-      
-      return {
-        number: q.number,
-        text: q.text,
-        subQuestions,
-      };
-    });
+  showMockRunning();
+  if (state.currentSubQuestion) renderAnswerPanel();
 }
 
-function extractStructuredExamInfo(text) {
-  const info = {
-    scenario: '',
-    umlDiagrams: [],
-    tables: [],
-    classes: []
+function showMockRunning() {
+  // Don't let the student switch papers mid-exam
+  document.getElementById('examSelect').disabled = true;
+  document.getElementById('variantSelect').disabled = true;
+  document.getElementById('slBtn').disabled = true;
+  document.getElementById('hlBtn').disabled = true;
+  document.getElementById('resetPaper').disabled = true;
+  if (scratchpad) updateScratchpadButtons();
+  setMockLockedTools(true);
+  
+  document.getElementById('mockBtn').textContent = 'Finish exam';
+  document.getElementById('mockTimer').classList.remove('hidden');
+  
+  tickMockTimer();
+}
+
+// A mock saved with the paper's progress survives a reload: a running one picks up
+// its timer (finishing if time ran out while the page was closed), and a finished
+// one stays frozen until the student exits it
+function restoreMockExam(saved) {
+  if (!saved || state.mock.status !== 'idle') return;
+  
+  state.mock = {
+    status: 'running',
+    endsAt: saved.endsAt,
+    timerId: setInterval(tickMockTimer, 1000),
+    activeKey: state.currentSubQuestion ? getAnswerKey(state.currentQuestion, state.currentSubQuestion) : null,
+    activeSince: Date.now(),
+    timeSpent: saved.timeSpent || {}
   };
+  showMockRunning();
+  if (saved.status === 'finished') finishMockExam();
+}
+
+function tickMockTimer() {
+  const remaining = Math.max(0, state.mock.endsAt - Date.now());
+  const timerEl = document.getElementById('mockTimer');
   
-  // Extract scenario text (non-code descriptive text)
-  info.scenario = extractScenarioText(text);
-  
-  // Extract UML diagrams as structured data
-  info.umlDiagrams = extractUMLDiagramsStructured(text);
-  
-  // Extract tables as structured data
-  info.tables = extractTablesStructured(text);
-  
-  // Extract Java classes as separate entities
-  info.classes = extractJavaClassesStructured(text);
+  timerEl.textContent = formatDuration(remaining);
+  timerEl.classList.toggle('warning', remaining < 5 * 60 * 1000);
   
-  // If no classes found, try UML conversion
-  if (info.classes.length === 0 && info.umlDiagrams.length > 0) {
-    info.umlDiagrams.forEach(uml => {
-      info.classes.push({
-        name: uml.name,
-        code: convertUMLToJavaSkeleton(uml)
-      });
-    });
+  if (remaining === 0) finishMockExam();
+}
+
+// Charge the time since the last switch to the sub-question that was open
+function trackMockTime(nextKey) {
+  if (state.mock.status !== 'running') return;
+  
+  const now = Date.now();
+  const { activeKey, activeSince } = state.mock;
+  if (activeKey) {
+    state.mock.timeSpent[activeKey] = (state.mock.timeSpent[activeKey] || 0) + (now - activeSince);
   }
-  
-  return info;
+  state.mock.activeKey = nextKey;
+  state.mock.activeSince = now;
+}
+
+// The time per sub-question so far, including the one open now, for saving
+function getMockTimeSpent() {
+  const { activeKey, activeSince, timeSpent } = state.mock;
+  if (state.mock.status !== 'running' || !activeKey) return timeSpent;
+  return { ...timeSpent, [activeKey]: (timeSpent[activeKey] || 0) + (Date.now() - activeSince) };
 }
 
-function extractScenarioText(text) {
-  const lines = text.split(/\r?\n/);
-  const scenarioLines = [];
-  let inScenario = false;
+function finishMockExam() {
+  if (state.mock.status !== 'running') return;
   
-  for (const line of lines) {
-    const trimmed = line.trim();
-    
-    // Skip header lines
-    if (/Option D/i.test(trimmed) || /^–?\s*\d+\s*–?$/.test(trimmed) || 
-        /^\d{4}\s*–\s*\d{4}$/.test(trimmed) || /M\d{2}\/\d\//.test(trimmed) ||
-        /pages$/i.test(trimmed) || /Questions$/i.test(trimmed)) {
-      continue;
-    }
-    
-    // Start after we see first question number
-    if (/^1[0-9]\.$/.test(trimmed) || /^[0-9]\.$/.test(trimmed)) {
-      inScenario = true;
-      continue;
-    }
-    
-    // Stop at first sub-question or code
-    if (/^\([a-z]\)/i.test(trimmed) || /^public\s+(class|interface)/.test(trimmed)) {
-      break;
-    }
-    
-    // Skip UML notation and page references
-    if (inScenario && trimmed && 
-        !/^[-+]\s*\w+\s*:/.test(trimmed) && 
-        !/Option D continues/i.test(trimmed) &&
-        !/^Turn over$/i.test(trimmed) &&
-        !/^\[.*\]$/.test(trimmed) &&
-        !/^private\s+/.test(trimmed) &&
-        trimmed.length > 3) {
-      scenarioLines.push(trimmed);
-    }
+  saveCurrentAnswer();
+  trackMockTime(null);
+  clearInterval(state.mock.timerId);
+  state.mock.status = 'finished';
+  persistProgress();
+  if (scratchpad) updateScratchpadButtons();
+  setMockLockedTools(false);
+  
+  setAnswersFrozen(true);
+  document.getElementById('mockBtn').textContent = 'Exit mock exam';
+  document.getElementById('mockTimer').textContent = 'Time up';
+  
+  if (state.currentSubQuestion) renderAnswerPanel();
+  renderMockSummary();
+}
+
+function exitMockExam() {
+  clearInterval(state.mock.timerId);
+  state.mock = { status: 'idle', endsAt: 0, timerId: null, activeKey: null, activeSince: 0, timeSpent: {} };
+  
+  setAnswersFrozen(false);
+  document.getElementById('examSelect').disabled = false;
+  document.getElementById('variantSelect').disabled = false;
+  document.getElementById('slBtn').disabled = false;
+  document.getElementById('hlBtn').disabled = false;
+  document.getElementById('resetPaper').disabled = false;
+  
+  document.getElementById('mockBtn').textContent = 'Start mock exam';
+  document.getElementById('mockTimer').classList.add('hidden');
+  document.getElementById('mockTimer').classList.remove('warning');
+  document.getElementById('mockSummary').classList.add('hidden');
+  
+  persistProgress();
+  if (state.currentSubQuestion) renderAnswerPanel();
+}
+
+// The mark scheme lock would mean little if another screen showed it: flashcards
+// show every paper's mark scheme on the back of the card, search matches and
+// quotes mark schemes, review marks answers against any paper's mark scheme, and
+// the booklet can print the mark scheme under each answer. Importing a backup could
+// replace the answers of the paper being sat, so that waits too.
+function setMockLockedTools(locked) {
+  if (locked) {
+    if (!document.getElementById('flashcardView').classList.contains('hidden')) closeFlashcards();
+    if (!document.getElementById('reviewView').classList.contains('hidden')) closeReview();
+    closeSearchDialog();
   }
-  
-  // Limit to first 8 meaningful lines
-  return scenarioLines.slice(0, 8).join('\n');
+  document.getElementById('flashcardBtn').disabled = locked;
+  document.getElementById('searchBtn').disabled = locked;
+  document.getElementById('reviewBtn').disabled = locked;
+  document.getElementById('importProgressBtn').disabled = locked;
+  
+  const exportMarkScheme = document.getElementById('exportMarkScheme');
+  exportMarkScheme.disabled = locked;
+  if (locked) exportMarkScheme.checked = false;
 }
 
-function extractUMLDiagramsStructured(text) {
-  const diagrams = [];
-  const lines = text.split(/\r?\n/);
-  
-  let currentClass = null;
-  let exampleData = [];
+function setAnswersFrozen(frozen) {
+  codeAnswerEditor.setOption('readOnly', frozen);
+  document.getElementById('textAnswer').readOnly = frozen;
+  if (state.currentSubQuestion?.isTreeDrawing) treeAnswerEditor?.setReadOnly(frozen);
+  if (state.currentSubQuestion?.isDiagram) diagramAnswerEditor?.setReadOnly(frozen);
+  if (state.currentSubQuestion?.isTrace) traceAnswerEditor?.setReadOnly(frozen);
+}
+
+function renderMockSummary() {
+  let attempted = 0;
+  let total = 0;
+  let rows = '';
   
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Detect class name (PascalCase word alone)
-    if (/^[A-Z][a-zA-Z]+$/.test(line) && !line.includes(' ') && line.length > 2 && line.length < 20) {
-      const nextLines = lines.slice(i + 1, i + 15).map(l => l.trim());
-      const hasUMLAttributes = nextLines.some(l => /^[-+]\s*\w+\s*:\s*\w+/.test(l));
+  state.questions.forEach(q => {
+    q.subQuestions.forEach(sub => {
+      const key = getAnswerKey(q, sub);
+      const done = isAttempted(sub, state.answers[key]);
+      const spent = state.mock.timeSpent[key] || 0;
+      const budget = (sub.marks || 0) * getMinutesPerMark() * 60 * 1000;
       
-      if (hasUMLAttributes) {
-        if (currentClass && currentClass.attributes.length > 0) {
-          currentClass.exampleData = [...exampleData];
-          diagrams.push(currentClass);
-        }
-        currentClass = { name: line, attributes: [], methods: [], exampleData: [] };
-        exampleData = [];
-        continue;
-      }
-    }
-    
-    // Detect example object pattern
-    if (/example\s+\w+\s+object/i.test(line) && currentClass) {
-      for (let j = i + 1; j < Math.min(i + 12, lines.length); j++) {
-        const dataLine = lines[j].trim();
-        if (dataLine && !dataLine.startsWith('-') && !dataLine.startsWith('+') && 
-            !dataLine.startsWith('(') && !/^[A-Z][a-z]+[A-Z]/.test(dataLine) &&
-            dataLine.length < 30) {
-          exampleData.push(dataLine);
-        } else if (/^[-+]/.test(dataLine) || /^\(/.test(dataLine)) {
-          break;
-        }
-      }
-    }
-    
-    // Detect UML attribute
-    if (currentClass && /^[-+]\s*\w+\s*:\s*\w+/.test(line)) {
-      const match = line.match(/^([-+])\s*(\w+)\s*:\s*(\w+)/);
-      if (match) {
-        currentClass.attributes.push({
-          visibility: match[1] === '-' ? 'private' : 'public',
-          name: match[2],
-          type: match[3]
-        });
-      }
-    }
-    
-    // Detect UML method
-    if (currentClass && /^[-+]\s*(\w+\s*\(|constructor|accessor|mutator)/i.test(line)) {
-      currentClass.methods.push(line.replace(/^[-+]\s*/, ''));
-    }
-  }
-  
-  if (currentClass && currentClass.attributes.length > 0) {
-    currentClass.exampleData = exampleData;
-    diagrams.push(currentClass);
-  }
+      total++;
+      if (done) attempted++;
+      
+      rows += `<tr class="${done ? '' : 'not-attempted'}">
+        <td>${q.number}${sub.label}</td>
+        <td>${sub.marks ?? '–'}</td>
+        <td>${done ? '✓ Attempted' : '✗ Not attempted'}</td>
+        <td class="${budget && spent > budget ? 'over-budget' : ''}">${formatDuration(spent)}</td>
+        <td>${budget ? formatDuration(budget) : '–'}</td>
+      </tr>`;
+    });
+  });
   
-  return diagrams;
+  document.getElementById('mockSummaryBody').innerHTML = `
+    <p class="mock-summary-stats">Attempted <strong>${attempted}</strong> of <strong>${total}</strong> sub-questions.</p>
+    <table class="data-table">
+      <thead><tr><th>Question</th><th>Marks</th><th>Status</th><th>Time spent</th><th>Time budget</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  document.getElementById('mockSummary').classList.remove('hidden');
 }
 
-function extractTablesStructured(text) {
-  const tables = [];
-  
-  // Extract status level tables
-  const statusTable = extractStatusTableStructured(text);
-  if (statusTable) tables.push(statusTable);
-  
-  // Extract rental level tables
-  const rentalTable = extractRentalLevelTableStructured(text);
-  if (rentalTable) tables.push(rentalTable);
-  
-  // Extract date tables for BST
-  const dateTable = extractDateTableStructured(text);
-  if (dateTable) tables.push(dateTable);
-  
-  return tables;
+// ============== DASHBOARD ==============
+// The dashboard, flashcard and review screens each replace the 3-column layout,
+// so opening one (or following a link back into a paper) closes the others
+function closeOpenViews() {
+  if (!document.getElementById('dashboardView').classList.contains('hidden')) closeDashboard();
+  if (!document.getElementById('flashcardView').classList.contains('hidden')) closeFlashcards();
+  if (!document.getElementById('reviewView').classList.contains('hidden')) closeReview();
 }
 
-function extractStatusTableStructured(text) {
-  const rules = [];
-  
-  const bronzeMatch = text.match(/Bronze\s*[=:]\s*(?:less than\s*)?(\d[\d\s,]*)/i);
-  const silverMatch = text.match(/Silver\s*[=:]\s*(\d[\d\s,]*)\s*(?:or more)?(?:\s*but\s*less than\s*(\d[\d\s,]*))?/i);
-  const goldMatch = text.match(/Gold\s*[=:]\s*(\d[\d\s,]*)\s*(?:or more)?/i);
+async function openDashboard() {
+  closeOpenViews();
+  saveCurrentAnswer();
+  persistProgress();
+  
+  const view = document.getElementById('dashboardView');
+  view.classList.remove('hidden');
+  document.getElementById('mainLayout').classList.add('hidden');
+  document.getElementById('dashboardBtn').textContent = '✕ Close progress';
+  
+  const body = document.getElementById('dashboardBody');
+  body.innerHTML = '<p class="placeholder-text">Loading progress for every paper…</p>';
+  
+  const summaries = await Promise.all(state.exams.map(async exam => {
+    try {
+      const parsed = await getParsedExam(exam);
+      return summarisePaperProgress(exam, parsed.questions, loadProgress(exam.id));
+    } catch (err) {
+      console.error(`Failed to load ${exam.id} for dashboard:`, err);
+      return { exam, failed: true };
+    }
+  }));
   
-  if (bronzeMatch) rules.push(['Bronze', '< ' + bronzeMatch[1].trim()]);
-  if (silverMatch) rules.push(['Silver', silverMatch[1].trim() + (silverMatch[2] ? ' - ' + silverMatch[2].trim() : '+')]);
-  if (goldMatch) rules.push(['Gold', goldMatch[1].trim() + '+']);
+  // The student may have closed the dashboard while papers were loading
+  if (view.classList.contains('hidden')) return;
   
-  if (rules.length === 0) return null;
+  body.innerHTML = ['SL', 'HL'].map(level =>
+    renderDashboardLevel(level, summaries.filter(s => s.exam.level === level))
+  ).join('');
   
-  return {
-    title: 'Status Level Thresholds',
-    headers: ['Level', 'Points Required'],
-    rows: rules
-  };
+  body.querySelectorAll('.dashboard-row[data-exam-id]').forEach(row => {
+    row.addEventListener('click', () => openExamFromDashboard(row.dataset.examId));
+  });
 }
 
-function extractRentalLevelTableStructured(text) {
-  const rules = [];
+function closeDashboard() {
+  document.getElementById('dashboardView').classList.add('hidden');
+  document.getElementById('mainLayout').classList.remove('hidden');
+  document.getElementById('dashboardBtn').textContent = '📊 Progress';
   
-  const diamondMatch = text.match(/(?:Greater than|>)\s*(\d+)\s*(?:[\r\n]+\s*)?Diamond/i);
-  const goldMatch = text.match(/(?:Greater than|>)\s*(\d+)\s*(?:[\r\n]+\s*)?Gold/i);
-  const silverMatch = text.match(/(?:Greater than|>)\s*(\d+)\s*(?:[\r\n]+\s*)?Silver/i);
-  const basicMatch = text.match(/(?:Up to|<=?)\s*(\d+)\s*(?:[\r\n]+\s*)?Basic/i);
-  
-  if (diamondMatch) rules.push(['Diamond', '> ' + diamondMatch[1]]);
-  if (goldMatch) rules.push(['Gold', '> ' + goldMatch[1]]);
-  if (silverMatch) rules.push(['Silver', '> ' + silverMatch[1]]);
-  if (basicMatch) rules.push(['Basic', '≤ ' + basicMatch[1]]);
-  
-  if (rules.length === 0) return null;
-  
-  return {
-    title: 'Loyalty Program Levels',
-    headers: ['Level', 'Rentals Required'],
-    rows: rules
-  };
+  // CodeMirror can't measure itself while hidden
+  setTimeout(() => {
+    codeAnswerEditor.refresh();
+    Object.values(classEditors).forEach(editor => editor.refresh());
+  }, 10);
 }
 
-function extractDateTableStructured(text) {
-  if (!/binary\s+(?:search\s+)?tree/i.test(text)) return null;
-  
-  const rows = [];
-  const datePattern = /(\d{3})\s+(\d{2}\/\d{2}\/\d{4})/g;
-  let match;
-  
-  while ((match = datePattern.exec(text)) !== null) {
-    rows.push([match[1], match[2]]);
-  }
+function summarisePaperProgress(exam, questions, progress) {
+  const summary = {
+    exam,
+    attempted: 0,
+    totalSubs: 0,
+    earned: 0,
+    available: 0,
+    lastPractised: progress.updatedAt
+  };
   
-  if (rows.length === 0) return null;
+  questions.forEach(q => {
+    q.subQuestions.forEach(sub => {
+      const key = getAnswerKey(q, sub);
+      summary.totalSubs++;
+      summary.available += sub.marks || 0;
+      if (isAttempted(sub, progress.answers[key])) summary.attempted++;
+      summary.earned += progress.scores[key]?.score || 0;
+    });
+  });
   
-  return {
-    title: 'Binary Tree Construction Data',
-    headers: ['customerID', 'dateOut'],
-    rows: rows
-  };
+  return summary;
 }
 
-function extractJavaClassesStructured(text) {
-  const classes = [];
-  const lines = text.split(/\r?\n/);
-  let currentClass = null;
-  let braceDepth = 0;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    // Detect class start
-    const classMatch = trimmed.match(/^public\s+class\s+(\w+)/);
-    if (classMatch) {
-      if (currentClass && currentClass.lines.length > 0) {
-        classes.push({
-          name: currentClass.name,
-          code: currentClass.lines.join('\n')
-        });
-      }
-      currentClass = { name: classMatch[1], lines: [] };
-      braceDepth = 0;
+function renderDashboardLevel(level, summaries) {
+  let attempted = 0;
+  let totalSubs = 0;
+  let earned = 0;
+  let available = 0;
+  
+  const rows = summaries.map(s => {
+    if (s.failed) {
+      return `<tr class="dashboard-row failed"><td>${escapeHtml(s.exam.label)}</td><td colspan="3">Could not load this paper</td></tr>`;
     }
     
-    if (currentClass) {
-      currentClass.lines.push(line);
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-      
-      if (braceDepth <= 0 && currentClass.lines.length > 1 && trimmed === '}') {
-        classes.push({
-          name: currentClass.name,
-          code: currentClass.lines.join('\n')
-        });
-        currentClass = null;
-        braceDepth = 0;
-      }
-    }
-  }
-  
-  if (currentClass && currentClass.lines.length > 3) {
-    classes.push({
-      name: currentClass.name,
-      code: currentClass.lines.join('\n')
-    });
-  }
-  
-  return classes;
+    attempted += s.attempted;
+    totalSubs += s.totalSubs;
+    earned += s.earned;
+    available += s.available;
+    
+    const pct = s.totalSubs ? Math.round((s.attempted / s.totalSubs) * 100) : 0;
+    return `<tr class="dashboard-row ${s.attempted ? '' : 'not-started'}" data-exam-id="${escapeHtml(s.exam.id)}">
+        <td>${escapeHtml(s.exam.label)}</td>
+        <td>
+          <div class="progress-bar"><div class="progress-fill" style="width: ${pct}%"></div></div>
+          <span class="progress-label">${s.attempted} / ${s.totalSubs}</span>
+        </td>
+        <td>${s.earned} / ${s.available}</td>
+        <td>${s.lastPractised ? formatDate(s.lastPractised) : '–'}</td>
+      </tr>`;
+  }).join('');
+  
+  return `<div class="dashboard-level">
+      <div class="info-section-title">${level} Papers — ${attempted} / ${totalSubs} sub-questions, ${earned} / ${available} marks</div>
+      <table class="data-table dashboard-table">
+        <thead><tr><th>Session</th><th>Attempted</th><th>Marks</th><th>Last practised</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
 }
 
-function convertUMLToJavaSkeleton(uml) {
-  let code = `public class ${uml.name} {\n\n`;
-  code += `    // Instance variables\n`;
-  
-  for (const attr of uml.attributes) {
-    const javaType = convertUMLType(attr.type);
-    code += `    private ${javaType} ${attr.name};\n`;
-  }
-  
-  code += `\n    // Default constructor\n`;
-  code += `    public ${uml.name}() {\n`;
-  code += `        // Initialize instance variables\n`;
-  code += `    }\n`;
+function openExamFromDashboard(examId) {
+  const exam = state.exams.find(e => e.id === examId);
+  if (!exam) return;
   
-  code += `\n    // Accessor and mutator methods go here\n`;
-  code += `    // (You need to write these as part of the questions)\n`;
+  closeDashboard();
   
-  code += `\n}\n`;
+  if (state.mock.status !== 'idle') return;
   
-  return code;
+  selectExam(exam);
 }
 
-function extractOptionD(text) {
-  const lower = text.toLowerCase();
-  const start = lower.indexOf('option d');
-  if (start === -1) return text;
+// ============== FLASHCARDS ==============
+// Short definition questions from every paper, reviewed on an SM-2 style schedule
+const FLASHCARD_NEW_PER_DAY = 10;
+const FLASHCARD_START_EASE = 2.5;
+const FLASHCARD_MIN_EASE = 1.3;
+const FLASHCARD_GRADES = [
+  { id: 'again', label: 'Again' },
+  { id: 'hard', label: 'Hard' },
+  { id: 'good', label: 'Good' },
+  { id: 'easy', label: 'Easy' },
+];
+
+let flashcardDeck = null; // Built from every paper the first time the review screen opens
+let flashcardQueue = [];
+let flashcardShowingBack = false;
+
+async function openFlashcards() {
+  if (state.mock.status === 'running') return;
+  closeOpenViews();
+  saveCurrentAnswer();
+  persistProgress();
+  
+  const view = document.getElementById('flashcardView');
+  view.classList.remove('hidden');
+  document.getElementById('mainLayout').classList.add('hidden');
+  document.getElementById('flashcardBtn').textContent = '✕ Close flashcards';
+  
+  const body = document.getElementById('flashcardBody');
+  if (!flashcardDeck) {
+    body.innerHTML = '<p class="placeholder-text">Collecting definition questions from every paper…</p>';
+    flashcardDeck = await buildFlashcardDeck();
+    if (view.classList.contains('hidden')) return;
+  }
   
-  const end = lower.indexOf('end of option d', start);
-  return end !== -1 ? text.slice(start, end) : text.slice(start);
+  flashcardQueue = buildFlashcardQueue(flashcardDeck, loadFlashcardSchedule());
+  flashcardShowingBack = false;
+  renderFlashcard();
 }
 
-function extractAllJavaCode(text) {
-  const lines = text.split(/\r?\n/);
-  const codeBlocks = [];
-  let currentBlock = [];
-  let braceDepth = 0;
-  let inClass = false;
+function closeFlashcards() {
+  document.getElementById('flashcardView').classList.add('hidden');
+  document.getElementById('mainLayout').classList.remove('hidden');
+  document.getElementById('flashcardBtn').textContent = '🗂 Flashcards';
   
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-    
-    // Detect start of a Java class or significant code block
-    if (/^public\s+class\s+\w+/.test(trimmed) || 
-        /^class\s+\w+/.test(trimmed) ||
-        /^public\s+interface\s+\w+/.test(trimmed)) {
-      if (currentBlock.length > 0 && braceDepth === 0) {
-        codeBlocks.push(currentBlock.join('\n'));
-        currentBlock = [];
-      }
-      inClass = true;
-    }
+  // CodeMirror can't measure itself while hidden
+  setTimeout(() => {
+    codeAnswerEditor.refresh();
+    Object.values(classEditors).forEach(editor => editor.refresh());
+  }, 10);
+}
+
+// One card per distinct question; SL and HL papers of a session often share them,
+// and variants repeat their session's paper
+async function buildFlashcardDeck() {
+  const papers = await loadAllParsedExams();
+  const isListedBefore = createSessionListing();
+  const seenPrompts = new Set();
+  const deck = [];
+  
+  papers.forEach(({ exam, parsed }) => {
+    if (!parsed) return;
+    const classNames = [
+      ...parsed.examInfo.classes.map(c => c.name),
+      ...parsed.examInfo.umlDiagrams.map(d => d.name),
+    ];
     
-    // Count braces to track block depth
-    const openBraces = (line.match(/{/g) || []).length;
-    const closeBraces = (line.match(/}/g) || []).length;
-    
-    // Determine if this looks like code
-    const isCodeLine = 
-      /^\s*(public|private|protected|class|interface|static|void|int|double|boolean|String|char|float|long|new|return|if|else|for|while|try|catch|throw|import|package)\b/.test(line) ||
-      /^\s*\/\//.test(line) ||  // Comment
-      /^\s*\/\*/.test(line) ||  // Block comment start
-      /^\s*\*/.test(line) ||    // Block comment middle
-      /^\s*{/.test(trimmed) ||
-      /^\s*}/.test(trimmed) ||
-      /;\s*$/.test(trimmed) ||
-      (inClass && braceDepth > 0) ||
-      /^\s*\w+\s*\(.*\)/.test(line) || // Method calls
-      /^\s*\w+\[\]/.test(line); // Arrays
-    
-    if (isCodeLine || (inClass && braceDepth > 0)) {
-      currentBlock.push(line);
-      braceDepth += openBraces - closeBraces;
+    parsed.questions.forEach(q => q.subQuestions.forEach(sub => {
+      if (!detectDefinitionQuestion(sub, classNames) || isListedBefore(exam, sub)) return;
       
-      if (braceDepth <= 0 && inClass && currentBlock.length > 0) {
-        codeBlocks.push(currentBlock.join('\n'));
-        currentBlock = [];
-        inClass = false;
-        braceDepth = 0;
-      }
-    } else if (currentBlock.length > 0 && trimmed === '') {
-      // Allow empty lines within code blocks
-      if (braceDepth > 0) {
-        currentBlock.push(line);
-      }
-    } else if (currentBlock.length > 5 && braceDepth === 0) {
-      // Save block if substantial
-      codeBlocks.push(currentBlock.join('\n'));
-      currentBlock = [];
-      inClass = false;
-    }
-  }
+      const prompt = extractQuestionPrompt(sub.text);
+      if (seenPrompts.has(prompt.toLowerCase())) return;
+      seenPrompts.add(prompt.toLowerCase());
+      
+      deck.push({ id: `${exam.id}:${sub.key}`, exam, question: q, sub, prompt });
+    }));
+  });
   
-  if (currentBlock.length > 3) {
-    codeBlocks.push(currentBlock.join('\n'));
-  }
+  return deck;
+}
+
+// Cards due today (oldest first), then up to the day's allowance of new cards
+function buildFlashcardQueue(deck, schedule) {
+  const today = formatDayKey(new Date());
   
-  // If we found actual Java classes, return them
-  const javaClasses = codeBlocks.filter(block => 
-    /class\s+\w+/.test(block) && block.includes('{')
-  );
+  const due = deck
+    .filter(card => schedule[card.id] && schedule[card.id].due <= today)
+    .sort((a, b) => schedule[a.id].due.localeCompare(schedule[b.id].due));
   
-  if (javaClasses.length > 0) {
-    return javaClasses.join('\n\n');
-  }
+  const introducedToday = Object.values(schedule).filter(entry => entry.introduced === today).length;
+  const fresh = deck
+    .filter(card => !schedule[card.id])
+    .slice(0, Math.max(0, FLASHCARD_NEW_PER_DAY - introducedToday));
   
-  // Fall back to UML-style if no Java classes found
-  const umlBlock = extractUMLAsJava(text);
-  if (umlBlock) {
-    return umlBlock;
+  return [...due, ...fresh];
+}
+
+function scheduleFlashcard(entry, grade, now = new Date()) {
+  const next = entry
+    ? { ...entry }
+    : { reps: 0, interval: 0, ease: FLASHCARD_START_EASE, lapses: 0, introduced: formatDayKey(now) };
+  
+  if (grade === 'again') {
+    next.reps = 0;
+    next.lapses++;
+    next.interval = 0;
+    next.ease = Math.max(FLASHCARD_MIN_EASE, next.ease - 0.2);
+  } else {
+    if (grade === 'hard') {
+      next.interval = Math.max(1, Math.round(next.interval * 1.2));
+      next.ease = Math.max(FLASHCARD_MIN_EASE, next.ease - 0.15);
+    } else if (grade === 'good') {
+      next.interval = next.reps === 0 ? 1 : next.reps === 1 ? 3 : Math.max(next.interval + 1, Math.round(next.interval * next.ease));
+    } else {
+      next.interval = next.reps === 0 ? 4 : Math.max(next.interval + 1, Math.round(next.interval * next.ease * 1.3));
+      next.ease += 0.15;
+    }
+    next.reps++;
   }
   
-  // Last resort - return any code we found
-  if (codeBlocks.length > 0) {
-    return codeBlocks.join('\n\n');
-  }
+  next.ease = Math.round(next.ease * 100) / 100;
   
-  return '// No Java code provided in this exam.\n// Refer to the question text for class specifications.';
+  const due = new Date(now);
+  due.setDate(due.getDate() + next.interval);
+  next.due = formatDayKey(due);
+  next.reviewedAt = now.toISOString();
+  return next;
 }
 
-function extractUMLAsJava(text) {
-  const lines = text.split(/\r?\n/);
-  let className = '';
-  const attributes = [];
-  
-  for (const line of lines) {
-    // Look for class name (usually appears before attributes)
-    if (/^[A-Z][a-zA-Z]*$/.test(line.trim()) && !className) {
-      className = line.trim();
-      continue;
-    }
-    
-    // UML attribute: - attributeName: Type
-    const attrMatch = line.match(/^[-+]\s*(\w+)\s*:\s*(\w+)/);
-    if (attrMatch) {
-      const [, name, type] = attrMatch;
-      const javaType = convertUMLType(type);
-      attributes.push({ name, type: javaType, visibility: line.trim().startsWith('-') ? 'private' : 'public' });
-      continue;
-    }
-  }
+function gradeFlashcard(grade) {
+  const card = flashcardQueue.shift();
+  if (!card) return;
   
-  if (!className || attributes.length === 0) {
-    return null;
-  }
+  const schedule = loadFlashcardSchedule();
+  schedule[card.id] = scheduleFlashcard(schedule[card.id], grade);
+  saveFlashcardSchedule(schedule);
   
-  // Build Java class - ONLY show structure, NOT the methods students need to write
-  let java = `public class ${className} {\n\n`;
-  java += `    // Instance variables (from UML diagram)\n`;
+  // Forgotten cards come round again before the session ends
+  if (grade === 'again') flashcardQueue.push(card);
   
-  for (const attr of attributes) {
-    java += `    ${attr.visibility} ${attr.type} ${attr.name};\n`;
+  flashcardShowingBack = false;
+  renderFlashcard();
+}
+
+function renderFlashcard() {
+  const body = document.getElementById('flashcardBody');
+  const schedule = loadFlashcardSchedule();
+  const card = flashcardQueue[0];
+  
+  const newCount = flashcardQueue.filter(c => !schedule[c.id]).length;
+  document.getElementById('flashcardCounts').textContent =
+    `${flashcardQueue.length - newCount} due · ${newCount} new · ${flashcardDeck.length} cards from every paper`;
+  
+  if (!card) {
+    body.innerHTML = `<div class="flashcard-done">
+        <p>${flashcardDeck.length ? 'All caught up for today.' : 'No definition questions were found in the papers.'}</p>
+        ${describeNextReview(schedule)}
+      </div>`;
+    return;
   }
   
-  java += `\n    // Default constructor\n`;
-  java += `    public ${className}() {\n`;
-  java += `        // Initializes instance variables to default values\n`;
-  java += `    }\n`;
+  const { exam, question, sub } = card;
+  const interval = days => days === 0 ? 'today' : days === 1 ? '1 day' : `${days} days`;
   
-  java += `\n    // Accessor and mutator methods are listed in the UML\n`;
-  java += `    // but YOU need to write them as part of the questions!\n`;
-  
-  java += `\n}\n`;
+  body.innerHTML = `<div class="flashcard">
+      <div class="flashcard-source">
+        <span>${exam.level} ${escapeHtml(exam.label)} · Q${escapeHtml(question.number)}${escapeHtml(sub.label)} · ${sub.marks} ${sub.marks === 1 ? 'mark' : 'marks'}</span>
+        <button class="small-btn" data-action="open">Open in paper</button>
+      </div>
+      <div class="flashcard-front">${escapeHtml(card.prompt)}</div>
+      ${flashcardShowingBack ? `
+        <div class="flashcard-back ms-text">${formatMarkScheme(sub.markScheme)}</div>
+        <div class="flashcard-grades">
+          ${FLASHCARD_GRADES.map(grade => `<button class="small-btn flashcard-grade ${grade.id}" data-grade="${grade.id}">
+              ${grade.label}<span>${interval(scheduleFlashcard(schedule[card.id], grade.id).interval)}</span>
+            </button>`).join('')}
+        </div>
+      ` : '<button class="reveal-btn" data-action="reveal">Show mark scheme</button>'}
+    </div>`;
   
-  return java;
+  body.querySelector('[data-action="open"]').addEventListener('click', () => {
+    openPartRoute(exam.level, exam.id, question.number, sub);
+  });
+  body.querySelector('[data-action="reveal"]')?.addEventListener('click', () => {
+    flashcardShowingBack = true;
+    renderFlashcard();
+  });
+  body.querySelectorAll('[data-grade]').forEach(btn => {
+    btn.addEventListener('click', () => gradeFlashcard(btn.dataset.grade));
+  });
 }
 
-function convertUMLType(umlType) {
-  const typeMap = {
-    'integer': 'int',
-    'real': 'double',
-    'boolean': 'boolean',
-    'String': 'String',
-    'char': 'char',
-  };
-  return typeMap[umlType.toLowerCase()] || umlType;
+function describeNextReview(schedule) {
+  const ids = new Set(flashcardDeck.map(card => card.id));
+  const upcoming = Object.entries(schedule)
+    .filter(([id]) => ids.has(id))
+    .map(([, entry]) => entry.due)
+    .sort();
+  if (upcoming.length === 0) return '';
+  
+  const next = upcoming[0];
+  const count = upcoming.filter(due => due === next).length;
+  return `<p class="flashcard-next">Next review: ${formatDate(`${next}T00:00:00`)} (${count} ${count === 1 ? 'card' : 'cards'})</p>`;
 }
 
-function splitMainQuestions(text) {
-  const lines = text.split(/\r?\n/);
-  const questions = [];
-  let current = null;
-  
-  const mainQPattern = /^(\d{1,2})\.\s*$/;
-  
-  for (const line of lines) {
-    const match = line.match(mainQPattern);
-    if (match) {
-      if (current) questions.push(current);
-      current = { number: match[1], lines: [] };
-    } else if (current) {
-      current.lines.push(line);
-    }
-  }
-  
-  if (current) questions.push(current);
-  
-  return questions.map(q => ({
-    number: q.number,
-    text: q.lines.join('\n').trim(),
-  }));
+// Local calendar day as YYYY-MM-DD, so reviews fall due at midnight rather than 24 hours later
+function formatDayKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ============== SEARCH ==============
+const SEARCH_DELAY_MS = 150;
+
+// The index is built by search.js in a Web Worker, the first time search is opened
+let searchWorker = null;
+let searchReady = false;
+let searchRequestId = 0;
+let searchTimer = null;
+
+function openSearchDialog() {
+  if (state.mock.status === 'running') return;
+  document.getElementById('searchDialog').classList.remove('hidden');
+  if (!searchWorker) startSearchWorker();
+  populateSearchYears();
+  
+  const input = document.getElementById('searchInput');
+  input.focus();
+  input.select();
+}
+
+function closeSearchDialog() {
+  document.getElementById('searchDialog').classList.add('hidden');
+}
+
+function startSearchWorker() {
+  try {
+    searchWorker = new Worker(`search.js?v=2&parser=${PARSER_VERSION}`);
+  } catch (err) {
+    console.error('Failed to start search worker:', err);
+    setSearchStatus('Search is unavailable in this browser. Open the app from a web server rather than a file.');
+    return;
+  }
+  
+  searchWorker.addEventListener('message', e => handleSearchMessage(e.data));
+  searchWorker.addEventListener('error', err => {
+    console.error('Search worker failed:', err);
+    setSearchStatus('Search stopped working. Reload the page to try again.');
+  });
+  
+  // Variants are indexed too; search lists each sub-question of a session once
+  const exams = state.exams.map(exam => ({
+    id: exam.id,
+    sessionId: exam.sessionId,
+    level: exam.level,
+    label: exam.label,
+    questionPath: exam.questionPath,
+    markSchemePath: exam.markSchemePath,
+  }));
+  searchWorker.postMessage({ type: 'build', exams, prebuiltDir: PREBUILT_EXAMS_DIR });
+  setSearchStatus(`Indexing ${exams.length} papers…`);
+}
+
+function handleSearchMessage(message) {
+  if (message.type === 'progress') {
+    setSearchStatus(`Indexing papers… ${message.indexed} / ${message.total}`);
+    // Show what is already indexed rather than waiting for every paper
+    runSearch();
+  } else if (message.type === 'ready') {
+    searchReady = true;
+    setSearchStatus('');
+    runSearch();
+  } else if (message.type === 'results') {
+    if (message.requestId === searchRequestId) renderSearchResults(message.results, message.total);
+  } else if (message.type === 'error') {
+    console.error('Search failed:', message.message);
+    setSearchStatus('Search failed. Try a different query.');
+  }
+}
+
+function populateSearchYears() {
+  const years = [...new Set(state.exams.map(exam => exam.label.match(/\b(\d{4})\b/)?.[1]).filter(Boolean))].sort();
+  ['searchFromYear', 'searchToYear'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    if (select.options.length > 0) return;
+    select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    select.value = i === 0 ? years[0] : years[years.length - 1];
+  });
+}
+
+function getSearchFilters() {
+  return {
+    level: document.getElementById('searchLevel').value || null,
+    type: document.getElementById('searchType').value || null,
+    fromYear: parseInt(document.getElementById('searchFromYear').value, 10) || null,
+    toYear: parseInt(document.getElementById('searchToYear').value, 10) || null,
+  };
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DELAY_MS);
+}
+
+function runSearch() {
+  if (!searchWorker) return;
+  
+  const query = document.getElementById('searchInput').value;
+  searchRequestId++;
+  if (!query.trim()) {
+    document.getElementById('searchResults').innerHTML = '';
+    return;
+  }
+  searchWorker.postMessage({ type: 'search', requestId: searchRequestId, query, filters: getSearchFilters() });
+}
+
+function setSearchStatus(text) {
+  document.getElementById('searchStatus').textContent = text;
+}
+
+function renderSearchResults(results, total) {
+  const container = document.getElementById('searchResults');
+  if (results.length === 0) {
+    container.innerHTML = `<p class="placeholder-text">${searchReady ? 'No sub-questions match.' : 'No matches in the papers indexed so far.'}</p>`;
+    return;
+  }
+  
+  const shown = total > results.length ? `Showing the best ${results.length} of ${total} matches` : `${total} ${total === 1 ? 'match' : 'matches'}`;
+  container.innerHTML = `<div class="search-count">${shown}</div>` + results.map((result, i) => `
+    <button class="search-result" data-index="${i}">
+      <div class="search-result-title">
+        <span>${result.level} ${escapeHtml(result.examLabel)} · Q${escapeHtml(result.question)}${escapeHtml(result.label)}</span>
+        <span class="search-result-meta">${result.isCoding ? 'Coding' : 'Written'}${result.marks ? ` · ${result.marks} ${result.marks === 1 ? 'mark' : 'marks'}` : ''}</span>
+      </div>
+      ${result.textSnippet ? `<div class="search-snippet">${highlightSnippet(result.textSnippet)}</div>` : ''}
+      ${result.markSchemeSnippet ? `<div class="search-snippet ms-snippet"><span class="search-snippet-label">Mark scheme</span> ${highlightSnippet(result.markSchemeSnippet)}</div>` : ''}
+    </button>
+  `).join('');
+  
+  container.querySelectorAll('.search-result').forEach(btn => {
+    btn.addEventListener('click', () => openSearchResult(results[btn.dataset.index]));
+  });
+}
+
+function highlightSnippet(snippet) {
+  let html = '';
+  let last = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    html += escapeHtml(snippet.text.slice(last, start)) + `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(snippet.text.slice(last));
+}
+
+function openSearchResult(result) {
+  closeSearchDialog();
+  openPartRoute(result.level, result.examId, result.question, result);
+}
+
+// ============== TEACHER REVIEW ==============
+// A teacher loads students' progress files (💾 Backup → Download) for one paper,
+// marks each answer point by point, and exports feedback files that students
+// import back through the same Backup dialog. Sessions are kept per paper in
+// local storage, so marking can be picked up again later.
+let reviewSession = null; // { exam, parsed, students: [{ name, answers, answerTimes, feedback }], key, showSummary }
+
+async function openReview() {
+  if (state.mock.status === 'running') return;
+  closeOpenViews();
+  saveCurrentAnswer();
+  persistProgress();
+  
+  document.getElementById('reviewView').classList.remove('hidden');
+  document.getElementById('mainLayout').classList.add('hidden');
+  document.getElementById('reviewBtn').textContent = '✕ Close review';
+  
+  const select = document.getElementById('reviewExamSelect');
+  select.innerHTML = state.exams
+    .map(exam => `<option value="${escapeHtml(exam.id)}">${exam.level} ${escapeHtml(exam.label)}</option>`)
+    .join('');
+  select.value = reviewSession?.exam.id || state.currentExamId;
+  await loadReviewExam(select.value);
+}
+
+function closeReview() {
+  document.getElementById('reviewView').classList.add('hidden');
+  document.getElementById('mainLayout').classList.remove('hidden');
+  document.getElementById('reviewBtn').textContent = '🧑‍🏫 Review';
+  
+  // CodeMirror can't measure itself while hidden
+  setTimeout(() => {
+    codeAnswerEditor.refresh();
+    Object.values(classEditors).forEach(editor => editor.refresh());
+  }, 10);
+}
+
+async function loadReviewExam(examId) {
+  const exam = state.exams.find(e => e.id === examId);
+  if (!exam) return;
+  
+  document.getElementById('reviewMessages').innerHTML = '';
+  document.getElementById('reviewBody').innerHTML = '<p class="placeholder-text">Loading paper…</p>';
+  
+  try {
+    const parsed = await getParsedExam(exam);
+    const firstSub = parsed.questions.find(q => q.subQuestions.length)?.subQuestions[0];
+    reviewSession = {
+      exam,
+      parsed,
+      students: loadReviewStudents(exam.id),
+      key: firstSub?.key || null,
+      showSummary: false,
+    };
+    renderReview();
+  } catch (err) {
+    console.error('Failed to load exam for review:', err);
+    document.getElementById('reviewBody').innerHTML = '<p class="placeholder-text">Could not load this paper.</p>';
+  }
+}
+
+async function addReviewFiles(files) {
+  if (!reviewSession) return;
+  const { exam, students } = reviewSession;
+  const messages = [];
+  
+  for (const file of files) {
+    let doc;
+    try {
+      doc = JSON.parse(await file.text());
+    } catch (err) {
+      messages.push(`${file.name} is not valid JSON.`);
+      continue;
+    }
+    
+    const errors = validateProgressDocument(doc);
+    if (errors.length) {
+      messages.push(`${file.name} is not a progress file: ${errors[0]}`);
+      continue;
+    }
+    
+    const entry = doc.exams[exam.id];
+    if (!entry || !entry.answers || Object.keys(entry.answers).length === 0) {
+      messages.push(`${file.name} has no answers for ${exam.level} ${exam.label}.`);
+      continue;
+    }
+    
+    // Backups are all called ib-paper2-progress_<date>.json, so the file name says
+    // nothing about whose they are: the name the student saved in the file does,
+    // and the teacher is asked for one when it's missing
+    const name = doc.studentName?.trim() ||
+      prompt(`${file.name} has no student name in it. Whose answers are these?`)?.trim();
+    if (!name) {
+      messages.push(`Skipped ${file.name}: no student name.`);
+      continue;
+    }
+    
+    // A resubmission replaces the student's answers but keeps the marking so far
+    const existing = students.find(s => s.name === name);
+    if (existing) {
+      existing.answers = entry.answers;
+      existing.answerTimes = entry.answerTimes || {};
+      messages.push(`Updated ${name}'s answers.`);
+    } else {
+      students.push({ name, answers: entry.answers, answerTimes: entry.answerTimes || {}, feedback: {} });
+      messages.push(`Added ${name}.`);
+    }
+  }
+  
+  saveReviewStudents(exam.id, students);
+  document.getElementById('reviewMessages').innerHTML = messages
+    .map(m => `<div class="review-message">${escapeHtml(m)}</div>`)
+    .join('');
+  renderReview();
+}
+
+function clearReviewSession() {
+  if (!reviewSession || reviewSession.students.length === 0) return;
+  if (!confirm(`Remove all ${reviewSession.students.length} students and their marking for this paper?`)) return;
+  
+  reviewSession.students = [];
+  removeStorage(`review:${reviewSession.exam.id}`);
+  document.getElementById('reviewMessages').innerHTML = '';
+  renderReview();
+}
+
+function findReviewSub(key) {
+  for (const q of reviewSession.parsed.questions) {
+    const sub = q.subQuestions.find(s => s.key === key);
+    if (sub) return { question: q, sub };
+  }
+  return null;
+}
+
+function getReviewMax(sub) {
+  return sub.markingPoints.max || sub.marks || 0;
+}
+
+function renderReview() {
+  const { parsed, students, key, showSummary } = reviewSession;
+  document.getElementById('reviewSummaryBtn').textContent = showSummary ? 'Back to marking' : 'Class summary';
+  
+  const list = document.getElementById('reviewQuestionList');
+  list.innerHTML = parsed.questions.map(q => q.subQuestions.map(sub => {
+    const marked = students.filter(s => s.feedback[sub.key]).length;
+    return `<button class="review-sub-btn ${!showSummary && sub.key === key ? 'active' : ''}" data-key="${escapeHtml(sub.key)}">
+        <span>Q${escapeHtml(q.number)}${escapeHtml(sub.label)}</span>
+        <span class="review-sub-count">${students.length ? `${marked}/${students.length}` : ''}</span>
+      </button>`;
+  }).join('')).join('');
+  
+  list.querySelectorAll('.review-sub-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      reviewSession.key = btn.dataset.key;
+      reviewSession.showSummary = false;
+      renderReview();
+    });
+  });
+  
+  if (showSummary) {
+    renderReviewSummary();
+  } else {
+    renderReviewSubQuestion();
+  }
+}
+
+function renderReviewSubQuestion() {
+  const body = document.getElementById('reviewBody');
+  const { students, key } = reviewSession;
+  const found = findReviewSub(key);
+  if (!found) {
+    body.innerHTML = '<p class="placeholder-text">This paper has no questions to review.</p>';
+    return;
+  }
+  
+  const { question, sub } = found;
+  const { points } = sub.markingPoints;
+  const max = getReviewMax(sub);
+  
+  const cards = students.map((student, i) => {
+    const answer = student.answers[key];
+    const feedback = student.feedback[key];
+    const awarded = new Set(feedback?.awarded || []);
+    
+    // Written answers get the auto-marker's suggestion until the teacher has marked them
+    const suggestion = !feedback && isProseAnswer(sub) ? markWrittenAnswer(answer, sub.markingPoints) : null;
+    
+    const marking = points.length
+      ? points.map((point, idx) => `<label class="checklist-point ${suggestion?.points[idx].status === 'matched' ? 'auto-matched' : ''}">
+            <input type="checkbox" data-point="${idx}" ${awarded.has(idx) ? 'checked' : ''}>
+            <span class="point-text">${point.alternatives.map(alt => escapeHtml(alt)).join('<span class="ms-alt"> / </span>')}</span>
+            ${point.marks > 1 ? `<span class="sub-marks">[${point.marks}]</span>` : ''}
+          </label>`).join('')
+      : `<label class="review-mark-input">Marks <input type="number" min="0" max="${max}" value="${feedback ? feedback.score : ''}"> / ${max}</label>`;
+    
+    return `<div class="review-student" data-student="${i}">
+        <div class="review-student-header">
+          <strong>${escapeHtml(student.name)}</strong>
+          <span class="checklist-score">${feedback ? `${feedback.score} / ${max}` : 'Not marked'}</span>
+        </div>
+        ${isAttempted(sub, answer)
+          ? `<div class="review-answer ${sub.isCoding || sub.isTreeDrawing ? 'code' : ''}">${formatAnswerHtml(sub, answer)}</div>`
+          : '<div class="review-answer empty">No answer</div>'}
+        ${suggestion ? `<div class="review-suggestion">Provisional mark from keywords: ${suggestion.score} / ${suggestion.max}</div>` : ''}
+        <div class="review-points">${marking}</div>
+        <textarea class="review-comment" placeholder="Comment for ${escapeHtml(student.name)}">${escapeHtml(feedback?.comment || '')}</textarea>
+      </div>`;
+  }).join('');
+  
+  body.innerHTML = `
+    <div class="review-question">
+      <h3>Question ${escapeHtml(question.number)}${escapeHtml(sub.label)}${sub.marks ? ` · ${sub.marks} ${sub.marks === 1 ? 'mark' : 'marks'}` : ''}</h3>
+      ${sub.stem ? `<p class="question-stem">${formatMultiline(sub.stem)}</p>` : ''}
+      <p>${formatMultiline(sub.text)}</p>
+    </div>
+    <details class="review-mark-scheme" open>
+      <summary>Mark scheme</summary>
+      <div class="ms-text">${formatMarkScheme(sub.markScheme)}</div>
+    </details>
+    ${cards || '<p class="placeholder-text">Add student progress files to start marking.</p>'}
+  `;
+  
+  body.querySelectorAll('.review-student').forEach(card => {
+    const student = students[card.dataset.student];
+    const update = () => {
+      const ticked = [...card.querySelectorAll('input[type="checkbox"]:checked')].map(b => parseInt(b.dataset.point, 10));
+      const numberInput = card.querySelector('input[type="number"]');
+      const score = numberInput
+        ? Math.min(max, Math.max(0, parseInt(numberInput.value, 10) || 0))
+        : calculateScore(sub.markingPoints, ticked);
+      
+      student.feedback[key] = {
+        awarded: ticked,
+        score,
+        comment: card.querySelector('.review-comment').value,
+      };
+      card.querySelector('.checklist-score').textContent = `${score} / ${max}`;
+      card.querySelector('.review-suggestion')?.remove();
+      saveReviewStudents(reviewSession.exam.id, students);
+    };
+    
+    card.querySelectorAll('input').forEach(input => input.addEventListener('change', () => {
+      update();
+      renderReviewCounts();
+    }));
+    card.querySelector('.review-comment').addEventListener('input', update);
+  });
+}
+
+// Refresh the "marked" counts in the list without re-rendering the cards being marked
+function renderReviewCounts() {
+  const { students } = reviewSession;
+  document.querySelectorAll('#reviewQuestionList .review-sub-btn').forEach(btn => {
+    const marked = students.filter(s => s.feedback[btn.dataset.key]).length;
+    btn.querySelector('.review-sub-count').textContent = `${marked}/${students.length}`;
+  });
+}
+
+function renderReviewSummary() {
+  const body = document.getElementById('reviewBody');
+  const { exam, parsed, students } = reviewSession;
+  
+  if (students.length === 0) {
+    body.innerHTML = '<p class="placeholder-text">Add student progress files to see a class summary.</p>';
+    return;
+  }
+  
+  const missed = [];
+  const subRows = parsed.questions.flatMap(q => q.subQuestions.map(sub => {
+    const marked = students.filter(s => s.feedback[sub.key]);
+    const answered = students.filter(s => isAttempted(sub, s.answers[sub.key])).length;
+    const average = marked.length
+      ? (marked.reduce((sum, s) => sum + s.feedback[sub.key].score, 0) / marked.length).toFixed(1)
+      : '–';
+    
+    // Points only count as missed by students whose answer was marked point by point
+    sub.markingPoints.points.forEach((point, idx) => {
+      const missedBy = marked.filter(s => !(s.feedback[sub.key].awarded || []).includes(idx)).length;
+      if (missedBy) missed.push({ label: `Q${q.number}${sub.label}`, text: point.text, missedBy, of: marked.length });
+    });
+    
+    return `<tr>
+        <td>Q${escapeHtml(q.number)}${escapeHtml(sub.label)}</td>
+        <td>${answered} / ${students.length}</td>
+        <td>${marked.length} / ${students.length}</td>
+        <td>${average} / ${getReviewMax(sub)}</td>
+      </tr>`;
+  })).join('');
+  
+  const studentRows = students.map(student => {
+    const scored = Object.values(student.feedback).reduce((sum, f) => sum + f.score, 0);
+    return `<tr>
+        <td>${escapeHtml(student.name)}</td>
+        <td>${Object.values(student.answers).filter(a => a.trim()).length}</td>
+        <td>${Object.keys(student.feedback).length}</td>
+        <td>${scored} / ${getPaperMarks(parsed.questions)}</td>
+      </tr>`;
+  }).join('');
+  
+  const mostMissed = missed
+    .sort((a, b) => b.missedBy / b.of - a.missedBy / a.of || b.missedBy - a.missedBy)
+    .slice(0, 10)
+    .map(m => `<li><strong>${escapeHtml(m.label)}</strong> ${escapeHtml(truncate(m.text, 120))}
+        <span class="review-missed-count">missed by ${m.missedBy} of ${m.of}</span></li>`)
+    .join('');
+  
+  body.innerHTML = `
+    <div class="info-section-title">${exam.level} ${escapeHtml(exam.label)} — ${students.length} ${students.length === 1 ? 'student' : 'students'}</div>
+    <table class="data-table review-summary-table">
+      <thead><tr><th>Question</th><th>Answered</th><th>Marked</th><th>Average</th></tr></thead>
+      <tbody>${subRows}</tbody>
+    </table>
+    <div class="info-section-title">Most-missed marking points</div>
+    ${mostMissed ? `<ol class="review-missed">${mostMissed}</ol>` : '<p class="placeholder-text">Nothing marked point by point yet.</p>'}
+    <div class="info-section-title">Students</div>
+    <table class="data-table review-summary-table">
+      <thead><tr><th>Student</th><th>Answered</th><th>Marked</th><th>Score</th></tr></thead>
+      <tbody>${studentRows}</tbody>
+    </table>
+  `;
+}
+
+// One progress file per student, holding only feedback, so importing it with
+// "Merge" adds the marking without touching the student's own answers
+function exportReviewFeedback() {
+  if (!reviewSession) return;
+  const { exam, students } = reviewSession;
+  const marked = students.filter(s => Object.keys(s.feedback).length);
+  
+  if (marked.length === 0) {
+    alert('Mark at least one answer before exporting feedback.');
+    return;
+  }
+  
+  const exportedAt = new Date().toISOString();
+  marked.forEach(student => {
+    const doc = {
+      format: PROGRESS_FORMAT,
+      version: PROGRESS_FORMAT_VERSION,
+      exportedAt,
+      exams: { [exam.id]: { feedback: student.feedback, updatedAt: exportedAt } },
+    };
+    const safeName = student.name.replace(/[^\w.-]+/g, '_');
+    downloadFile(`${exam.id}_feedback_${safeName}.json`, JSON.stringify(doc, null, 2), 'application/json');
+  });
+}
+
+// ============== EXPORT ==============
+function openExportDialog() {
+  if (!state.currentExamId) return;
+  saveCurrentAnswer();
+  document.getElementById('exportDialog').classList.remove('hidden');
+}
+
+function closeExportDialog() {
+  document.getElementById('exportDialog').classList.add('hidden');
+}
+
+function getExportOptions() {
+  return {
+    includeMarkScheme: document.getElementById('exportMarkScheme').checked && state.mock.status !== 'running',
+    includeScores: document.getElementById('exportScores').checked,
+  };
+}
+
+function getBookletTitle() {
+  const exam = state.exams.find(e => e.id === state.currentExamId);
+  return `IB Computer Science ${exam.level} Paper 2 — ${exam.label} — Option D`;
+}
+
+function getBookletFileName(extension) {
+  return `${state.currentExamId}_answers.${extension}`;
+}
+
+function buildBookletHtml(options) {
+  let earned = 0;
+  let html = `<div class="booklet">
+    <h1>${escapeHtml(getBookletTitle())}</h1>
+    <p class="booklet-meta">Exported ${escapeHtml(formatDate(new Date().toISOString()))}</p>`;
+  
+  state.questions.forEach(q => {
+    html += `<section class="booklet-question"><h2>Question ${escapeHtml(q.number)}</h2>`;
+    
+    q.subQuestions.forEach(sub => {
+      const key = getAnswerKey(q, sub);
+      const answer = state.answers[key] || '';
+      const score = state.scores[key];
+      if (score) earned += score.score;
+      
+      html += `<div class="booklet-part">
+        <h3>${escapeHtml(q.number)}${escapeHtml(sub.label)}${sub.marks ? ` <span class="booklet-marks">[${sub.marks}]</span>` : ''}</h3>
+        ${sub.stem ? `<p class="booklet-stem">${formatMultiline(sub.stem)}</p>` : ''}
+        <p class="booklet-question-text">${formatMultiline(sub.text)}</p>
+        <div class="booklet-answer-label">Answer</div>
+        ${isAttempted(sub, answer)
+          ? (sub.isCoding ? formatCodeWithLineNumbers(answer)
+            : `<div class="booklet-answer">${formatAnswerHtml(sub, answer)}</div>`)
+          : '<div class="booklet-answer empty">Not attempted</div>'}`;
+      
+      if (options.includeScores && score) {
+        html += `<div class="booklet-score">Self-awarded: ${score.score} / ${sub.markingPoints.max || sub.marks || '?'}</div>`;
+      }
+      if (options.includeMarkScheme) {
+        html += `<div class="booklet-ms"><div class="booklet-answer-label">Mark scheme</div>${formatMarkScheme(sub.markScheme)}</div>`;
+      }
+      
+      html += '</div>';
+    });
+    
+    html += '</section>';
+  });
+  
+  if (options.includeScores) {
+    html += `<p class="booklet-total">Paper total (self-marked): ${earned} / ${getPaperMarks()}</p>`;
+  }
+  
+  html += '</div>';
+  return html;
+}
+
+function formatMultiline(text) {
+  return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+// Diagrams and trace tables in their own form, anything else as text
+function formatAnswerHtml(sub, answer) {
+  if (sub.isDiagram) return formatDiagramAnswerHtml(answer);
+  if (sub.isTrace) return formatTraceAnswerHtml(answer);
+  return formatMultiline(answer);
+}
+
+function formatCodeWithLineNumbers(code) {
+  const rows = code.replace(/\s+$/, '').split('\n').map((line, idx) =>
+    `<tr><td class="ln">${idx + 1}</td><td><pre>${escapeHtml(line) || ' '}</pre></td></tr>`
+  ).join('');
+  return `<table class="booklet-code">${rows}</table>`;
+}
+
+function buildBookletMarkdown(options) {
+  let earned = 0;
+  let md = `# ${getBookletTitle()}\n\n_Exported ${formatDate(new Date().toISOString())}_\n`;
+  
+  state.questions.forEach(q => {
+    md += `\n## Question ${q.number}\n`;
+    
+    q.subQuestions.forEach(sub => {
+      const key = getAnswerKey(q, sub);
+      const answer = state.answers[key] || '';
+      const score = state.scores[key];
+      if (score) earned += score.score;
+      
+      md += `\n### ${q.number}${sub.label}${sub.marks ? ` [${sub.marks}]` : ''}\n\n`;
+      if (sub.stem) md += `${quoteMarkdown(sub.stem)}\n>\n`;
+      md += `${quoteMarkdown(sub.text)}\n\n**Answer**\n\n`;
+      
+      if (!isAttempted(sub, answer)) {
+        md += '_Not attempted_\n';
+      } else if (sub.isCoding) {
+        md += `\`\`\`java\n${answer.replace(/\s+$/, '')}\n\`\`\`\n`;
+      } else if (sub.isDiagram && parseDiagramAnswer(answer)) {
+        md += `\`\`\`\n${describeDiagram(parseDiagramAnswer(answer))}\n\`\`\`\n`;
+      } else if (sub.isTrace && parseTraceAnswer(answer)) {
+        md += `${formatTraceMarkdown(parseTraceAnswer(answer))}\n`;
+      } else {
+        md += `${answer.trim()}\n`;
+      }
+      
+      if (options.includeScores && score) {
+        md += `\n**Self-awarded:** ${score.score} / ${sub.markingPoints.max || sub.marks || '?'}\n`;
+      }
+      if (options.includeMarkScheme) {
+        md += `\n**Mark scheme**\n\n\`\`\`\n${sub.markScheme}\n\`\`\`\n`;
+      }
+    });
+  });
+  
+  if (options.includeScores) {
+    md += `\n---\n\n**Paper total (self-marked):** ${earned} / ${getPaperMarks()}\n`;
+  }
+  return md;
+}
+
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+// Cells can't hold a pipe: formatTraceAnswer() has already made them slashes
+function formatTraceMarkdown(table) {
+  const line = cells => `| ${cells.map(cell => cell || ' ').join(' | ')} |`;
+  return [line(table.columns), line(table.columns.map(() => '---')), ...table.rows.map(line)].join('\n');
+}
+
+function printBooklet() {
+  document.getElementById('printBooklet').innerHTML = buildBookletHtml(getExportOptions());
+  closeExportDialog();
+  window.print();
+}
+
+async function downloadBookletHtml() {
+  let css = '';
+  try {
+    css = await fetch('print.css').then(r => r.text());
+  } catch (err) {
+    console.error('Failed to load print stylesheet:', err);
+  }
+  
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(getBookletTitle())}</title>
+  <style>${css}</style>
+</head>
+<body>
+  <div class="print-booklet">${buildBookletHtml(getExportOptions())}</div>
+</body>
+</html>`;
+  
+  downloadFile(getBookletFileName('html'), html, 'text/html');
+}
+
+function downloadBookletMarkdown() {
+  downloadFile(getBookletFileName('md'), buildBookletMarkdown(getExportOptions()), 'text/markdown');
+}
+
+// ============== BACKUP (IMPORT/EXPORT PROGRESS) ==============
+const PROGRESS_FORMAT = 'ib-paper2-progress';
+// Version 2 added teacher feedback, which version 1 apps would silently drop
+const PROGRESS_FORMAT_VERSION = 2;
+
+function openBackupDialog() {
+  document.getElementById('studentName').value = readStorage('studentName') || '';
+  document.getElementById('backupResult').innerHTML = '';
+  document.getElementById('backupDialog').classList.remove('hidden');
+}
+
+function closeBackupDialog() {
+  document.getElementById('backupDialog').classList.add('hidden');
+}
+
+function buildProgressDocument() {
+  saveCurrentAnswer();
+  persistProgress();
+  
+  const exams = {};
+  listProgressExamIds().forEach(examId => {
+    exams[examId] = loadProgress(examId);
+  });
+  
+  // The name tells a teacher reviewing several students' files whose this one is
+  const studentName = readStorage('studentName');
+  return {
+    format: PROGRESS_FORMAT,
+    version: PROGRESS_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...(studentName && { studentName }),
+    exams
+  };
+}
+
+function exportProgress() {
+  const studentName = document.getElementById('studentName').value.trim();
+  if (studentName) {
+    writeStorage('studentName', studentName);
+  } else {
+    removeStorage('studentName');
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  const namePart = studentName ? `_${studentName.replace(/[^\w.-]+/g, '_')}` : '';
+  downloadFile(`ib-paper2-progress${namePart}_${date}.json`, JSON.stringify(buildProgressDocument(), null, 2), 'application/json');
+}
+
+// Returns a list of problems; an empty list means the document can be imported
+function validateProgressDocument(doc) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isTimestamp = value => typeof value === 'string' && !isNaN(Date.parse(value));
+  
+  if (!isObject(doc)) return ['The file is not a JSON object.'];
+  if (doc.format !== PROGRESS_FORMAT) errors.push(`"format" must be "${PROGRESS_FORMAT}".`);
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    errors.push('"version" must be a positive whole number.');
+  } else if (doc.version > PROGRESS_FORMAT_VERSION) {
+    errors.push(`This file uses format version ${doc.version}; this app only reads up to version ${PROGRESS_FORMAT_VERSION}.`);
+  }
+  if (doc.studentName !== undefined && typeof doc.studentName !== 'string') errors.push('"studentName" must be text.');
+  if (!isObject(doc.exams)) {
+    errors.push('"exams" must be an object keyed by exam id.');
+    return errors;
+  }
+  
+  Object.entries(doc.exams).forEach(([examId, entry]) => {
+    const at = `exams.${examId}`;
+    if (!isObject(entry)) {
+      errors.push(`${at} must be an object.`);
+      return;
+    }
+    
+    const checkMap = (field, isValid, expected) => {
+      if (entry[field] === undefined) return;
+      if (!isObject(entry[field])) {
+        errors.push(`${at}.${field} must be an object.`);
+        return;
+      }
+      Object.entries(entry[field]).forEach(([key, value]) => {
+        if (!isValid(value)) errors.push(`${at}.${field}["${key}"] must be ${expected}.`);
+      });
+    };
+    
+    checkMap('answers', v => typeof v === 'string', 'text');
+    checkMap('notes', v => typeof v === 'string', 'text');
+    checkMap('answerTimes', isTimestamp, 'a timestamp');
+    checkMap('revealed', v => typeof v === 'boolean', 'true or false');
+    checkMap('scores', v => isObject(v) && typeof v.score === 'number' && v.score >= 0 &&
+      Array.isArray(v.checked) && v.checked.every(Number.isInteger), '{ checked: [numbers], score: number }');
+    checkMap('feedback', v => isObject(v) && typeof v.score === 'number' && v.score >= 0 &&
+      (v.awarded === undefined || (Array.isArray(v.awarded) && v.awarded.every(Number.isInteger))) &&
+      (v.comment === undefined || typeof v.comment === 'string'), '{ awarded: [numbers], score: number, comment: text }');
+    
+    if (entry.updatedAt != null && !isTimestamp(entry.updatedAt)) errors.push(`${at}.updatedAt must be a timestamp.`);
+    if (entry.lastKey != null && typeof entry.lastKey !== 'string') errors.push(`${at}.lastKey must be text.`);
+  });
+  
+  return errors;
+}
+
+async function importProgressFile(file) {
+  const resultEl = document.getElementById('backupResult');
+  if (state.mock.status === 'running') {
+    resultEl.innerHTML = '<div class="backup-error">Finish the mock exam before importing progress.</div>';
+    return;
+  }
+  
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch (err) {
+    resultEl.innerHTML = `<div class="backup-error">${escapeHtml(file.name)} is not valid JSON: ${escapeHtml(err.message)}</div>`;
+    return;
+  }
+  
+  const errors = validateProgressDocument(doc);
+  if (errors.length) {
+    resultEl.innerHTML = `<div class="backup-error">
+        <strong>${escapeHtml(file.name)} can't be imported:</strong>
+        <ul>${errors.slice(0, 10).map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+        ${errors.length > 10 ? `<p>…and ${errors.length - 10} more problems.</p>` : ''}
+      </div>`;
+    return;
+  }
+  
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  const conflictStrategy = document.getElementById('importConflicts').value;
+  
+  if (mode === 'replace' && !confirm('Replace ALL saved progress in this browser with the imported file?')) return;
+  
+  saveCurrentAnswer();
+  persistProgress();
+  
+  const report = applyProgressDocument(doc, mode, conflictStrategy);
+  reloadCurrentProgress();
+  
+  resultEl.innerHTML = `<div class="backup-success">
+      Imported ${report.exams} exam session${report.exams === 1 ? '' : 's'} and ${report.answers} answer${report.answers === 1 ? '' : 's'}.
+      ${report.feedback ? `<br>Teacher feedback on ${report.feedback} answer${report.feedback === 1 ? '' : 's'}.` : ''}
+      ${report.conflicts ? `<br>${report.conflicts} conflicting answer${report.conflicts === 1 ? '' : 's'} resolved (${escapeHtml(describeConflictStrategy(conflictStrategy))}).` : ''}
+      ${report.skipped.length ? `<br>Skipped unknown exam sessions: ${report.skipped.map(escapeHtml).join(', ')}.` : ''}
+    </div>`;
+}
+
+function describeConflictStrategy(strategy) {
+  return {
+    newer: 'kept the most recently edited answer',
+    local: 'kept the answer already in this browser',
+    imported: 'kept the imported answer'
+  }[strategy];
+}
+
+function applyProgressDocument(doc, mode, conflictStrategy) {
+  const report = { exams: 0, answers: 0, feedback: 0, conflicts: 0, skipped: [] };
+  
+  if (mode === 'replace') {
+    listProgressExamIds().forEach(clearProgress);
+  }
+  
+  Object.entries(doc.exams).forEach(([examId, entry]) => {
+    if (!state.exams.some(e => e.id === examId)) {
+      report.skipped.push(examId);
+      return;
+    }
+    
+    const imported = normaliseProgress(entry);
+    const local = loadProgress(examId);
+    const merged = mode === 'replace' ? imported : mergeProgress(local, imported, conflictStrategy, report);
+    
+    saveProgress(examId, merged);
+    report.exams++;
+    report.answers += Object.keys(imported.answers).length;
+    report.feedback += Object.keys(imported.feedback).length;
+  });
+  
+  return report;
+}
+
+function normaliseProgress(entry) {
+  return {
+    answers: entry.answers || {},
+    answerTimes: entry.answerTimes || {},
+    revealed: entry.revealed || {},
+    scores: entry.scores || {},
+    notes: entry.notes || {},
+    feedback: entry.feedback || {},
+    lastKey: entry.lastKey || null,
+    updatedAt: entry.updatedAt || null,
+  };
+}
+
+// Everything about one sub-question (answer, score, notes) comes from the same side
+function mergeProgress(local, imported, conflictStrategy, report) {
+  const merged = normaliseProgress(JSON.parse(JSON.stringify(local)));
+  const keys = new Set([
+    ...Object.keys(imported.answers),
+    ...Object.keys(imported.scores),
+    ...Object.keys(imported.notes),
+    ...Object.keys(imported.revealed),
+  ]);
+  
+  keys.forEach(key => {
+    const hasLocal = key in local.answers;
+    const hasImported = key in imported.answers;
+    let takeImported = !hasLocal;
+    
+    if (hasLocal && hasImported && local.answers[key] !== imported.answers[key]) {
+      report.conflicts++;
+      if (conflictStrategy === 'imported') {
+        takeImported = true;
+      } else if (conflictStrategy === 'newer') {
+        const localTime = Date.parse(local.answerTimes[key] || local.updatedAt || 0);
+        const importedTime = Date.parse(imported.answerTimes[key] || imported.updatedAt || 0);
+        takeImported = importedTime > localTime;
+      }
+    }
+    
+    if (!takeImported) return;
+    
+    ['answers', 'answerTimes', 'scores', 'notes', 'revealed'].forEach(field => {
+      if (key in imported[field]) {
+        merged[field][key] = imported[field][key];
+      }
+    });
+  });
+  
+  // Feedback only ever comes from the teacher, so a returned file always brings it in
+  Object.entries(imported.feedback).forEach(([key, value]) => {
+    merged.feedback[key] = value;
+  });
+  
+  const times = [local.updatedAt, imported.updatedAt].filter(Boolean).sort();
+  merged.updatedAt = times[times.length - 1] || null;
+  merged.lastKey = local.lastKey || imported.lastKey;
+  return merged;
+}
+
+// Pull the current exam's progress back out of storage after an import
+function reloadCurrentProgress() {
+  if (!state.currentExamId) return;
+  
+  const progress = loadProgress(state.currentExamId);
+  state.answers = progress.answers;
+  state.answerTimes = progress.answerTimes;
+  state.revealed = progress.revealed;
+  state.scores = progress.scores;
+  state.notes = progress.notes;
+  state.feedback = progress.feedback;
+  
+  renderPaperTotal();
+  if (state.currentSubQuestion) renderAnswerPanel();
+}
+
+// ============== JAVA RUNNER ==============
+// The runner is runner/server.js, started locally next to a JDK
+const DEFAULT_RUNNER_PORT = 8085;
+const DIAGNOSTICS_GUTTER = 'answer-diagnostics';
+
+let diagnosticLineHandles = [];
+
+// A runner started with --port is reached by opening the app with ?runnerPort=<port>;
+// the port is remembered so later visits without the parameter still find it
+function getRunnerUrl() {
+  const param = parseInt(new URLSearchParams(location.search).get('runnerPort'), 10);
+  if (param > 0 && param < 65536) writeStorage('runnerPort', param);
+  return `http://localhost:${readStorage('runnerPort') || DEFAULT_RUNNER_PORT}`;
+}
+
+const METHOD_HEADER_PATTERN = /^[ \t]*(?:(?:public|private|protected|static|final|abstract|synchronized)\s+)*(?:[\w<>\[\],.?]+\s+)?(\w+)\s*\(([^)]*)\)\s*(?:throws\s+[\w.,\s]+?)?\s*\{/gm;
+const NOT_METHOD_NAMES = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'else']);
+
+// Method (and constructor) declarations with the span from the header line to the closing brace
+function findMethodDeclarations(code) {
+  const declarations = [];
+  
+  for (const match of code.matchAll(METHOD_HEADER_PATTERN)) {
+    const [header, name, params] = match;
+    if (NOT_METHOD_NAMES.has(name) || /^\s*(?:return|new|else)\b/.test(header)) continue;
+    
+    const end = findClosingBrace(code, match.index + header.length - 1);
+    if (end === -1) continue;
+    
+    declarations.push({
+      name,
+      paramTypes: params.split(',')
+        .map(p => p.trim().replace(/^final\s+/, '').replace(/\s+\w+$/, '').replace(/\s+/g, ''))
+        .filter(Boolean),
+      start: match.index,
+      end: end + 1,
+    });
+  }
+  
+  return declarations;
+}
+
+// Index of the brace closing the one at openIndex, skipping comments and literals; -1 if unbalanced
+function findClosingBrace(code, openIndex) {
+  let depth = 0;
+  
+  for (let i = openIndex; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === '/' && code[i + 1] === '/') {
+      i = code.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else if (ch === '/' && code[i + 1] === '*') {
+      i = code.indexOf('*/', i + 2) + 1;
+      if (i === 0) return -1;
+    } else if (ch === '"' || ch === "'") {
+      for (i++; i < code.length && code[i] !== ch; i++) {
+        if (code[i] === '\\') i++;
+      }
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function sameSignature(a, b) {
+  return a.name === b.name && a.paramTypes.join(',') === b.paramTypes.join(',');
+}
+
+// A class listing broken by a page footer is extracted as two classes with the same name
+function mergeSplitClasses(classes) {
+  const merged = [];
+  
+  classes.forEach(cls => {
+    const existing = merged.find(m => m.name === cls.name);
+    if (!existing) {
+      merged.push({ ...cls });
+      return;
+    }
+    
+    const bodyStart = cls.code.indexOf('{');
+    existing.code = `${existing.code.slice(0, existing.code.lastIndexOf('}'))}${cls.code.slice(bodyStart + 1)}`;
+  });
+  
+  return merged;
+}
+
+// Method answers go into the class the question is about: "... in the Rental class",
+// then the class owning an array the part mentions ("the array inbound"), then any
+// class named in the part, then in the shared stem, then the first exam class
+function findTargetClass(sub, classes) {
+  const sources = [sub.text, sub.stem || ''];
+  
+  for (const cls of classes) {
+    if (sources.some(text => new RegExp(`\\b${cls.name}\\s+class\\b`).test(text))) return cls;
+  }
+  for (const cls of classes) {
+    // Only arrays and collections: scalar field names like "landed" are ordinary words
+    const fields = [...cls.code.matchAll(/(?:private|protected|public)\s+(?:static\s+)?(?:final\s+)?\w+(?:\[\]|<[\w<>, ]+>)\s+(\w+)\s*[;=]/g)].map(m => m[1]);
+    if (fields.some(field => new RegExp(`\\b${field}\\b`).test(sub.text))) return cls;
+  }
+  for (const text of sources) {
+    const mentioned = classes
+      .map(cls => ({ cls, index: text.search(new RegExp(`\\b${cls.name}\\b`)) }))
+      .filter(m => m.index !== -1)
+      .sort((a, b) => a.index - b.index);
+    if (mentioned.length > 0) return mentioned[0].cls;
+  }
+  return classes[0] || null;
+}
+
+// Exam classes (or their UML skeletons) plus the answer, one file per public class.
+// answerOffset is how many lines of the answer file come before the answer itself.
+function buildCompilationUnit(sub, answer) {
+  const files = mergeSplitClasses(state.examInfo.classes).map(cls => ({ name: `${cls.name}.java`, content: cls.code }));
+  const unit = { files, answerFile: null, answerOffset: 0, answerLineCount: answer.split('\n').length, mainClass: null };
+  
+  Object.assign(unit, insertAnswerIntoFiles(sub, answer, files));
+  unit.mainClass = findMainClass(files);
+  
+  return unit;
+}
+
+// Puts the answer where it belongs among the files, changing them in place, and
+// returns { answerFile, answerOffset }. Answering again replaces the earlier answer,
+// because the method it declares is then the "stub" that gets replaced.
+function insertAnswerIntoFiles(sub, answer, files) {
+  const answerMethods = findMethodDeclarations(answer);
+  const declaredClass = answer.match(/^\s*(?:public\s+)?(?:(?:abstract|final)\s+)*class\s+(\w+)/m);
+  
+  if (declaredClass) {
+    // A whole class replaces the exam's version of it
+    const answerFile = `${declaredClass[1]}.java`;
+    const existing = files.find(f => f.name === answerFile);
+    if (existing) {
+      existing.content = answer;
+    } else {
+      files.push({ name: answerFile, content: answer });
+    }
+    return { answerFile, answerOffset: 0 };
+  }
+  
+  // Questions usually leave a "// missing code" stub for the method being asked for
+  for (const method of answerMethods) {
+    for (const file of files) {
+      const declaration = findMethodDeclarations(file.content).find(d => sameSignature(d, method));
+      if (!declaration) continue;
+      
+      const before = file.content.slice(0, declaration.start);
+      file.content = `${before}${answer}${file.content.slice(declaration.end)}`;
+      return { answerFile: file.name, answerOffset: before.split('\n').length - 1 };
+    }
+  }
+  
+  const classes = files.map(f => ({ name: f.name.replace(/\.java$/, ''), code: f.content }));
+  const target = findTargetClass(sub, classes);
+  const file = target
+    ? files.find(f => f.name === `${target.name}.java`)
+    : { name: 'Answer.java', content: 'public class Answer {\n}\n' };
+  if (!target) files.push(file);
+  
+  // Loose statements still need a method around them to compile
+  const body = answerMethods.length > 0 ? answer : `public void answer() {\n${answer}\n}`;
+  const closing = file.content.lastIndexOf('}');
+  let before = file.content.slice(0, closing);
+  if (!before.endsWith('\n')) before += '\n';
+  
+  file.content = `${before}${body}\n${file.content.slice(closing)}`;
+  return { answerFile: file.name, answerOffset: before.split('\n').length - 1 + (answerMethods.length > 0 ? 0 : 1) };
+}
+
+function findMainClass(files) {
+  const mainFile = files.find(f => /public\s+static\s+void\s+main\s*\(/.test(f.content));
+  return mainFile ? mainFile.name.replace(/\.java$/, '') : null;
+}
+
+async function runAnswerCode() {
+  const sub = state.currentSubQuestion;
+  if (!sub || !sub.isCoding) return;
+  
+  const unit = buildCompilationUnit(sub, codeAnswerEditor.getValue());
+  const runBtn = document.getElementById('runCodeBtn');
+  const runnerUrl = getRunnerUrl();
+  
+  runBtn.disabled = true;
+  clearAnswerDiagnostics();
+  showRunnerConsole(`<div class="runner-status">Compiling${unit.mainClass ? ` and running ${escapeHtml(unit.mainClass)}` : ''}…</div>`);
+  
+  try {
+    const response = await fetch(`${runnerUrl}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ files: unit.files, mainClass: unit.mainClass }),
+    });
+    const result = await response.json();
+    if (!result.ok) throw new Error(result.error || `Runner responded with ${response.status}`);
+    
+    // The student may have moved on while it compiled
+    if (state.currentSubQuestion === sub) renderRunResult(result, unit);
+  } catch (err) {
+    console.error('Failed to run answer:', err);
+    if (state.currentSubQuestion !== sub) return;
+    
+    const message = err instanceof TypeError
+      ? `Couldn't reach the Java runner at ${runnerUrl}. Start it with <code>node runner/server.js</code> and try again.`
+      : escapeHtml(err.message);
+    showRunnerConsole(`<div class="runner-status error">${message}</div>`);
+  } finally {
+    runBtn.disabled = state.mock.status === 'running';
+  }
+}
+
+// Editor line (0-based) for a diagnostic inside the answer, or null if it's in exam code
+function mapDiagnosticToAnswer(diagnostic, unit) {
+  if (diagnostic.file !== unit.answerFile) return null;
+  
+  // An unclosed brace in the answer is reported at the end of the exam class
+  if (/reached end of file/.test(diagnostic.message)) return unit.answerLineCount - 1;
+  
+  const line = diagnostic.line - unit.answerOffset - 1;
+  return line >= 0 && line < unit.answerLineCount ? line : null;
+}
+
+function renderRunResult(result, unit) {
+  const answerDiagnostics = [];
+  const examDiagnostics = [];
+  
+  result.diagnostics.forEach(d => {
+    const editorLine = mapDiagnosticToAnswer(d, unit);
+    if (editorLine !== null) {
+      answerDiagnostics.push({ ...d, editorLine });
+    } else {
+      examDiagnostics.push(d);
+    }
+  });
+  
+  markAnswerDiagnostics(answerDiagnostics);
+  
+  const diagnosticItems = [
+    ...answerDiagnostics.map(d => `
+      <li class="runner-diagnostic ${d.severity}" data-line="${d.editorLine}">
+        <span class="runner-diagnostic-where">Line ${d.editorLine + 1}${d.column ? `:${d.column}` : ''}</span>
+        ${escapeHtml(d.message)}
+      </li>
+    `),
+    ...examDiagnostics.map(d => `
+      <li class="runner-diagnostic ${d.severity} exam-code">
+        <span class="runner-diagnostic-where">${escapeHtml(d.file.replace(/\.java$/, ''))} line ${d.line} (exam code)</span>
+        ${escapeHtml(d.message)}
+      </li>
+    `),
+  ];
+  
+  showRunnerConsole(`
+    ${formatRunStatus(result)}
+    ${diagnosticItems.length > 0 ? `<ul class="runner-diagnostics">${diagnosticItems.join('')}</ul>` : ''}
+    ${formatRunOutput(result, unit.mainClass)}
+  `);
+  
+  document.querySelectorAll('#runnerConsoleBody .runner-diagnostic[data-line]').forEach(item => {
+    item.addEventListener('click', () => {
+      codeAnswerEditor.setCursor({ line: parseInt(item.dataset.line, 10), ch: 0 });
+      codeAnswerEditor.focus();
+    });
+  });
+}
+
+function formatRunStatus(result) {
+  const errorCount = result.diagnostics.filter(d => d.severity === 'error').length;
+  return result.compiled
+    ? `<div class="runner-status ok">✓ Compiled${result.stub ? ' (stub runner)' : ''}</div>`
+    : `<div class="runner-status error">✗ ${errorCount || 'Compilation'} error${errorCount === 1 ? '' : 's'}</div>`;
+}
+
+function formatRunOutput(result, mainClass) {
+  let output = '';
+  if (result.compiled && !mainClass) {
+    output = '<div class="runner-note">No <code>main</code> method to run, so only compiled.</div>';
+  } else if (result.stdout || result.stderr) {
+    output = `<pre class="runner-output">${escapeHtml(result.stdout)}${result.stderr ? `<span class="runner-stderr">${escapeHtml(result.stderr)}</span>` : ''}</pre>`;
+  }
+  if (result.timedOut) {
+    output += '<div class="runner-note error">Stopped after the time limit — check for an infinite loop.</div>';
+  }
+  return output;
+}
+
+function markAnswerDiagnostics(diagnostics) {
+  diagnostics.forEach(d => {
+    const marker = document.createElement('span');
+    marker.className = `diagnostic-marker ${d.severity}`;
+    marker.textContent = '●';
+    marker.title = d.message;
+    
+    codeAnswerEditor.setGutterMarker(d.editorLine, DIAGNOSTICS_GUTTER, marker);
+    diagnosticLineHandles.push(codeAnswerEditor.addLineClass(d.editorLine, 'background', `diagnostic-line ${d.severity}`));
+  });
+}
+
+function clearAnswerDiagnostics() {
+  codeAnswerEditor.clearGutter(DIAGNOSTICS_GUTTER);
+  diagnosticLineHandles.forEach(handle => {
+    codeAnswerEditor.removeLineClass(handle, 'background');
+  });
+  diagnosticLineHandles = [];
+}
+
+function showRunnerConsole(html) {
+  document.getElementById('runnerConsoleBody').innerHTML = html;
+  document.getElementById('runnerConsole').classList.remove('hidden');
+  codeAnswerEditor.refresh();
+}
+
+function hideRunnerConsole() {
+  document.getElementById('runnerConsole').classList.add('hidden');
+  codeAnswerEditor.refresh();
+}
+
+// ============== SCRATCHPAD ==============
+// Editable copies of the exam classes, plus any classes the student adds (a Driver
+// with main, say), where answers can be tried in context. Saved per exam.
+const JAVA_CLASS_NAME = /^[A-Z][A-Za-z0-9_]*$/;
+
+let scratchpad = null; // { examId, files: [{ name, content }], active }
+let scratchpadEditor = null;
+
+// The listed classes, then skeletons for classes only shown as UML
+function getExamClassFiles() {
+  const classes = mergeSplitClasses(state.examInfo.classes);
+  const umlOnly = state.examInfo.umlDiagrams
+    .filter(uml => !classes.some(cls => cls.name === uml.name))
+    .map(uml => ({ name: uml.name, code: convertUMLToJavaSkeleton(uml) }));
+  return [...classes, ...umlOnly].map(cls => ({ name: `${cls.name}.java`, content: cls.code }));
+}
+
+function loadScratchpad() {
+  const saved = loadScratchpadFiles(state.currentExamId);
+  const files = saved?.files.length ? saved.files : getExamClassFiles();
+  scratchpad = {
+    examId: state.currentExamId,
+    files,
+    active: files.some(f => f.name === saved?.active) ? saved.active : files[0]?.name || null,
+  };
+}
+
+function saveScratchpad() {
+  saveScratchpadFiles(scratchpad.examId, { files: scratchpad.files, active: scratchpad.active });
+}
+
+function renderScratchpadTabContent() {
+  return `
+    <div class="class-tab-content scratchpad">
+      <div class="class-code-header">
+        <div id="scratchpadFiles" class="scratchpad-files"></div>
+        <div class="answer-actions">
+          <button id="scratchpadRestore" class="copy-class-btn" title="Put back the exam's version of this class">Restore original</button>
+          <button id="scratchpadDelete" class="copy-class-btn">Delete file</button>
+          <button id="scratchpadRun" class="copy-class-btn" title="Compile every file, and run main if there is one (needs the local Java runner)">▶ Run</button>
+        </div>
+      </div>
+      <textarea id="scratchpadCode"></textarea>
+      <form id="scratchpadNewFile" class="scratchpad-new-file">
+        <input type="text" id="scratchpadNewName" placeholder="New class, e.g. Driver" autocomplete="off" spellcheck="false">
+        <button type="submit" class="copy-class-btn">Add file</button>
+        <span id="scratchpadMessage" class="scratchpad-message"></span>
+      </form>
+      <div id="scratchpadOutput" class="runner-console hidden">
+        <div class="runner-console-header">
+          <span>Console</span>
+          <button id="closeScratchpadOutput" class="small-btn" title="Close console">✕</button>
+        </div>
+        <div id="scratchpadOutputBody" class="runner-console-body"></div>
+      </div>
+    </div>
+  `;
+}
+
+// Called by renderCodeTabs once the scratchpad pane is in the page
+function initScratchpad() {
+  loadScratchpad();
+  
+  scratchpadEditor = CodeMirror.fromTextArea(document.getElementById('scratchpadCode'), {
+    mode: 'text/x-java',
+    theme: 'default',
+    lineNumbers: true,
+    tabSize: 4,
+    indentUnit: 4,
+    lineWrapping: false,
+  });
+  classEditors.scratchpad = scratchpadEditor;
+  
+  scratchpadEditor.on('change', (editor, change) => {
+    if (change.origin === 'setValue') return;
+    const file = scratchpad.files.find(f => f.name === scratchpad.active);
+    if (!file) return;
+    file.content = editor.getValue();
+    saveScratchpad();
+    updateScratchpadButtons();
+  });
+  
+  document.getElementById('scratchpadRestore').addEventListener('click', restoreScratchpadFile);
+  document.getElementById('scratchpadDelete').addEventListener('click', deleteScratchpadFile);
+  document.getElementById('scratchpadRun').addEventListener('click', runScratchpad);
+  document.getElementById('closeScratchpadOutput').addEventListener('click', () => {
+    document.getElementById('scratchpadOutput').classList.add('hidden');
+    scratchpadEditor.refresh();
+  });
+  document.getElementById('scratchpadNewFile').addEventListener('submit', e => {
+    e.preventDefault();
+    addScratchpadFile(document.getElementById('scratchpadNewName').value.trim());
+  });
+  
+  openScratchpadFile(scratchpad.active);
+}
+
+function renderScratchpadFiles() {
+  const examNames = new Set(getExamClassFiles().map(f => f.name));
+  const container = document.getElementById('scratchpadFiles');
+  
+  container.innerHTML = scratchpad.files.map(file => `
+    <button class="scratchpad-file ${file.name === scratchpad.active ? 'active' : ''} ${examNames.has(file.name) ? '' : 'added'}"
+      data-name="${escapeHtml(file.name)}">${escapeHtml(file.name)}</button>
+  `).join('');
+  
+  container.querySelectorAll('.scratchpad-file').forEach(btn => {
+    btn.addEventListener('click', () => openScratchpadFile(btn.dataset.name));
+  });
+}
+
+function openScratchpadFile(name) {
+  scratchpad.active = name;
+  const file = scratchpad.files.find(f => f.name === name);
+  
+  scratchpadEditor.setValue(file ? file.content : '');
+  scratchpadEditor.setOption('readOnly', !file);
+  renderScratchpadFiles();
+  updateScratchpadButtons();
+  saveScratchpad();
+}
+
+// Exam classes can be restored once edited; only the student's own files can be deleted
+function updateScratchpadButtons() {
+  const file = scratchpad.files.find(f => f.name === scratchpad.active);
+  const original = getExamClassFiles().find(f => f.name === scratchpad.active);
+  
+  document.getElementById('scratchpadRestore').disabled = !file || !original || file.content === original.content;
+  document.getElementById('scratchpadDelete').disabled = !file || !!original;
+  document.getElementById('scratchpadRun').disabled = scratchpad.files.length === 0 || state.mock.status === 'running';
+}
+
+function setScratchpadMessage(message) {
+  document.getElementById('scratchpadMessage').textContent = message;
+}
+
+function addScratchpadFile(className) {
+  if (!JAVA_CLASS_NAME.test(className)) {
+    setScratchpadMessage('Class names start with a capital letter and use only letters, digits and _.');
+    return;
+  }
+  
+  const name = `${className}.java`;
+  if (scratchpad.files.some(f => f.name === name)) {
+    setScratchpadMessage(`${name} already exists.`);
+    return;
+  }
+  
+  scratchpad.files.push({
+    name,
+    content: `public class ${className} {\n    public static void main(String[] args) {\n        \n    }\n}\n`,
+  });
+  document.getElementById('scratchpadNewName').value = '';
+  setScratchpadMessage('');
+  openScratchpadFile(name);
+}
+
+function restoreScratchpadFile() {
+  const file = scratchpad.files.find(f => f.name === scratchpad.active);
+  const original = getExamClassFiles().find(f => f.name === scratchpad.active);
+  if (!file || !original) return;
+  if (!confirm(`Restore ${file.name} to the exam's version? Your changes to it will be lost.`)) return;
+  
+  file.content = original.content;
+  openScratchpadFile(file.name);
+}
+
+function deleteScratchpadFile() {
+  const file = scratchpad.files.find(f => f.name === scratchpad.active);
+  if (!file || !confirm(`Delete ${file.name} from the scratchpad?`)) return;
+  
+  scratchpad.files = scratchpad.files.filter(f => f !== file);
+  openScratchpadFile(scratchpad.files[0]?.name || null);
+}
+
+// Copies the current coding answer into the class it belongs to and shows it there
+function insertAnswerIntoScratchpad() {
+  const sub = state.currentSubQuestion;
+  if (!sub || !sub.isCoding || !scratchpad) return;
+  
+  const answer = codeAnswerEditor.getValue();
+  if (!answer.trim()) return;
+  
+  const { answerFile, answerOffset } = insertAnswerIntoFiles(sub, answer, scratchpad.files);
+  switchTab('scratchpad');
+  openScratchpadFile(answerFile);
+  setScratchpadMessage(`Added your answer to ${answerFile}.`);
+  
+  setTimeout(() => {
+    scratchpadEditor.refresh();
+    scratchpadEditor.scrollIntoView({ line: answerOffset, ch: 0 }, 80);
+    scratchpadEditor.setCursor({ line: answerOffset, ch: 0 });
+  }, 20);
+}
+
+async function runScratchpad() {
+  if (state.mock.status === 'running') return;
+  
+  const files = scratchpad.files.map(f => ({ ...f }));
+  const active = scratchpad.files.find(f => f.name === scratchpad.active);
+  
+  // The open file's main wins when several classes have one
+  const mainClass = active && findMainClass([active]) ? findMainClass([active]) : findMainClass(files);
+  const runBtn = document.getElementById('scratchpadRun');
+  const runnerUrl = getRunnerUrl();
+  
+  runBtn.disabled = true;
+  showScratchpadOutput(`<div class="runner-status">Compiling${mainClass ? ` and running ${escapeHtml(mainClass)}` : ''}…</div>`);
+  
+  try {
+    const response = await fetch(`${runnerUrl}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ files, mainClass }),
+    });
+    const result = await response.json();
+    if (!result.ok) throw new Error(result.error || `Runner responded with ${response.status}`);
+    
+    renderScratchpadResult(result, mainClass);
+  } catch (err) {
+    console.error('Failed to run scratchpad:', err);
+    const message = err instanceof TypeError
+      ? `Couldn't reach the Java runner at ${runnerUrl}. Start it with <code>node runner/server.js</code> and try again.`
+      : escapeHtml(err.message);
+    showScratchpadOutput(`<div class="runner-status error">${message}</div>`);
+  } finally {
+    updateScratchpadButtons();
+  }
+}
+
+function renderScratchpadResult(result, mainClass) {
+  const diagnosticItems = result.diagnostics.map(d => `
+    <li class="runner-diagnostic ${d.severity}" data-file="${escapeHtml(d.file)}" data-line="${d.line - 1}">
+      <span class="runner-diagnostic-where">${escapeHtml(d.file.replace(/\.java$/, ''))} line ${d.line}${d.column ? `:${d.column}` : ''}</span>
+      ${escapeHtml(d.message)}
+    </li>
+  `);
+  
+  showScratchpadOutput(`
+    ${formatRunStatus(result)}
+    ${diagnosticItems.length > 0 ? `<ul class="runner-diagnostics">${diagnosticItems.join('')}</ul>` : ''}
+    ${formatRunOutput(result, mainClass)}
+    ${result.compiled && !mainClass ? '<div class="runner-note">Add a class such as Driver with a <code>main</code> method to run your code.</div>' : ''}
+  `);
+  
+  // Diagnostics in the scratchpad's own files jump to the line
+  document.querySelectorAll('#scratchpadOutputBody .runner-diagnostic').forEach(item => {
+    if (!scratchpad.files.some(f => f.name === item.dataset.file)) return;
+    item.addEventListener('click', () => {
+      openScratchpadFile(item.dataset.file);
+      scratchpadEditor.setCursor({ line: parseInt(item.dataset.line, 10), ch: 0 });
+      scratchpadEditor.focus();
+    });
+  });
+}
+
+function showScratchpadOutput(html) {
+  document.getElementById('scratchpadOutputBody').innerHTML = html;
+  document.getElementById('scratchpadOutput').classList.remove('hidden');
+  scratchpadEditor.refresh();
+}
+
+// ============== BINARY SEARCH TREES ==============
+// A tree builder in the Info tab for papers that give keys for a binary tree, and
+// a drawing answer for "Sketch the resulting binary search tree" parts. bst.js
+// does the tree work; this draws it.
+const BST_STEP_MS = 600;
+const BST_COLUMN_WIDTH = 48;
+const BST_LEVEL_HEIGHT = 60;
+const BST_NODE_HEIGHT = 34;
+const TREE_ORDER_LABELS = { inorder: 'In-order', preorder: 'Pre-order', postorder: 'Post-order' };
+
+let treeVisualiser = null; // { datasetIndex, column, inserted, tree, titles, timerId, drawing }
+let treeAnswerEditor = null;
+
+// Nodes at their layoutTree() places with lines up to their parents. highlights maps
+// a path to an extra class, titles a path to its tooltip; with withSlots the empty
+// children are drawn too, for keys to be dropped into.
+function renderTreeDiagram(tree, { withSlots = false, highlights = {}, titles = {} } = {}) {
+  const entries = layoutTree(tree, withSlots);
+  if (entries.length === 0) return '<p class="placeholder-text">No keys inserted yet.</p>';
+  
+  const longestKey = Math.max(...entries.map(e => (e.key || '').length));
+  const columnWidth = Math.max(BST_COLUMN_WIDTH, longestKey * 8 + 20);
+  const x = entry => entry.column * columnWidth + columnWidth / 2;
+  const y = entry => entry.depth * BST_LEVEL_HEIGHT + BST_NODE_HEIGHT / 2;
+  const width = entries.length * columnWidth;
+  const height = Math.max(...entries.map(e => e.depth)) * BST_LEVEL_HEIGHT + BST_NODE_HEIGHT;
+  const byPath = new Map(entries.map(e => [e.path, e]));
+  
+  const edges = entries.filter(e => e.path !== '').map(e => {
+    const parent = byPath.get(e.path.slice(0, -1));
+    return `<line x1="${x(parent)}" y1="${y(parent)}" x2="${x(e)}" y2="${y(e)}" class="${e.key === null ? 'bst-slot-edge' : 'bst-edge'}"/>`;
+  }).join('');
+  
+  const nodes = entries.map(e => {
+    const position = `left:${x(e)}px;top:${y(e)}px`;
+    if (e.key === null) {
+      return `<div class="bst-slot" data-path="${e.path}" style="${position}" title="Put a key here"></div>`;
+    }
+    return `<div class="bst-node ${highlights[e.path] || ''}" data-path="${e.path}" style="${position}"
+        title="${escapeHtml(titles[e.path] || e.key)}">${escapeHtml(e.key)}</div>`;
+  }).join('');
+  
+  return `<div class="bst-diagram" style="width:${width}px;height:${height}px">
+      <svg class="bst-edges" width="${width}" height="${height}">${edges}</svg>
+      ${nodes}
+    </div>`;
+}
+
+function getTreeKeys(dataset, column = 0) {
+  return dataset.rows.map(row => row[column]);
+}
+
+function describeTreeRow(dataset, row) {
+  return dataset.columns.map((column, i) => `${column}: ${row[i]}`).join(', ');
+}
+
+// ---- Tree builder (Info tab) ----
+// Called by renderCodeTabs once the Info pane is in the page
+function initTreeVisualiser() {
+  treeVisualiser = { datasetIndex: 0, column: 0, inserted: 0, tree: {}, titles: {}, timerId: null, drawing: null };
+  renderTreeVisualiser();
+}
+
+function stopTreeAnimation() {
+  if (!treeVisualiser?.timerId) return;
+  clearTimeout(treeVisualiser.timerId);
+  treeVisualiser.timerId = null;
+}
+
+function resetTreeVisualiser() {
+  stopTreeAnimation();
+  Object.assign(treeVisualiser, { inserted: 0, tree: {}, titles: {} });
+}
+
+function renderTreeVisualiser() {
+  const container = document.getElementById('treeVisualiser');
+  const tv = treeVisualiser;
+  const datasets = state.examInfo.treeData;
+  const dataset = datasets[tv.datasetIndex];
+  
+  const datasetSelect = datasets.length > 1
+    ? `<select id="bstDataset" class="exam-select">${datasets.map((d, i) => `<option value="${i}" ${i === tv.datasetIndex ? 'selected' : ''}>${escapeHtml(d.title)}</option>`).join('')}</select>`
+    : '';
+  const columnSelect = dataset.columns.length > 1
+    ? `<label class="bst-column">Key <select id="bstColumn" class="exam-select">${dataset.columns.map((c, i) => `<option value="${i}" ${i === tv.column ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}</select></label>`
+    : '';
+  
+  if (tv.drawing) {
+    container.innerHTML = `
+      <div class="bst-toolbar">
+        <span class="bst-hint">Drag each ${escapeHtml(dataset.columns[tv.column])} into place, inserting them in the order listed.</span>
+        <button class="small-btn" data-bst="build">Back to the builder</button>
+      </div>
+      <div id="bstDrawing"></div>
+    `;
+    container.querySelector('[data-bst="build"]').addEventListener('click', () => {
+      tv.drawing = null;
+      renderTreeVisualiser();
+    });
+    mountTreeEditor(document.getElementById('bstDrawing'), {
+      keys: getTreeKeys(dataset, tv.column),
+      tree: tv.drawing,
+      onChange: tree => { tv.drawing = tree; },
+    });
+    return;
+  }
+  
+  const rows = dataset.rows.map((row, i) => `<span class="bst-row ${i < tv.inserted ? 'inserted' : i === tv.inserted ? 'next' : ''}"
+      title="${escapeHtml(describeTreeRow(dataset, row))}">${escapeHtml(row[tv.column])}</span>`).join('');
+  const done = tv.inserted >= dataset.rows.length;
+  
+  container.innerHTML = `
+    <div class="bst-toolbar">
+      ${datasetSelect}
+      ${columnSelect}
+      <button class="small-btn" data-bst="next" ${done ? 'disabled' : ''}>Insert next</button>
+      <button class="small-btn" data-bst="all" ${done ? 'disabled' : ''}>Insert all</button>
+      <button class="small-btn" data-bst="reset" ${tv.inserted === 0 ? 'disabled' : ''}>Reset</button>
+      <span class="bst-divider"></span>
+      ${TREE_ORDERS.map(order => `<button class="small-btn" data-order="${order}" ${tv.inserted === 0 ? 'disabled' : ''}>${TREE_ORDER_LABELS[order]}</button>`).join('')}
+      <span class="bst-divider"></span>
+      <button class="small-btn" data-bst="draw" title="Build the tree yourself and check it">✏️ Draw it yourself</button>
+    </div>
+    <div class="bst-rows">${rows}</div>
+    <div id="bstCanvas" class="bst-canvas">${renderTreeDiagram(tv.tree, { titles: tv.titles })}</div>
+    <div id="bstOutput" class="bst-output"></div>
+    <ol id="bstLog" class="bst-log"></ol>
+  `;
+  
+  document.getElementById('bstDataset')?.addEventListener('change', e => {
+    tv.datasetIndex = parseInt(e.target.value, 10);
+    tv.column = 0;
+    resetTreeVisualiser();
+    renderTreeVisualiser();
+  });
+  document.getElementById('bstColumn')?.addEventListener('change', e => {
+    tv.column = parseInt(e.target.value, 10);
+    resetTreeVisualiser();
+    renderTreeVisualiser();
+  });
+  container.querySelector('[data-bst="next"]').addEventListener('click', insertNextTreeRow);
+  container.querySelector('[data-bst="all"]').addEventListener('click', insertAllTreeRows);
+  container.querySelector('[data-bst="reset"]').addEventListener('click', () => {
+    resetTreeVisualiser();
+    renderTreeVisualiser();
+  });
+  container.querySelector('[data-bst="draw"]').addEventListener('click', () => {
+    stopTreeAnimation();
+    tv.drawing = {};
+    renderTreeVisualiser();
+  });
+  container.querySelectorAll('[data-order]').forEach(btn => {
+    btn.addEventListener('click', () => playTreeTraversal(btn.dataset.order));
+  });
+}
+
+// Shows one frame after another: { tree, highlights, log, output }. log lines are
+// added to the list under the tree; output replaces the line above it.
+function playTreeFrames(frames) {
+  const tv = treeVisualiser;
+  stopTreeAnimation();
+  document.getElementById('bstLog').innerHTML = '';
+  
+  const show = index => {
+    const frame = frames[index];
+    document.getElementById('bstCanvas').innerHTML =
+      renderTreeDiagram(frame.tree, { highlights: frame.highlights, titles: tv.titles });
+    if (frame.log) {
+      document.getElementById('bstLog').insertAdjacentHTML('beforeend', `<li>${escapeHtml(frame.log)}</li>`);
+    }
+    if (frame.output !== undefined) {
+      document.getElementById('bstOutput').textContent = frame.output;
+    }
+    
+    tv.timerId = index + 1 < frames.length ? setTimeout(() => show(index + 1), BST_STEP_MS) : null;
+  };
+  show(0);
+}
+
+function insertNextTreeRow() {
+  const tv = treeVisualiser;
+  const dataset = state.examInfo.treeData[tv.datasetIndex];
+  if (tv.inserted >= dataset.rows.length) return;
+  
+  // Finish any insert still being shown before starting the next
+  stopTreeAnimation();
+  const before = { ...tv.tree };
+  const row = dataset.rows[tv.inserted];
+  const key = row[tv.column];
+  const { path, steps } = insertTreeKey(tv.tree, key);
+  tv.titles[path] = describeTreeRow(dataset, row);
+  tv.inserted++;
+  
+  const frames = steps.map(step => ({
+    tree: before,
+    highlights: { [step.path]: 'bst-comparing' },
+    log: `${key} ${step.direction === 'L' ? '<' : '≥'} ${step.key}, so go ${step.direction === 'L' ? 'left' : 'right'}`,
+  }));
+  const parent = steps[steps.length - 1];
+  frames.push({
+    tree: tv.tree,
+    highlights: { [path]: 'bst-inserted' },
+    log: parent
+      ? `${key} becomes the ${parent.direction === 'L' ? 'left' : 'right'} child of ${parent.key}`
+      : `${key} becomes the root`,
+  });
+  
+  renderTreeVisualiser();
+  playTreeFrames(frames);
+}
+
+function insertAllTreeRows() {
+  const tv = treeVisualiser;
+  const dataset = state.examInfo.treeData[tv.datasetIndex];
+  
+  stopTreeAnimation();
+  const count = dataset.rows.length - tv.inserted;
+  dataset.rows.slice(tv.inserted).forEach(row => {
+    const { path } = insertTreeKey(tv.tree, row[tv.column]);
+    tv.titles[path] = describeTreeRow(dataset, row);
+  });
+  tv.inserted = dataset.rows.length;
+  
+  renderTreeVisualiser();
+  document.getElementById('bstLog').innerHTML = `<li>Inserted ${count} ${count === 1 ? 'key' : 'keys'} in the order listed</li>`;
+}
+
+function playTreeTraversal(order) {
+  const { tree } = treeVisualiser;
+  const paths = traverseTree(tree, order);
+  
+  playTreeFrames(paths.map((path, i) => ({
+    tree,
+    highlights: Object.fromEntries(paths.slice(0, i + 1).map((p, j) => [p, j === i ? 'bst-current' : 'bst-visited'])),
+    output: `${TREE_ORDER_LABELS[order]}: ${paths.slice(0, i + 1).map(p => tree[p]).join(', ')}`,
+  })));
+}
+
+// ---- Tree editor (drawing answers and "Draw it yourself") ----
+// Keys start in a tray; drag one (or click it, then click a place) into the
+// tree. Placed keys move with everything below them, and go back to the tray
+// when dropped on it. options: { keys, tree, readOnly, allowNewKeys, onChange }
+function mountTreeEditor(container, options) {
+  let tree = { ...(options.tree || {}) };
+  let extraKeys = Object.values(tree).filter(key => !options.keys.includes(key));
+  let selected = null; // { key } from the tray or { path } in the tree
+  let checkResult = '';
+  const checkable = options.keys.length > 0 && state.mock.status !== 'running';
+  
+  const allKeys = () => [...options.keys, ...extraKeys];
+  const change = () => {
+    checkResult = '';
+    options.onChange({ ...tree });
+    render();
+  };
+  
+  // Moves path and its subtree to an empty slot (not inside itself)
+  const move = (from, to) => {
+    if (to.startsWith(from)) return;
+    const moved = Object.entries(tree).filter(([path]) => path.startsWith(from));
+    moved.forEach(([path]) => delete tree[path]);
+    moved.forEach(([path, key]) => { tree[to + path.slice(from.length)] = key; });
+  };
+  
+  const place = (item, path) => {
+    if (options.readOnly || path in tree) return;
+    if (item.path !== undefined) {
+      move(item.path, path);
+    } else if (!Object.values(tree).includes(item.key)) {
+      tree[path] = item.key;
+    }
+    selected = null;
+    change();
+  };
+  
+  const returnToTray = path => {
+    if (options.readOnly) return;
+    Object.keys(tree).filter(p => p.startsWith(path)).forEach(p => delete tree[p]);
+    selected = null;
+    change();
+  };
+  
+  const render = () => {
+    const placed = new Set(Object.values(tree));
+    const trayKeys = allKeys().filter(key => !placed.has(key));
+    const highlights = selected?.path !== undefined ? { [selected.path]: 'bst-selected' } : {};
+    
+    container.innerHTML = `
+      <div class="bst-editor ${options.readOnly ? 'read-only' : ''}">
+        <div class="bst-tray" data-drop="tray">
+          ${trayKeys.map(key => `<span class="bst-chip ${selected?.key === key ? 'bst-selected' : ''}" draggable="${!options.readOnly}" data-key="${escapeHtml(key)}">${escapeHtml(key)}</span>`).join('')
+            || '<span class="bst-hint">Every key is in the tree.</span>'}
+        </div>
+        ${options.allowNewKeys && !options.readOnly ? `<form class="bst-new-key">
+            <input type="text" placeholder="Another key" aria-label="Another key" autocomplete="off">
+            <button type="submit" class="small-btn">Add key</button>
+          </form>` : ''}
+        <div class="bst-canvas">${renderTreeDiagram(tree, { withSlots: !options.readOnly, highlights })}</div>
+        ${options.readOnly ? '' : `<div class="bst-editor-actions">
+            ${checkable ? '<button class="small-btn" data-action="check">Check tree</button>' : ''}
+            <button class="small-btn" data-action="clear" ${Object.keys(tree).length === 0 ? 'disabled' : ''}>Clear</button>
+          </div>`}
+        <div class="bst-check-result">${checkResult}</div>
+      </div>
+    `;
+    if (options.readOnly) return;
+    
+    container.querySelectorAll('.bst-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        selected = selected?.key === chip.dataset.key ? null : { key: chip.dataset.key };
+        render();
+      });
+      chip.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', JSON.stringify({ key: chip.dataset.key })));
+    });
+    container.querySelectorAll('.bst-node').forEach(node => {
+      node.draggable = true;
+      node.addEventListener('click', () => {
+        selected = selected?.path === node.dataset.path ? null : { path: node.dataset.path };
+        render();
+      });
+      node.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', JSON.stringify({ path: node.dataset.path })));
+    });
+    container.querySelectorAll('.bst-slot').forEach(slot => {
+      slot.addEventListener('click', () => {
+        if (selected) place(selected, slot.dataset.path);
+      });
+      slot.addEventListener('dragover', e => e.preventDefault());
+      slot.addEventListener('drop', e => {
+        e.preventDefault();
+        place(JSON.parse(e.dataTransfer.getData('text/plain')), slot.dataset.path);
+      });
+    });
+    
+    const tray = container.querySelector('.bst-tray');
+    tray.addEventListener('click', e => {
+      if (e.target === tray && selected?.path !== undefined) returnToTray(selected.path);
+    });
+    tray.addEventListener('dragover', e => e.preventDefault());
+    tray.addEventListener('drop', e => {
+      e.preventDefault();
+      const item = JSON.parse(e.dataTransfer.getData('text/plain'));
+      if (item.path !== undefined) returnToTray(item.path);
+    });
+    
+    container.querySelector('.bst-new-key')?.addEventListener('submit', e => {
+      e.preventDefault();
+      const key = e.target.querySelector('input').value.trim();
+      if (!key || allKeys().includes(key)) return;
+      extraKeys.push(key);
+      render();
+    });
+    container.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      tree = {};
+      extraKeys = [];
+      selected = null;
+      change();
+    });
+    container.querySelector('[data-action="check"]')?.addEventListener('click', () => {
+      checkResult = describeTreeCheck(checkTreeDrawing(tree, options.keys));
+      render();
+    });
+  };
+  
+  render();
+  return {
+    getTree: () => ({ ...tree }),
+    setReadOnly(readOnly) {
+      options.readOnly = readOnly;
+      selected = null;
+      render();
+    },
+  };
+}
+
+function describeTreeCheck(result) {
+  const problems = result.misplaced.map(m =>
+    `${escapeHtml(m.key)} is ${m.side === 'L' ? 'left' : 'right'} of ${escapeHtml(m.ancestor)}, but it is ${m.side === 'L' ? 'not smaller' : 'smaller'}`);
+  if (!result.complete) problems.push(`Still to place: ${result.missing.map(escapeHtml).join(', ')}`);
+  
+  if (result.matches === 'given') {
+    return '<div class="bst-check ok">✓ This is the tree you get by inserting the keys in the order listed.</div>';
+  }
+  if (result.matches === 'ascending') {
+    return '<div class="bst-check ok">✓ This is the tree you get by inserting the keys in ascending order, as an in-order traversal outputs them.</div>';
+  }
+  if (problems.length > 0) {
+    return `<div class="bst-check error"><ul>${problems.map(p => `<li>${p}</li>`).join('')}</ul></div>`;
+  }
+  return '<div class="bst-check warning">Every key is on the correct side of the keys above it, but this isn\'t the tree the listed order or ascending order builds. Check which order the question inserts them in.</div>';
+}
+
+// ---- Drawing answers ----
+function renderTreeAnswer(sub, key) {
+  const dataset = state.examInfo.treeData[0];
+  
+  treeAnswerEditor = mountTreeEditor(document.getElementById('treeAnswerWrap'), {
+    keys: dataset ? getTreeKeys(dataset) : [],
+    tree: parseTreeAnswer(state.answers[key] || ''),
+    readOnly: state.mock.status === 'finished',
+    allowNewKeys: true,
+    onChange: tree => {
+      setAnswer(key, formatTreeAnswer(tree));
+      persistProgress();
+    },
+  });
+}
+
+// ============== DIAGRAMS ==============
+// Boxes-and-arrows answers for parts that ask for an array, a linked list or object
+// references to be drawn. diagram.js holds the model, geometry and SVG.
+const DIAGRAM_TOOLS = [
+  { type: 'object', label: '+ Node', title: 'An object or list node with fields' },
+  { type: 'array', label: '+ Array', title: 'A row of array cells' },
+  { type: 'variable', label: '+ Variable', title: 'A named reference such as head or runway1' },
+  { type: 'null', label: '+ null', title: 'A null for pointers to end at' },
+];
+const DIAGRAM_GRID = 10;
+
+let diagramAnswerEditor = null;
+
+// Builds and edits a diagram in container. Fields and cells are typed into, or
+// point at another box: click a slot's → and then the box. Boxes move by their ⠿.
+// options: { diagram, previousText, readOnly, fileName, onChange }
+function mountDiagramEditor(container, options) {
+  const diagram = options.diagram;
+  let selectedId = null;
+  let linking = null; // { id, slot } waiting for its target
+  
+  const change = () => {
+    options.onChange(diagram);
+    render();
+  };
+  
+  const slotHtml = (item, slot, value) => {
+    const arrow = findDiagramArrow(diagram, item.id, slot);
+    if (options.readOnly) {
+      return arrow ? '<span class="dg-dot">●</span>' : (value !== null ? `<span class="dg-value">${escapeHtml(value)}</span>` : '');
+    }
+    
+    const linkingHere = linking?.id === item.id && linking.slot === slot;
+    const input = value !== null && !arrow
+      ? `<input class="dg-input dg-value" data-slot="${slot}" data-prop="value" value="${escapeHtml(value)}" aria-label="Value">`
+      : '';
+    return `${input}<button class="dg-pointer ${arrow ? 'pointing' : ''} ${linkingHere ? 'linking' : ''}" data-slot="${slot}"
+        title="${arrow ? 'Remove this arrow' : 'Point this at another box'}">${arrow ? '●' : '→'}</button>`;
+  };
+  
+  const itemHtml = item => {
+    const box = itemBounds(item);
+    const grip = options.readOnly ? '' : '<span class="dg-grip" title="Drag to move">⠿</span>';
+    const text = (prop, placeholder, slot) => options.readOnly
+      ? `<span class="dg-text">${escapeHtml(slot === undefined ? item[prop] : item.fields[slot][prop])}</span>`
+      : `<input class="dg-input" data-prop="${prop}" ${slot === undefined ? '' : `data-slot="${slot}"`}
+          value="${escapeHtml(slot === undefined ? item[prop] : item.fields[slot][prop])}" placeholder="${placeholder}" aria-label="${placeholder}">`;
+    
+    let body;
+    if (item.type === 'object') {
+      body = `<div class="dg-header">${grip}${text('title', 'Node')}</div>
+        ${item.fields.map((field, i) => `<div class="dg-row">${text('name', 'field', i)}${slotHtml(item, i, field.value)}</div>`).join('')}`;
+    } else if (item.type === 'array') {
+      body = `<div class="dg-label">${grip}${text('name', 'array')}</div>
+        <div class="dg-cells">${item.cells.map((cell, i) => `<div class="dg-cell">${slotHtml(item, i, cell)}</div>`).join('')}</div>
+        <div class="dg-indexes">${item.cells.map((cell, i) => `<span>[${i}]</span>`).join('')}</div>`;
+    } else if (item.type === 'variable') {
+      body = `${grip}${text('name', 'name')}<div class="dg-cell">${slotHtml(item, 0, null)}</div>`;
+    } else {
+      body = `${grip}<span class="dg-null-text">null</span>`;
+    }
+    
+    return `<div class="dg-item dg-${item.type} ${item.id === selectedId ? 'selected' : ''} ${linking ? 'link-target' : ''}" data-id="${item.id}"
+        style="left:${box.x}px;top:${box.y}px;width:${box.width}px;height:${box.height}px">${body}</div>`;
+  };
+  
+  const sizeCanvas = () => {
+    const { width, height } = diagramSize(diagram);
+    const canvas = container.querySelector('.dg-canvas');
+    canvas.style.width = `${width + DIAGRAM_SIZES.objectWidth}px`;
+    canvas.style.height = `${height + DIAGRAM_SIZES.gap}px`;
+    container.querySelector('.dg-arrows').innerHTML = renderDiagramArrows(diagram);
+  };
+  
+  // Selection only changes classes and the toolbar, so a focused input keeps focus
+  const updateSelection = () => {
+    const item = diagram.items.find(i => i.id === selectedId);
+    container.querySelectorAll('.dg-item').forEach(el => el.classList.toggle('selected', el.dataset.id === selectedId));
+    if (options.readOnly) return;
+    
+    const hasSlots = item?.type === 'object' || item?.type === 'array';
+    const noun = item?.type === 'array' ? 'cell' : 'field';
+    const addSlot = container.querySelector('[data-action="add-slot"]');
+    const removeSlot = container.querySelector('[data-action="remove-slot"]');
+    addSlot.disabled = !hasSlots;
+    removeSlot.disabled = !hasSlots || (item.type === 'object' ? item.fields : item.cells).length <= 1;
+    addSlot.textContent = `+ ${noun}`;
+    removeSlot.textContent = `− ${noun}`;
+    container.querySelector('[data-action="delete"]').disabled = !item;
+  };
+  
+  const render = () => {
+    const status = linking
+      ? 'Click the box this should point to, or empty space to cancel.'
+      : options.readOnly ? '' : 'Type into the boxes; click → on a field or cell and then a box to draw an arrow.';
+    
+    container.innerHTML = `
+      <div class="dg-editor ${options.readOnly ? 'read-only' : ''}">
+        <div class="dg-toolbar">
+          ${options.readOnly ? '' : `
+            ${DIAGRAM_TOOLS.map(tool => `<button class="small-btn" data-add="${tool.type}" title="${tool.title}">${tool.label}</button>`).join('')}
+            <span class="dg-divider"></span>
+            <button class="small-btn" data-action="add-slot">+ field</button>
+            <button class="small-btn" data-action="remove-slot">− field</button>
+            <button class="small-btn" data-action="delete">Delete</button>
+            <button class="small-btn" data-action="clear" ${diagram.items.length === 0 ? 'disabled' : ''}>Clear</button>
+            <span class="dg-divider"></span>`}
+          <button class="small-btn" data-action="svg" ${diagram.items.length === 0 ? 'disabled' : ''} title="Download the diagram as an SVG image">⬇ SVG</button>
+          <button class="small-btn" data-action="png" ${diagram.items.length === 0 ? 'disabled' : ''} title="Download the diagram as a PNG image">⬇ PNG</button>
+        </div>
+        ${options.previousText ? `<div class="dg-previous">Your typed answer from before, replaced once you start drawing:
+            <div>${formatMultiline(options.previousText)}</div></div>` : ''}
+        <div class="dg-status">${status}</div>
+        <div class="dg-scroll">
+          <div class="dg-canvas ${linking ? 'linking' : ''}">
+            <svg class="dg-arrows"></svg>
+            ${diagram.items.map(itemHtml).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+    sizeCanvas();
+    
+    container.querySelector('[data-action="svg"]').addEventListener('click', () =>
+      downloadFile(`${options.fileName}.svg`, diagramToSvg(diagram), 'image/svg+xml'));
+    container.querySelector('[data-action="png"]').addEventListener('click', () =>
+      downloadDiagramPng(diagram, `${options.fileName}.png`));
+    if (options.readOnly) return;
+    
+    updateSelection();
+    bindToolbar();
+    bindCanvas();
+  };
+  
+  const bindToolbar = () => {
+    container.querySelectorAll('[data-add]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const width = container.querySelector('.dg-scroll').clientWidth || 700;
+        selectedId = addDiagramItem(diagram, btn.dataset.add, width).id;
+        options.previousText = '';
+        change();
+      });
+    });
+    container.querySelector('[data-action="add-slot"]').addEventListener('click', () => {
+      addDiagramSlot(diagram, selectedId);
+      change();
+    });
+    container.querySelector('[data-action="remove-slot"]').addEventListener('click', () => {
+      removeDiagramSlot(diagram, selectedId);
+      change();
+    });
+    container.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      removeDiagramItem(diagram, selectedId);
+      selectedId = null;
+      change();
+    });
+    container.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      diagram.items = [];
+      diagram.arrows = [];
+      selectedId = null;
+      change();
+    });
+  };
+  
+  const bindCanvas = () => {
+    const canvas = container.querySelector('.dg-canvas');
+    
+    canvas.addEventListener('input', e => {
+      const item = diagram.items.find(i => i.id === e.target.closest('.dg-item').dataset.id);
+      const { prop, slot } = e.target.dataset;
+      if (slot === undefined) {
+        item[prop] = e.target.value;
+      } else if (item.type === 'array') {
+        item.cells[slot] = e.target.value;
+      } else {
+        item.fields[slot][prop] = e.target.value;
+      }
+      options.previousText = '';
+      options.onChange(diagram);
+    });
+    
+    canvas.addEventListener('click', e => {
+      const el = e.target.closest('.dg-item');
+      const pointer = e.target.closest('.dg-pointer');
+      
+      if (linking) {
+        // Clicking empty space or the same → again cancels
+        const cancelled = !el || (pointer && el.dataset.id === linking.id && parseInt(pointer.dataset.slot, 10) === linking.slot);
+        if (!cancelled) setDiagramArrow(diagram, linking, el.dataset.id);
+        linking = null;
+        if (cancelled) {
+          render();
+        } else {
+          change();
+        }
+        return;
+      }
+      if (pointer) {
+        const from = { id: el.dataset.id, slot: parseInt(pointer.dataset.slot, 10) };
+        if (findDiagramArrow(diagram, from.id, from.slot)) {
+          setDiagramArrow(diagram, from, null);
+          change();
+        } else {
+          linking = from;
+          render();
+        }
+        return;
+      }
+      selectedId = el ? el.dataset.id : null;
+      updateSelection();
+    });
+    
+    canvas.querySelectorAll('.dg-grip').forEach(grip => {
+      grip.addEventListener('pointerdown', e => startDiagramDrag(e, grip.closest('.dg-item')));
+    });
+  };
+  
+  // Moves a box with the pointer, snapping to the grid, and saves once it's dropped
+  const startDiagramDrag = (e, el) => {
+    e.preventDefault();
+    const item = diagram.items.find(i => i.id === el.dataset.id);
+    const start = { x: e.clientX, y: e.clientY, itemX: item.x, itemY: item.y };
+    selectedId = item.id;
+    updateSelection();
+    
+    const move = event => {
+      item.x = Math.max(0, Math.round((start.itemX + event.clientX - start.x) / DIAGRAM_GRID) * DIAGRAM_GRID);
+      item.y = Math.max(0, Math.round((start.itemY + event.clientY - start.y) / DIAGRAM_GRID) * DIAGRAM_GRID);
+      el.style.left = `${item.x}px`;
+      el.style.top = `${item.y}px`;
+      sizeCanvas();
+    };
+    const drop = () => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', drop);
+      options.onChange(diagram);
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', drop);
+  };
+  
+  render();
+  return {
+    getDiagram: () => diagram,
+    setReadOnly(readOnly) {
+      options.readOnly = readOnly;
+      linking = null;
+      render();
+    },
+  };
+}
+
+// Draws the SVG onto a canvas at twice the size, for a sharp PNG
+function downloadDiagramPng(diagram, fileName) {
+  const { width, height } = diagramSize(diagram);
+  const url = URL.createObjectURL(new Blob([diagramToSvg(diagram)], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * 2;
+    canvas.height = height * 2;
+    const context = canvas.getContext('2d');
+    context.scale(2, 2);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(fileName, blob), 'image/png');
+  };
+  image.onerror = err => {
+    URL.revokeObjectURL(url);
+    console.error('Failed to draw diagram:', err);
+  };
+  image.src = url;
+}
+
+// Saved diagrams as inline SVG for review and the booklet; an answer typed before
+// the part was drawn is shown as text
+function formatDiagramAnswerHtml(answer) {
+  const diagram = parseDiagramAnswer(answer);
+  return diagram ? `<div class="diagram-answer">${diagramToSvg(diagram)}</div>` : formatMultiline(answer);
+}
+
+function renderDiagramAnswer(sub, key) {
+  const saved = state.answers[key] || '';
+  const diagram = parseDiagramAnswer(saved);
+  
+  diagramAnswerEditor = mountDiagramEditor(document.getElementById('diagramAnswerWrap'), {
+    diagram: diagram || createDiagram(),
+    previousText: diagram ? '' : saved,
+    readOnly: state.mock.status === 'finished',
+    fileName: `${state.currentExamId}_${sub.key}`,
+    onChange: updated => {
+      setAnswer(key, formatDiagramAnswer(updated));
+      persistProgress();
+    },
+  });
+}
+
+// ============== TRACE TABLES ==============
+// Trace-table answers for parts that ask for a method to be traced. trace.js holds
+// the answer format, the built-in tracer and the row-by-row check.
+const TRACE_START_ROWS = 4;
+
+let traceAnswerEditor = null;
+
+// The code the traced method is in: one of the question's parts, the question
+// itself, or the exam's classes
+function findTracedCode(q, name) {
+  const sources = [...q.subQuestions.map(s => s.text), q.text, ...state.examInfo.classes.map(cls => cls.code)];
+  return sources.find(source => findMethodVariables(source, name)) || null;
+}
+
+// A saved table, else the one the question prints, else a column per parameter
+// and local variable of the traced method
+function initialTraceTable(q, sub, saved) {
+  const answer = parseTraceAnswer(saved);
+  if (answer) return answer;
+  
+  const printed = extractTraceTable(sub.text);
+  let columns = printed ? printed.columns : [];
+  if (!printed) {
+    const call = extractTracedCall(sub.text);
+    const code = call && findTracedCode(q, call.name);
+    if (code) columns = defaultTraceColumns(findMethodVariables(code, call.name));
+  }
+  if (columns.length === 0) columns = ['', ''];
+  
+  const rows = printed ? printed.rows.map(row => [...row]) : [];
+  while (rows.length < TRACE_START_ROWS) rows.push(columns.map(() => ''));
+  return { columns: [...columns], rows };
+}
+
+// Cells are typed into; columns and rows are added and removed beside them.
+// options: { table, previousText, readOnly, check, onChange } where check, when
+// given, returns the comparison with the reference trace for the table
+function mountTraceEditor(container, options) {
+  const table = options.table;
+  let checked = null; // checkTraceAnswer()'s result, or { error }
+  
+  const change = () => {
+    checked = null;
+    options.previousText = '';
+    options.onChange(table);
+    render();
+  };
+  
+  const cellStatus = (r, c) => {
+    const agrees = checked?.comparison?.rows[r]?.cells[c];
+    if (agrees === undefined || agrees === null) return '';
+    return `data-status="${agrees ? 'ok' : 'wrong'}"`;
+  };
+  
+  const headingHtml = (column, c) => (options.readOnly
+    ? `<th>${escapeHtml(column)}</th>`
+    : `<th><div class="trace-heading">
+        <input type="text" data-column="${c}" value="${escapeHtml(column)}" placeholder="Variable" aria-label="Column ${c + 1} heading" autocomplete="off">
+        <button class="trace-remove" data-remove-column="${c}" title="Remove this column" ${table.columns.length === 1 ? 'disabled' : ''}>✕</button>
+      </div></th>`);
+  
+  const rowHtml = (row, r) => `
+    <tr ${checked?.comparison?.rows[r] ? `data-status="${checked.comparison.rows[r].status}"` : ''}>
+      <td class="trace-row-number">${r + 1}</td>
+      ${row.map((cell, c) => (options.readOnly
+        ? `<td ${cellStatus(r, c)}>${escapeHtml(cell)}</td>`
+        : `<td ${cellStatus(r, c)}><input type="text" data-row="${r}" data-column="${c}" value="${escapeHtml(cell)}" aria-label="Row ${r + 1}, ${escapeHtml(table.columns[c] || `column ${c + 1}`)}" autocomplete="off"></td>`)).join('')}
+      ${options.readOnly ? '' : `<td class="trace-row-actions"><button class="trace-remove" data-remove-row="${r}" title="Remove this row">✕</button></td>`}
+    </tr>`;
+  
+  const render = () => {
+    const checkable = !options.readOnly && options.check && state.mock.status !== 'running';
+    
+    container.innerHTML = `
+      <div class="trace-editor ${options.readOnly ? 'read-only' : ''}">
+        ${options.previousText ? `<div class="trace-previous">Your typed answer from before, replaced once you fill in the table:
+            <div>${formatMultiline(options.previousText)}</div></div>` : ''}
+        <div class="trace-scroll">
+          <table class="trace-table">
+            <thead><tr><th class="trace-row-number"></th>${table.columns.map(headingHtml).join('')}${options.readOnly ? '' : '<th class="trace-row-actions"></th>'}</tr></thead>
+            <tbody>${table.rows.map(rowHtml).join('')}</tbody>
+          </table>
+        </div>
+        ${options.readOnly ? '' : `<div class="trace-actions">
+            <button class="small-btn" data-action="add-row">+ Row</button>
+            <button class="small-btn" data-action="add-column">+ Column</button>
+            ${checkable ? '<button class="small-btn" data-action="check" title="Run the method with the built-in tracer and compare its table with yours">Check against reference trace</button>' : ''}
+          </div>`}
+        <div class="trace-check-result">${checked ? describeTraceCheck(checked) : ''}</div>
+      </div>
+    `;
+    if (options.readOnly) return;
+    
+    container.querySelector('tbody').addEventListener('input', e => {
+      table.rows[e.target.dataset.row][e.target.dataset.column] = e.target.value;
+      clearCheck();
+      options.previousText = '';
+      options.onChange(table);
+    });
+    container.querySelector('thead').addEventListener('input', e => {
+      table.columns[e.target.dataset.column] = e.target.value;
+      clearCheck();
+      options.onChange(table);
+    });
+    container.querySelectorAll('[data-remove-column]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const c = Number(btn.dataset.removeColumn);
+        table.columns.splice(c, 1);
+        table.rows.forEach(row => row.splice(c, 1));
+        change();
+      });
+    });
+    container.querySelectorAll('[data-remove-row]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        table.rows.splice(Number(btn.dataset.removeRow), 1);
+        change();
+      });
+    });
+    container.querySelector('[data-action="add-row"]').addEventListener('click', () => {
+      table.rows.push(table.columns.map(() => ''));
+      change();
+      container.querySelector('tbody tr:last-child input')?.focus();
+    });
+    container.querySelector('[data-action="add-column"]').addEventListener('click', () => {
+      table.columns.push('');
+      table.rows.forEach(row => row.push(''));
+      change();
+      container.querySelector('thead th:nth-last-child(2) input')?.focus();
+    });
+    container.querySelector('[data-action="check"]')?.addEventListener('click', () => {
+      try {
+        checked = options.check(table);
+      } catch (err) {
+        checked = { error: err.message };
+      }
+      render();
+    });
+  };
+  
+  // Typing keeps focus, so the old check comes off the table instead of re-rendering
+  const clearCheck = () => {
+    if (!checked) return;
+    checked = null;
+    container.querySelectorAll('tbody [data-status]').forEach(el => el.removeAttribute('data-status'));
+    container.querySelector('.trace-check-result').innerHTML = '';
+  };
+  
+  render();
+  return {
+    getTable: () => table,
+    setReadOnly(readOnly) {
+      options.readOnly = readOnly;
+      checked = null;
+      render();
+    },
+  };
+}
+
+// Traces the call the part names and compares the table with the result;
+// throws an Error when there's nothing to compare against
+function checkTraceAnswer(q, call, table) {
+  const code = findTracedCode(q, call.name);
+  if (!code) throw new Error(`couldn't find the code for ${call.name}() in this paper`);
+  
+  const reference = buildReferenceTrace(code, call, table.columns);
+  return {
+    call,
+    columns: [...table.columns],
+    reference: reference.rows,
+    unmapped: reference.unmapped,
+    comparison: compareTraceTables(table.rows, reference.rows),
+  };
+}
+
+function describeTraceCheck(checked) {
+  if (checked.error) {
+    return `<div class="trace-check error">The built-in tracer can't check this table: ${escapeHtml(checked.error)}.</div>`;
+  }
+  
+  const { comparison, unmapped, call } = checked;
+  const callText = `${call.name}(${(call.args || []).join(', ')})`;
+  const problems = comparison.rows.map((row, r) => {
+    if (row.status !== 'mismatch') return null;
+    const columns = row.cells.map((agrees, c) => (agrees === false ? escapeHtml(checked.columns[c] || `column ${c + 1}`) : null)).filter(Boolean);
+    return `Row ${r + 1} differs in ${columns.join(', ')}`;
+  }).filter(Boolean);
+  
+  // Missing and extra rows only come at the end, so each is one range
+  const rangeOf = status => {
+    const numbers = comparison.rows.map((row, r) => (row.status === status ? r + 1 : null)).filter(Boolean);
+    if (numbers.length === 0) return null;
+    return numbers.length === 1 ? `Row ${numbers[0]}` : `Rows ${numbers[0]}–${numbers[numbers.length - 1]}`;
+  };
+  const missing = rangeOf('missing');
+  const extra = rangeOf('extra');
+  if (missing) problems.push(`${missing} of the reference ${missing.startsWith('Rows') ? 'are' : 'is'} missing`);
+  if (extra) problems.push(`${extra} ${extra.startsWith('Rows') ? 'aren\'t' : 'isn\'t'} in the reference`);
+  const unchecked = unmapped.length > 0
+    ? `<p class="trace-unchecked">The tracer can't fill ${unmapped.map(c => escapeHtml(c || 'an unnamed column')).join(', ')}, so ${unmapped.length === 1 ? 'that column isn\'t' : 'those columns aren\'t'} checked.</p>`
+    : '';
+  const reference = `<details class="trace-reference"><summary>Show the reference trace</summary>
+      ${formatTraceTableHtml({ columns: checked.columns, rows: checked.reference.map(row => row.map(cell => cell ?? '')) })}
+    </details>`;
+  
+  if (problems.length === 0) {
+    return `<div class="trace-check ok">✓ Every row matches the reference trace of ${escapeHtml(callText)}.</div>${unchecked}${reference}`;
+  }
+  return `<div class="trace-check warning">${comparison.matched} of ${comparison.total} reference rows match the trace of ${escapeHtml(callText)}.
+      <ul>${problems.map(p => `<li>${p}</li>`).join('')}</ul>
+      Mark schemes accept other layouts, so compare with the reference before changing a row.</div>${unchecked}${reference}`;
+}
+
+function formatTraceTableHtml(table) {
+  return `<table class="trace-table">
+      <thead><tr>${table.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+      <tbody>${table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+}
+
+// Saved tables as HTML tables for review and the booklet; an answer typed before
+// the part became a trace is shown as text
+function formatTraceAnswerHtml(answer) {
+  const table = parseTraceAnswer(answer);
+  return table ? `<div class="trace-answer">${formatTraceTableHtml(table)}</div>` : formatMultiline(answer);
+}
+
+function renderTraceAnswer(q, sub, key) {
+  const saved = state.answers[key] || '';
+  const previousText = parseTraceAnswer(saved) ? '' : saved;
+  const call = extractTracedCall(sub.text);
+  
+  traceAnswerEditor = mountTraceEditor(document.getElementById('traceAnswerWrap'), {
+    table: initialTraceTable(q, sub, saved),
+    previousText,
+    readOnly: state.mock.status === 'finished',
+    check: call ? table => checkTraceAnswer(q, call, table) : null,
+    onChange: table => {
+      setAnswer(key, formatTraceAnswer(table) || previousText);
+      persistProgress();
+    },
+  });
+}
+
+// ============== STATIC CHECKS ==============
+// lint.js finds the problems; these show them as gutter markers in the answer editor
+const LINT_GUTTER = 'answer-lint';
+const LINT_DELAY_MS = 400;
+
+let lintTimer = null;
+let lintMarks = [];
+
+function scheduleStaticChecks() {
+  clearTimeout(lintTimer);
+  lintTimer = setTimeout(runStaticChecks, LINT_DELAY_MS);
+}
+
+function runStaticChecks() {
+  clearTimeout(lintTimer);
+  clearLintMarks();
+  
+  const sub = state.currentSubQuestion;
+  // Like the runner, no hints while a mock exam is running
+  if (!sub || !sub.isCoding || state.mock.status === 'running') {
+    renderSignatureCheck(null);
+    return;
+  }
+  
+  const answer = codeAnswerEditor.getValue();
+  renderSignatureCheck(sub, answer);
+  
+  const diagnostics = analyseJavaAnswer(answer, state.examInfo, () => buildCompilationUnit(sub, answer));
+  const byLine = new Map();
+  
+  diagnostics.forEach(d => {
+    if (!byLine.has(d.line)) byLine.set(d.line, []);
+    byLine.get(d.line).push(d);
+    lintMarks.push(codeAnswerEditor.markText(
+      { line: d.line, ch: d.ch },
+      { line: d.line, ch: d.endCh },
+      { className: `lint-mark ${d.severity}`, title: d.message }
+    ));
+  });
+  
+  byLine.forEach((lineDiagnostics, line) => {
+    const severity = lineDiagnostics.some(d => d.severity === 'error') ? 'error' : 'warning';
+    const marker = document.createElement('span');
+    marker.className = `lint-marker ${severity}`;
+    marker.textContent = severity === 'error' ? '✕' : '!';
+    marker.title = lineDiagnostics.map(d => d.message).join('\n');
+    codeAnswerEditor.setGutterMarker(line, LINT_GUTTER, marker);
+  });
+}
+
+function clearLintMarks() {
+  codeAnswerEditor.clearGutter(LINT_GUTTER);
+  lintMarks.forEach(mark => mark.clear());
+  lintMarks = [];
+}
+
+// ============== SIGNATURE CHECK ==============
+// Mark schemes often give marks for "public method; return type; correct parameters"
+const ACCESS_MODIFIERS = ['public', 'private', 'protected'];
+
+// Expected header as { name, access, returnType, params }, with a source per part;
+// null parts couldn't be worked out from the question, exam code or UML
+function inferExpectedSignature(sub) {
+  const requested = extractRequestedMethod(sub.text);
+  if (!requested) return null;
+  
+  const expected = {
+    name: requested.name,
+    access: requested.access,
+    returnType: requested.returnType,
+    params: requested.params,
+    sources: {
+      access: requested.access ? 'question' : null,
+      returnType: requested.returnType ? 'question' : null,
+      params: requested.params ? 'question' : null,
+    },
+  };
+  const fill = (part, value, source) => {
+    if (expected[part] === null && value !== null && value !== undefined) {
+      expected[part] = value;
+      expected.sources[part] = source;
+    }
+  };
+  
+  // A "// missing code" stub in the exam classes has the exact header. The UML is
+  // left out of this model so that what it gives is credited to it below.
+  const classes = mergeSplitClasses(state.examInfo.classes);
+  const model = buildJavaClassModel(classes.map(cls => ({ name: `${cls.name}.java`, content: cls.code })), []);
+  for (const cls of model.values()) {
+    const stub = cls.methods.get(expected.name);
+    if (!stub || stub.returnType === null) continue;
+    fill('access', stub.modifiers.find(m => ACCESS_MODIFIERS.includes(m)) || 'package-private', 'exam code');
+    fill('returnType', stub.returnType, 'exam code');
+    fill('params', stub.params, 'exam code');
+    break;
+  }
+  
+  // UML methods such as "+ getName(): String", then accessors and mutators of UML attributes
+  state.examInfo.umlDiagrams.forEach(uml => {
+    uml.methods.forEach(method => {
+      if (method.isConstructor || method.name !== expected.name) return;
+      fill('access', method.visibility === 'package' ? 'package-private' : method.visibility, 'UML');
+      fill('returnType', convertUMLType(method.returnType || 'void'), 'UML');
+      fill('params', method.params, 'UML');
+    });
+  });
+  
+  const accessor = expected.name.match(/^(get|is|set)([A-Z]\w*)$/);
+  if (accessor) {
+    const attrName = accessor[2].toLowerCase();
+    const attr = state.examInfo.umlDiagrams.flatMap(uml => uml.attributes).find(a => a.name.toLowerCase() === attrName);
+    const field = attr ? null : [...model.values()].map(cls => [...cls.fields.values()].find(f => f.name.toLowerCase() === attrName)).find(Boolean);
+    const type = attr ? convertUMLType(attr.type) : field ? field.type : null;
+    const source = attr ? 'UML' : 'exam code';
+    
+    if (type) {
+      fill('access', 'public', 'convention');
+      if (accessor[1] === 'set') {
+        fill('returnType', 'void', 'convention');
+        fill('params', [{ type, name: attrName }], source);
+      } else {
+        fill('returnType', type, source);
+        fill('params', [], 'convention');
+      }
+    }
+  }
+  
+  // Questions ask for public methods unless they say otherwise
+  fill('access', 'public', 'convention');
+  
+  return expected;
+}
+
+// Generic arguments only count when both sides give them
+function sameJavaType(a, b) {
+  const normalise = type => type.replace(/\s+/g, '');
+  const bare = type => normalise(type).replace(/<.*>/, '');
+  
+  if (normalise(a).includes('<') && normalise(b).includes('<')) return normalise(a) === normalise(b);
+  return bare(a) === bare(b);
+}
+
+function findAnswerMethod(answer, name) {
+  const tokens = tokenizeJava(answer);
+  const classes = scanClasses(tokens);
+  const methods = classes.length > 0
+    ? classes.flatMap(cls => cls.methods)
+    : scanMembers(tokens, 0, tokens.length).methods;
+  
+  return methods.find(m => m.name === name) || null;
+}
+
+// Until the mark scheme is revealed a failed part only says where to look: the
+// expected header would hand over the marks for it
+function checkSignature(expected, answer, revealed) {
+  const method = findAnswerMethod(answer, expected.name);
+  if (!method) {
+    return [{ status: 'fail', label: `No method called ${expected.name}() yet` }];
+  }
+  
+  const results = [{ status: 'pass', label: `Method ${expected.name}()` }];
+  const sourceNames = { question: 'the question', 'exam code': 'the exam code', UML: 'the UML diagram', convention: 'the usual convention' };
+  const sourceNote = part => expected.sources[part] ? ` (per ${sourceNames[expected.sources[part]]})` : '';
+  const mismatch = (part, what, expectedText, found) => ({
+    status: 'fail',
+    label: revealed
+      ? `${what}: expected ${expectedText}, found ${found}${sourceNote(part)}`
+      : `${what}: ${found} doesn't match${sourceNote(part)}`,
+  });
+  
+  const access = method.modifiers.find(m => ACCESS_MODIFIERS.includes(m)) || 'package-private';
+  results.push(access === expected.access
+    ? { status: 'pass', label: access }
+    : mismatch('access', 'Access', expected.access, access));
+  
+  if (expected.returnType === null) {
+    results.push({ status: 'skip', label: 'Return type: not stated in the question' });
+  } else if (method.returnType === null) {
+    results.push({ status: 'fail', label: revealed ? `Return type: missing, expected ${expected.returnType}` : 'Return type: missing' });
+  } else {
+    results.push(sameJavaType(method.returnType, expected.returnType)
+      ? { status: 'pass', label: `Returns ${method.returnType}` }
+      : mismatch('returnType', 'Return type', expected.returnType, method.returnType));
+  }
+  
+  if (expected.params === null) {
+    results.push({ status: 'skip', label: 'Parameters: not stated in the question' });
+  } else {
+    const expectedTypes = expected.params.map(p => p.type);
+    const foundTypes = method.params.map(p => p.type);
+    const matches = expectedTypes.length === foundTypes.length && expectedTypes.every((type, i) => sameJavaType(type, foundTypes[i]));
+    results.push(matches
+      ? { status: 'pass', label: `Parameters (${foundTypes.join(', ')})` }
+      : mismatch('params', 'Parameters', `(${expectedTypes.join(', ')})`, `(${foundTypes.join(', ')})`));
+  }
+  
+  return results;
+}
+
+function formatSignature(expected) {
+  const params = expected.params === null ? '…' : expected.params.map(p => `${p.type} ${p.name}`).join(', ');
+  const access = expected.access === 'package-private' ? '' : `${expected.access} `;
+  return `${access}${expected.returnType || '…'} ${expected.name}(${params})`;
+}
+
+function renderSignatureCheck(sub, answer) {
+  const panel = document.getElementById('signatureCheck');
+  const expected = sub && state.examInfo && state.mock.status !== 'running' ? inferExpectedSignature(sub) : null;
+  
+  if (!expected) {
+    panel.classList.add('hidden');
+    panel.innerHTML = '';
+    return;
+  }
+  
+  const icons = { pass: '✓', fail: '✗', skip: '–' };
+  const revealed = !!state.revealed[getAnswerKey(state.currentQuestion, sub)];
+  const results = checkSignature(expected, answer, revealed);
+  
+  panel.innerHTML = `
+    ${revealed ? `<div class="signature-expected">Expected <code>${escapeHtml(formatSignature(expected))}</code></div>` : ''}
+    <ul class="signature-results">
+      ${results.map(r => `<li class="signature-result ${r.status}">${icons[r.status]} ${escapeHtml(r.label)}</li>`).join('')}
+    </ul>
+  `;
+  panel.classList.remove('hidden');
+}
+
+// ============== ROUTING ==============
+// Links look like #/HL/HL_2018_November/16/d/ii?mode=topic&topic=recursion. A paper
+// that prints the same part label twice gets ?part=<key> for the repeats (10-c-ii~2)
+let lastAppliedRoute = null;
+let applyingRoute = false;
+
+function buildRoute() {
+  const exam = state.exams.find(e => e.id === state.currentExamId);
+  if (!exam) return '';
+  
+  const segments = [exam.level, exam.id];
+  if (state.currentSubQuestion) {
+    const sub = state.currentSubQuestion;
+    segments.push(state.currentQuestion.number, sub.letter);
+    if (sub.numeral) segments.push(sub.numeral);
+  }
+  
+  const params = new URLSearchParams();
+  if (state.listMode === 'topic') {
+    params.set('mode', 'topic');
+    params.set('topic', state.currentTopic);
+  }
+  if (state.currentSubQuestion?.key.includes('~')) params.set('part', state.currentSubQuestion.key);
+  
+  const query = params.toString();
+  return `#/${segments.map(encodeURIComponent).join('/')}${query ? `?${query}` : ''}`;
+}
+
+function updateRoute() {
+  if (applyingRoute) return;
+  
+  const hash = buildRoute();
+  if (hash && hash !== location.hash) {
+    // Landing on an invalid link shouldn't leave it in the history
+    if (lastAppliedRoute === null) {
+      history.replaceState(null, '', hash);
+    } else {
+      history.pushState(null, '', hash);
+    }
+  }
+  lastAppliedRoute = hash;
+}
+
+function parseRoute(hash) {
+  const match = hash.match(/^#\/([^?]*)(?:\?(.*))?$/);
+  if (!match) return null;
+  
+  const [level, examId, question, letter, numeral] = match[1].split('/')
+    .filter(Boolean)
+    .map(decodeURIComponent);
+  const params = new URLSearchParams(match[2] || '');
+  
+  return {
+    level,
+    examId,
+    question,
+    letter: letter?.toLowerCase(),
+    numeral: numeral?.toLowerCase(),
+    mode: params.get('mode') || 'paper',
+    topic: params.get('topic'),
+    part: params.get('part'),
+  };
+}
+
+// Returns an error message for links that point at nothing, or null
+function validateRoute(route) {
+  if (!route || !route.level) return `"${location.hash}" is not a valid link.`;
+  if (route.level !== 'SL' && route.level !== 'HL') return `"${route.level}" is not a level. Links must start with SL or HL.`;
+  
+  const exam = state.exams.find(e => e.id === route.examId);
+  if (!route.examId) return `The link doesn't name an exam session.`;
+  if (!exam) return `There is no exam session "${route.examId}".`;
+  if (exam.level !== route.level) return `${route.examId} is not an ${route.level} paper.`;
+  
+  if (route.mode !== 'paper' && route.mode !== 'topic') return `"${route.mode}" is not a mode. Use "paper" or "topic".`;
+  if (route.mode === 'topic' && !TOPICS.some(t => t.id === route.topic)) {
+    return `There is no topic "${route.topic || ''}".`;
+  }
+  
+  if (state.mock.status !== 'idle' && exam.id !== state.currentExamId) {
+    return 'Finish the mock exam before opening another paper.';
+  }
+  return null;
+}
+
+// Resolves to false when the link didn't load an exam at all
+async function applyRoute() {
+  const hash = location.hash;
+  if (!hash || hash === lastAppliedRoute || state.exams.length === 0) return true;
+  
+  const route = parseRoute(hash);
+  const error = validateRoute(route);
+  if (error) {
+    showRouteNotice(error);
+    return false;
+  }
+  
+  const exam = state.exams.find(e => e.id === route.examId);
+  applyingRoute = true;
+  
+  try {
+    let listing;
+    if (route.mode === 'topic' && state.listMode === 'topic' && state.currentTopic !== route.topic) {
+      state.currentTopic = route.topic;
+      listing = renderTopicList();
+    } else {
+      if (route.mode === 'topic') state.currentTopic = route.topic;
+      listing = setListMode(route.mode);
+    }
+    
+    if (state.currentExamId !== exam.id) {
+      await selectExam(exam);
+    }
+    await listing;
+    
+    if (route.question) {
+      const question = state.questions.find(q => q.number === route.question);
+      if (!question) {
+        showRouteNotice(`${exam.level} ${exam.label} has no question ${route.question}.`);
+        return true;
+      }
+      
+      // A part link without a numeral opens the part's first sub-part
+      const sub = route.part
+        ? question.subQuestions.find(s => s.key === route.part)
+        : question.subQuestions.find(s =>
+          (!route.letter || s.letter === route.letter) && (!route.numeral || s.numeral === route.numeral));
+      if (!sub) {
+        const label = `${route.question}${formatPartLabel(route.letter, route.numeral)}`;
+        showRouteNotice(`${exam.level} ${exam.label} has no question ${label}.`);
+        return true;
+      }
+      
+      const selector = state.listMode === 'topic'
+        ? `.sub-question-btn[data-exam-id="${exam.id}"][data-key="${sub.key}"]`
+        : `.sub-question-btn[data-key="${sub.key}"]`;
+      const btn = document.querySelector(selector);
+      if (btn) toggleQuestionExpand(btn.closest('.question-item'), question);
+      selectSubQuestion(question, sub, btn);
+    }
+    
+    hideRouteNotice();
+    return true;
+  } finally {
+    applyingRoute = false;
+    
+    // Normalise partial links (e.g. exam only) to what is now on screen
+    lastAppliedRoute = buildRoute();
+    if (lastAppliedRoute && lastAppliedRoute !== location.hash) {
+      history.replaceState(null, '', lastAppliedRoute);
+    }
+  }
+}
+
+// Opens a part of any paper through the router, which loads the paper and
+// opens the part (or explains why it can't, e.g. during a mock exam)
+// part is the sub-question, or anything with its letter, numeral and key
+function openPartRoute(level, examId, questionNumber, part) {
+  closeOpenViews();
+  
+  const segments = [level, examId, questionNumber, part.letter];
+  if (part.numeral) segments.push(part.numeral);
+  const query = part.key.includes('~') ? `?${new URLSearchParams({ part: part.key })}` : '';
+  location.hash = `#/${segments.map(encodeURIComponent).join('/')}${query}`;
+}
+
+function showRouteNotice(message) {
+  document.getElementById('routeNoticeText').textContent = message;
+  document.getElementById('routeNotice').classList.remove('hidden');
+}
+
+function hideRouteNotice() {
+  document.getElementById('routeNotice').classList.add('hidden');
+}
+
+// ============== DATA LOADING ==============
+async function loadManifest() {
+  try {
+    const res = await fetch('exams.json');
+    const exams = expandManifest(await res.json());
+    state.exams = exams;
+    
+    // Reopen the exam the student was last working on, if any
+    const lastExam = exams.find(e => e.id === loadLastExamId());
+    if (lastExam) {
+      state.currentLevel = lastExam.level;
+      document.getElementById('slBtn').classList.toggle('active', lastExam.level === 'SL');
+      document.getElementById('hlBtn').classList.toggle('active', lastExam.level === 'HL');
+    }
+    
+    populateExamSelect(exams);
+    
+    // A shared link takes priority over where the student left off
+    if (location.hash && await applyRoute()) return;
+    
+    // Otherwise load the most recent exam of the current level
+    const filteredExams = exams.filter(e => e.level === state.currentLevel && !e.variantId);
+    const initialExam = lastExam || filteredExams[filteredExams.length - 1];
+    if (initialExam) {
+      document.getElementById('examSelect').value = initialExam.sessionId;
+      await loadExam(initialExam.id);
+    }
+  } catch (err) {
+    console.error('Failed to load manifest:', err);
+  }
+}
+
+function populateExamSelect(exams) {
+  const select = document.getElementById('examSelect');
+  const currentValue = select.value;
+  select.innerHTML = '';
+  
+  // Filter by current level; variants are picked in the variant select
+  const filteredExams = exams.filter(e => e.level === state.currentLevel && !e.variantId);
+  
+  filteredExams.forEach(exam => {
+    const opt = document.createElement('option');
+    opt.value = exam.id;
+    opt.textContent = exam.sessionLabel;
+    select.appendChild(opt);
+  });
+  
+  // Only add event listener once
+  if (!select.dataset.listenerAdded) {
+    select.addEventListener('change', e => loadExam(e.target.value));
+    select.dataset.listenerAdded = 'true';
+  }
+}
+
+// Switch level and exam select to the given exam, then load it
+function selectExam(exam) {
+  state.currentLevel = exam.level;
+  document.getElementById('slBtn').classList.toggle('active', exam.level === 'SL');
+  document.getElementById('hlBtn').classList.toggle('active', exam.level === 'HL');
+  populateExamSelect(state.exams);
+  document.getElementById('examSelect').value = exam.sessionId;
+  return loadExam(exam.id);
+}
+
+// Versions of the current session (timezone papers, alternative transcriptions);
+// hidden when the session only has the one paper
+function populateVariantSelect(exam) {
+  const select = document.getElementById('variantSelect');
+  const variants = state.exams.filter(e => e.sessionId === exam.sessionId);
+  
+  select.innerHTML = variants
+    .map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.variantLabel)}</option>`)
+    .join('');
+  select.value = exam.id;
+  select.classList.toggle('hidden', variants.length < 2);
+  
+  if (!select.dataset.listenerAdded) {
+    select.addEventListener('change', e => loadExam(e.target.value));
+    select.dataset.listenerAdded = 'true';
+  }
+}
+
+async function loadExam(examId) {
+  const exam = state.exams.find(e => e.id === examId);
+  if (!exam) return;
+  
+  // Save the paper we're leaving before switching
+  saveCurrentAnswer();
+  persistProgress();
+  
+  const progress = loadProgress(examId);
+  state.currentExamId = examId;
+  state.answers = progress.answers;
+  state.revealed = progress.revealed;
+  state.scores = progress.scores;
+  state.notes = progress.notes;
+  state.feedback = progress.feedback;
+  state.answerTimes = progress.answerTimes;
+  state.currentQuestion = null;
+  state.currentSubQuestion = null;
+  saveLastExamId(examId);
+  populateVariantSelect(exam);
+  
+  try {
+    const parsed = await getParsedExam(exam);
+    state.examInfo = parsed.examInfo;
+    state.examCode = parsed.examCode;
+    state.questions = parsed.questions;
+    
+    renderExamCode();
+    clearAnswerPanel();
+    renderPaperTotal();
+    restoreMockExam(progress.mock);
+    
+    // The topic list spans every paper, so it stays put while exams change under it
+    if (state.listMode === 'paper') {
+      renderQuestionList();
+      restoreLastSubQuestion(progress.lastKey);
+    }
+    updateRoute();
+  } catch (err) {
+    console.error('Failed to load exam:', err);
+  }
+}
+
+// Parsed papers by exam id, shared by the exam view and cross-paper features
+const parsedExamCache = new Map();
+
+// Written by `node tools/preprocess.js`; papers without one are parsed here instead
+const PREBUILT_EXAMS_DIR = 'parsed';
+
+async function getParsedExam(exam) {
+  if (!parsedExamCache.has(exam.id)) {
+    const parsing = loadPrebuiltExam(exam).then(prebuilt => prebuilt || Promise.all([
+      fetch(exam.questionPath).then(r => r.text()),
+      fetch(exam.markSchemePath).then(r => r.text()),
+    ]).then(([qpText, msText]) => parseExam(qpText, msText)));
+    
+    // Drop failed loads so they can be retried
+    parsing.catch(() => parsedExamCache.delete(exam.id));
+    parsedExamCache.set(exam.id, parsing);
+  }
+  return parsedExamCache.get(exam.id);
+}
+
+// The prebuilt parse of a paper, or null when there is none or it came from another parser version
+async function loadPrebuiltExam(exam) {
+  try {
+    const res = await fetch(`${PREBUILT_EXAMS_DIR}/${exam.id}.json`);
+    if (!res.ok) return null;
+    const prebuilt = await res.json();
+    if (prebuilt.parserVersion !== PARSER_VERSION) return null;
+    return { examInfo: prebuilt.examInfo, examCode: prebuilt.examCode, questions: prebuilt.questions };
+  } catch (err) {
+    return null;
+  }
 }
 
-function parseSubQuestions(text, isMarkScheme) {
-  const lines = text.split(/\r?\n/);
-  const subs = [];
-  let current = null;
-  
-  const subPattern = /^\(([a-z])\)\s*/i;
-  const marksPattern = /\[(\d+)(?:\s*max)?\]/;
-  
-  for (const line of lines) {
-    const match = line.match(subPattern);
-    if (match) {
-      if (current) subs.push(current);
-      current = { letter: match[1].toLowerCase(), lines: [line.replace(subPattern, '').trim()] };
-    } else if (current) {
-      current.lines.push(line);
-    }
+// ============== RENDERING ==============
+function renderQuestionList() {
+  if (state.listMode === 'topic') {
+    return renderTopicList();
   }
   
-  if (current) subs.push(current);
+  const container = document.getElementById('questionList');
+  container.innerHTML = '';
   
-  return subs.map(sub => {
-    const fullText = sub.lines.join('\n').trim();
-    const marksMatch = fullText.match(marksPattern);
-    return {
-      letter: sub.letter,
-      text: fullText,
-      marks: marksMatch ? parseInt(marksMatch[1], 10) : null,
-    };
+  state.questions.forEach(q => {
+    const questionDiv = createQuestionItem(`Q${q.number}`, q, q.subQuestions, (sub, subBtn) => {
+      selectSubQuestion(q, sub, subBtn);
+    });
+    container.appendChild(questionDiv);
   });
 }
 
-function detectCodingQuestion(text) {
-  const codingKeywords = [
-    /\bconstruct\b.*\b(code|method|class)\b/i,
-    /\bwrite\b.*\b(code|method)\b/i,
-    /\bcreate\b.*\bmethod\b/i,
-    /\bimplement\b/i,
-  ];
-  return codingKeywords.some(re => re.test(text));
+function createQuestionItem(title, q, subQuestions, onSelect) {
+  const questionDiv = document.createElement('div');
+  questionDiv.className = 'question-item';
+  
+  const header = document.createElement('button');
+  header.className = 'question-header';
+  header.innerHTML = `
+    <span class="q-number">${escapeHtml(title)}</span>
+    <span class="q-expand">▶</span>
+  `;
+  header.addEventListener('click', () => toggleQuestionExpand(questionDiv, q));
+  
+  const subContainer = document.createElement('div');
+  subContainer.className = 'sub-questions hidden';
+  
+  subQuestions.forEach(sub => {
+    const subBtn = document.createElement('button');
+    subBtn.className = 'sub-question-btn';
+    subBtn.dataset.key = getAnswerKey(q, sub);
+    subBtn.innerHTML = `
+      <span class="sub-letter">${sub.label}</span>
+      <span class="sub-preview">${truncate(sub.text, 50)}</span>
+      ${sub.marks ? `<span class="sub-marks">[${sub.marks}]</span>` : ''}
+      ${sub.isCoding ? '<span class="code-badge">CODE</span>' : ''}
+    `;
+    subBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onSelect(sub, subBtn);
+    });
+    subContainer.appendChild(subBtn);
+  });
+  
+  questionDiv.appendChild(header);
+  questionDiv.appendChild(subContainer);
+  return questionDiv;
 }
 
-function extractStarterCode(questionText, examCode) {
-  // For accessor methods like getBrandModel()
-  const accessorMatch = questionText.match(/accessor\s+method\s+(\w+)\s*\(\)/i) ||
-                        questionText.match(/method\s+(get\w+)\s*\(\)/i);
-  if (accessorMatch) {
-    const methodName = accessorMatch[1];
-    // Don't provide return type - student should figure it out
-    return `// Write your ${methodName}() method below\n\n`;
-  }
+// ============== TOPIC MODE ==============
+function setListMode(mode) {
+  if (mode === state.listMode) return Promise.resolve();
+  state.listMode = mode;
   
-  // For mutator methods like setX()
-  const mutatorMatch = questionText.match(/mutator\s+method\s+(\w+)\s*\(/i) ||
-                       questionText.match(/method\s+(set\w+)\s*\(/i);
-  if (mutatorMatch) {
-    const methodName = mutatorMatch[1];
-    return `// Write your ${methodName}() method below\n\n`;
-  }
+  document.querySelectorAll('.list-mode-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+  document.getElementById('topicSelect').classList.toggle('hidden', mode !== 'topic');
   
-  // For general methods like findBrandModels()
-  const methodMatch = questionText.match(/method\s+(\w+)\s*\(\)/i);
-  if (methodMatch) {
-    const methodName = methodMatch[1];
-    return `// Write your ${methodName}() method below\n\n`;
+  if (mode === 'topic' && !state.currentTopic) {
+    state.currentTopic = TOPICS[0].id;
   }
   
-  // Check if it's asking for a class with extends
-  const extendsMatch = questionText.match(/class\s+(\w+).*extends/i);
-  if (extendsMatch) {
-    const className = extendsMatch[1];
-    return `// Write the ${className} class below\n\n`;
-  }
+  const rendering = renderQuestionList();
   
-  // Check if it's asking for a class
-  const classMatch = questionText.match(/class\s+(\w+)/i);
-  if (classMatch) {
-    const className = classMatch[1];
-    return `// Write the ${className} class below\n\n`;
+  // Back in paper mode, re-highlight whatever is open in the answer panel
+  if (mode === 'paper' && state.currentSubQuestion) {
+    const key = getAnswerKey(state.currentQuestion, state.currentSubQuestion);
+    const btn = document.querySelector(`.sub-question-btn[data-key="${key}"]`);
+    if (btn) {
+      toggleQuestionExpand(btn.closest('.question-item'), state.currentQuestion);
+      btn.classList.add('active');
+    }
   }
   
-  // Generic coding question
-  return '// Write your code below\n\n';
+  return Promise.resolve(rendering);
 }
 
-// ============== RENDERING ==============
-function renderQuestionList() {
+// Every paper, variants included. Variants repeat most of their session's questions,
+// so cross-paper lists skip the sub-questions isListedBefore() reports.
+async function loadAllParsedExams() {
+  return Promise.all(state.exams.map(async exam => {
+    try {
+      return { exam, parsed: await getParsedExam(exam) };
+    } catch (err) {
+      console.error(`Failed to load ${exam.id}:`, err);
+      return { exam, parsed: null };
+    }
+  }));
+}
+
+// True when an earlier paper of the same session already listed this sub-question.
+// Papers come in manifest order, so the main paper's copy is the one kept, and a
+// variant only adds the parts the main paper's text doesn't give.
+function createSessionListing() {
+  const listed = new Set();
+  return (exam, sub) => {
+    const id = `${exam.sessionId}:${sub.key}`;
+    if (listed.has(id)) return true;
+    listed.add(id);
+    return false;
+  };
+}
+
+async function renderTopicList() {
   const container = document.getElementById('questionList');
+  const topic = state.currentTopic;
+  container.innerHTML = '<p class="placeholder-text">Loading every paper…</p>';
+  
+  const papers = await loadAllParsedExams();
+  
+  // Bail out if the student moved on while papers were loading
+  if (state.listMode !== 'topic' || state.currentTopic !== topic) return;
+  
+  renderTopicOptions(papers);
   container.innerHTML = '';
   
-  state.questions.forEach(q => {
-    const questionDiv = document.createElement('div');
-    questionDiv.className = 'question-item';
-    
-    const header = document.createElement('button');
-    header.className = 'question-header';
-    header.innerHTML = `
-      <span class="q-number">Q${q.number}</span>
-      <span class="q-expand">▶</span>
-    `;
-    header.addEventListener('click', () => toggleQuestionExpand(questionDiv, q));
-    
-    const subContainer = document.createElement('div');
-    subContainer.className = 'sub-questions hidden';
+  let count = 0;
+  const isListedBefore = createSessionListing();
+  papers.forEach(({ exam, parsed }) => {
+    if (!parsed) return;
     
-    q.subQuestions.forEach(sub => {
-      const subBtn = document.createElement('button');
-      subBtn.className = 'sub-question-btn';
-      subBtn.innerHTML = `
-        <span class="sub-letter">(${sub.letter})</span>
-        <span class="sub-preview">${truncate(sub.text, 50)}</span>
-        ${sub.marks ? `<span class="sub-marks">[${sub.marks}]</span>` : ''}
-        ${sub.isCoding ? '<span class="code-badge">CODE</span>' : ''}
-      `;
-      subBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        selectSubQuestion(q, sub, subBtn);
+    parsed.questions.forEach(q => {
+      const matches = q.subQuestions.filter(sub => sub.topics.includes(topic) && !isListedBefore(exam, sub));
+      if (matches.length === 0) return;
+      
+      count += matches.length;
+      const questionDiv = createQuestionItem(`${exam.level} ${exam.label} · Q${q.number}`, q, matches, (sub, subBtn) => {
+        openTopicSubQuestion(exam, sub.key, subBtn);
       });
-      subContainer.appendChild(subBtn);
+      questionDiv.querySelectorAll('.sub-question-btn').forEach(btn => {
+        btn.dataset.examId = exam.id;
+      });
+      container.appendChild(questionDiv);
     });
-    
-    questionDiv.appendChild(header);
-    questionDiv.appendChild(subContainer);
-    container.appendChild(questionDiv);
   });
+  
+  if (count === 0) {
+    container.innerHTML = '<p class="placeholder-text">No sub-questions tagged with this topic.</p>';
+  }
+}
+
+function renderTopicOptions(papers) {
+  const select = document.getElementById('topicSelect');
+  
+  const counts = {};
+  const listed = new Set();
+  papers.forEach(({ exam, parsed }) => {
+    parsed?.questions.forEach(q => q.subQuestions.forEach(sub => {
+      sub.topics.forEach(id => {
+        const listing = `${id}:${exam.sessionId}:${sub.key}`;
+        if (listed.has(listing)) return;
+        listed.add(listing);
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    }));
+  });
+  
+  select.innerHTML = TOPICS.map(topic =>
+    `<option value="${topic.id}">${escapeHtml(topic.label)} (${counts[topic.id] || 0})</option>`
+  ).join('');
+  select.value = state.currentTopic;
+}
+
+async function openTopicSubQuestion(exam, key, btnElement) {
+  if (state.currentExamId !== exam.id) {
+    // Mock exams are locked to one paper
+    if (state.mock.status !== 'idle') return;
+    await selectExam(exam);
+  }
+  
+  const question = state.questions.find(q => q.subQuestions.some(s => s.key === key));
+  const sub = question?.subQuestions.find(s => s.key === key);
+  if (sub) selectSubQuestion(question, sub, btnElement);
 }
 
 function toggleQuestionExpand(questionDiv, q) {
@@ -854,14 +4044,29 @@ function toggleQuestionExpand(questionDiv, q) {
 
 function selectSubQuestion(question, subQuestion, btnElement) {
   saveCurrentAnswer();
+  trackMockTime(getAnswerKey(question, subQuestion));
   
   state.currentQuestion = question;
   state.currentSubQuestion = subQuestion;
   
   document.querySelectorAll('.sub-question-btn').forEach(btn => btn.classList.remove('active'));
-  btnElement.classList.add('active');
+  btnElement?.classList.add('active');
   
   renderAnswerPanel();
+  persistProgress();
+  updateRoute();
+}
+
+function restoreLastSubQuestion(key) {
+  if (!key) return;
+  
+  const btn = document.querySelector(`.sub-question-btn[data-key="${key}"]`);
+  const question = state.questions.find(q => q.subQuestions.some(sub => getAnswerKey(q, sub) === key));
+  if (!btn || !question) return;
+  
+  const sub = question.subQuestions.find(s => getAnswerKey(question, s) === key);
+  toggleQuestionExpand(btn.closest('.question-item'), question);
+  selectSubQuestion(question, sub, btn);
 }
 
 function renderExamCode() {
@@ -877,6 +4082,7 @@ function renderCodeTabs() {
   tabsContainer.innerHTML = '';
   contentContainer.innerHTML = '';
   classEditors = {};
+  scratchpad = null;
   
   const info = state.examInfo;
   
@@ -903,6 +4109,14 @@ function renderCodeTabs() {
     });
   });
   
+  if (info.classes.length > 0 || info.umlDiagrams.length > 0) {
+    tabs.push({
+      id: 'scratchpad',
+      label: '✏️ Scratchpad',
+      type: 'scratchpad'
+    });
+  }
+  
   // If no tabs, show message
   if (tabs.length === 0) {
     contentContainer.innerHTML = `
@@ -933,6 +4147,8 @@ function renderCodeTabs() {
       pane.innerHTML = renderInfoTabContent();
     } else if (tab.type === 'class') {
       pane.innerHTML = renderClassTabContent(tab);
+    } else if (tab.type === 'scratchpad') {
+      pane.innerHTML = renderScratchpadTabContent();
     }
     
     contentContainer.appendChild(pane);
@@ -954,6 +4170,10 @@ function renderCodeTabs() {
     }
   });
   
+  if (tabs.some(t => t.type === 'scratchpad')) initScratchpad();
+  stopTreeAnimation();
+  if (state.examInfo.treeData.length > 0) initTreeVisualiser();
+  
   // Refresh active editor
   setTimeout(() => {
     const activeTab = tabs[0];
@@ -999,10 +4219,7 @@ function renderInfoTabContent() {
     html += `<div class="info-section">
       <div class="info-section-title">📐 UML Class Diagrams</div>`;
     
-    info.umlDiagrams.forEach(uml => {
-      html += renderUMLDiagram(uml);
-    });
-    
+    html += renderUMLDiagram(info.umlDiagrams, info.umlRelationships);
     html += '</div>';
   }
   
@@ -1018,6 +4235,14 @@ function renderInfoTabContent() {
     html += '</div>';
   }
   
+  // Keys for a binary tree, filled in by initTreeVisualiser()
+  if (info.treeData.length > 0) {
+    html += `<div class="info-section">
+      <div class="info-section-title">🌳 Binary Search Tree</div>
+      <div id="treeVisualiser" class="bst-visualiser"></div>
+    </div>`;
+  }
+  
   html += '</div>';
   return html;
 }
@@ -1030,58 +4255,216 @@ function formatScenarioText(text) {
     .join('');
 }
 
-function renderUMLDiagram(uml) {
-  let html = `<div class="uml-diagram">
-    <div class="uml-class-header">${escapeHtml(uml.name)}</div>`;
+const UML_CHAR_WIDTH = 7.2;
+const UML_LINE_HEIGHT = 18;
+const UML_PADDING = 10;
+const UML_GAP = { x: 60, y: 70 };
+const UML_MAX_ROW_WIDTH = 760;
+
+// All classes in one SVG class diagram: superclasses above their subclasses,
+// associations drawn from the attribute's class to the class it refers to
+function renderUMLDiagram(diagrams, relationships) {
+  const boxes = layoutUMLBoxes(diagrams);
+  const width = Math.max(...boxes.map(box => box.x + box.width)) + UML_PADDING;
+  const height = Math.max(...boxes.map(box => box.y + box.height)) + UML_PADDING;
+  const byName = new Map(boxes.map(box => [box.uml.name, box]));
+  
+  let svg = `<svg class="uml-svg" viewBox="0 0 ${width} ${height}" width="${width}" role="img" aria-label="UML class diagram">
+    <defs>
+      <marker id="uml-inherits" viewBox="0 0 12 12" refX="12" refY="6" markerWidth="12" markerHeight="12" orient="auto-start-reverse">
+        <path d="M0,0 L12,6 L0,12 Z" class="uml-arrowhead-hollow"/>
+      </marker>
+      <marker id="uml-navigates" viewBox="0 0 12 12" refX="12" refY="6" markerWidth="10" markerHeight="10" orient="auto-start-reverse">
+        <path d="M0,0 L12,6 L0,12" class="uml-arrowhead-open"/>
+      </marker>
+    </defs>`;
+  
+  boxes.forEach(box => {
+    svg += renderUMLBox(box);
+  });
   
-  // Attributes section
-  if (uml.attributes && uml.attributes.length > 0) {
-    html += `<div class="uml-section">
-      <div class="uml-section-label">Attributes</div>`;
+  relationships.forEach(rel => {
+    const from = byName.get(rel.from);
+    const to = byName.get(rel.to);
+    if (!from || !to) return;
     
-    uml.attributes.forEach(attr => {
-      const vis = attr.visibility === 'private' ? '-' : '+';
-      html += `<div class="uml-attr"><span class="visibility">${vis}</span> ${escapeHtml(attr.name)}: ${escapeHtml(attr.type)}</div>`;
-    });
+    const start = umlBoxEdgePoint(from, to);
+    const end = umlBoxEdgePoint(to, from);
+    const marker = rel.kind === 'inheritance' ? 'uml-inherits' : 'uml-navigates';
+    svg += `<line class="uml-edge uml-edge-${rel.kind}" x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" marker-end="url(#${marker})"/>`;
     
-    html += '</div>';
-  }
+    // Role name on one side of the line and multiplicity on the other, next to the arrowhead
+    if (rel.kind === 'association') {
+      const length = Math.hypot(start.x - end.x, start.y - end.y) || 1;
+      const along = { x: (start.x - end.x) / length, y: (start.y - end.y) / length };
+      const across = { x: -along.y, y: along.x };
+      const at = (distance, side) => `x="${Math.round(end.x + along.x * distance + across.x * side)}" y="${Math.round(end.y + along.y * distance + across.y * side + 4)}"`;
+      svg += `<text class="uml-edge-label" ${at(34, -10)} text-anchor="middle">${escapeHtml(rel.label)}</text>`;
+      svg += `<text class="uml-edge-label" ${at(22, 10)} text-anchor="middle">${escapeHtml(rel.multiplicity)}</text>`;
+    }
+  });
   
-  // Methods section
-  if (uml.methods && uml.methods.length > 0) {
-    html += `<div class="uml-section">
-      <div class="uml-section-label">Methods</div>`;
-    
-    uml.methods.forEach(method => {
-      html += `<div class="uml-method"><span class="visibility">+</span> ${escapeHtml(method)}</div>`;
-    });
-    
-    html += '</div>';
-  }
+  svg += '</svg>';
   
-  // Example data
-  if (uml.exampleData && uml.exampleData.length > 0) {
+  let html = `<div class="uml-diagram">${svg}</div>`;
+  
+  diagrams.filter(uml => uml.exampleData.length > 0).forEach(uml => {
     html += `<div class="example-object">
       <div class="example-title">Example ${escapeHtml(uml.name)} Object</div>
       <div class="example-values">${uml.exampleData.map(d => escapeHtml(d)).join('<br>')}</div>
     </div>`;
-  }
+  });
   
-  html += '</div>';
   return html;
 }
 
+// Text lines of a class box, by compartment
+function umlBoxLines(uml) {
+  const visibility = { private: '-', public: '+', protected: '#', package: '~' };
+  const attributes = uml.attributes.map(attr => ({
+    text: `${visibility[attr.visibility]} ${attr.name}: ${attr.type}`,
+    isStatic: attr.isStatic,
+  }));
+  if (uml.moreAttributes) attributes.push({ text: '< … more attributes >', isNote: true });
+  
+  const methods = uml.methods.map(method => {
+    const params = method.params.map(p => `${p.name}: ${p.type}`).join(', ');
+    const name = method.isConstructor && method.params.length === 0 ? 'constructor' : `${method.name}(${params})`;
+    return {
+      text: `${visibility[method.visibility]} ${name}${method.returnType ? `: ${method.returnType}` : ''}`,
+      isStatic: method.isStatic,
+      isAbstract: method.isAbstract,
+    };
+  });
+  if (uml.hasAccessors || uml.hasMutators) {
+    const kinds = [uml.hasAccessors && 'accessor', uml.hasMutators && 'mutator'].filter(Boolean).join(' and ');
+    methods.push({ text: `+ ${kinds} methods` });
+  }
+  if (uml.moreMethods) methods.push({ text: '< … more methods >', isNote: true });
+  
+  return { attributes, methods };
+}
+
+function layoutUMLBoxes(diagrams) {
+  const byName = new Map(diagrams.map(uml => [uml.name, uml]));
+  const depth = uml => {
+    const seen = new Set();
+    let level = 0;
+    while (uml.superName && byName.has(uml.superName) && !seen.has(uml.name)) {
+      seen.add(uml.name);
+      uml = byName.get(uml.superName);
+      level++;
+    }
+    return level;
+  };
+  
+  const boxes = diagrams.map(uml => {
+    const lines = umlBoxLines(uml);
+    const headerLines = uml.isAbstract ? 2 : 1;
+    const longest = Math.max(uml.name.length + 4, ...[...lines.attributes, ...lines.methods].map(l => l.text.length));
+    return {
+      uml,
+      lines,
+      level: depth(uml),
+      width: Math.max(120, Math.round(longest * UML_CHAR_WIDTH + UML_PADDING * 2)),
+      headerHeight: headerLines * UML_LINE_HEIGHT + UML_PADDING,
+      attributesHeight: Math.max(1, lines.attributes.length) * UML_LINE_HEIGHT + UML_PADDING,
+      methodsHeight: Math.max(1, lines.methods.length) * UML_LINE_HEIGHT + UML_PADDING,
+    };
+  });
+  boxes.forEach(box => {
+    box.height = box.headerHeight + box.attributesHeight + box.methodsHeight;
+  });
+  
+  // One or more rows per inheritance level, wrapped to keep the diagram readable in the panel
+  const rows = [];
+  [...new Set(boxes.map(box => box.level))].sort((a, b) => a - b).forEach(level => {
+    let row = [];
+    boxes.filter(box => box.level === level).forEach(box => {
+      const rowWidth = row.reduce((sum, b) => sum + b.width + UML_GAP.x, 0);
+      if (row.length > 0 && rowWidth + box.width > UML_MAX_ROW_WIDTH) {
+        rows.push(row);
+        row = [];
+      }
+      row.push(box);
+    });
+    rows.push(row);
+  });
+  
+  const rowWidths = rows.map(row => row.reduce((sum, box) => sum + box.width, 0) + UML_GAP.x * (row.length - 1));
+  const totalWidth = Math.max(...rowWidths);
+  let y = UML_PADDING;
+  rows.forEach((row, r) => {
+    let x = UML_PADDING + (totalWidth - rowWidths[r]) / 2;
+    row.forEach(box => {
+      box.x = Math.round(x);
+      box.y = y;
+      x += box.width + UML_GAP.x;
+    });
+    y += Math.max(...row.map(box => box.height)) + UML_GAP.y;
+  });
+  
+  return boxes;
+}
+
+// Where the line from the centre of one box towards another leaves the box
+function umlBoxEdgePoint(box, toward) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = toward.x + toward.width / 2 - cx;
+  const dy = toward.y + toward.height / 2 - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+  
+  const scale = Math.min(
+    dx !== 0 ? (box.width / 2) / Math.abs(dx) : Infinity,
+    dy !== 0 ? (box.height / 2) / Math.abs(dy) : Infinity
+  );
+  return { x: Math.round(cx + dx * scale), y: Math.round(cy + dy * scale) };
+}
+
+function renderUMLBox(box) {
+  const { uml, lines, x, y, width } = box;
+  const textX = x + UML_PADDING;
+  let svg = `<g class="uml-class">`;
+  svg += `<rect class="uml-box" x="${x}" y="${y}" width="${width}" height="${box.height}" rx="4"/>`;
+  svg += `<rect class="uml-box-header" x="${x}" y="${y}" width="${width}" height="${box.headerHeight}" rx="4"/>`;
+  
+  let lineY = y + UML_PADDING / 2 + UML_LINE_HEIGHT - 4;
+  if (uml.isAbstract) {
+    svg += `<text class="uml-stereotype" x="${x + width / 2}" y="${lineY}" text-anchor="middle">«abstract»</text>`;
+    lineY += UML_LINE_HEIGHT;
+  }
+  svg += `<text class="uml-name${uml.isAbstract ? ' uml-abstract' : ''}" x="${x + width / 2}" y="${lineY}" text-anchor="middle">${escapeHtml(uml.name)}</text>`;
+  
+  let top = y + box.headerHeight;
+  [[lines.attributes, box.attributesHeight], [lines.methods, box.methodsHeight]].forEach(([compartment, height]) => {
+    svg += `<line class="uml-divider" x1="${x}" y1="${top}" x2="${x + width}" y2="${top}"/>`;
+    compartment.forEach((line, i) => {
+      const classes = ['uml-member', line.isStatic && 'uml-static', line.isAbstract && 'uml-abstract', line.isNote && 'uml-note'].filter(Boolean).join(' ');
+      svg += `<text class="${classes}" x="${textX}" y="${top + UML_PADDING / 2 + (i + 1) * UML_LINE_HEIGHT - 4}">${escapeHtml(line.text)}</text>`;
+    });
+    top += height;
+  });
+  
+  svg += '</g>';
+  return svg;
+}
+
 function renderDataTable(table) {
   let html = `<div class="info-section">
     <div class="info-section-title" style="font-size: 12px; border: none; margin-bottom: 8px;">${escapeHtml(table.title)}</div>
-    <table class="data-table">
-      <thead><tr>`;
+    <table class="data-table">`;
   
-  table.headers.forEach(h => {
-    html += `<th>${escapeHtml(h)}</th>`;
-  });
+  // Definition lists ("Gold: 50 000 or more") have no header row
+  if (table.headers.length > 0) {
+    html += '<thead><tr>';
+    table.headers.forEach(h => {
+      html += `<th>${escapeHtml(h)}</th>`;
+    });
+    html += '</tr></thead>';
+  }
   
-  html += '</tr></thead><tbody>';
+  html += '<tbody>';
   
   table.rows.forEach(row => {
     html += '<tr>';
@@ -1118,12 +4501,13 @@ function renderAnswerPanel() {
   const q = state.currentQuestion;
   if (!sub || !q) return;
   
-  const key = `${q.number}-${sub.letter}`;
+  const key = getAnswerKey(q, sub);
   
-  document.getElementById('answerTitle').textContent = `Question ${q.number}(${sub.letter})`;
+  document.getElementById('answerTitle').textContent = `Question ${q.number}${sub.label}`;
   
   document.getElementById('questionDisplay').innerHTML = `
     <div class="question-text-display">
+      ${sub.stem ? `<p class="question-stem">${escapeHtml(sub.stem).replace(/\n/g, '<br>')}</p>` : ''}
       <p>${escapeHtml(sub.text).replace(/\n/g, '<br>')}</p>
     </div>
   `;
@@ -1132,6 +4516,24 @@ function renderAnswerPanel() {
   
   const textWrap = document.getElementById('textAnswerWrap');
   const codeWrap = document.getElementById('codeAnswerWrap');
+  const treeWrap = document.getElementById('treeAnswerWrap');
+  const diagramWrap = document.getElementById('diagramAnswerWrap');
+  const traceWrap = document.getElementById('traceAnswerWrap');
+  const runBtn = document.getElementById('runCodeBtn');
+  
+  // No compiler in the real exam, so the runner stays off during a mock
+  runBtn.classList.toggle('hidden', !sub.isCoding);
+  document.getElementById('addToScratchpadBtn').classList.toggle('hidden', !sub.isCoding || !scratchpad);
+  runBtn.disabled = state.mock.status === 'running';
+  clearAnswerDiagnostics();
+  hideRunnerConsole();
+  
+  treeWrap.classList.toggle('hidden', !sub.isTreeDrawing);
+  diagramWrap.classList.toggle('hidden', !sub.isDiagram);
+  traceWrap.classList.toggle('hidden', !sub.isTrace);
+  treeAnswerEditor = null;
+  diagramAnswerEditor = null;
+  traceAnswerEditor = null;
   
   if (sub.isCoding) {
     textWrap.classList.add('hidden');
@@ -1140,11 +4542,18 @@ function renderAnswerPanel() {
     const savedAnswer = state.answers[key] ?? sub.starterCode ?? '// Write your code here\n\n';
     codeAnswerEditor.setValue(savedAnswer);
     setTimeout(() => codeAnswerEditor.refresh(), 10);
-    
-    codeAnswerEditor.off('change');
-    codeAnswerEditor.on('change', () => {
-      state.answers[key] = codeAnswerEditor.getValue();
-    });
+  } else if (sub.isTreeDrawing) {
+    textWrap.classList.add('hidden');
+    codeWrap.classList.add('hidden');
+    renderTreeAnswer(sub, key);
+  } else if (sub.isDiagram) {
+    textWrap.classList.add('hidden');
+    codeWrap.classList.add('hidden');
+    renderDiagramAnswer(sub, key);
+  } else if (sub.isTrace) {
+    textWrap.classList.add('hidden');
+    codeWrap.classList.add('hidden');
+    renderTraceAnswer(q, sub, key);
   } else {
     textWrap.classList.remove('hidden');
     codeWrap.classList.add('hidden');
@@ -1152,23 +4561,190 @@ function renderAnswerPanel() {
     const textArea = document.getElementById('textAnswer');
     textArea.value = state.answers[key] || '';
     textArea.oninput = () => {
-      state.answers[key] = textArea.value;
+      setAnswer(key, textArea.value);
+      persistProgress();
+      updateAutoMark(sub, key);
     };
   }
   
+  runStaticChecks();
+  
   // Show mark scheme section but keep it hidden by default
   const msSection = document.getElementById('markSchemeSection');
   msSection.classList.remove('hidden');
   
-  // ALWAYS hide mark scheme content by default
-  document.getElementById('markSchemeContent').classList.add('hidden');
-  document.getElementById('revealMS').innerHTML = '<span class="reveal-icon">▶</span> Click to Reveal Mark Scheme';
+  // Keep mark scheme hidden unless the student already revealed it
+  setMarkSchemeVisible(!!state.revealed[key]);
   
   document.getElementById('marksAvailable').textContent = sub.marks ? `${sub.marks} marks` : '';
+  renderMarkingChecklist(sub, key);
+  renderTeacherFeedback(sub, key);
+  
+  const notesArea = document.getElementById('answerNotes');
+  notesArea.value = state.notes[key] || '';
+  notesArea.oninput = () => {
+    if (notesArea.value.trim()) {
+      state.notes[key] = notesArea.value;
+    } else {
+      delete state.notes[key];
+    }
+    persistProgress();
+  };
   document.getElementById('markSchemeText').innerHTML = formatMarkScheme(sub.markScheme);
   document.getElementById('guidanceText').innerHTML = generateGuidance(sub);
 }
 
+function renderMarkingChecklist(sub, key) {
+  const container = document.getElementById('markChecklist');
+  const { max, points, notes } = sub.markingPoints;
+  
+  if (points.length === 0) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const checked = new Set(state.scores[key]?.checked || []);
+  
+  let html = `<div class="checklist-header">
+      <span>Self-mark your answer</span>
+      <span id="checklistScore" class="checklist-score"></span>
+    </div>
+    <div id="autoMark" class="auto-mark hidden">
+      <span id="autoMarkText"></span>
+      <button id="applyAutoMark" class="small-btn">Tick matched points</button>
+    </div>`;
+  
+  points.forEach((point, idx) => {
+    const text = point.alternatives.map(alt => escapeHtml(alt)).join('<span class="ms-alt"> / </span>');
+    html += `<label class="checklist-point" data-index="${idx}">
+        <input type="checkbox" data-index="${idx}" ${checked.has(idx) ? 'checked' : ''}>
+        <span class="point-text">${text}</span>
+        ${point.marks > 1 ? `<span class="sub-marks">[${point.marks}]</span>` : ''}
+      </label>`;
+  });
+  
+  notes.forEach(note => {
+    html += `<div class="checklist-note">${escapeHtml(note)}</div>`;
+  });
+  
+  container.innerHTML = html;
+  container.classList.remove('hidden');
+  
+  const saveTicks = () => {
+    const ticked = [...container.querySelectorAll('input:checked')].map(b => parseInt(b.dataset.index, 10));
+    state.scores[key] = { checked: ticked, score: calculateScore(sub.markingPoints, ticked) };
+    updateChecklistScore(sub, key);
+    renderPaperTotal();
+    persistProgress();
+  };
+  
+  container.querySelectorAll('input[type="checkbox"]').forEach(box => {
+    box.addEventListener('change', saveTicks);
+  });
+  
+  document.getElementById('applyAutoMark').addEventListener('click', () => {
+    container.querySelectorAll('.checklist-point.auto-matched input').forEach(box => { box.checked = true; });
+    saveTicks();
+  });
+  
+  updateChecklistScore(sub, key);
+  updateAutoMark(sub, key);
+}
+
+// Marking returned by a teacher through review mode, shown alongside the student's own
+function renderTeacherFeedback(sub, key) {
+  const container = document.getElementById('teacherFeedback');
+  const feedback = state.feedback[key];
+  
+  if (!feedback) {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const max = sub.markingPoints.max || sub.marks;
+  const awarded = (feedback.awarded || [])
+    .map(idx => sub.markingPoints.points[idx])
+    .filter(Boolean)
+    .map(point => `<li>${escapeHtml(point.text)}</li>`)
+    .join('');
+  
+  container.innerHTML = `
+    <div class="teacher-feedback-header">
+      <h4>🧑‍🏫 Teacher's mark</h4>
+      <span class="marks-badge">${max ? `${feedback.score} / ${max}` : feedback.score}</span>
+    </div>
+    ${awarded ? `<ul class="teacher-feedback-points">${awarded}</ul>` : ''}
+    ${feedback.comment ? `<p class="teacher-feedback-comment">${formatMultiline(feedback.comment)}</p>` : ''}
+  `;
+  container.classList.remove('hidden');
+}
+
+// Keyword marking only makes sense for prose, not code or drawings
+function isProseAnswer(sub) {
+  return !sub.isCoding && !sub.isTreeDrawing && !sub.isDiagram && !sub.isTrace;
+}
+
+// Provisional marking of written answers (marker.js); the student's ticks stay the mark
+function updateAutoMark(sub, key) {
+  const panel = document.getElementById('autoMark');
+  if (!panel) return;
+  
+  const result = isProseAnswer(sub) ? markWrittenAnswer(state.answers[key], sub.markingPoints) : null;
+  panel.classList.toggle('hidden', !result);
+  
+  document.querySelectorAll('#markChecklist .checklist-point').forEach(label => {
+    const status = result?.points[label.dataset.index].status;
+    label.classList.toggle('auto-matched', status === 'matched');
+    label.classList.toggle('auto-missed', status === 'missed');
+    label.title = status === 'matched' ? 'Your answer seems to make this point'
+      : status === 'missed' ? 'Your answer doesn\'t seem to make this point' : '';
+  });
+  
+  if (result) {
+    document.getElementById('autoMarkText').textContent =
+      `Provisional mark: ${result.score} / ${result.max} — matched by keywords, so check it against the points below`;
+  }
+}
+
+function calculateScore(markingPoints, checkedIndexes) {
+  const raw = checkedIndexes.reduce((sum, idx) => sum + (markingPoints.points[idx]?.marks || 0), 0);
+  return markingPoints.max ? Math.min(raw, markingPoints.max) : raw;
+}
+
+function updateChecklistScore(sub, key) {
+  const score = state.scores[key]?.score || 0;
+  const max = sub.markingPoints.max || sub.marks;
+  document.getElementById('checklistScore').textContent = max ? `${score} / ${max}` : `${score}`;
+}
+
+function renderPaperTotal() {
+  const el = document.getElementById('paperTotal');
+  const available = getPaperMarks();
+  
+  if (!available) {
+    el.classList.add('hidden');
+    return;
+  }
+  
+  let earned = 0;
+  let marked = 0;
+  state.questions.forEach(q => {
+    q.subQuestions.forEach(sub => {
+      const entry = state.scores[getAnswerKey(q, sub)];
+      if (entry) {
+        earned += entry.score;
+        marked++;
+      }
+    });
+  });
+  
+  el.innerHTML = `<span>Paper total</span><strong>${earned} / ${available}</strong>`;
+  el.title = `${marked} sub-question${marked === 1 ? '' : 's'} self-marked`;
+  el.classList.remove('hidden');
+}
+
 function formatMarkScheme(text) {
   return escapeHtml(text)
     .replace(/Award \[(\d+)(?:\s*max)?\]/g, '<span class="award-tag">Award [$1 max]</span>')
@@ -1190,15 +4766,21 @@ function generateGuidance(sub) {
     tips.push('✓ "Explain" = give reasons');
   }
   
-  if (sub.text.toLowerCase().includes('inherit')) {
+  if (sub.topics.includes('inheritance')) {
     tips.push('💡 Inheritance: use "extends" keyword');
   }
-  if (sub.text.toLowerCase().includes('encapsul')) {
+  if (sub.topics.includes('encapsulation')) {
     tips.push('💡 Encapsulation: private fields + public getters/setters');
   }
-  if (sub.text.toLowerCase().includes('constructor')) {
+  if (sub.topics.includes('constructors')) {
     tips.push('💡 Constructor: same name as class, no return type');
   }
+  if (sub.topics.includes('recursion')) {
+    tips.push('💡 Recursion: identify the base case before the recursive call');
+  }
+  if (sub.topics.includes('linked-lists')) {
+    tips.push('💡 Linked lists: check for null before following a reference');
+  }
   
   return tips.map(t => `<div class="tip">${t}</div>`).join('');
 }
@@ -1215,19 +4797,176 @@ function clearAnswerPanel() {
 function saveCurrentAnswer() {
   if (!state.currentSubQuestion || !state.currentQuestion) return;
   
-  const key = `${state.currentQuestion.number}-${state.currentSubQuestion.letter}`;
+  const sub = state.currentSubQuestion;
+  const key = getAnswerKey(state.currentQuestion, sub);
   
-  if (state.currentSubQuestion.isCoding) {
-    state.answers[key] = codeAnswerEditor.getValue();
+  if (sub.isCoding) {
+    saveOpenedAnswer(sub, key, codeAnswerEditor.getValue());
+  } else if (sub.isTreeDrawing) {
+    if (treeAnswerEditor) saveOpenedAnswer(sub, key, formatTreeAnswer(treeAnswerEditor.getTree()));
+  } else if (sub.isDiagram || sub.isTrace) {
+    // Saved on every edit, so an answer typed before the part was drawn or tabled survives until then
   } else {
-    state.answers[key] = document.getElementById('textAnswer').value;
+    saveOpenedAnswer(sub, key, document.getElementById('textAnswer').value);
+  }
+}
+
+// Opening a part fills its editor with the unanswered state (nothing, or the starter
+// code). That only becomes an answer once the student changes it, so a part that was
+// just looked at doesn't count as answered or move "last practised".
+function saveOpenedAnswer(sub, key, value) {
+  if (!(key in state.answers) && !isAttempted(sub, value)) return;
+  setAnswer(key, value);
+}
+
+function setAnswer(key, value) {
+  if (state.answers[key] === value) return;
+  state.answers[key] = value;
+  state.answerTimes[key] = new Date().toISOString();
+}
+
+// ============== PERSISTENCE ==============
+const STORAGE_PREFIX = 'ibp2:';
+
+function getAnswerKey(question, sub) {
+  return sub.key || buildAnswerKey(question.number, sub.letter, sub.numeral);
+}
+
+function readStorage(key) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error('Failed to read saved progress:', err);
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error('Failed to save progress:', err);
+  }
+}
+
+function removeStorage(key) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch (err) {
+    console.error('Failed to clear saved progress:', err);
+  }
+}
+
+function loadProgress(examId) {
+  const saved = readStorage(`progress:${examId}`) || {};
+  return {
+    answers: saved.answers || {},
+    answerTimes: saved.answerTimes || {},
+    revealed: saved.revealed || {},
+    scores: saved.scores || {},
+    notes: saved.notes || {},
+    feedback: saved.feedback || {},
+    lastKey: saved.lastKey || null,
+    updatedAt: saved.updatedAt || null,
+    mock: saved.mock || null,
+  };
+}
+
+function saveProgress(examId, progress) {
+  writeStorage(`progress:${examId}`, progress);
+}
+
+function persistProgress() {
+  if (!state.currentExamId) return;
+  
+  const lastKey = state.currentSubQuestion ? getAnswerKey(state.currentQuestion, state.currentSubQuestion) : null;
+  
+  // Don't leave an empty entry behind for papers that were only browsed
+  if (!lastKey && !Object.keys(state.answers).length && !Object.keys(state.revealed).length &&
+      !Object.keys(state.scores).length && !Object.keys(state.notes).length &&
+      !Object.keys(state.feedback).length && state.mock.status === 'idle' &&
+      !readStorage(`progress:${state.currentExamId}`)) return;
+  
+  // "Last practised" moves when the work does, not when the paper is only browsed
+  const previous = loadProgress(state.currentExamId);
+  const changed = ['answers', 'scores', 'notes'].some(field => JSON.stringify(previous[field]) !== JSON.stringify(state[field]));
+  
+  saveProgress(state.currentExamId, {
+    answers: state.answers,
+    answerTimes: state.answerTimes,
+    revealed: state.revealed,
+    scores: state.scores,
+    notes: state.notes,
+    feedback: state.feedback,
+    lastKey,
+    updatedAt: changed ? new Date().toISOString() : previous.updatedAt,
+    mock: state.mock.status === 'idle' ? null : { status: state.mock.status, endsAt: state.mock.endsAt, timeSpent: getMockTimeSpent() },
+  });
+}
+
+function clearProgress(examId) {
+  removeStorage(`progress:${examId}`);
+}
+
+function listProgressExamIds() {
+  const prefix = `${STORAGE_PREFIX}progress:`;
+  const ids = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) ids.push(key.slice(prefix.length));
+    }
+  } catch (err) {
+    console.error('Failed to list saved progress:', err);
   }
+  return ids;
+}
+
+// Flashcard review state by card id: { reps, interval, ease, lapses, due, introduced, reviewedAt }
+function loadFlashcardSchedule() {
+  return readStorage('flashcards') || {};
+}
+
+function saveFlashcardSchedule(schedule) {
+  writeStorage('flashcards', schedule);
+}
+
+// Students loaded into teacher review for one paper, with the marking so far
+function loadReviewStudents(examId) {
+  return readStorage(`review:${examId}`)?.students || [];
+}
+
+function saveReviewStudents(examId, students) {
+  writeStorage(`review:${examId}`, { students });
+}
+
+function loadScratchpadFiles(examId) {
+  return readStorage(`scratchpad:${examId}`);
+}
+
+function saveScratchpadFiles(examId, workspace) {
+  writeStorage(`scratchpad:${examId}`, workspace);
+}
+
+function loadLastExamId() {
+  return readStorage('lastExam');
+}
+
+function saveLastExamId(examId) {
+  writeStorage('lastExam', examId);
 }
 
 // ============== UTILITIES ==============
-function truncate(text, len) {
-  const clean = text.replace(/\s+/g, ' ').trim();
-  return clean.length > len ? clean.slice(0, len) + '…' : clean;
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
 }
 
 function escapeHtml(str) {
@@ -1239,6 +4978,21 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+function downloadFile(fileName, content, mimeType) {
+  downloadBlob(fileName, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+}
+
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function copyToClipboard(text) {
   navigator.clipboard?.writeText(text).catch(err => console.error('Copy failed:', err));
 }
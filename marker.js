@@ -0,0 +1,195 @@
+// Provisional marking of written answers against mark scheme points.
+//
+// Compares the student's text with the points parseMarkingPoints() pulls out of
+// a mark scheme, following the IB conventions: "/" separates alternatives,
+// (bracketed) words are optional, and quoted "Accept …" answers widen a point
+// while "Do not accept …" ones narrow it. Words are compared by stem, and OOP
+// synonyms (attribute/property/field, method/behaviour, …) count as the same word.
+//
+// Loaded as a plain script before main.js. The score is only a hint; the
+// student's own ticks remain the mark. Nothing in here may touch the DOM.
+
+// Share of a point's words (or word alternatives) the answer needs to contain
+const MATCH_THRESHOLD = 0.6;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'as', 'into',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those', 'there',
+  'which', 'who', 'whom', 'what', 'when', 'where', 'so', 'such', 'than', 'then', 'can', 'could', 'will',
+  'would', 'may', 'might', 'should', 'must', 'has', 'have', 'had', 'do', 'does', 'did', 'not', 'no', 'also',
+  'their', 'they', 'them', 'one', 'some', 'any', 'each', 'other', 'only', 'very', 'etc', 'eg', 'ie', 'if',
+  'use', 'uses', 'used', 'using',
+]);
+
+// The first entry of each group is the one every other entry is marked as.
+// Only words a mark scheme would accept in each other's place: looser groups
+// ("private" for "security", "more" for "improve") hand out points for answers
+// that only share a topic with them.
+const OOP_SYNONYMS = [
+  ['attribute', 'property', 'field', 'instance variable', 'member variable', 'data member'],
+  ['method', 'behaviour', 'behavior', 'function', 'operation', 'procedure'],
+  ['object', 'instance'],
+  ['class', 'template', 'blueprint'],
+  ['superclass', 'parent class', 'super class', 'base class'],
+  ['subclass', 'child class', 'sub class', 'derived class'],
+  ['hide', 'hidden', 'conceal'],
+  ['reuse', 're use'],
+  ['change', 'modify', 'alter', 'update', 'amend'],
+  ['error', 'bug', 'mistake', 'fault'],
+  ['fast', 'quick', 'quickly', 'rapid'],
+  ['easy', 'easier', 'simple', 'simpler'],
+  ['reduce', 'decrease', 'minimise', 'minimize'],
+  ['improve', 'enhance'],
+  ['team', 'group'],
+];
+
+// Bracketed text and examples only help a point; they're never required
+const EXAMPLE_PATTERN = /\b(e\.?\s?g\.?|for example|such as)\b/i;
+
+// Itemised criteria ("Award [1] for identifying an advantage") describe what
+// earns the mark rather than what the answer says, so they can't be matched
+const DESCRIPTIVE_POINT = /^(identifying|stating|outlining|describing|explaining|defining|naming|any\b|correct\b|an? (elaboration|explanation|description|correct|suitable|reasonable|valid|relevant)\b)/i;
+
+// ============== WORDS ==============
+const SUFFIXES = [
+  'isations', 'izations', 'isation', 'ization', 'ations', 'ation', 'ities', 'ity', 'nesses', 'ness',
+  'ments', 'ment', 'ings', 'ing', 'ions', 'ion', 'ates', 'ated', 'ate', 'ises', 'izes', 'ised', 'ized',
+  'ise', 'ize', 'ied', 'ers', 'er', 'ed', 'ly',
+];
+
+// A light suffix stripper: enough for "encapsulates"/"encapsulation" and
+// "uses"/"used"/"using" to meet, without a dictionary
+function stemWord(word) {
+  let stem = word.toLowerCase();
+  
+  // Plurals first: "classes" → "class", "properties" → "property", "uses" → "use", but "class" stays
+  if (stem.endsWith('sses')) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem) && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  }
+  
+  for (const suffix of SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 2 && !(suffix === 'ed' && stem.endsWith('eed'))) {
+      stem = stem.slice(0, -suffix.length);
+      if (suffix === 'ied') stem += 'y';
+      break;
+    }
+  }
+  if (stem.length > 2 && stem.endsWith('e')) stem = stem.slice(0, -1);
+  return stem;
+}
+
+// Synonyms map onto their group's first entry: phrases before splitting into words, words by stem
+const synonymPhrases = [];
+const synonymStems = new Map();
+
+OOP_SYNONYMS.forEach(group => {
+  const canonical = stemWord(group[0]);
+  group.forEach(entry => {
+    if (entry.includes(' ')) {
+      synonymPhrases.push([new RegExp(`\\b${entry.replace(/ /g, '\\s+')}s?\\b`, 'g'), group[0]]);
+    } else {
+      synonymStems.set(stemWord(entry), canonical);
+    }
+  });
+});
+
+function canonicalWord(word) {
+  const stem = stemWord(word);
+  return synonymStems.get(stem) || stem;
+}
+
+function normaliseText(text) {
+  let normalised = text.toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/([a-z])-([a-z])/g, '$1 $2');
+  synonymPhrases.forEach(([pattern, replacement]) => {
+    normalised = normalised.replace(pattern, replacement);
+  });
+  return normalised;
+}
+
+function contentWords(text) {
+  return normaliseText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(canonicalWord);
+}
+
+// ============== POINTS ==============
+// A point as the ways of making it, each a list of word groups the answer has
+// to cover. " / " separates whole alternatives, "a/b" alternative words:
+// "Improved security / data/attributes hidden" → [[['improv'], ['hid']], [['data', 'attribut'], ['hid']]]
+function pointAlternatives(text) {
+  return text
+    .replace(/\([^)]*\)/g, ' ')
+    .split(EXAMPLE_PATTERN)[0]
+    .split(/\s+\/\s+/)
+    .map(alternative => {
+      const groups = new Map();
+      alternative.split(/\s+/).forEach(chunk => {
+        const words = chunk.split('/').map(contentWords);
+        // "the/a" leaves nothing to look for
+        if (words.some(w => w.length === 0)) return;
+        const group = [...new Set(words.flat())];
+        groups.set(group.join('|'), group);
+      });
+      return [...groups.values()];
+    })
+    .filter(groups => groups.length > 0);
+}
+
+// "(accept reset statusNextYear)" inside a point names another way to earn it
+function inlineAccepts(text) {
+  return [...text.matchAll(/\((?:accept|allow)\s+([^)]+)\)/gi)].map(m => m[1]);
+}
+
+// The share of the best-covered alternative's word groups found in the answer
+function coverage(text, answerWords) {
+  return Math.max(0, ...pointAlternatives(text).map(groups =>
+    groups.filter(group => group.some(word => answerWords.has(word))).length / groups.length));
+}
+
+// ============== MARKING ==============
+// Returns { score, max, points: [{ status, coverage }] } where status is
+// 'matched', 'missed' or 'unmarked', or null when no point can be checked
+function markWrittenAnswer(answer, markingPoints) {
+  if (!answer || !answer.trim() || !markingPoints || markingPoints.points.length === 0) return null;
+  
+  const answerWords = new Set(contentWords(answer));
+  let markable = 0;
+  let raw = 0;
+  
+  const points = markingPoints.points.map(point => {
+    if (DESCRIPTIVE_POINT.test(point.text)) return { status: 'unmarked', coverage: 0 };
+    markable++;
+  
+    const best = Math.max(
+      ...[point.text, ...(point.accept || []), ...inlineAccepts(point.text)].map(text => coverage(text, answerWords)));
+  
+    // A "Do not accept" answer only counts against a point it doesn't fully make
+    const rejected = best < 1 && (point.reject || []).some(phrase => coverage(phrase, answerWords) === 1);
+  
+    const matched = best >= MATCH_THRESHOLD && !rejected;
+    if (matched) raw += point.marks;
+    return { status: matched ? 'matched' : 'missed', coverage: best };
+  });
+  
+  if (markable === 0) return null;
+  
+  const max = markingPoints.max || raw;
+  return { score: Math.min(raw, max), max, points };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MATCH_THRESHOLD,
+    stemWord,
+    contentWords,
+    pointAlternatives,
+    markWrittenAnswer,
+  };
+}
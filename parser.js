@@ -0,0 +1,1948 @@
+// Exam paper parsing: question paper and mark scheme text in, structured questions out.
+//
+// Loaded as a plain script before main.js in the browser, and required by
+// tools/preprocess.js under Node, which runs the same pipeline over every paper
+// ahead of time. Nothing in here may touch the DOM or the app state.
+
+// Bump whenever the parsed output changes, so older prebuilt JSON is ignored
+const PARSER_VERSION = 9;
+
+// ============== PARSING ==============
+function parseExam(qpText, msText) {
+  // Extract Option D section
+  const optionDText = extractOptionD(qpText);
+  const optionDMS = extractOptionD(msText);
+  
+  // Extract structured exam info
+  const examInfo = extractStructuredExamInfo(optionDText);
+  
+  // For backwards compatibility, also provide the code as one string
+  const examCode = examInfo.classes.map(c => c.code).join('\n\n');
+  
+  // Parse questions and sub-questions
+  const rawQuestions = splitQuestionParts(optionDText, false);
+  const rawMS = splitQuestionParts(optionDMS, true);
+  
+  // Create mark scheme map, holding both parts and their sub-parts
+  const msMap = new Map();
+  rawMS.forEach(q => {
+    q.parts.forEach(part => {
+      msMap.set(buildAnswerKey(q.number, part.letter), part);
+      part.subParts.forEach(subPart => {
+        msMap.set(buildAnswerKey(q.number, part.letter, subPart.numeral), subPart);
+      });
+    });
+  });
+  
+  // Build final questions array: question → part → sub-part, where the
+  // leaves (sub-parts, or parts without any) are what students answer
+  const questions = rawQuestions
+    .filter(q => parseInt(q.number, 10) >= 10)
+    .map(q => {
+      const seenKeys = new Set();
+      const parts = q.parts.map(part => {
+        const leaves = part.subParts.length
+          ? part.subParts
+          : [{ numeral: null, text: part.text, marks: part.marks }];
+        
+        const subParts = leaves.map(leaf => {
+          let key = buildAnswerKey(q.number, part.letter, leaf.numeral);
+          
+          // Mark schemes don't always split a part the way the paper does
+          const leafMS = msMap.get(key);
+          const partMS = msMap.get(buildAnswerKey(q.number, part.letter));
+          const ms = leafMS?.text ? leafMS : (partMS?.text ? partMS : leafMS);
+          const marks = (leafMS || !leaf.numeral ? ms?.marks : null) || leaf.marks;
+          
+          // A lost question number makes letters restart inside one question;
+          // keep answer keys unique so the repeated parts don't share answers
+          for (let n = 2; seenKeys.has(key); n++) {
+            key = `${buildAnswerKey(q.number, part.letter, leaf.numeral)}~${n}`;
+          }
+          seenKeys.add(key);
+          
+          return {
+            key,
+            letter: part.letter,
+            numeral: leaf.numeral,
+            label: formatPartLabel(part.letter, leaf.numeral),
+            stem: leaf.numeral ? part.text : '',
+            text: leaf.text,
+            markScheme: ms?.text || 'Mark scheme not available.',
+            marks,
+            markingPoints: parseMarkingPoints(ms?.text || '', marks),
+            isCoding: detectCodingQuestion(leaf.text),
+            isTreeDrawing: detectTreeDrawingQuestion(leaf.text),
+            isDiagram: detectDiagramQuestion(leaf.text),
+            isTrace: detectTraceQuestion(leaf.text),
+            topics: classifyTopics(`${part.text}\n${leaf.text}`, ms?.text || ''),
+            starterCode: extractStarterCode(leaf.text, examCode),
+          };
+        });
+        
+        return { letter: part.letter, text: part.text, subParts };
+      });
+      
+      return {
+        number: q.number,
+        text: q.text,
+        parts,
+        subQuestions: parts.flatMap(part => part.subParts),
+      };
+    });
+  
+  return { examInfo, examCode, questions };
+}
+
+function extractStructuredExamInfo(text) {
+  const info = {
+    scenario: '',
+    umlDiagrams: [],
+    umlRelationships: [],
+    tables: [],
+    treeData: [],
+    classes: []
+  };
+  
+  // Extract scenario text (non-code descriptive text)
+  info.scenario = extractScenarioText(text);
+  
+  // Extract UML diagrams as structured data
+  info.umlDiagrams = extractUMLDiagramsStructured(text);
+  
+  // Extract tables as structured data
+  info.tables = extractTablesStructured(text);
+  
+  // Keys to insert into the binary trees the paper talks about
+  info.treeData = extractBinaryTreeData(text);
+  
+  // Extract Java classes as separate entities
+  info.classes = extractJavaClassesStructured(text);
+  
+  // Arrows between the UML classes, which also gives them their superclasses
+  info.umlRelationships = extractUMLRelationships(info.umlDiagrams, info.classes, text);
+  
+  // If no classes found, try UML conversion
+  if (info.classes.length === 0 && info.umlDiagrams.length > 0) {
+    info.umlDiagrams.forEach(uml => {
+      info.classes.push({
+        name: uml.name,
+        code: convertUMLToJavaSkeleton(uml)
+      });
+    });
+  }
+  
+  return info;
+}
+
+function extractScenarioText(text) {
+  const lines = text.split(/\r?\n/);
+  const scenarioLines = [];
+  let inScenario = false;
+  
+  for (const line of lines) {
+    const trimmed = line.trim();
+    
+    // Skip header lines
+    if (/Option D/i.test(trimmed) || /^–?\s*\d+\s*–?$/.test(trimmed) || 
+        /^\d{4}\s*–\s*\d{4}$/.test(trimmed) || /M\d{2}\/\d\//.test(trimmed) ||
+        /pages$/i.test(trimmed) || /Questions$/i.test(trimmed)) {
+      continue;
+    }
+    
+    // Start after we see first question number
+    if (/^1[0-9]\.$/.test(trimmed) || /^[0-9]\.$/.test(trimmed)) {
+      inScenario = true;
+      continue;
+    }
+    
+    // Stop at first sub-question or code
+    if (/^\([a-z]\)/i.test(trimmed) || /^public\s+(class|interface)/.test(trimmed)) {
+      break;
+    }
+    
+    // Skip UML notation and page references
+    if (inScenario && trimmed && 
+        !/^[-+]\s*\w+\s*:/.test(trimmed) && 
+        !/Option D continues/i.test(trimmed) &&
+        !/^Turn over$/i.test(trimmed) &&
+        !/^\[.*\]$/.test(trimmed) &&
+        !/^private\s+/.test(trimmed) &&
+        trimmed.length > 3) {
+      scenarioLines.push(trimmed);
+    }
+  }
+  
+  // Limit to first 8 meaningful lines
+  return scenarioLines.slice(0, 8).join('\n');
+}
+
+// UML class boxes come out of the PDFs as runs of lines: the class name alone on a line,
+// then its attribute and method compartments. Boxes drawn side by side are read name, name,
+// compartment, compartment, so compartments are handed out to the classes in reading order.
+// Two notations appear: "- name: String" / "+ getName(): String" and "String name" / "String getName()".
+const UML_VISIBILITY = { '-': 'private', '+': 'public', '#': 'protected', '~': 'package' };
+const UML_TYPE_NAMES = new Set(['String', 'Integer', 'integer', 'int', 'real', 'double', 'boolean', 'Boolean', 'char', 'float', 'long', 'void']);
+
+function extractUMLDiagramsStructured(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/[\x00-\x08\x0b-\x1f]/g, '').trim());
+  const diagrams = [];
+  let region = null; // classes of the diagram being read, with the compartments they have
+  let lastBlock = null;
+  let block = null;
+  let exampleClass = null;
+  
+  const findClass = name => diagrams.find(uml => uml.name === name);
+  const endRegion = () => {
+    region = null;
+    lastBlock = null;
+    block = null;
+    exampleClass = null;
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    if (!line) {
+      block = null;
+      continue;
+    }
+    if (/^\(?[a-h]\)|^\d+\.$/.test(line)) {
+      endRegion();
+      continue;
+    }
+    if (isUMLNoise(line)) continue;
+    
+    const className = parseUMLClassName(line);
+    if (className && umlMembersFollow(lines, i + 1, new Set([...diagrams.map(uml => uml.name), className.name]))) {
+      let uml = findClass(className.name);
+      if (!uml) {
+        uml = {
+          name: className.name,
+          isAbstract: className.isAbstract,
+          superName: null,
+          attributes: [],
+          methods: [],
+          hasAccessors: false,
+          hasMutators: false,
+          moreAttributes: false,
+          moreMethods: false,
+          exampleData: [],
+        };
+        diagrams.push(uml);
+      }
+      if (!region) region = [];
+      region.push({ uml, attributes: false, methods: false });
+      block = null;
+      continue;
+    }
+    if (!region) continue;
+    
+    const example = line.match(/^example\s+(\w+)\s+object$/i);
+    if (example) {
+      exampleClass = findClass(example[1]) || region[region.length - 1].uml;
+      continue;
+    }
+    
+    // "+ accessor and" / "mutator methods" is one entry wrapped over two lines
+    let entry = line;
+    if (/\band$/.test(entry) && lines[i + 1]) {
+      entry += ' ' + lines[++i];
+    }
+    
+    const member = parseUMLMember(entry, new Set(diagrams.map(uml => uml.name)));
+    if (!member) {
+      if (exampleClass && line.length < 30) {
+        exampleClass.exampleData.push(line);
+      } else {
+        endRegion();
+      }
+      continue;
+    }
+    
+    if (!block || block.kind !== member.compartment) {
+      block = { kind: member.compartment, entry: pickUMLCompartmentOwner(region, member.compartment, lastBlock) };
+      block.entry[member.compartment] = true;
+      lastBlock = block;
+    }
+    addUMLMember(block.entry.uml, member);
+  }
+  
+  return diagrams;
+}
+
+// Page furniture, stray arrow glyphs and wrapped-off type names between the boxes.
+// "- patients: Patient[10]" ends like a "[2]" mark allocation but isn't one.
+function isUMLNoise(line) {
+  return (isTableNoise(line) && !/:\s*\w+\s*\[\d+\]$/.test(line)) ||
+    /^Turn over$/i.test(line) ||
+    /^[^\w<…]+$/.test(line) ||
+    UML_TYPE_NAMES.has(line);
+}
+
+// "Rental", "Shape {abstract}" or "«abstract» Shape"
+function parseUMLClassName(line) {
+  const match = line.match(/^(?:(?:«|<<)abstract(?:»|>>)\s*)?([A-Z][A-Za-z0-9_]{2,39})(?:\s*\{abstract\})?$/);
+  if (!match || UML_TYPE_NAMES.has(match[1]) || !/[a-z]/.test(match[1])) return null;
+  return { name: match[1], isAbstract: /abstract/.test(line) };
+}
+
+// A class name only starts a diagram when compartments follow it
+function umlMembersFollow(lines, start, classNames) {
+  for (let i = start; i < Math.min(start + 15, lines.length); i++) {
+    const line = lines[i];
+    if (!line || isUMLNoise(line) || parseUMLClassName(line) || /^example\s+\w+\s+object$/i.test(line)) continue;
+    return parseUMLMember(line, classNames) !== null;
+  }
+  return false;
+}
+
+// Attributes go to the first class without an attribute compartment yet. Methods go to the
+// class whose attributes were just read, or else to the first class without methods.
+function pickUMLCompartmentOwner(region, compartment, lastBlock) {
+  if (compartment === 'methods' && lastBlock && lastBlock.kind === 'attributes' && !lastBlock.entry.methods) {
+    return lastBlock.entry;
+  }
+  return region.find(entry => !entry[compartment] && (compartment === 'methods' || !entry.methods)) ||
+    region[region.length - 1];
+}
+
+// One compartment line as { compartment, kind, ... }, or null when it isn't UML.
+// Java-style "Type name" lines only count with a known type, so table cells like "Citrus fruit" don't.
+function parseUMLMember(line, classNames) {
+  const placeholder = line.match(/^<\s*(?:…|\.\.\.)?\s*(more\s+)?(attributes|methods)\s*>$/i);
+  if (placeholder) {
+    return { compartment: placeholder[2].toLowerCase(), kind: 'placeholder' };
+  }
+  
+  const visibilityMatch = line.match(/^([-+#~])\s*/);
+  const visibility = visibilityMatch ? UML_VISIBILITY[visibilityMatch[1]] : null;
+  let rest = line.slice(visibilityMatch ? visibilityMatch[0].length : 0);
+  
+  const isStatic = /^static\s+|\{static\}/.test(rest);
+  const isAbstract = /^abstract\s+|\{abstract\}/.test(rest);
+  rest = rest.replace(/^(?:static|abstract)\s+|\s*\{(?:static|abstract)\}/g, '').trim();
+  
+  if (/^(?:default\s+)?constructors?$/i.test(rest)) {
+    return { compartment: 'methods', kind: 'constructor', visibility: visibility || 'public', params: [], isDefault: true };
+  }
+  if (/^(?:accessors?|mutators?|getters?|setters?)\b.*\bmethods?$|^(?:accessors?|mutators?|getters?|setters?)$/i.test(rest)) {
+    return {
+      compartment: 'methods',
+      kind: 'accessors',
+      accessors: /accessor|getter/i.test(rest),
+      mutators: /mutator|setter/i.test(rest),
+    };
+  }
+  
+  const method = rest.match(/^(?:([\w<>\[\],]+)\s+)?([A-Za-z_]\w*)\s*\(([^)]*)\)\s*(?::\s*([\w<>\[\]]+))?$/);
+  if (method && (/^[a-z_]/.test(method[2]) || classNames.has(method[2]))) {
+    return {
+      compartment: 'methods',
+      kind: 'method',
+      visibility: visibility || 'public',
+      name: method[2],
+      params: parseUMLParams(method[3]).map(p => ({ name: p.name, type: convertUMLType(p.type) })),
+      returnType: method[4] || method[1] || null,
+      isStatic,
+      isAbstract,
+    };
+  }
+  
+  const attribute = rest.match(/^([A-Za-z_]\w*)\s*:\s*([\w<>]+(?:\s*\[\d*\])?)$/) ||
+    rest.match(/^([A-Z]\w*|int|double|boolean|char|float|long|real|integer)(\s*\[\d*\])?\s*([a-z]\w*)$/);
+  if (attribute) {
+    const [name, type] = attribute.length === 3
+      ? [attribute[1], attribute[2].replace(/\s+/g, '')]
+      : [attribute[3], attribute[1] + (attribute[2] || '').trim()];
+    if (attribute.length === 4 && !attribute[2] && !UML_TYPE_NAMES.has(attribute[1]) && !classNames.has(attribute[1])) return null;
+    return { compartment: 'attributes', kind: 'attribute', visibility: visibility || 'private', name, type, isStatic };
+  }
+  
+  return null;
+}
+
+function addUMLMember(uml, member) {
+  if (member.kind === 'placeholder') {
+    if (member.compartment === 'attributes') uml.moreAttributes = true;
+    else uml.moreMethods = true;
+  } else if (member.kind === 'accessors') {
+    uml.hasAccessors = uml.hasAccessors || member.accessors;
+    uml.hasMutators = uml.hasMutators || member.mutators;
+  } else if (member.kind === 'attribute') {
+    if (!uml.attributes.some(attr => attr.name === member.name)) {
+      uml.attributes.push({ visibility: member.visibility, name: member.name, type: member.type, isStatic: member.isStatic });
+    }
+  } else if (member.kind === 'constructor') {
+    uml.methods.push({ visibility: member.visibility, name: uml.name, params: [], returnType: null, isStatic: false, isAbstract: false, isConstructor: true });
+  } else {
+    uml.methods.push({
+      visibility: member.visibility,
+      name: member.name,
+      params: member.params,
+      returnType: member.name === uml.name ? null : member.returnType,
+      isStatic: member.isStatic,
+      isAbstract: member.isAbstract,
+      isConstructor: member.name === uml.name,
+    });
+    if (member.isAbstract) uml.isAbstract = true;
+  }
+}
+
+// Inheritance from the exam code and the text, and associations from attributes whose type
+// is another class in the diagram
+function extractUMLRelationships(diagrams, classes, text) {
+  const names = new Set(diagrams.map(uml => uml.name));
+  const relationships = [];
+  const flatText = text.replace(/\s+/g, ' ');
+  
+  diagrams.forEach(uml => {
+    const code = classes.find(cls => cls.name === uml.name);
+    const scanned = code ? scanClasses(tokenizeJava(code.code)).find(cls => cls.name === uml.name) : null;
+    const prose = flatText.match(new RegExp(`\\b${uml.name} (?:class )?(?:extends|inherits from|is a subclass of) (?:the )?(?:class )?([A-Z]\\w*)`));
+    const superName = scanned && scanned.superName ? scanned.superName : prose ? prose[1] : null;
+    
+    if (superName && names.has(superName) && superName !== uml.name) {
+      uml.superName = superName;
+      relationships.push({ kind: 'inheritance', from: uml.name, to: superName });
+    }
+  });
+  
+  diagrams.forEach(uml => {
+    uml.attributes.forEach(attr => {
+      const match = attr.type.match(/^(?:\w+<)?([A-Z]\w*)>?(?:\[(\d*)\])?$/);
+      if (!match || !names.has(match[1]) || match[1] === uml.name) return;
+      const many = attr.type.includes('<') || match[2] !== undefined;
+      relationships.push({
+        kind: 'association',
+        from: uml.name,
+        to: match[1],
+        label: attr.name,
+        multiplicity: !many ? '1' : match[2] ? `0..${match[2]}` : '*',
+      });
+    });
+  });
+  
+  return relationships;
+}
+
+// Tables in the papers come out of the PDFs in one of three shapes:
+//  - one cell per line, separated by blank lines, header cells first (most papers)
+//  - rows of columns aligned with tabs or runs of spaces
+//  - bulleted "• Gold = 50 000 or more" lists, read as a two-column table
+// Tables of binary tree data are read by findTreeDataRuns() instead, which copes
+// with their cells switching to a column at a time.
+function extractTablesStructured(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/[\x00-\x08\x0b-\x1f]/g, '').trimEnd());
+  const optionStart = findOptionDStart(lines);
+  const treeRuns = findTreeDataRuns(lines.map(line => line.trim())).filter(run => !run.isFigure);
+  const inTreeRun = table => treeRuns.some(run => table.line >= run.start && table.line < run.end);
+  const tables = [
+    ...extractCellPerLineTables(lines),
+    ...extractAlignedTables(lines),
+    ...extractDefinitionTables(lines),
+  ].filter(table => !inTreeRun(table));
+  
+  treeRuns.forEach(run => {
+    tables.push({ title: run.dataset.title, line: run.start, headers: run.dataset.columns, rows: run.dataset.rows });
+  });
+  
+  return tables
+    .filter(table => table.line >= optionStart)
+    .sort((a, b) => a.line - b.line)
+    .map(({ title, headers, rows }) => ({ title, headers, rows }));
+}
+
+// Papers transcribed in full repeat the "Option D — Object-oriented programming"
+// heading where the option starts; the tables before it belong to Options A to C
+function findOptionDStart(lines) {
+  const headings = lines
+    .map((line, i) => (/^Option D\s*[—–-]\s*Object[- ]oriented programming$/i.test(line.trim()) ? i : -1))
+    .filter(i => i !== -1);
+  return headings.length > 0 ? headings[headings.length - 1] : 0;
+}
+
+// Page furniture and question labels that break up a run of cells
+function isTableNoise(line) {
+  return /^–\s*\d+\s*–$/.test(line) ||
+    /^[NM]\d{2}\/\d\/COMSC/.test(line) ||
+    /Option [A-D],?\s+(?:question \d+\s+)?continue/i.test(line) ||
+    /^Blank page$/i.test(line) ||
+    /\[\d+(?:\s*max)?\]$/.test(line) ||
+    /^\(?[a-h]\)|^\((?:i{1,3}|iv|v|vi{0,3})\)/.test(line) ||
+    /^\d+\.$/.test(line) ||
+    /^[\d\s–-]+$/.test(line) && line.includes('–');
+}
+
+function isTableCell(line) {
+  const cell = line.trim();
+  return cell.length > 0 &&
+    cell.length <= 40 &&
+    !isTableNoise(cell) &&
+    !/[.;{}]$|^[{}]|^\/\/|^[-+]\s*[A-Za-z_]|^<.*>$|[=;]\s*\S*$/.test(cell) &&
+    !/^(?:public|private|protected|return|int|String)\b/.test(cell);
+}
+
+// Rough value class of a cell, to tell which column count makes the columns consistent
+function cellShape(cell) {
+  if (/^[….]+$/.test(cell)) return 'gap';
+  if (/^[-+−]?\d[\d ,]*$/.test(cell)) return 'integer';
+  if (/^-?\d*\.\d+$/.test(cell)) return 'decimal';
+  if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(cell)) return 'date';
+  if (/^\d{1,2}:\d{2}$/.test(cell)) return 'time';
+  if (/^[$€£]\s?\d/.test(cell)) return 'money';
+  if (/^(?:true|false)$/i.test(cell)) return 'boolean';
+  if (/\d/.test(cell)) return 'mixed';
+  return 'text';
+}
+
+function extractCellPerLineTables(lines) {
+  const tables = [];
+  let i = 0;
+  
+  while (i < lines.length) {
+    // A run is a cell, a blank line, a cell, ... The first header cell is often the
+    // last line of the paragraph that introduces the table.
+    const cells = [];
+    let j = i;
+    while (j < lines.length && isTableCell(lines[j]) && (cells.length === 0 || lines[j - 1].trim() === '')) {
+      cells.push(lines[j].trim());
+      j += lines[j + 1] !== undefined && lines[j + 1].trim() === '' ? 2 : 1;
+    }
+    
+    // A run that isn't a table isn't retried from part way in: its header would
+    // be a row of values and every row after it shifted
+    const table = cells.length >= 4 ? splitCellsIntoTable(cells) : null;
+    if (table) {
+      tables.push({ title: table.name || findTableTitle(lines, i), line: i, headers: table.headers, rows: table.rows });
+    }
+    i = Math.max(i + 1, j);
+  }
+  
+  return tables;
+}
+
+// Picks the column count whose columns hold the most consistent kinds of value.
+// Cells usually come row by row; a few papers list a whole column at a time.
+function splitCellsIntoTable(cells) {
+  const table = splitColumnMajorCells(cells) || splitRowMajorCells(cells);
+  if (!table) return null;
+  
+  // Headers are labels: numbered diagrams and forms ("NAME: SPLASHY") aren't tables
+  const allCells = [...table.headers, ...table.rows.flat()];
+  if (table.headers.some(h => !['text', 'mixed'].includes(cellShape(h)))) return null;
+  if (table.headers.some(h => /^\w[\w ]*:(?:\s|$)/.test(h))) return null;
+  if (allCells.every(cell => cell.length <= 2)) return null;
+  
+  // Values that are all words are a list, or the same field on several forms side by side
+  if (table.rows.flat().every(cell => ['text', 'gap'].includes(cellShape(cell)))) return null;
+  
+  // A header that is really a value means the cells were read in the wrong order
+  if (table.headers.some((h, c) => isValueLikeHeader(h, table.rows.map(row => row[c])))) return null;
+  if (new Set(table.headers.filter(Boolean)).size < table.headers.filter(Boolean).length) return null;
+  
+  return table;
+}
+
+// Dates ("17/08/1999"), and codes written like the values under them ("XY080911"
+// over "RD050789"), are never column names
+function isValueLikeHeader(header, column) {
+  if (/\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}/.test(header)) return true;
+  if (!/\d/.test(header)) return false;
+  
+  const pattern = cell => cell.replace(/[A-Za-z]/g, 'A').replace(/\d/g, '9');
+  return column.some(cell => pattern(cell) === pattern(header));
+}
+
+// "Header A, 1, 2, 3, Header B, 4, 5, 6": text cells splitting numbers into equal columns
+function splitColumnMajorCells(cells) {
+  const headerIndexes = cells.map((cell, i) => (cellShape(cell) === 'text' ? i : -1)).filter(i => i !== -1);
+  if (headerIndexes.length < 2 || headerIndexes[0] !== 0) return null;
+  
+  const height = headerIndexes[1];
+  const isColumnMajor = height >= 3 &&
+    cells.length === height * headerIndexes.length &&
+    headerIndexes.every((index, i) => index === i * height) &&
+    cells.every((cell, i) => headerIndexes.includes(i) || /^(?:integer|decimal|money)$/.test(cellShape(cell)));
+  if (!isColumnMajor) return null;
+  
+  const columns = headerIndexes.map(index => cells.slice(index, index + height));
+  return {
+    headers: columns.map(column => column[0]),
+    rows: columns[0].slice(1).map((_, r) => columns.map(column => column[r + 1])),
+  };
+}
+
+function splitRowMajorCells(cells) {
+  let best = null;
+  
+  // One stray cell is allowed: a table name before the header ("SUPPLY", "TABLE_2"),
+  // or the start of the next paragraph after the last row
+  const skips = /^[A-Z][A-Z0-9_]{3,}$/.test(cells[0]) ? [1] : [0, 1];
+  for (const skip of skips) {
+    for (let columns = 2; columns <= Math.min(8, (cells.length - skip) / 2); columns++) {
+      const table = scoreRowMajorTable(cells.slice(skip), columns);
+      if (table && (!best || table.consistency > best.consistency)) {
+        best = { ...table, name: skip ? cells[0] : null };
+      }
+    }
+  }
+  
+  // A grid with row labels often leaves its top-left cell empty, so the
+  // header is one cell short: "Ice, Water, Fire, Ice, 0, −4, +2, ..."
+  for (let columns = 3; columns <= Math.min(8, (cells.length + 1) / 2); columns++) {
+    const table = scoreRowMajorTable(['', ...cells], columns);
+    const labelled = table && table.rows.every(row => cellShape(row[0]) === 'text');
+    if (labelled && (!best || table.consistency > best.consistency)) best = { ...table, name: null };
+  }
+  
+  return best && { name: best.name, headers: best.headers, rows: best.rows };
+}
+
+function scoreRowMajorTable(cells, columns) {
+  const rows = [];
+  for (let r = columns; r + columns <= cells.length; r += columns) rows.push(cells.slice(r, r + columns));
+  if (rows.length === 0 || cells.length - columns * (rows.length + 1) > 1) return null;
+  
+  // "…" rows stand for omitted data and fit any column; every column needs
+  // one kind of value in most of its rows
+  let consistency = 0;
+  for (let c = 0; c < columns; c++) {
+    const counts = { gap: 0 };
+    rows.forEach(row => {
+      const shape = cellShape(row[c]);
+      counts[shape] = (counts[shape] || 0) + 1;
+    });
+    const { gap, ...shapes } = counts;
+    const columnConsistency = Object.keys(shapes).length > 0 ? (Math.max(...Object.values(shapes)) + gap) / rows.length : 0;
+    if (columnConsistency <= 0.5) return null;
+    consistency += columnConsistency;
+  }
+  consistency /= columns;
+  
+  // A single value row says nothing about consistency, so it needs a header that stands out
+  const headers = cells.slice(0, columns);
+  const distinctHeaders = rows.length > 1 || headers.every((h, c) => cellShape(h) !== cellShape(rows[0][c]));
+  
+  return distinctHeaders && consistency >= 0.75 ? { consistency, headers, rows } : null;
+}
+
+function extractAlignedTables(lines) {
+  const tables = [];
+  const splitRow = line => line.trim().split(/\t+|\s{2,}/);
+  const isRow = line => !/[;{}]|^\s*\/\/|\(.*\)\s*$/.test(line) && splitRow(line).length >= 2;
+  let i = 0;
+  
+  while (i < lines.length) {
+    const columns = isRow(lines[i]) ? splitRow(lines[i]).length : 0;
+    let j = i;
+    while (columns > 0 && j < lines.length && isRow(lines[j]) && splitRow(lines[j]).length === columns) j++;
+    
+    // A header row and at least two value rows
+    if (j - i >= 3) {
+      tables.push({
+        title: findTableTitle(lines, i),
+        line: i,
+        headers: splitRow(lines[i]),
+        rows: lines.slice(i + 1, j).map(splitRow),
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  
+  return tables;
+}
+
+function extractDefinitionTables(lines) {
+  const tables = [];
+  // Not "-" bullets: those are UML attributes ("- name : String")
+  const pattern = /^\s*[•*▪]\s*([A-Za-z][\w ]{0,24}?)\s*[=:]\s*(.+?)\.?$/;
+  let i = 0;
+  
+  while (i < lines.length) {
+    let j = i;
+    while (j < lines.length && pattern.test(lines[j])) j++;
+    
+    if (j - i >= 2) {
+      tables.push({
+        title: findTableTitle(lines, i),
+        line: i,
+        headers: [],
+        rows: lines.slice(i, j).map(line => line.match(pattern).slice(1, 3)),
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  
+  return tables;
+}
+
+// The data a paper gives for a binary tree: a table of rows after the tree is
+// mentioned ("customerID / dateOut"), or the node keys listed under a tree figure.
+// Returns [{ title, columns, rows }]. The general table extraction can't read
+// these: their cells change from one per line to a column at a time part way.
+const TREE_DATA_LOOKAHEAD = 40;
+
+function extractBinaryTreeData(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/[\x00-\x08\x0b-\x1f]/g, '').trim());
+  return findTreeDataRuns(lines).map(run => run.dataset);
+}
+
+// Each run as { start, end, isFigure, dataset }, with the lines it was read from
+function findTreeDataRuns(lines) {
+  const runs = [];
+  let searchedTo = -1;
+  
+  lines.forEach((line, i) => {
+    if (i <= searchedTo || !/\bbinary (?:search )?tree\b/i.test(line)) return;
+    
+    const end = Math.min(lines.length, i + 1 + TREE_DATA_LOOKAHEAD);
+    for (let start = i + 1; start < end; start++) {
+      const run = readTreeDataRun(lines, start, end);
+      if (!run) continue;
+      
+      runs.push(run);
+      searchedTo = run.end;
+      return;
+    }
+  });
+  
+  return runs;
+}
+
+// A run of short cells: label cells first, then at least three keys (numbers or dates).
+// Blank lines and page furniture don't end it; a sentence or the next label does.
+function readTreeDataRun(lines, start, end) {
+  const labels = [];
+  const values = [];
+  let i = start;
+  
+  for (; i < end; i++) {
+    const cell = lines[i];
+    if (cell === '' || isTableNoise(cell)) continue;
+    if (!isTableCell(cell)) break;
+    
+    const shape = cellShape(cell);
+    if (shape === 'text' && values.length === 0) {
+      labels.push(cell);
+    } else if (shape === 'integer' || shape === 'date') {
+      values.push(cell);
+    } else {
+      break;
+    }
+  }
+  if (labels.length === 0 || values.length < 3) return null;
+  
+  // "root" labels the top node of a figure rather than naming a column
+  const isFigure = labels.length === 1 && /^root$/i.test(labels[0]);
+  const title = (isFigure && findFigureCaption(lines, start)) || findTableTitle(lines, start);
+  const columns = isFigure ? [findFigureKeyName(lines, start)] : labels;
+  
+  // Cells switch from row by row to a column at a time, so sort them back into
+  // columns by shape; that needs each column to hold a different kind of value
+  const byShape = new Map();
+  values.forEach(value => {
+    const shape = cellShape(value);
+    if (!byShape.has(shape)) byShape.set(shape, []);
+    byShape.get(shape).push(value);
+  });
+  const shapeColumns = [...byShape.values()];
+  const rowCount = shapeColumns[0].length;
+  if (shapeColumns.length !== columns.length || shapeColumns.some(column => column.length !== rowCount)) return null;
+  
+  return {
+    start,
+    end: i,
+    isFigure,
+    dataset: {
+      title,
+      columns,
+      rows: shapeColumns[0].map((_, r) => shapeColumns.map(column => column[r])),
+    },
+  };
+}
+
+function findFigureCaption(lines, index) {
+  for (let i = index - 1; i >= Math.max(0, index - 5); i--) {
+    if (/^Figure \d+:/.test(lines[i])) return truncate(lines[i], 80);
+  }
+  return null;
+}
+
+// "The nodes only show the customerID" names what a figure's keys are
+function findFigureKeyName(lines, index) {
+  for (let i = index - 1; i >= Math.max(0, index - 5); i--) {
+    const match = lines[i].match(/\bnodes?\b.*?\bshows?\s+(?:the\s+)?(\w+)/i);
+    if (match) return match[1];
+  }
+  return 'Key';
+}
+
+// The "Table 1: ..." caption just above the table at lines[index], or else the
+// first sentence of the paragraph that introduces it
+function findTableTitle(lines, index) {
+  for (let i = index - 1; i >= Math.max(0, index - 8); i--) {
+    if (/^Table \d+:/.test(lines[i].trim())) return truncate(lines[i].trim(), 80);
+  }
+  
+  let end = index - 1;
+  while (end >= 0 && (lines[end].trim() === '' || isTableNoise(lines[end].trim()))) end--;
+  
+  let start = end;
+  while (start > 0 && lines[start - 1].trim() !== '' && !isTableNoise(lines[start - 1].trim())) start--;
+  if (end < 0) return 'Table';
+  
+  const paragraph = lines.slice(start, end + 1).join(' ').replace(/\s+/g, ' ').trim();
+  const sentence = (paragraph.match(/^.*?[.:?](?=\s|$)/) || [paragraph])[0].replace(/[.:]$/, '');
+  return truncate(sentence, 80);
+}
+
+function extractJavaClassesStructured(text) {
+  const classes = [];
+  const lines = text.split(/\r?\n/);
+  let currentClass = null;
+  let braceDepth = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    
+    // Detect class start
+    const classMatch = trimmed.match(/^public\s+class\s+(\w+)/);
+    if (classMatch) {
+      if (currentClass && currentClass.lines.length > 0) {
+        classes.push({
+          name: currentClass.name,
+          code: currentClass.lines.join('\n')
+        });
+      }
+      currentClass = { name: classMatch[1], lines: [] };
+      braceDepth = 0;
+    }
+    
+    if (currentClass) {
+      currentClass.lines.push(line);
+      braceDepth += (line.match(/{/g) || []).length;
+      braceDepth -= (line.match(/}/g) || []).length;
+      
+      if (braceDepth <= 0 && currentClass.lines.length > 1 && trimmed === '}') {
+        classes.push({
+          name: currentClass.name,
+          code: currentClass.lines.join('\n')
+        });
+        currentClass = null;
+        braceDepth = 0;
+      }
+    }
+  }
+  
+  if (currentClass && currentClass.lines.length > 3) {
+    classes.push({
+      name: currentClass.name,
+      code: currentClass.lines.join('\n')
+    });
+  }
+  
+  return classes;
+}
+
+function convertUMLToJavaSkeleton(uml) {
+  const abstract = uml.isAbstract ? 'abstract ' : '';
+  const superClass = uml.superName ? ` extends ${uml.superName}` : '';
+  let code = `public ${abstract}class ${uml.name}${superClass} {\n\n`;
+  code += `    // Instance variables\n`;
+  
+  for (const attr of uml.attributes) {
+    const modifiers = javaModifiers(attr.visibility, attr.isStatic);
+    const array = attr.type.match(/^(.+?)\[(\d*)\]$/);
+    if (array) {
+      const elementType = convertUMLType(array[1]);
+      const size = array[2] ? ` = new ${elementType}[${array[2]}]` : '';
+      code += `    ${modifiers}${elementType}[] ${attr.name}${size};\n`;
+    } else {
+      code += `    ${modifiers}${convertUMLType(attr.type)} ${attr.name};\n`;
+    }
+  }
+  if (uml.moreAttributes) {
+    code += `    // ... more attributes\n`;
+  }
+  
+  // The UML's "+ constructor" doesn't list parameters, so it becomes the default constructor
+  const constructors = uml.methods.filter(m => m.isConstructor);
+  if (constructors.length === 0) {
+    constructors.push({ visibility: 'public', params: [] });
+  }
+  constructors.forEach(ctor => {
+    const params = ctor.params.map(p => `${p.type} ${p.name}`).join(', ');
+    code += `\n    // ${ctor.params.length === 0 ? 'Default constructor' : 'Constructor'}\n`;
+    code += `    ${javaModifiers(ctor.visibility, false)}${uml.name}(${params}) {\n`;
+    code += `        // Initialize instance variables\n`;
+    code += `    }\n`;
+  });
+  
+  // Stubs compile but leave the working to the student
+  uml.methods.filter(m => !m.isConstructor).forEach(method => {
+    const returnType = convertUMLType(method.returnType || 'void');
+    const params = method.params.map(p => `${p.type} ${p.name}`).join(', ');
+    const modifiers = javaModifiers(method.visibility, method.isStatic) + (method.isAbstract ? 'abstract ' : '');
+    
+    code += '\n';
+    if (method.isAbstract) {
+      code += `    ${modifiers}${returnType} ${method.name}(${params});\n`;
+      return;
+    }
+    code += `    ${modifiers}${returnType} ${method.name}(${params}) {\n`;
+    code += `        // To be completed\n`;
+    if (returnType !== 'void') {
+      code += `        return ${defaultJavaValue(returnType)};\n`;
+    }
+    code += `    }\n`;
+  });
+  
+  if (uml.hasAccessors || uml.hasMutators || uml.methods.length === 0) {
+    code += `\n    // Accessor and mutator methods go here\n`;
+    code += `    // (You need to write these as part of the questions)\n`;
+  }
+  if (uml.moreMethods) {
+    code += `\n    // ... more methods\n`;
+  }
+  
+  code += `\n}\n`;
+  
+  return code;
+}
+
+function javaModifiers(visibility, isStatic) {
+  const access = visibility === 'package' ? '' : `${visibility} `;
+  return access + (isStatic ? 'static ' : '');
+}
+
+function defaultJavaValue(type) {
+  if (['int', 'long', 'short', 'byte'].includes(type)) return '0';
+  if (['double', 'float'].includes(type)) return '0.0';
+  if (type === 'boolean') return 'false';
+  if (type === 'char') return "' '";
+  return 'null';
+}
+
+// Full papers can name Option D on the cover page too, so the last heading is where it starts
+function extractOptionD(text) {
+  const lower = text.toLowerCase();
+  const headings = [...text.matchAll(/^Option D\s*[—–-]\s*Object[- ]oriented programming\s*$/gim)];
+  const start = headings.length > 0 ? headings[headings.length - 1].index : lower.indexOf('option d');
+  if (start === -1) return text;
+  
+  const end = lower.indexOf('end of option d', start);
+  return end !== -1 ? text.slice(start, end) : text.slice(start);
+}
+
+function extractAllJavaCode(text) {
+  const lines = text.split(/\r?\n/);
+  const codeBlocks = [];
+  let currentBlock = [];
+  let braceDepth = 0;
+  let inClass = false;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    
+    // Detect start of a Java class or significant code block
+    if (/^public\s+class\s+\w+/.test(trimmed) || 
+        /^class\s+\w+/.test(trimmed) ||
+        /^public\s+interface\s+\w+/.test(trimmed)) {
+      if (currentBlock.length > 0 && braceDepth === 0) {
+        codeBlocks.push(currentBlock.join('\n'));
+        currentBlock = [];
+      }
+      inClass = true;
+    }
+    
+    // Count braces to track block depth
+    const openBraces = (line.match(/{/g) || []).length;
+    const closeBraces = (line.match(/}/g) || []).length;
+    
+    // Determine if this looks like code
+    const isCodeLine = 
+      /^\s*(public|private|protected|class|interface|static|void|int|double|boolean|String|char|float|long|new|return|if|else|for|while|try|catch|throw|import|package)\b/.test(line) ||
+      /^\s*\/\//.test(line) ||  // Comment
+      /^\s*\/\*/.test(line) ||  // Block comment start
+      /^\s*\*/.test(line) ||    // Block comment middle
+      /^\s*{/.test(trimmed) ||
+      /^\s*}/.test(trimmed) ||
+      /;\s*$/.test(trimmed) ||
+      (inClass && braceDepth > 0) ||
+      /^\s*\w+\s*\(.*\)/.test(line) || // Method calls
+      /^\s*\w+\[\]/.test(line); // Arrays
+    
+    if (isCodeLine || (inClass && braceDepth > 0)) {
+      currentBlock.push(line);
+      braceDepth += openBraces - closeBraces;
+      
+      if (braceDepth <= 0 && inClass && currentBlock.length > 0) {
+        codeBlocks.push(currentBlock.join('\n'));
+        currentBlock = [];
+        inClass = false;
+        braceDepth = 0;
+      }
+    } else if (currentBlock.length > 0 && trimmed === '') {
+      // Allow empty lines within code blocks
+      if (braceDepth > 0) {
+        currentBlock.push(line);
+      }
+    } else if (currentBlock.length > 5 && braceDepth === 0) {
+      // Save block if substantial
+      codeBlocks.push(currentBlock.join('\n'));
+      currentBlock = [];
+      inClass = false;
+    }
+  }
+  
+  if (currentBlock.length > 3) {
+    codeBlocks.push(currentBlock.join('\n'));
+  }
+  
+  // If we found actual Java classes, return them
+  const javaClasses = codeBlocks.filter(block => 
+    /class\s+\w+/.test(block) && block.includes('{')
+  );
+  
+  if (javaClasses.length > 0) {
+    return javaClasses.join('\n\n');
+  }
+  
+  // Fall back to UML-style if no Java classes found
+  const umlBlock = extractUMLAsJava(text);
+  if (umlBlock) {
+    return umlBlock;
+  }
+  
+  // Last resort - return any code we found
+  if (codeBlocks.length > 0) {
+    return codeBlocks.join('\n\n');
+  }
+  
+  return '// No Java code provided in this exam.\n// Refer to the question text for class specifications.';
+}
+
+function extractUMLAsJava(text) {
+  const lines = text.split(/\r?\n/);
+  let className = '';
+  const attributes = [];
+  
+  for (const line of lines) {
+    // Look for class name (usually appears before attributes)
+    if (/^[A-Z][a-zA-Z]*$/.test(line.trim()) && !className) {
+      className = line.trim();
+      continue;
+    }
+    
+    // UML attribute: - attributeName: Type
+    const attrMatch = line.match(/^[-+]\s*(\w+)\s*:\s*(\w+)/);
+    if (attrMatch) {
+      const [, name, type] = attrMatch;
+      const javaType = convertUMLType(type);
+      attributes.push({ name, type: javaType, visibility: line.trim().startsWith('-') ? 'private' : 'public' });
+      continue;
+    }
+  }
+  
+  if (!className || attributes.length === 0) {
+    return null;
+  }
+  
+  // Build Java class - ONLY show structure, NOT the methods students need to write
+  let java = `public class ${className} {\n\n`;
+  java += `    // Instance variables (from UML diagram)\n`;
+  
+  for (const attr of attributes) {
+    java += `    ${attr.visibility} ${attr.type} ${attr.name};\n`;
+  }
+  
+  java += `\n    // Default constructor\n`;
+  java += `    public ${className}() {\n`;
+  java += `        // Initializes instance variables to default values\n`;
+  java += `    }\n`;
+  
+  java += `\n    // Accessor and mutator methods are listed in the UML\n`;
+  java += `    // but YOU need to write them as part of the questions!\n`;
+  
+  java += `\n}\n`;
+  
+  return java;
+}
+
+function convertUMLType(umlType) {
+  const typeMap = {
+    'integer': 'int',
+    'real': 'double',
+    'boolean': 'boolean',
+    'String': 'String',
+    'char': 'char',
+  };
+  return typeMap[umlType.toLowerCase()] || umlType;
+}
+
+function splitMainQuestions(text) {
+  const lines = text.split(/\r?\n/);
+  const questions = [];
+  let current = null;
+  
+  const mainQPattern = /^(\d{1,2})\.\s*$/;
+  
+  for (const line of lines) {
+    // Numbers only go up, so a lower one is a label in a figure, e.g. numbered cards
+    const match = line.match(mainQPattern);
+    if (match && (!current || parseInt(match[1], 10) > parseInt(current.number, 10))) {
+      if (current) questions.push(current);
+      current = { number: match[1], lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  
+  if (current) questions.push(current);
+  
+  return questions.map(q => ({
+    number: q.number,
+    text: q.lines.join('\n').trim(),
+  }));
+}
+
+// Splits a question into lettered parts, each with any roman-numeral sub-parts:
+// (a) → [{ letter: 'a', text, marks, subParts: [{ numeral: 'i', text, marks }] }]
+function parseSubQuestions(text, isMarkScheme) {
+  const lines = text.split(/\r?\n/);
+  const parts = [];
+  let currentPart = null;
+  let currentSubPart = null;
+  
+  const partPattern = /^\(([a-z])\)\s*/i;
+  const subPartPattern = /^\((i{1,3}|iv|vi{0,3}|ix|x)\)\s*/i;
+  
+  const markers = lines.map(line => {
+    if (subPartPattern.test(line)) return 'roman';
+    if (partPattern.test(line)) return 'letter';
+    return null;
+  });
+  
+  lines.forEach((line, idx) => {
+    let kind = markers[idx];
+    
+    // "(i)", "(v)" and "(x)" are letters when they continue the lettered
+    // sequence and the next marker isn't the following numeral, e.g. (h) (i) (j).
+    // A numeral before any lettered part can only be treated as a part.
+    if (kind === 'roman') {
+      const marker = line.match(subPartPattern)[1].toLowerCase();
+      const nextIdx = markers.findIndex((m, i) => i > idx && m);
+      const nextIsNumeral = nextIdx !== -1 && /^\((ii|vi|xi)\)/i.test(lines[nextIdx]);
+      const continuesLetters = currentPart && !currentSubPart && marker.length === 1 &&
+        String.fromCharCode(currentPart.letter.charCodeAt(0) + 1) === marker;
+      
+      if (!currentPart || (continuesLetters && !nextIsNumeral)) kind = 'letter';
+    }
+    
+    if (kind === 'letter') {
+      const rest = line.replace(/^\(\w+\)\s*/, '').trim();
+      currentPart = {
+        letter: line.match(/^\((\w+)\)/)[1].toLowerCase(),
+        lines: [rest],
+        subParts: []
+      };
+      currentSubPart = null;
+      parts.push(currentPart);
+      
+      // "(d) (i) Outline the ..." opens the part and its first sub-part on one line
+      if (/^\(i\)/i.test(rest)) {
+        currentPart.lines = [];
+        currentSubPart = { numeral: 'i', lines: [rest.replace(subPartPattern, '').trim()] };
+        currentPart.subParts.push(currentSubPart);
+      }
+    } else if (kind === 'roman') {
+      currentSubPart = {
+        numeral: line.match(subPartPattern)[1].toLowerCase(),
+        lines: [line.replace(subPartPattern, '').trim()]
+      };
+      currentPart.subParts.push(currentSubPart);
+    } else if (currentSubPart) {
+      currentSubPart.lines.push(line);
+    } else if (currentPart) {
+      currentPart.lines.push(line);
+    }
+  });
+  
+  return parts.map(part => {
+    const partText = part.lines.join('\n').trim();
+    return {
+      letter: part.letter,
+      text: partText,
+      marks: parseMarks(partText, isMarkScheme),
+      subParts: part.subParts.map(subPart => {
+        const subText = subPart.lines.join('\n').trim();
+        return {
+          numeral: subPart.numeral,
+          text: subText,
+          marks: parseMarks(subText, isMarkScheme),
+        };
+      }),
+    };
+  });
+}
+
+// Questions with their lettered parts, for a paper or a mark scheme. The PDF text
+// sometimes prints a run of question numbers ("10." then "11.") before their parts,
+// or spills the last parts of a question past the next number, e.g. 11: (d) (e) (a) (b) ...
+// Parts whose letters restart are given back to the questions they were lost from.
+function splitQuestionParts(text, isMarkScheme) {
+  const questions = splitMainQuestions(text).map(q => ({ ...q, parts: parseSubQuestions(q.text, isMarkScheme) }));
+  
+  questions.forEach((q, idx) => {
+    const runs = [];
+    q.parts.forEach((part, i) => {
+      if (i === 0 || part.letter <= q.parts[i - 1].letter) runs.push([]);
+      runs[runs.length - 1].push(part);
+    });
+    if (runs.length < 2) return;
+    
+    // A leading run that carries on from the last question with parts goes back to it
+    const earlier = questions.slice(0, idx).reverse().find(prev => prev.parts.length);
+    const lastLetter = earlier && earlier.parts[earlier.parts.length - 1].letter;
+    if (runs[0][0].letter !== 'a' && lastLetter && runs[0][0].letter > lastLetter) {
+      earlier.parts.push(...runs.shift());
+    }
+    
+    // The rest are shared with the empty questions right before this one, in order
+    const empties = [];
+    for (let i = idx - 1; i >= 0 && !questions[i].parts.length && empties.length < runs.length - 1; i--) {
+      if (parseInt(questions[i].number, 10) !== parseInt(q.number, 10) - empties.length - 1) break;
+      empties.unshift(questions[i]);
+    }
+    if (empties.length && empties.length === runs.length - 1 && runs.every(run => run[0].letter === 'a')) {
+      empties.forEach((empty, i) => { empty.parts = runs[i]; });
+      q.parts = runs[runs.length - 1];
+    } else {
+      q.parts = runs.flat();
+    }
+  });
+  
+  return questions;
+}
+
+// Marks sit in brackets at the end of a line ("[4]") so array indexes in code
+// (borrowers[93001]) are never mistaken for them. Mark schemes prefer "[n max]".
+function parseMarks(text, isMarkScheme) {
+  const maxMatch = isMarkScheme && text.match(/\[(\d{1,2})\s*max\]/i);
+  const lineMatch = text.match(/\[(\d{1,2})(?:\s*max)?\]\s*$/m);
+  const match = maxMatch || lineMatch;
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function buildAnswerKey(questionNumber, letter, numeral) {
+  return numeral ? `${questionNumber}-${letter}-${numeral}` : `${questionNumber}-${letter}`;
+}
+
+function formatPartLabel(letter, numeral) {
+  return `(${letter})${numeral ? `(${numeral})` : ''}`;
+}
+
+// Marking points are the semicolon-terminated lines of a mark scheme, or the
+// "Award [n] for ..." criteria when the scheme itemises them (typical for code).
+function parseMarkingPoints(msText, fallbackMax) {
+  const maxMatch = msText.match(/\[(\d+)\s*max\]/i);
+  const result = {
+    max: maxMatch ? parseInt(maxMatch[1], 10) : (fallbackMax || 0),
+    points: [],
+    notes: []
+  };
+  
+  const criteria = [];
+  const points = [];
+  let pending = [];
+  let inExample = false;
+  let inInstruction = false;
+  let openCriterion = false;
+  let noteLines = null;
+  let noteTarget = null;
+  
+  const instructionPattern = /^(Award|Mark as|Example answers?|Note\b|Accept\b|Do not|Don't|Allow\b)/i;
+  const notePattern = /^(Note\b|Accept\b|Do not accept|Do not allow|Don't penali[sz]e|Do not penali[sz]e|Allow\b)/i;
+  const codePattern = /[{}=\[\]]|\+\+|\w\s*\(.*\)\s*;$|^(return|public|private|protected|static|int|double|String|boolean|char|for|while|if|else|this)\b/;
+  const noisePattern = /^(\[\d+\]|–?\s*\d+\s*–?|[A-Z]\d{2}\/\d\/.*|\(Option D.*\))$/;
+  
+  const flushNote = () => {
+    if (noteLines) {
+      const note = noteLines.join(' ');
+      result.notes.push(note);
+      if (noteTarget) addNotePhrases(noteTarget, note);
+    }
+    noteLines = null;
+  };
+  
+  for (const raw of msText.split(/\r?\n/)) {
+    const line = raw.trim();
+    
+    if (!line || noisePattern.test(line)) {
+      flushNote();
+      pending = [];
+      inInstruction = false;
+      openCriterion = false;
+      continue;
+    }
+    
+    // Itemised criterion: "Award [1] for a while loop." — possibly several per line
+    // ("Award [1] for identifying an advantage and [1] for an elaboration")
+    if (/^Award\s*\[\d+\]\s*for\s+/i.test(line) && !/\bup to\b|max\]/i.test(line)) {
+      flushNote();
+      line.replace(/^Award\s*/i, '').split(/\s+and\s+(?=\[\d+\]\s*for\b)/i).forEach(part => {
+        const match = part.match(/^\[(\d+)\]\s*for\s+(.*)$/i);
+        if (match) criteria.push({ text: match[2].replace(/[;.]\s*$/, ''), marks: parseInt(match[1], 10) });
+      });
+      openCriterion = !/[;.]$/.test(line);
+      pending = [];
+      continue;
+    }
+    
+    // Wrapped criterion text continues on the next line
+    if (openCriterion && !instructionPattern.test(line)) {
+      const last = criteria[criteria.length - 1];
+      last.text = `${last.text} ${line.replace(/[;.]\s*$/, '')}`.replace(/\s*,?\s*up to \[\d+ max\]$/i, '');
+      openCriterion = !/[;.]$/.test(line);
+      continue;
+    }
+    openCriterion = false;
+    
+    // Comments are single-line notes, except inside example code
+    if (line.startsWith('//')) {
+      flushNote();
+      if (!inExample) result.notes.push(line.replace(/^\/\/\s*/, ''));
+      continue;
+    }
+    
+    if (notePattern.test(line)) {
+      flushNote();
+      noteLines = [line];
+      // "Accept …" and "Do not accept …" refer to the point just above them
+      noteTarget = (criteria.length ? criteria : points)[(criteria.length ? criteria : points).length - 1] || null;
+      pending = [];
+      if (/[.;]$/.test(line)) flushNote();
+      continue;
+    }
+    if (noteLines) {
+      noteLines.push(line);
+      if (/[.;]$/.test(line)) flushNote();
+      continue;
+    }
+    
+    if (/^Example answers?/i.test(line)) {
+      inExample = true;
+      pending = [];
+      continue;
+    }
+    
+    // Instructions can wrap over several lines until the sentence ends
+    if (instructionPattern.test(line) || inInstruction) {
+      inInstruction = !/[.:]$/.test(line);
+      pending = [];
+      continue;
+    }
+    
+    if (line.endsWith(':')) {
+      pending = [];
+      continue;
+    }
+    
+    if (!/[;.]$/.test(line)) {
+      pending.push(line);
+      continue;
+    }
+    
+    const text = [...pending, line].join(' ').replace(/[;.]\s*$/, '').trim();
+    pending = [];
+    if (inExample && codePattern.test(text)) continue;
+    
+    points.push({ text, marks: 1 });
+  }
+  flushNote();
+  
+  result.points = (criteria.length ? criteria : points).map(point => ({
+    ...point,
+    alternatives: point.text.split(/\s*\/\s*/).map(a => a.trim()).filter(Boolean),
+    accept: point.accept || [],
+    reject: point.reject || [],
+  }));
+  
+  return result;
+}
+
+// Quoted answers in notes: 'Accept "inheritance".' widens a point,
+// 'Do not accept "cannot be changed".' narrows it
+function addNotePhrases(point, note) {
+  note.split(/(?<=[.;])\s+/).forEach(sentence => {
+    const negative = /\b(do not|don't|not)\s+(accept|award|allow)\b/i.test(sentence);
+    if (!negative && !/\b(accept|allow)\b/i.test(sentence)) return;
+    // "Allow absence of “this”" and "allow a “follow through”" quote something other than an answer
+    if (/\b(absence|without|missing|follow[- ]through|FT)\b/i.test(sentence)) return;
+    
+    const phrases = [...sentence.matchAll(/(?:^|[\s(])[“"‘']([^“”"‘’']{2,80})[”"’'](?![a-z])/gi)].map(m => m[1].trim());
+    if (phrases.length === 0) return;
+    
+    const list = negative ? (point.reject = point.reject || []) : (point.accept = point.accept || []);
+    list.push(...phrases);
+  });
+}
+
+// Syllabus topics used to tag sub-questions. Patterns run against the question
+// text plus its mark scheme, since the answer often names the concept.
+// subjectPatterns only run against the question, for names that are everywhere
+// in code but only matter when the question is about them.
+const TOPICS = [
+  { id: 'objects', label: 'Objects & classes', patterns: [/\bwhat an object is\b|\ban object is\b|instance of a class|\b(define|outline|state)\b.*\b(object|class)\b/i] },
+  { id: 'encapsulation', label: 'Encapsulation', patterns: [/encapsulat|information hiding|data hiding/i] },
+  { id: 'inheritance', label: 'Inheritance', patterns: [/inherit|\bextends\b|sub-?class|super-?class|parent class|child class/i] },
+  { id: 'polymorphism', label: 'Polymorphism', patterns: [/polymorph|overrid|overload/i] },
+  { id: 'constructors', label: 'Constructors', patterns: [/constructor|instantiat/i] },
+  { id: 'accessors', label: 'Accessors & mutators', patterns: [/accessor|mutator|getter|setter/i], subjectPatterns: [/\bmethod,?\s+(get|set)[A-Z]\w*\s*\(|\b(get|set)[A-Z]\w*\s*\([^)]*\)\s+method\b/] },
+  { id: 'arrays', label: 'Arrays of objects', patterns: [/\barray/i, /\w\[\]/] },
+  { id: 'linked-lists', label: 'Linked lists', patterns: [/linked\s*list|\bnodes?\b|\bnext pointer/i] },
+  { id: 'stacks-queues', label: 'Stacks & queues', patterns: [/\b(stack|queue)s?\b/i] },
+  { id: 'recursion', label: 'Recursion', patterns: [/recurs/i] },
+  { id: 'bst', label: 'Binary search trees', patterns: [/binary\s+(search\s+)?tree|\bBST\b/i] },
+  { id: 'searching-sorting', label: 'Searching & sorting', patterns: [/\b(search|sort)(ing|ed|s)?\b(?!\s+trees?\b)/i] },
+  { id: 'uml', label: 'UML diagrams', patterns: [/\bUML\b|class diagram/i] },
+  { id: 'relationships', label: 'Object relationships', patterns: [/aggregat|associat|dependenc|composition|\bhas[- ]an?\b/i] },
+  { id: 'modularity', label: 'Modularity & OOP benefits', patterns: [/modular|decompos|\bmodules?\b/i] },
+  { id: 'parameters', label: 'Parameters & variables', patterns: [/parameter|local variable|instance variable|\bstatic\b|primitive/i] },
+  { id: 'libraries', label: 'Libraries & reuse', patterns: [/librar(y|ies)|re-?us(e|ability)/i] },
+  { id: 'ethics', label: 'Teams, ethics & internationalisation', patterns: [/ethic|moral|internationali[sz]|programming teams?|open source/i] },
+];
+
+function classifyTopics(questionText, markSchemeText = '') {
+  const text = `${questionText}\n${markSchemeText}`;
+  return TOPICS
+    .filter(topic => topic.patterns.some(re => re.test(text)) ||
+      (topic.subjectPatterns || []).some(re => re.test(questionText)))
+    .map(topic => topic.id);
+}
+
+function detectCodingQuestion(text) {
+  const codingKeywords = [
+    /\bconstruct\b.*\b(code|method|class)\b/i,
+    /\bwrite\b.*\b(code|method)\b/i,
+    /\bcreate\b.*\bmethod\b/i,
+    /\bimplement\b/i,
+  ];
+  return codingKeywords.some(re => re.test(text));
+}
+
+// "Sketch the resulting binary search tree ..." is answered with a drawing of
+// the tree, not prose; questions that only use a tree in an explanation aren't
+function detectTreeDrawingQuestion(text) {
+  return /^(?:sketch|draw|construct)\b[^.]*\bbinary (?:search )?tree\b/i.test(text.trim()) &&
+    !detectCodingQuestion(text);
+}
+
+// "Draw the mEngines array after ..." and "Sketch the resulting linked list ..."
+// are answered with boxes and arrows. UML and class dependency diagrams aren't:
+// those describe classes, not the objects a program has made.
+function detectDiagramQuestion(text) {
+  return /^(?:sketch|draw)\b[^.]*\b(?:linked list|list|array|objects?|references?|nodes?)\b/i.test(text.trim()) &&
+    !/\b(?:UML|unified modelling language)\b/i.test(text) &&
+    !detectCodingQuestion(text) &&
+    !detectTreeDrawingQuestion(text);
+}
+
+// "Trace the method result(3, 4) ..." and "Copy and complete the following table
+// to show the output ..." are answered in a trace table
+function detectTraceQuestion(text) {
+  return (/\btrace\b[^.]*\b(?:method|call)\b/i.test(text) || TRACE_TABLE_INSTRUCTION.test(text)) &&
+    !detectCodingQuestion(text) &&
+    !detectTreeDrawingQuestion(text) &&
+    !detectDiagramQuestion(text);
+}
+
+const TRACE_TABLE_INSTRUCTION = /\bcomplete the (?:following |trace )?table\b/i;
+const TRACE_PAGE_FURNITURE = /^(?:\(Option D|Turn over|–\s*\d+\s*–$|[A-Z]\d{2}\/\d\/)/;
+const TRACE_HEADER_CELL = /^(?:[A-Za-z_][\w.]*(?:\(\))?|[A-Za-z]+(?: [A-Za-z]+)+)$/;
+
+// The table a "Copy and complete the table" question prints, as { columns, rows }.
+// The PDF text has one cell per line, so names and phrases ("i", "current.name",
+// "parameter passed to method") are taken as headers and everything else as the
+// given values, filled into rows left to right. "…" placeholders, code lines and
+// page furniture are skipped. null when there is no table.
+function extractTraceTable(text) {
+  const lines = text.split('\n').map(line => line.trim());
+  let start = lines.findIndex(line => TRACE_TABLE_INSTRUCTION.test(line));
+  if (start === -1) return null;
+  
+  // The instruction can run on to the next lines ("... to trace a call to the\nmethod for this list.")
+  while (start < lines.length && !/[.:]$/.test(lines[start])) start++;
+  
+  const columns = [];
+  const values = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\[\d+\]$/.test(line)) break;
+    if (!line || /^(?:…|\.\.\.)$/.test(line) || line.endsWith(';') || TRACE_PAGE_FURNITURE.test(line)) continue;
+    
+    if (TRACE_HEADER_CELL.test(line) && !/\d/.test(line) && !/^(?:null|true|false)$/i.test(line)) {
+      columns.push(line);
+    } else {
+      values.push(line);
+    }
+  }
+  if (columns.length === 0) return null;
+  
+  const rows = [];
+  for (let i = 0; i < values.length; i += columns.length) {
+    const row = values.slice(i, i + columns.length);
+    rows.push([...row, ...Array(columns.length - row.length).fill('')]);
+  }
+  return { columns, rows };
+}
+
+const TRACED_CALL_PATTERNS = [
+  /\btrace (?:the )?(?:method |call )?(\w+)\s*\(([^()]*)\)/i,
+  /\bcalled by:?\s*(\w+)\s*\(([^()]*)\)/i,
+  /\bcall to the (\w+)(?:\s*\(([^()]*)\))? method\b/i,
+];
+
+// The call a trace question asks about: "Trace the method result(3, 4)" gives
+// { name: 'result', args: ['3', '4'] }. args is null when the question names the
+// method without its arguments ("trace a call to the findNextPatientIndex method").
+function extractTracedCall(text) {
+  const flat = text.replace(/\s+/g, ' ');
+  for (const pattern of TRACED_CALL_PATTERNS) {
+    const match = flat.match(pattern);
+    if (match) {
+      const args = match[2] === undefined ? null : match[2].split(',').map(arg => arg.trim()).filter(Boolean);
+      return { name: match[1], args };
+    }
+  }
+  return null;
+}
+
+// Short recall questions ("Define the term ...", "State one advantage of ...")
+// that make sense without the paper's scenario, so they work as flashcards
+const DEFINITION_COMMAND_WORDS = /^(define|state|outline|identify|describe|distinguish|explain)\b/i;
+const DEFINITION_MAX_MARKS = 3;
+const SCENARIO_REFERENCES = /\b(this|these|above|below|following|previously|current|other|scenario|code|pages?|part|diagram|table|line)\b/i;
+
+function detectDefinitionQuestion(sub, classNames = []) {
+  if (sub.isCoding || !sub.marks || sub.marks > DEFINITION_MAX_MARKS) return false;
+  if (!sub.markScheme || sub.markScheme === 'Mark scheme not available.') return false;
+  
+  const prompt = extractQuestionPrompt(sub.text);
+  if (!DEFINITION_COMMAND_WORDS.test(prompt)) return false;
+  
+  // Anything naming the paper's own classes, methods or constants needs the paper to answer
+  if (SCENARIO_REFERENCES.test(prompt)) return false;
+  if (/\b[a-z]+[A-Z]\w*|\b[A-Z][a-z]+[A-Z]\w*|\w\(|\b[A-Z]{2,}_[A-Z_]+\b/.test(prompt)) return false;
+  if (/\bclass [A-Z]|\b[A-Z]\w* class\b/.test(prompt)) return false;
+  return !classNames.some(name => new RegExp(`\\b${name}\\b`).test(prompt));
+}
+
+// The question itself: its text up to the marks, without any scenario text that follows
+function extractQuestionPrompt(text) {
+  const marksIndex = text.search(/\[\d+\]/);
+  return (marksIndex === -1 ? text : text.slice(0, marksIndex)).replace(/\s+/g, ' ').trim();
+}
+
+function extractStarterCode(questionText, examCode) {
+  // For methods like getBrandModel() or findBrandModels()
+  // Don't provide the header - student should figure it out
+  const method = extractRequestedMethod(questionText);
+  if (method) {
+    return `// Write your ${method.name}() method below\n\n`;
+  }
+  
+  // Check if it's asking for a class with extends
+  const extendsMatch = questionText.match(/class\s+(\w+).*extends/i);
+  if (extendsMatch) {
+    const className = extendsMatch[1];
+    return `// Write the ${className} class below\n\n`;
+  }
+  
+  // Check if it's asking for a class
+  const classMatch = questionText.match(/class\s+(\w+)/i);
+  if (classMatch) {
+    const className = classMatch[1];
+    return `// Write the ${className} class below\n\n`;
+  }
+  
+  // Generic coding question
+  return '// Write your code below\n\n';
+}
+
+// Whether an answer is the student's own: not blank, and for coding parts not just
+// the starter code the editor opens with
+function isAttempted(sub, answer) {
+  if (!answer || !answer.trim()) return false;
+  return !sub.isCoding || answer.trim() !== (sub.starterCode || '').trim();
+}
+
+// Method the question asks for, e.g. "Construct the method getBrandModel()" or
+// "the method given as public Owner binSearch(String name, int low, int high)"
+function extractRequestedMethod(questionText) {
+  const text = questionText.replace(/\s+/g, ' ');
+  
+  const header = text.match(/\b(public|private|protected)\s+(?:static\s+)?([\w<>\[\]]+(?:\s*<[\w<>, ]+>)?)\s+(\w+)\s*\(([^)]*)\)/);
+  if (header) {
+    return { name: header[3], access: header[1], returnType: header[2].replace(/\s+/g, ''), params: parseParams(tokenizeJava(header[4])) };
+  }
+  
+  const call = text.match(/\bmethods?,?\s+(?:called\s+)?(\w+)\s*\(([^)]*)\)/i);
+  if (call) {
+    // "search()" in the text doesn't promise an empty parameter list
+    const params = call[2].trim() ? parseParams(tokenizeJava(call[2])) : null;
+    return { name: call[1], access: null, returnType: null, params: params && params.length > 0 ? params : null };
+  }
+  
+  const named = text.match(/\bmethods?,?\s+([a-z]\w*[A-Z]\w*)\b/);
+  if (named) {
+    return { name: named[1], access: null, returnType: null, params: null };
+  }
+  
+  return null;
+}
+
+// "name : String, age : integer" (UML) or "String name, int age" (Java)
+function parseUMLParams(text) {
+  if (!text.trim()) return [];
+  if (!text.includes(':')) return parseParams(tokenizeJava(text));
+  
+  return text.split(',').map(part => {
+    const [name, type] = part.split(':').map(s => s.trim());
+    return { name, type: convertUMLType(type || '') };
+  });
+}
+
+// ============== MANIFEST ==============
+// exams.json lists one entry per exam session. A session can have variants
+// (timezone versions, alternative transcriptions) that reuse its mark scheme
+// unless they give their own:
+//   { "id": "HL_2023_May", ..., "variantLabel": "Original",
+//     "variants": [{ "id": "alt1", "label": "Alternative transcription", "questionPath": "..." }] }
+// Every variant becomes a paper of its own, with an id like "HL_2023_May_alt1"
+// that keys its progress, links and prebuilt JSON.
+function expandManifest(entries) {
+  return entries.flatMap(entry => {
+    const { variants = [], variantLabel, ...session } = entry;
+    const main = {
+      ...session,
+      sessionId: entry.id,
+      sessionLabel: entry.label,
+      variantId: null,
+      variantLabel: variantLabel || 'Main paper',
+    };
+    
+    return [main, ...variants.map(variant => ({
+      ...session,
+      id: `${entry.id}_${variant.id}`,
+      label: `${entry.label} (${variant.label})`,
+      questionPath: variant.questionPath || session.questionPath,
+      markSchemePath: variant.markSchemePath || session.markSchemePath,
+      sessionId: entry.id,
+      sessionLabel: entry.label,
+      variantId: variant.id,
+      variantLabel: variant.label,
+    }))];
+  });
+}
+
+// ============== ANOMALIES ==============
+// Things the parser got wrong or couldn't find, for the preprocessing report.
+// Each anomaly is { type, key?, message }; an empty list means the paper parsed cleanly.
+function findParseAnomalies(qpText, msText, parsed) {
+  const anomalies = [];
+  const add = (type, message, key) => anomalies.push(key ? { type, key, message } : { type, message });
+  
+  if (!/option d/i.test(qpText)) {
+    add('no-option-d', 'Question paper has no "Option D" heading; the whole text was parsed');
+  }
+  if (!msText || !msText.trim()) {
+    add('missing-mark-scheme', 'Mark scheme file is missing or empty');
+  } else if (!/option d/i.test(msText)) {
+    add('no-option-d', 'Mark scheme has no "Option D" heading; the whole text was parsed');
+  }
+  
+  if (parsed.questions.length === 0) {
+    add('no-questions', 'No questions numbered 10 or above were found');
+  }
+  
+  // Marks printed on the paper, to compare with the ones the mark scheme gave
+  const paperMarks = new Map();
+  splitQuestionParts(extractOptionD(qpText), false).forEach(q => {
+    q.parts.forEach(part => {
+      paperMarks.set(buildAnswerKey(q.number, part.letter), part.marks);
+      part.subParts.forEach(subPart => {
+        paperMarks.set(buildAnswerKey(q.number, part.letter, subPart.numeral), subPart.marks);
+      });
+    });
+  });
+  
+  parsed.questions.forEach(q => {
+    if (q.subQuestions.length === 0) {
+      add('no-sub-questions', `Question ${q.number} has no lettered parts`, q.number);
+    }
+    
+    q.subQuestions.forEach(sub => {
+      const label = `${q.number}${sub.label}`;
+      
+      if (sub.key.includes('~')) {
+        add('repeated-part', `${label} repeats an earlier part letter; a question number was probably lost`, sub.key);
+      }
+      if (sub.markScheme === 'Mark scheme not available.') {
+        add('missing-mark-scheme', `${label} has no mark scheme text`, sub.key);
+      }
+      if (sub.marks === null) {
+        add('no-marks', `${label} has no marks on the paper or in the mark scheme`, sub.key);
+        return;
+      }
+      
+      const onPaper = paperMarks.get(sub.key);
+      if (onPaper && onPaper !== sub.marks) {
+        add('marks-mismatch', `${label} is worth [${onPaper}] on the paper but [${sub.marks}] in the mark scheme`, sub.key);
+      }
+      if (sub.markingPoints.max && sub.markingPoints.max !== sub.marks) {
+        add('marks-mismatch', `${label} is worth [${sub.marks}] but its marking points allow [${sub.markingPoints.max} max]`, sub.key);
+      }
+    });
+  });
+  
+  return anomalies;
+}
+
+// ============== JAVA TOKENS ==============
+// Shared with the static checks and signature check in main.js
+const MEMBER_MODIFIERS = new Set([
+  'public', 'private', 'protected', 'static', 'final', 'abstract', 'synchronized', 'transient', 'volatile', 'native',
+]);
+const TWO_CHAR_OPERATORS = new Set(['++', '--', '&&', '||', '==', '!=', '<=', '>=', '+=', '-=', '*=', '/=', '->']);
+
+// Words, numbers, literals and punctuation with 0-based line/ch; comments are dropped
+function tokenizeJava(code) {
+  const tokens = [];
+  let line = 0;
+  let lineStart = 0;
+  let i = 0;
+  
+  const push = (type, value, start) => {
+    tokens.push({ type, value, line, ch: start - lineStart });
+  };
+  
+  while (i < code.length) {
+    const ch = code[i];
+    
+    if (ch === '\n') {
+      line++;
+      lineStart = ++i;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '/' && code[i + 1] === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+    } else if (ch === '/' && code[i + 1] === '*') {
+      i += 2;
+      while (i < code.length && !(code[i] === '*' && code[i + 1] === '/')) {
+        if (code[i] === '\n') {
+          line++;
+          lineStart = i + 1;
+        }
+        i++;
+      }
+      i += 2;
+    } else if (ch === '"' || ch === "'") {
+      // An unterminated literal stops at the end of its line
+      let j = i + 1;
+      while (j < code.length && code[j] !== ch && code[j] !== '\n') j += code[j] === '\\' ? 2 : 1;
+      const end = code[j] === ch ? j + 1 : j;
+      push('string', code.slice(i, end), i);
+      i = end;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const word = code.slice(i).match(/^[\w$]+/)[0];
+      push('word', word, i);
+      i += word.length;
+    } else if (/\d/.test(ch)) {
+      const number = code.slice(i).match(/^[\w.]+/)[0];
+      push('number', number, i);
+      i += number.length;
+    } else {
+      const pair = code.slice(i, i + 2);
+      const value = TWO_CHAR_OPERATORS.has(pair) ? pair : ch;
+      push('punct', value, i);
+      i += value.length;
+    }
+  }
+  
+  return tokens;
+}
+
+function findMatchingToken(tokens, openIndex) {
+  const open = tokens[openIndex].value;
+  const close = { '(': ')', '[': ']', '{': '}' }[open];
+  let depth = 0;
+  
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (tokens[i].value === open) depth++;
+    if (tokens[i].value === close && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Classes with their fields and methods, from the tokens of a Java source file
+function scanClasses(tokens) {
+  const classes = [];
+  
+  tokens.forEach((token, i) => {
+    if (!['class', 'interface', 'enum'].includes(token.value) || !tokens[i + 1] || tokens[i + 1].type !== 'word') return;
+    
+    const open = tokens.findIndex((t, j) => j > i && t.value === '{');
+    if (open === -1) return;
+    const close = findMatchingToken(tokens, open);
+    const extendsIndex = tokens.findIndex((t, j) => j > i && j < open && t.value === 'extends');
+    
+    classes.push({
+      name: tokens[i + 1].value,
+      superName: extendsIndex !== -1 ? tokens[extendsIndex + 1].value : null,
+      ...scanMembers(tokens, open + 1, close === -1 ? tokens.length : close),
+    });
+  });
+  
+  return classes;
+}
+
+function scanMembers(tokens, start, end) {
+  const fields = [];
+  const methods = [];
+  let i = start;
+  
+  while (i < end) {
+    const declStart = i;
+    while (i < end && !['(', ';', '{', '='].includes(tokens[i].value)) i++;
+    if (i >= end) break;
+    
+    const decl = tokens.slice(declStart, i).filter((t, j, all) => t.value !== '@' && !(all[j - 1] && all[j - 1].value === '@'));
+    const isNested = decl.some(t => ['class', 'interface', 'enum'].includes(t.value));
+    
+    if (tokens[i].value === '(' && !isNested) {
+      const closeParen = findMatchingToken(tokens, i);
+      const nameToken = decl[decl.length - 1];
+      const method = {
+        name: nameToken ? nameToken.value : '',
+        nameToken,
+        returnType: typeFromTokens(decl.slice(0, -1).filter(t => !MEMBER_MODIFIERS.has(t.value))),
+        modifiers: decl.filter(t => MEMBER_MODIFIERS.has(t.value)).map(t => t.value),
+        params: parseParams(tokens.slice(i + 1, closeParen === -1 ? end : closeParen)),
+        bodyStart: null,
+        bodyEnd: null,
+      };
+      
+      i = closeParen === -1 ? end : closeParen + 1;
+      while (i < end && tokens[i].value !== '{' && tokens[i].value !== ';') i++;
+      if (i < end && tokens[i].value === '{') {
+        method.bodyStart = i;
+        method.bodyEnd = findMatchingToken(tokens, i);
+        i = method.bodyEnd === -1 ? end : method.bodyEnd + 1;
+      } else {
+        i++;
+      }
+      if (nameToken) methods.push(method);
+    } else if (tokens[i].value === '{') {
+      // Nested class or initialiser block; scanClasses picks nested classes up separately
+      const close = findMatchingToken(tokens, i);
+      i = close === -1 ? end : close + 1;
+    } else {
+      const nameToken = decl[decl.length - 1];
+      const type = typeFromTokens(decl.slice(0, -1).filter(t => !MEMBER_MODIFIERS.has(t.value)));
+      if (nameToken && nameToken.type === 'word' && type) {
+        fields.push({
+          name: nameToken.value,
+          type,
+          modifiers: decl.filter(t => MEMBER_MODIFIERS.has(t.value)).map(t => t.value),
+        });
+      }
+      
+      // Skip an initialiser up to the end of the declaration
+      let depth = 0;
+      while (i < end && !(depth === 0 && tokens[i].value === ';')) {
+        if (['(', '[', '{'].includes(tokens[i].value)) depth++;
+        if ([')', ']', '}'].includes(tokens[i].value)) depth--;
+        i++;
+      }
+      i++;
+    }
+  }
+  
+  return { fields, methods };
+}
+
+// The type written just before a member name; stray words before it (PDF noise) are ignored
+function typeFromTokens(tokens) {
+  const match = tokens.map(t => t.value).join(' ').match(/([\w$.]+(?: < .* >)?(?: \[ \])*)$/);
+  return match ? match[1].replace(/\s+/g, '') : null;
+}
+
+function parseParams(tokens) {
+  const params = [];
+  let current = [];
+  let depth = 0;
+  
+  [...tokens, { value: ',' }].forEach(token => {
+    if (token.value === '<') depth++;
+    if (token.value === '>') depth--;
+    if (token.value === ',' && depth === 0) {
+      const words = current.filter(t => t.value !== 'final');
+      if (words.length >= 2) {
+        params.push({ name: words[words.length - 1].value, type: words.slice(0, -1).map(t => t.value).join('') });
+      }
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  
+  return params;
+}
+
+// ============== UTILITIES ==============
+function truncate(text, len) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > len ? clean.slice(0, len) + '…' : clean;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PARSER_VERSION,
+    expandManifest,
+    parseExam,
+    findParseAnomalies,
+    extractOptionD,
+    splitMainQuestions,
+    parseSubQuestions,
+    splitQuestionParts,
+    parseMarks,
+    parseMarkingPoints,
+    extractStructuredExamInfo,
+    extractTablesStructured,
+    extractBinaryTreeData,
+    extractUMLDiagramsStructured,
+    extractJavaClassesStructured,
+    convertUMLType,
+    convertUMLToJavaSkeleton,
+    classifyTopics,
+    detectCodingQuestion,
+    detectDefinitionQuestion,
+    detectTreeDrawingQuestion,
+    detectDiagramQuestion,
+    detectTraceQuestion,
+    extractTraceTable,
+    extractTracedCall,
+    extractQuestionPrompt,
+    isAttempted,
+    tokenizeJava,
+    findMatchingToken,
+    scanClasses,
+  };
+}
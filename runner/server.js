@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Local Java runner for the IB Paper 2 practice app.
+ *
+ * The answer panel posts the exam classes plus the student's code here, and the
+ * scratchpad posts its files; the runner compiles them with the JDK on this
+ * machine and runs an optional main class. Start it next to the app:
+ *
+ *   node runner/server.js              # uses javac/java from JAVA_HOME or PATH
+ *   node runner/server.js --stub       # no JDK needed; fakes results (for tests)
+ *   node runner/server.js --port 9000  # default port is 8085 (or RUNNER_PORT);
+ *                                      # open the app with ?runnerPort=9000 to match
+ *
+ * Only pages served from localhost may call it, since it runs whatever it is sent.
+ */
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DEFAULT_PORT = 8085;
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_FILES = 20;
+const COMPILE_TIMEOUT_MS = 20000;
+const RUN_TIMEOUT_MS = 5000;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+function parseArgs(argv) {
+  const options = {
+    port: parseInt(process.env.RUNNER_PORT, 10) || DEFAULT_PORT,
+    stub: process.env.RUNNER_STUB === '1',
+    allowOrigins: [],
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stub') options.stub = true;
+    else if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--allow-origin') options.allowOrigins.push(argv[++i]);
+  }
+  return options;
+}
+
+function isAllowedOrigin(origin, allowOrigins) {
+  // Requests without an Origin header come from curl or the test suite, not a page
+  if (!origin) return true;
+  if (allowOrigins.includes(origin)) return true;
+  return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+}
+
+function javaBin(name) {
+  return process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, 'bin', name) : name;
+}
+
+function runProcess(command, args, { cwd, timeout }) {
+  return new Promise(resolve => {
+    execFile(command, args, { cwd, timeout, maxBuffer: MAX_OUTPUT_BYTES, killSignal: 'SIGKILL' }, (err, stdout, stderr) => {
+      resolve({
+        exitCode: err ? (typeof err.code === 'number' ? err.code : 1) : 0,
+        stdout: String(stdout),
+        stderr: String(stderr),
+        timedOut: !!(err && err.killed),
+        missing: !!(err && err.code === 'ENOENT'),
+      });
+    });
+  });
+}
+
+// javac reports "Car.java:12: error: ';' expected", then the source line and a caret line
+function parseJavacOutput(output) {
+  const lines = output.split(/\r?\n/);
+  const diagnostics = [];
+  
+  lines.forEach((line, idx) => {
+    const match = line.match(/^(?:.*[\\/])?([\w$]+\.java):(\d+): (error|warning): (.*)$/);
+    if (!match) return;
+    
+    const caretLine = lines.slice(idx + 1, idx + 4).find(l => /^\s*\^\s*$/.test(l));
+    diagnostics.push({
+      file: match[1],
+      line: parseInt(match[2], 10),
+      column: caretLine ? caretLine.indexOf('^') + 1 : null,
+      severity: match[3],
+      message: match[4],
+    });
+  });
+  
+  return diagnostics;
+}
+
+// Returns an error message for malformed requests, or null
+function validateRunRequest(body) {
+  if (!body || !Array.isArray(body.files) || body.files.length === 0) return '"files" must be a non-empty array.';
+  if (body.files.length > MAX_FILES) return `At most ${MAX_FILES} files can be compiled at once.`;
+  
+  for (const file of body.files) {
+    if (!file || typeof file.name !== 'string' || !/^[A-Za-z_$][\w$]*\.java$/.test(file.name)) {
+      return `"${file && file.name}" is not a valid Java file name.`;
+    }
+    if (typeof file.content !== 'string') return `${file.name} has no content.`;
+  }
+  
+  if (body.mainClass != null && !/^[A-Za-z_$][\w$]*$/.test(body.mainClass)) {
+    return `"${body.mainClass}" is not a valid class name.`;
+  }
+  return null;
+}
+
+async function compileAndRun({ files, mainClass }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ibp2-runner-'));
+  
+  try {
+    files.forEach(file => fs.writeFileSync(path.join(dir, file.name), file.content));
+    
+    const compile = await runProcess(javaBin('javac'), ['-Xlint:none', '-encoding', 'UTF-8', ...files.map(f => f.name)], {
+      cwd: dir,
+      timeout: COMPILE_TIMEOUT_MS,
+    });
+    if (compile.missing) {
+      return { ok: false, error: 'javac was not found. Install a JDK or set JAVA_HOME, or start the runner with --stub.' };
+    }
+    
+    const diagnostics = parseJavacOutput(compile.stderr);
+    const result = {
+      ok: true,
+      compiled: compile.exitCode === 0,
+      diagnostics,
+      stdout: '',
+      stderr: compile.exitCode === 0 ? '' : compile.stderr,
+      exitCode: null,
+      timedOut: compile.timedOut,
+    };
+    
+    if (result.compiled && mainClass) {
+      const run = await runProcess(javaBin('java'), ['-Xmx128m', '-cp', dir, mainClass], { cwd: dir, timeout: RUN_TIMEOUT_MS });
+      Object.assign(result, { stdout: run.stdout, stderr: run.stderr, exitCode: run.exitCode, timedOut: run.timedOut });
+    }
+    return result;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Stub mode: no JDK. Brace balance stands in for compilation so the app's
+// error mapping can still be exercised, and main is never really run.
+function stubCompileAndRun({ files, mainClass }) {
+  const diagnostics = [];
+  
+  files.forEach(file => {
+    let depth = 0;
+    file.content.split('\n').forEach((line, idx) => {
+      for (const ch of line.replace(/\/\/.*$/, '').replace(/"(?:[^"\\]|\\.)*"/g, '""')) {
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+        if (depth < 0) {
+          diagnostics.push({ file: file.name, line: idx + 1, column: null, severity: 'error', message: "class, interface, or enum expected" });
+          depth = 0;
+        }
+      }
+    });
+    if (depth > 0) {
+      const lineCount = file.content.split('\n').length;
+      diagnostics.push({ file: file.name, line: lineCount, column: null, severity: 'error', message: 'reached end of file while parsing' });
+    }
+  });
+  
+  const compiled = diagnostics.length === 0;
+  return {
+    ok: true,
+    stub: true,
+    compiled,
+    diagnostics,
+    stdout: compiled && mainClass ? `[stub] ${mainClass}.main() would run here\n` : '',
+    stderr: '',
+    exitCode: compiled && mainClass ? 0 : null,
+    timedOut: false,
+  };
+}
+
+// allowOrigin is left out for refused origins, so the browser gets no CORS headers at all
+function sendJson(res, status, body, allowOrigin) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...(allowOrigin && {
+      'Access-Control-Allow-Origin': allowOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    }),
+    'Vary': 'Origin',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new Error('Request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createRunnerServer(options) {
+  return http.createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, options.allowOrigins)) {
+      sendJson(res, 403, { ok: false, error: `Origin ${origin} is not allowed.` });
+      return;
+    }
+    const allowOrigin = origin || '*';
+    
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, {}, allowOrigin);
+      return;
+    }
+    
+    if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { ok: true, mode: options.stub ? 'stub' : 'jdk' }, allowOrigin);
+      return;
+    }
+    
+    if (req.method === 'POST' && req.url === '/run') {
+      try {
+        const body = await readJsonBody(req);
+        const error = validateRunRequest(body);
+        if (error) {
+          sendJson(res, 400, { ok: false, error }, allowOrigin);
+          return;
+        }
+        
+        const result = options.stub ? stubCompileAndRun(body) : await compileAndRun(body);
+        sendJson(res, result.ok ? 200 : 500, result, allowOrigin);
+      } catch (err) {
+        sendJson(res, 400, { ok: false, error: err.message }, allowOrigin);
+      }
+      return;
+    }
+    
+    sendJson(res, 404, { ok: false, error: 'Not found.' }, allowOrigin);
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  createRunnerServer(options).listen(options.port, '127.0.0.1', () => {
+    console.log(`Java runner (${options.stub ? 'stub' : 'JDK'} mode) listening on http://localhost:${options.port}`);
+  });
+}
+
+module.exports = {
+  createRunnerServer,
+  parseJavacOutput,
+  validateRunRequest,
+  stubCompileAndRun,
+  isAllowedOrigin,
+};
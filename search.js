@@ -0,0 +1,259 @@
+/**
+ * Full-text search over every paper's sub-questions and mark schemes.
+ *
+ * Runs as a Web Worker (main.js starts it with `new Worker('search.js?v=2&parser=8')`,
+ * passing the page's PARSER_VERSION) so fetching and parsing all papers doesn't
+ * freeze the page. The worker loads that same parser.js version, so it never runs
+ * a stale cached parser or accepts prebuilt JSON from another version. The index
+ * holds one entry per sub-question, built from parseExam() output.
+ *
+ * Messages in:  { type: 'build', exams, prebuiltDir }
+ *               { type: 'search', requestId, query, filters }
+ * Messages out: { type: 'progress', indexed, total }
+ *               { type: 'ready', entries }
+ *               { type: 'results', requestId, results, total }
+ *               { type: 'error', message }
+ *
+ * The index and search functions are also exported for Node so they can be tested.
+ */
+if (typeof importScripts === 'function') {
+  importScripts(`parser.js?v=${new URLSearchParams(self.location.search).get('parser') || ''}`);
+}
+
+const SEARCH_RESULT_LIMIT = 100;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 220;
+
+// ============== INDEX ==============
+function buildSearchEntries(exam, parsed) {
+  const yearMatch = exam.label.match(/\b(\d{4})\b/);
+
+  return parsed.questions.flatMap(q => q.subQuestions.map(sub => {
+    const text = collapseWhitespace(sub.stem ? `${sub.stem}\n${sub.text}` : sub.text);
+    const markScheme = sub.markScheme === 'Mark scheme not available.' ? '' : collapseWhitespace(sub.markScheme);
+    return {
+      examId: exam.id,
+      sessionId: exam.sessionId || exam.id,
+      level: exam.level,
+      examLabel: exam.label,
+      year: yearMatch ? parseInt(yearMatch[1], 10) : null,
+      question: q.number,
+      letter: sub.letter,
+      numeral: sub.numeral,
+      key: sub.key,
+      label: sub.label,
+      marks: sub.marks,
+      isCoding: sub.isCoding,
+      text,
+      markScheme,
+      searchText: text.toLowerCase(),
+      searchMarkScheme: markScheme.toLowerCase(),
+    };
+  }));
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// ============== SEARCH ==============
+// Words must all appear somewhere in the question or its mark scheme;
+// "quoted phrases" must appear as written
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query.toLowerCase())) !== null) {
+    const term = collapseWhitespace(match[1] || match[2]);
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.level && entry.level !== filters.level) return false;
+  if (filters.type === 'coding' && !entry.isCoding) return false;
+  if (filters.type === 'written' && entry.isCoding) return false;
+  if (filters.fromYear && (entry.year === null || entry.year < filters.fromYear)) return false;
+  if (filters.toYear && (entry.year === null || entry.year > filters.toYear)) return false;
+  return true;
+}
+
+function countOccurrences(haystack, term) {
+  let count = 0;
+  let index = haystack.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(term, index + term.length);
+  }
+  return count;
+}
+
+// Returns { results, total }, best matches first; question text counts double.
+// Variants transcribe their session's paper again, so each sub-question of a
+// session is listed once, from the transcription that matches best.
+function searchEntries(entries, query, filters = {}) {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return { results: [], total: 0 };
+
+  const matches = [];
+  entries.forEach((entry, order) => {
+    if (!matchesFilters(entry, filters)) return;
+
+    let score = 0;
+    for (const term of terms) {
+      const inText = countOccurrences(entry.searchText, term);
+      const inMarkScheme = countOccurrences(entry.searchMarkScheme, term);
+      if (inText === 0 && inMarkScheme === 0) return;
+      score += inText * 2 + inMarkScheme;
+    }
+    matches.push({ entry, score, order });
+  });
+
+  matches.sort((a, b) => b.score - a.score || a.order - b.order);
+  const listed = new Set();
+  const best = matches.filter(({ entry }) => {
+    const id = `${entry.sessionId}:${entry.key}`;
+    if (listed.has(id)) return false;
+    listed.add(id);
+    return true;
+  });
+
+  const results = best.slice(0, SEARCH_RESULT_LIMIT).map(({ entry, score }) => ({
+    examId: entry.examId,
+    level: entry.level,
+    examLabel: entry.examLabel,
+    year: entry.year,
+    question: entry.question,
+    letter: entry.letter,
+    numeral: entry.numeral,
+    key: entry.key,
+    label: entry.label,
+    marks: entry.marks,
+    isCoding: entry.isCoding,
+    score,
+    textSnippet: buildSnippet(entry.text, entry.searchText, terms),
+    markSchemeSnippet: buildSnippet(entry.markScheme, entry.searchMarkScheme, terms),
+  }));
+
+  return { results, total: best.length };
+}
+
+// A window of text around the first match, as { text, highlights: [[start, end]] },
+// or null when no term appears in it
+function buildSnippet(text, lowerText, terms) {
+  const firstIndex = Math.min(...terms.map(term => {
+    const index = lowerText.indexOf(term);
+    return index === -1 ? Infinity : index;
+  }));
+  if (firstIndex === Infinity) return null;
+
+  let start = Math.max(0, firstIndex - SNIPPET_BEFORE);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstIndex) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > firstIndex) end = space;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+  const lowerWindow = lowerText.slice(start, end);
+
+  const ranges = [];
+  terms.forEach(term => {
+    let index = lowerWindow.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index + prefix.length, index + prefix.length + term.length]);
+      index = lowerWindow.indexOf(term, index + term.length);
+    }
+  });
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    highlights: mergeRanges(ranges),
+  };
+}
+
+function mergeRanges(ranges) {
+  const merged = [];
+  ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+// ============== WORKER ==============
+let searchIndex = [];
+
+// Same order as the app: the preprocessed JSON when it is current, otherwise parse the text
+async function loadExamForIndex(exam, prebuiltDir) {
+  try {
+    const res = await fetch(`${prebuiltDir}/${exam.id}.json`);
+    if (res.ok) {
+      const prebuilt = await res.json();
+      if (prebuilt.parserVersion === PARSER_VERSION) return prebuilt;
+    }
+  } catch (err) {
+    // No prebuilt copy; parse it below
+  }
+
+  const [qpText, msText] = await Promise.all([
+    fetch(exam.questionPath).then(r => r.text()),
+    fetch(exam.markSchemePath).then(r => r.text()),
+  ]);
+  return parseExam(qpText, msText);
+}
+
+async function buildIndex(exams, prebuiltDir) {
+  searchIndex = [];
+  let indexed = 0;
+
+  // One paper at a time keeps the worker's fetches from crowding out the page's own
+  for (const exam of exams) {
+    try {
+      searchIndex.push(...buildSearchEntries(exam, await loadExamForIndex(exam, prebuiltDir)));
+    } catch (err) {
+      console.error(`Failed to index ${exam.id}:`, err);
+    }
+    indexed++;
+    postMessage({ type: 'progress', indexed, total: exams.length });
+  }
+
+  postMessage({ type: 'ready', entries: searchIndex.length });
+}
+
+if (typeof importScripts === 'function') {
+  self.addEventListener('message', async event => {
+    const message = event.data;
+    try {
+      if (message.type === 'build') {
+        await buildIndex(message.exams, message.prebuiltDir);
+      } else if (message.type === 'search') {
+        const { results, total } = searchEntries(searchIndex, message.query, message.filters);
+        postMessage({ type: 'results', requestId: message.requestId, results, total });
+      }
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildSearchEntries,
+    parseSearchQuery,
+    searchEntries,
+    buildSnippet,
+  };
+}
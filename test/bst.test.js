@@ -0,0 +1,72 @@
+// Binary search tree tests: building and traversing, the answer text format,
+// and checking drawn trees, using the keys the HL papers give.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compareTreeKeys,
+  insertTreeKey,
+  buildTree,
+  traverseTree,
+  layoutTree,
+  formatTreeAnswer,
+  parseTreeAnswer,
+  checkTreeDrawing,
+} = require('../bst.js');
+
+// HL May 2024, Figure 12, in the order the paper lists the nodes
+const CUSTOMERS = ['519', '337', '101', '788', '451', '612', '999'];
+
+const keysAt = (tree, paths) => paths.map(path => tree[path]);
+
+test('keys compare as numbers, dd/mm/yyyy dates, then text', () => {
+  assert.ok(compareTreeKeys('99', '101') < 0);
+  assert.ok(compareTreeKeys('02/06/2016', '14/05/2016') > 0);
+  assert.ok(compareTreeKeys('Apple', 'Banana') < 0);
+});
+
+test('inserting reports each comparison and sends equal keys right', () => {
+  const tree = buildTree(['121', '132']);
+  const { path, steps } = insertTreeKey(tree, '124');
+  assert.equal(path, 'RL');
+  assert.deepEqual(steps, [{ path: '', key: '121', direction: 'R' }, { path: 'R', key: '132', direction: 'L' }]);
+  assert.equal(insertTreeKey(tree, '121').path, 'RLL');
+});
+
+test('traversals visit the figure tree in the expected orders', () => {
+  const tree = buildTree(CUSTOMERS);
+  assert.deepEqual(keysAt(tree, traverseTree(tree, 'inorder')), ['101', '337', '451', '519', '612', '788', '999']);
+  assert.deepEqual(keysAt(tree, traverseTree(tree, 'preorder')), ['519', '337', '101', '451', '788', '612', '999']);
+  assert.deepEqual(keysAt(tree, traverseTree(tree, 'postorder')), ['101', '451', '337', '612', '999', '788', '519']);
+});
+
+test('layout keeps in-order columns and offers empty child slots', () => {
+  const tree = buildTree(['519', '337']);
+  assert.deepEqual(layoutTree(tree).map(e => [e.key, e.column, e.depth]), [['337', 0, 1], ['519', 1, 0]]);
+  assert.deepEqual(layoutTree(tree, true).map(e => e.path), ['LL', 'L', 'LR', '', 'R']);
+  assert.deepEqual(layoutTree({}, true).map(e => e.path), ['']);
+});
+
+test('drawn trees round-trip through the answer text', () => {
+  const tree = buildTree(CUSTOMERS);
+  const text = formatTreeAnswer(tree);
+  assert.equal(text.split('\n')[0], '519: left 337, right 788');
+  assert.deepEqual(parseTreeAnswer(text), tree);
+  assert.deepEqual(parseTreeAnswer(formatTreeAnswer({ '': '519' })), { '': '519' });
+  assert.equal(formatTreeAnswer({}), '');
+});
+
+test('drawings are checked against the given and ascending insertion orders', () => {
+  assert.equal(checkTreeDrawing(buildTree(CUSTOMERS), CUSTOMERS).matches, 'given');
+
+  // HL May 2024 19(c): the in-order output fed back in gives a chain to the right
+  const chain = buildTree([...CUSTOMERS].sort(compareTreeKeys));
+  assert.equal(Object.keys(chain).pop(), 'RRRRRR');
+  assert.equal(checkTreeDrawing(chain, CUSTOMERS).matches, 'ascending');
+
+  const wrong = { '': '519', L: '788', R: '337' };
+  const result = checkTreeDrawing(wrong, CUSTOMERS);
+  assert.equal(result.matches, null);
+  assert.equal(result.complete, false);
+  assert.deepEqual(result.missing, ['101', '451', '612', '999']);
+  assert.deepEqual(result.misplaced.map(m => m.key), ['788', '337']);
+});
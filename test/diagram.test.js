@@ -0,0 +1,108 @@
+// Diagram answer tests: editing the model, arrow geometry, the saved JSON and the
+// text and SVG renderings, using the shapes the HL linked list and array parts ask for.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DIAGRAM_SIZES,
+  createDiagram,
+  addDiagramItem,
+  removeDiagramItem,
+  addDiagramSlot,
+  removeDiagramSlot,
+  setDiagramArrow,
+  itemBounds,
+  arrowGeometry,
+  formatDiagramAnswer,
+  parseDiagramAnswer,
+  describeDiagram,
+  diagramToSvg,
+} = require('../diagram.js');
+
+// HL November 2018 16(c): runway1 → KL1102 → LH8803 → null
+function runwayList() {
+  const diagram = createDiagram();
+  const head = addDiagramItem(diagram, 'variable');
+  head.name = 'runway1';
+  const first = addDiagramItem(diagram, 'object');
+  first.title = 'KL1102';
+  first.fields[0].value = 'STA 11:05';
+  const second = addDiagramItem(diagram, 'object');
+  second.title = 'LH8803';
+  const end = addDiagramItem(diagram, 'null');
+
+  setDiagramArrow(diagram, { id: head.id, slot: 0 }, first.id);
+  setDiagramArrow(diagram, { id: first.id, slot: 1 }, second.id);
+  setDiagramArrow(diagram, { id: second.id, slot: 1 }, end.id);
+  return diagram;
+}
+
+test('new items line up left to right and wrap onto a new row', () => {
+  const diagram = createDiagram();
+  const first = addDiagramItem(diagram, 'object');
+  const second = addDiagramItem(diagram, 'object');
+  assert.equal(second.y, first.y);
+  assert.equal(second.x, first.x + DIAGRAM_SIZES.objectWidth + DIAGRAM_SIZES.gap);
+
+  const wrapped = addDiagramItem(diagram, 'array', 400);
+  assert.equal(wrapped.x, DIAGRAM_SIZES.margin);
+  assert.ok(wrapped.y >= itemBounds(first).y + itemBounds(first).height);
+  assert.deepEqual(diagram.items.map(item => item.id), ['i1', 'i2', 'i3']);
+});
+
+test('a slot has at most one arrow, and arrows go with their items and slots', () => {
+  const diagram = runwayList();
+  setDiagramArrow(diagram, { id: 'i2', slot: 1 }, 'i4');
+  assert.equal(diagram.arrows.filter(a => a.from.id === 'i2').length, 1);
+  assert.equal(diagram.arrows.find(a => a.from.id === 'i2').to, 'i4');
+
+  removeDiagramSlot(diagram, 'i2');
+  assert.equal(diagram.arrows.some(a => a.from.id === 'i2'), false);
+  addDiagramSlot(diagram, 'i2');
+  assert.equal(diagram.items[1].fields.length, 2);
+
+  removeDiagramItem(diagram, 'i3');
+  assert.deepEqual(diagram.arrows.map(a => `${a.from.id}→${a.to}`), ['i1→i2']);
+});
+
+test('arrows start at their slot and stop at the edge of their target', () => {
+  const diagram = runwayList();
+  const [, first, second] = diagram.items;
+  const arrow = arrowGeometry(diagram, diagram.arrows[1]);
+
+  assert.equal(arrow.y1, first.y + DIAGRAM_SIZES.headerHeight + DIAGRAM_SIZES.rowHeight * 1.5);
+  assert.equal(arrow.x2, second.x);
+  assert.ok(arrow.y2 > second.y && arrow.y2 < second.y + itemBounds(second).height);
+});
+
+test('diagrams round-trip through the answer JSON, dropping broken parts', () => {
+  const diagram = runwayList();
+  assert.deepEqual(parseDiagramAnswer(formatDiagramAnswer(diagram)), diagram);
+  assert.equal(formatDiagramAnswer(createDiagram()), '');
+  assert.deepEqual(parseDiagramAnswer(''), createDiagram());
+  assert.equal(parseDiagramAnswer('KL1102 then LH8803'), null);
+
+  const broken = JSON.parse(formatDiagramAnswer(diagram));
+  broken.items.push({ id: 'i9', type: 'circle', x: 0, y: 0 });
+  broken.arrows.push({ from: { id: 'i4', slot: 0 }, to: 'i9' });
+  assert.deepEqual(parseDiagramAnswer(JSON.stringify(broken)), diagram);
+});
+
+test('diagrams read as text and draw as standalone SVG', () => {
+  const diagram = runwayList();
+  assert.equal(describeDiagram(diagram), [
+    'runway1 → KL1102',
+    'KL1102: data = STA 11:05, next → LH8803',
+    'LH8803: data = –, next → null',
+  ].join('\n'));
+
+  const engines = createDiagram();
+  const array = addDiagramItem(engines, 'array');
+  array.name = 'mEngines';
+  array.cells = ['7', '9', 'null'];
+  assert.equal(describeDiagram(engines), 'mEngines: [7, 9, null]');
+
+  const svg = diagramToSvg(diagram);
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg"'));
+  assert.equal(svg.match(/marker-end=/g).length, 3);
+  assert.ok(svg.includes('>KL1102</text>'));
+});
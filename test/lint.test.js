@@ -0,0 +1,116 @@
+// Static check tests: the Java tokenizer and class scanner they build on, then the
+// diagnostics for answers checked against the classes of SL May 2015 (Student and Loan).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { expandManifest, parseExam, scanClasses, tokenizeJava } = require('../parser.js');
+const { analyseJavaAnswer, buildJavaClassModel } = require('../lint.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function read(relativePath) {
+  return fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+}
+
+const exam = expandManifest(JSON.parse(read('exams.json'))).find(e => e.id === 'SL_2015_May');
+const { examInfo } = parseExam(read(exam.questionPath), read(exam.markSchemePath));
+
+// The answer as a new method at the end of the Student class, the way the app
+// adds an answer that doesn't replace a "// missing code" stub
+function studentUnit(answer) {
+  const files = examInfo.classes.map(cls => ({ name: `${cls.name}.java`, content: cls.code }));
+  const file = files.find(f => f.name === 'Student.java');
+  const closing = file.content.lastIndexOf('}');
+  const before = file.content.slice(0, closing);
+  file.content = `${before}${answer}\n${file.content.slice(closing)}`;
+  return { files, answerFile: file.name, answerOffset: before.split('\n').length - 1, answerLineCount: answer.split('\n').length };
+}
+
+function check(answer) {
+  return analyseJavaAnswer(answer, examInfo, () => studentUnit(answer))
+    .map(d => `${d.line}:${d.ch} ${d.severity} ${d.message}`);
+}
+
+test('tokens keep their line and column, without comments', () => {
+  const tokens = tokenizeJava('int x = 10; // ten\n/* note\n */ s += "a;b";');
+  assert.deepEqual(tokens.map(t => [t.type, t.value, t.line, t.ch]), [
+    ['word', 'int', 0, 0], ['word', 'x', 0, 4], ['punct', '=', 0, 6], ['number', '10', 0, 8], ['punct', ';', 0, 10],
+    ['word', 's', 2, 4], ['punct', '+=', 2, 6], ['string', '"a;b"', 2, 9], ['punct', ';', 2, 14],
+  ]);
+});
+
+test('the exam classes scan into fields and methods with their modifiers', () => {
+  const classes = examInfo.classes.flatMap(cls => scanClasses(tokenizeJava(cls.code)));
+  assert.deepEqual(classes.map(cls => cls.name), ['Student', 'Loan']);
+
+  const [student, loan] = classes;
+  assert.deepEqual(student.fields.map(f => `${f.modifiers.join(' ')} ${f.type} ${f.name}`), [
+    'private int studentID', 'private String studentName', 'private Loan[] booksBorrowed', 'private int numBooks',
+  ]);
+  assert.deepEqual(student.methods.map(m => `${m.returnType} ${m.name}`), [
+    'null Student', 'Loan getLoan', 'void addLoan', 'int getStudentID', 'String getStudentName',
+  ]);
+  assert.deepEqual(student.methods[2].params, [{ type: 'Loan', name: 'book' }]);
+  assert.deepEqual(loan.fields.find(f => f.name === 'numBooksLoaned').modifiers, ['static']);
+
+  const model = buildJavaClassModel(examInfo.classes.map(cls => ({ name: `${cls.name}.java`, content: cls.code })), examInfo.umlDiagrams);
+  assert.equal(model.get('Loan').methods.get('getBookTitle').returnType, 'String');
+});
+
+test('an answer that uses the exam classes properly has nothing to report', () => {
+  assert.deepEqual(check([
+    'public int countLoans(String title)',
+    '{',
+    '  int count = 0;',
+    '  for (int i = 0; i < numBooks; i++)',
+    '  {',
+    '    if (getLoan(i).getBookTitle().equals(title)) count++;',
+    '  }',
+    '  return count;',
+    '}',
+  ].join('\n')), []);
+});
+
+test("a statement without ';' is an error at its last token", () => {
+  assert.deepEqual(check([
+    'public void renew(Loan book)',
+    '{',
+    '  book.setDate(new Date())',
+    '  addLoan(book);',
+    '}',
+  ].join('\n')), ["2:25 error Missing ';' at the end of this statement"]);
+});
+
+test('unbalanced brackets are reported where they open, and skip the member checks', () => {
+  assert.deepEqual(check([
+    'public void renew(Loan book)',
+    '{',
+    '  if (book.bookID > 0 {',
+    '    addLoan(book);',
+    '  }',
+    '}',
+  ].join('\n')), ["2:5 error '(' is never closed"]);
+  assert.deepEqual(check('public void clear() { numBooks = 0; } }'), ["0:38 error Unexpected '}' with nothing to close"]);
+});
+
+test('a void method that returns a value is an error', () => {
+  assert.deepEqual(check('public void firstTitle()\n{\n  return getLoan(0).getBookTitle();\n}'), [
+    "2:2 error firstTitle() is void, so it can't return a value",
+  ]);
+});
+
+test('a method without a return type is an error', () => {
+  assert.deepEqual(check('public lastLoan()\n{\n  return getLoan(numBooks - 1);\n}'), [
+    "0:7 error lastLoan() has no return type — use void if it doesn't return anything",
+  ]);
+});
+
+test("another class's private fields are a warning pointing at the accessor", () => {
+  assert.deepEqual(check('public String firstTitle()\n{\n  return booksBorrowed[0].bookTitle;\n}'), [
+    '2:26 warning bookTitle is private in Loan — use its accessor method instead',
+  ]);
+  assert.deepEqual(check('public int firstID()\n{\n  return booksBorrowed[0].bookNumber;\n}'), [
+    '2:26 warning Loan has no field bookNumber',
+  ]);
+});
@@ -0,0 +1,93 @@
+// Provisional marking tests: mark scheme conventions on hand-written points,
+// then a few answers against real mark schemes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseExam, parseMarkingPoints } = require('../parser.js');
+const { stemWord, markWrittenAnswer } = require('../marker.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function findSub(examDir, key) {
+  const base = path.join(ROOT, 'exams', examDir, `IB_CS_${examDir.replace('/', '_')}_Paper2`);
+  const parsed = parseExam(fs.readFileSync(`${base}.txt`, 'utf8'), fs.readFileSync(`${base}_MS.txt`, 'utf8'));
+  return parsed.questions.flatMap(q => q.subQuestions).find(sub => sub.key === key);
+}
+
+function statuses(answer, markingPoints) {
+  return markWrittenAnswer(answer, markingPoints).points.map(p => p.status);
+}
+
+test('word forms meet on the same stem', () => {
+  assert.equal(stemWord('encapsulates'), stemWord('encapsulation'));
+  assert.equal(stemWord('classes'), stemWord('class'));
+  assert.equal(stemWord('properties'), stemWord('property'));
+  assert.equal(stemWord('hiding'), stemWord('hides'));
+});
+
+test('"/" alternatives, optional brackets and OOP synonyms', () => {
+  const scheme = parseMarkingPoints('Award [2 max].\nAn object consists of data/attributes;\nHas methods (that act on the data);', 2);
+
+  // "fields" and "behaviours" stand in for "attributes" and "methods"; the bracketed part isn't needed
+  assert.deepEqual(statuses('It has fields and behaviours.', scheme), ['missed', 'matched']);
+  assert.deepEqual(statuses('An object consists of properties and has behaviours.', scheme), ['matched', 'matched']);
+
+  // Whole-phrase alternatives either side of " / "
+  const phrases = parseMarkingPoints('Ease of maintenance / programs are easier to update;', 1);
+  assert.equal(markWrittenAnswer('The program is simpler to modify', phrases).score, 1);
+});
+
+test('words that only share a topic with a point are not its synonyms', () => {
+  const scheme = parseMarkingPoints('Award [1 max].\nImproved security;\nUses data hiding;', 1);
+  assert.deepEqual(statuses('more private', scheme), ['missed', 'missed']);
+  assert.deepEqual(statuses('It is better and more secure', scheme), ['missed', 'missed']);
+  assert.deepEqual(statuses('Private protects it', scheme), ['missed', 'missed']);
+
+  const inheritance = parseMarkingPoints('Award [2 max].\nThe subclass inherits from the superclass;\nFewer errors;', 2);
+  assert.deepEqual(statuses('The child inherits from the parent', inheritance), ['missed', 'missed']);
+  assert.deepEqual(statuses('The child class inherits from the parent class, so there are fewer bugs', inheritance), ['matched', 'matched']);
+});
+
+test('the score is capped at "[n max]"', () => {
+  const scheme = parseMarkingPoints('Award [1 max].\nImproved security;\nUses data hiding;', 1);
+  const result = markWrittenAnswer('Security is improved by data hiding.', scheme);
+  assert.deepEqual(result.points.map(p => p.status), ['matched', 'matched']);
+  assert.equal(result.score, 1);
+  assert.equal(result.max, 1);
+});
+
+test('"Accept" and "Do not accept" notes attach to the point above', () => {
+  const scheme = parseMarkingPoints([
+    'Award [1 max].',
+    'The subclass extends the superclass;',
+    'Note: Accept \'inheritance\'.',
+    'The value is fixed for every object;',
+    'Note: Do not accept “cannot be changed”.',
+  ].join('\n'), 1);
+
+  assert.deepEqual(scheme.points[0].accept, ['inheritance']);
+  assert.deepEqual(scheme.points[1].reject, ['cannot be changed']);
+  assert.equal(scheme.notes.length, 2);
+
+  assert.deepEqual(statuses('Inheritance', scheme), ['matched', 'missed']);
+  assert.deepEqual(statuses('The value cannot be changed', scheme), ['missed', 'missed']);
+  assert.deepEqual(statuses('The value is fixed for every object and cannot be changed', scheme), ['missed', 'matched']);
+});
+
+test('criteria that describe the mark are left for the student', () => {
+  const scheme = parseMarkingPoints('Award [1] for identifying an advantage and [1] for an elaboration of this advantage.', 2);
+  assert.equal(markWrittenAnswer('Modules can be tested separately.', scheme), null);
+  assert.equal(markWrittenAnswer('', parseMarkingPoints('Inheritance;', 1)), null);
+});
+
+test('real mark schemes: a good answer scores, an unrelated one does not', () => {
+  const encapsulation = findSub('SL/2023_May', '11-b');
+  const good = markWrittenAnswer('Encapsulation improves security because private variables hide the data, so it can only be changed through methods.', encapsulation.markingPoints);
+  assert.equal(good.score, 3);
+  assert.equal(markWrittenAnswer('It makes the program run faster.', encapsulation.markingPoints).score, 0);
+
+  const object = findSub('SL/2024_May', '10-a');
+  assert.equal(markWrittenAnswer('An object is an abstract entity made of attributes and behaviours.', object.markingPoints).score, 2);
+  assert.equal(markWrittenAnswer('An object is a thing.', object.markingPoints).score, 0);
+});
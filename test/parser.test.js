@@ -0,0 +1,513 @@
+// Parser regression tests: a snapshot of every bundled paper, plus the edge cases
+// that have broken before. Run with `npm test`; after an intended parser change,
+// refresh the snapshot with `UPDATE_SNAPSHOTS=1 npm test` and review its diff.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  expandManifest,
+  parseExam,
+  findParseAnomalies,
+  parseMarks,
+  parseMarkingPoints,
+  splitMainQuestions,
+  extractOptionD,
+  detectDefinitionQuestion,
+  detectTreeDrawingQuestion,
+  detectDiagramQuestion,
+  detectTraceQuestion,
+  extractTraceTable,
+  extractTracedCall,
+  extractBinaryTreeData,
+  extractTablesStructured,
+  isAttempted,
+  classifyTopics,
+  convertUMLToJavaSkeleton,
+  scanClasses,
+  tokenizeJava,
+} = require('../parser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'parse-exams.txt');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const exams = expandManifest(JSON.parse(fs.readFileSync(path.join(ROOT, 'exams.json'), 'utf8')));
+
+function read(relativePath) {
+  return fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+}
+
+function parsePaper(questionPath, markSchemePath) {
+  return parseExam(read(questionPath), read(markSchemePath));
+}
+
+const UML_VISIBILITY = { public: '+', private: '-', protected: '#', package: '~' };
+
+function summariseUMLMethod(method) {
+  const params = method.params.map(p => p.type).join(', ');
+  const modifiers = `${method.isStatic ? 'static ' : ''}${method.isAbstract ? 'abstract ' : ''}`;
+  return `${UML_VISIBILITY[method.visibility] || '?'}${modifiers}${method.name}(${params})${method.returnType ? `: ${method.returnType}` : ''}`;
+}
+
+// What the snapshot pins down: question numbers, part labels and keys, marks,
+// coding, tree-drawing, diagram and trace detection, the classes with their members,
+// and the UML classes with their members, superclasses and relationships
+function summarise(parsed) {
+  const lines = [];
+  parsed.questions.forEach(q => {
+    lines.push(`question ${q.number}`);
+    q.subQuestions.forEach(sub => {
+      lines.push(`  ${sub.label} ${sub.key} marks=${sub.marks === null ? '-' : sub.marks}${sub.isCoding ? ' coding' : ''}${sub.isTreeDrawing ? ' tree' : ''}${sub.isDiagram ? ' diagram' : ''}${sub.isTrace ? ' trace' : ''}`);
+    });
+  });
+  parsed.examInfo.classes.forEach(cls => {
+    const scanned = scanClasses(tokenizeJava(cls.code)).find(c => c.name === cls.name);
+    const fields = scanned ? scanned.fields.map(f => f.name).join(',') : '';
+    const methods = scanned ? scanned.methods.map(m => m.name).join(',') : '';
+    lines.push(`class ${cls.name} fields=${fields} methods=${methods}`);
+  });
+  parsed.examInfo.umlDiagrams.forEach(uml => {
+    lines.push(`uml ${uml.isAbstract ? 'abstract ' : ''}${uml.name}${uml.superName ? ` extends ${uml.superName}` : ''}`);
+    uml.attributes.forEach(attr => {
+      lines.push(`  ${UML_VISIBILITY[attr.visibility] || '?'}${attr.isStatic ? 'static ' : ''}${attr.name}: ${attr.type}`);
+    });
+    uml.methods.forEach(method => lines.push(`  ${summariseUMLMethod(method)}`));
+  });
+  parsed.examInfo.umlRelationships.forEach(rel => {
+    lines.push(`relationship ${rel.kind} ${rel.from} -> ${rel.to}${rel.label ? ` ${rel.label} ${rel.multiplicity}` : ''}`);
+  });
+  return lines.join('\n');
+}
+
+function readSnapshots() {
+  if (!fs.existsSync(SNAPSHOT_FILE)) return new Map();
+  const sections = fs.readFileSync(SNAPSHOT_FILE, 'utf8').split(/^# /m).filter(Boolean);
+  return new Map(sections.map(section => {
+    const newline = section.indexOf('\n');
+    return [section.slice(0, newline), section.slice(newline + 1).trimEnd()];
+  }));
+}
+
+test('snapshot of every paper in exams.json', async t => {
+  const snapshots = readSnapshots();
+  const actual = new Map();
+
+  for (const exam of exams) {
+    await t.test(exam.id, () => {
+      const summary = summarise(parsePaper(exam.questionPath, exam.markSchemePath));
+      actual.set(exam.id, summary);
+      if (UPDATE) return;
+
+      assert.ok(snapshots.has(exam.id), `No snapshot for ${exam.id}; run with UPDATE_SNAPSHOTS=1`);
+      assert.equal(summary, snapshots.get(exam.id));
+    });
+  }
+
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_FILE, [...actual].map(([id, summary]) => `# ${id}\n${summary}\n`).join('\n'));
+  }
+});
+
+test('every paper yields questions with lettered parts', () => {
+  exams.forEach(exam => {
+    const parsed = parsePaper(exam.questionPath, exam.markSchemePath);
+    assert.ok(parsed.questions.length > 0, `${exam.id} has no questions`);
+    assert.ok(parsed.questions.some(q => q.subQuestions.length > 0), `${exam.id} has no sub-questions`);
+  });
+});
+
+test('HL 2023 May alt1 parses against the shared mark scheme', () => {
+  const main = parsePaper('exams/HL/2023_May/IB_CS_HL_2023_May_Paper2.txt', 'exams/HL/2023_May/IB_CS_HL_2023_May_Paper2_MS.txt');
+  const alt = parsePaper('exams/HL/2023_May/IB_CS_HL_2023_May_Paper2_alt1.txt', 'exams/HL/2023_May/IB_CS_HL_2023_May_Paper2_MS.txt');
+
+  assert.deepEqual(alt.questions.map(q => q.number), main.questions.map(q => q.number));
+  assert.deepEqual(alt.examInfo.classes.map(c => c.name), main.examInfo.classes.map(c => c.name));
+
+  // The alt1 transcription keeps 13(g) in question 13; the original prints it after "14."
+  // and only gets it back because its letter carries on from 13(f)
+  [alt, main].forEach(parsed => {
+    const q13 = parsed.questions.find(q => q.number === '13');
+    const q14 = parsed.questions.find(q => q.number === '14');
+    assert.ok(q13.subQuestions.some(sub => sub.key === '13-g'));
+    assert.equal(q14.subQuestions[0].key, '14-a');
+  });
+
+  // Its cleaner UML gives both classes their attributes
+  const uml = new Map(alt.examInfo.umlDiagrams.map(d => [d.name, d.attributes.map(a => a.name)]));
+  assert.deepEqual(uml.get('Owner'), ['name', 'address', 'phone']);
+  assert.deepEqual(uml.get('Property'), ['ID', 'address', 'city', 'price']);
+
+  // Mark schemes are found for the same parts on both versions
+  const withScheme = parsed => parsed.questions.flatMap(q => q.subQuestions)
+    .filter(sub => sub.markScheme !== 'Mark scheme not available.').length;
+  assert.ok(withScheme(alt) >= withScheme(main));
+});
+
+test('UML skeletons declare abstract methods, superclasses and sized arrays', () => {
+  const skeleton = convertUMLToJavaSkeleton({
+    name: 'Vehicle',
+    superName: 'Asset',
+    isAbstract: true,
+    attributes: [
+      { visibility: 'private', name: 'wheels', type: 'Wheel[4]', isStatic: false },
+      { visibility: 'private', name: 'owners', type: 'String[]', isStatic: false },
+      { visibility: 'private', name: 'count', type: 'Integer', isStatic: true },
+    ],
+    methods: [
+      { visibility: 'public', name: 'Vehicle', params: [], returnType: null, isStatic: false, isAbstract: false, isConstructor: true },
+      { visibility: 'public', name: 'tax', params: [{ name: 'rate', type: 'double' }], returnType: 'double', isStatic: false, isAbstract: true, isConstructor: false },
+      { visibility: 'public', name: 'getCount', params: [], returnType: 'Integer', isStatic: true, isAbstract: false, isConstructor: false },
+    ],
+  });
+
+  assert.match(skeleton, /^public abstract class Vehicle extends Asset \{/);
+  assert.match(skeleton, /\n    private Wheel\[\] wheels = new Wheel\[4\];\n/);
+  assert.match(skeleton, /\n    private String\[\] owners;\n/);
+  assert.match(skeleton, /\n    private static int count;\n/);
+  // Abstract methods end at their header; other stubs return a default value
+  assert.match(skeleton, /\n    public abstract double tax\(double rate\);\n/);
+  assert.match(skeleton, /public static int getCount\(\) \{\n        \/\/ To be completed\n        return 0;\n    \}/);
+});
+
+test('questions numbered below 10 are dropped', () => {
+  const qp = [
+    'Option D — Object-oriented programming',
+    '9.',
+    '(a) Part of an earlier option. [2]',
+    '10.',
+    '(a) Define the term object. [2]',
+    '(b) Construct the method getName(). [3]',
+    '11.',
+    '(a) Outline one advantage of encapsulation. [2]',
+  ].join('\n');
+
+  const parsed = parseExam(qp, '');
+  assert.deepEqual(parsed.questions.map(q => q.number), ['10', '11']);
+  assert.deepEqual(parsed.questions[0].subQuestions.map(sub => sub.key), ['10-a', '10-b']);
+
+  // splitMainQuestions itself keeps them; the filter is parseExam's
+  assert.deepEqual(splitMainQuestions(extractOptionD(qp)).map(q => q.number), ['9', '10', '11']);
+
+  // Every bundled paper only has Option D questions
+  exams.forEach(exam => {
+    parsePaper(exam.questionPath, exam.markSchemePath).questions.forEach(q => {
+      assert.ok(parseInt(q.number, 10) >= 10, `${exam.id} kept question ${q.number}`);
+    });
+  });
+});
+
+test('a part and its first sub-part can share a line', () => {
+  const qp = [
+    '10.',
+    '(a) (i)\tState the output. [1]',
+    '(ii) Explain why. [2]',
+    '(b) Construct the method. [3]',
+  ].join('\n');
+  const subs = parseExam(qp, '').questions[0].subQuestions;
+  assert.deepEqual(subs.map(sub => [sub.key, sub.text, sub.marks]), [
+    ['10-a-i', 'State the output. [1]', 1],
+    ['10-a-ii', 'Explain why. [2]', 2],
+    ['10-b', 'Construct the method. [3]', 3],
+  ]);
+
+  const q12 = parsePaper('exams/SL/2023_May/IB_CS_SL_2023_May_Paper2.txt', 'exams/SL/2023_May/IB_CS_SL_2023_May_Paper2_MS.txt')
+    .questions.find(q => q.number === '12');
+  assert.deepEqual(q12.subQuestions.map(sub => sub.key), ['12-a', '12-b', '12-c', '12-d-i', '12-d-ii', '12-e', '12-f']);
+});
+
+// Known bad: the PDF text of SL May 2023 prints "(c)" above 10(b)'s sub-parts instead of
+// above "State the relationship between", so (b)'s (i) Boolean and (ii) integer land in (c)
+// and the real (c)(i) and (c)(ii) get ~2 keys. Nothing in the text says otherwise; if this
+// starts failing because the parser recovers, update the expected keys.
+test('SL 2023 May 10(b) and 10(c) keep the labels the PDF text gives them', () => {
+  const q10 = parsePaper('exams/SL/2023_May/IB_CS_SL_2023_May_Paper2.txt', 'exams/SL/2023_May/IB_CS_SL_2023_May_Paper2_MS.txt')
+    .questions.find(q => q.number === '10');
+  assert.deepEqual(q10.subQuestions.slice(1, 6).map(sub => [sub.key, sub.text.split('\n')[0]]), [
+    ['10-b', 'State an additional attribute in the class Property that would have data type'],
+    ['10-c-i', 'Boolean[1]'],
+    ['10-c-ii', 'integer.[1]'],
+    ['10-c-i~2', 'Owner and Property[1]'],
+    ['10-c-ii~2', 'House and Property.[1]'],
+  ]);
+});
+
+test('parts lost to a neighbouring question number are given back', () => {
+  const qp = [
+    'Option D — Object-oriented programming',
+    'Questions 10 – 12',
+    'Option D — Object-oriented programming',
+    '10.',
+    '',
+    '11.',
+    '',
+    '(a) Define the term object. [2]',
+    '(b) Outline one advantage of encapsulation. [2]',
+    'Figure 1: numbered cards',
+    '1.',
+    '2.',
+    '(a) State the output of the code. [3]',
+    '(b) Construct the method getName(). [3]',
+    '12.',
+    '(c) Construct the method setName(). [3]',
+    '(a) Define the term constructor. [2]',
+  ].join('\n');
+
+  const { questions } = parseExam(qp, '');
+  assert.deepEqual(questions.map(q => [q.number, q.subQuestions.map(sub => sub.key)]), [
+    ['10', ['10-a', '10-b']],
+    ['11', ['11-a', '11-b', '11-c']],
+    ['12', ['12-a']],
+  ]);
+  assert.equal(questions[1].subQuestions[0].text, 'State the output of the code. [3]');
+
+  const q11 = parsePaper('exams/SL/2016_November/IB_CS_SL_2016_November_Paper2.txt', 'exams/SL/2016_November/IB_CS_SL_2016_November_Paper2_MS.txt')
+    .questions.find(q => q.number === '11');
+  assert.deepEqual(q11.subQuestions.map(sub => sub.key), ['11-a', '11-b', '11-c']);
+  assert.match(q11.subQuestions[0].text, /^State the most appropriate data type/);
+});
+
+// Splits the PDF text garbles past repair: unlettered questions, a part letter printed
+// before its question number, and parts interleaved across questions. The snapshot
+// records them as they come out, so each is listed here and must stay flagged.
+const KNOWN_BAD_SPLITS = [
+  ['SL_2015_November', 'no-sub-questions', '12'],
+  ['SL_2023_May', 'repeated-part', '10-c-i~2'],
+  ['SL_2023_May', 'repeated-part', '10-c-ii~2'],
+  ['HL_2015_November', 'repeated-part', '14-a~2'],
+  ['HL_2015_November', 'repeated-part', '14-b~2'],
+  ['HL_2015_November', 'no-sub-questions', '16'],
+  ['HL_2018_May', 'no-sub-questions', '17'],
+  ['HL_2023_May', 'repeated-part', '13-c-i~2'],
+  ['HL_2023_May_alt1', 'repeated-part', '13-c-i~2'],
+  ['HL_2023_May_alt1', 'repeated-part', '13-c-ii~2'],
+];
+
+test('known-bad splits are flagged, and no other paper has any', () => {
+  const found = exams.flatMap(exam => {
+    const qpText = read(exam.questionPath);
+    const msText = read(exam.markSchemePath);
+    return findParseAnomalies(qpText, msText, parseExam(qpText, msText))
+      .filter(anomaly => anomaly.type === 'no-sub-questions' || anomaly.type === 'repeated-part')
+      .map(anomaly => [exam.id, anomaly.type, anomaly.key]);
+  });
+  assert.deepEqual(found, KNOWN_BAD_SPLITS);
+});
+
+test('get/set names only tag accessors when the question is about that method', () => {
+  assert.ok(classifyTopics('Construct the code for the method getBrandModel().[3]').includes('accessors'));
+  assert.ok(classifyTopics('Construct the getWeight() method in the Wagon class. [4]').includes('accessors'));
+
+  // Calls in code the question shows, or in its mark scheme, are not the subject
+  assert.ok(!classifyTopics('State the output of System.out.println(allPoints[2].getMemberId()); [1]').includes('accessors'));
+  assert.ok(!classifyTopics('Construct the method findPrice(). [6]', 'if (items[i].getCode() == code) return items[i].getPrice();').includes('accessors'));
+});
+
+test('binary search trees are not searching and sorting', () => {
+  assert.deepEqual(classifyTopics('Sketch the resulting binary search tree. [3]'), ['bst']);
+  assert.ok(classifyTopics('Construct a recursive binary search method. [5]').includes('searching-sorting'));
+  assert.ok(classifyTopics('Draw the search tree, then sort the array. [3]').includes('searching-sorting'));
+});
+
+test('mark schemes prefer "[n max]" over a trailing mark', () => {
+  const scheme = 'Award up to [3 max].\nLoops through the array;\nReturns the total;\n[4]';
+  assert.equal(parseMarks(scheme, true), 3);
+  assert.equal(parseMarks(scheme, false), 4);
+
+  // Array indexes in code are never marks
+  assert.equal(parseMarks('borrowers[93001] = null;\nfor (int i = 0; i < n; i++) {', false), null);
+  assert.equal(parseMarks('borrowers[93001] = null;\n[2]', false), 2);
+});
+
+test('"Award [n] for" lines become marking criteria, "Award up to [n max]" does not', () => {
+  const result = parseMarkingPoints([
+    'Award up to [4 max].',
+    'Award [1] for a loop;',
+    'Award [1] for a correct comparison and [2] for returning the index;',
+  ].join('\n'), 2);
+
+  assert.equal(result.max, 4);
+  assert.deepEqual(result.points.map(p => [p.text, p.marks]), [
+    ['a loop', 1],
+    ['a correct comparison', 1],
+    ['returning the index', 2],
+  ]);
+
+  // Without "[n max]" the paper's mark is the maximum
+  assert.equal(parseMarkingPoints('Uses a loop;\nReturns the total;', 2).max, 2);
+});
+
+test('"[n max]" in a real mark scheme sets the marks of its part', () => {
+  const parsed = parsePaper('exams/HL/2015_May/IB_CS_HL_2015_May_Paper2.txt', 'exams/HL/2015_May/IB_CS_HL_2015_May_Paper2_MS.txt');
+  const sub = parsed.questions.flatMap(q => q.subQuestions).find(s => s.key === '15-a');
+  assert.equal(sub.marks, 4);
+  assert.equal(sub.markingPoints.max, 4);
+  assert.ok(sub.markingPoints.points.length > 0);
+});
+
+test('manifest variants share the session mark scheme unless they override it', () => {
+  const papers = expandManifest([{
+    id: 'HL_2099_May',
+    label: '2099 May',
+    level: 'HL',
+    questionPath: 'tz1.txt',
+    markSchemePath: 'tz1_ms.txt',
+    variantLabel: 'TZ1',
+    variants: [
+      { id: 'tz2', label: 'TZ2', questionPath: 'tz2.txt', markSchemePath: 'tz2_ms.txt' },
+      { id: 'alt1', label: 'Alternative transcription', questionPath: 'alt1.txt' },
+    ],
+  }]);
+
+  assert.deepEqual(papers.map(p => [p.id, p.questionPath, p.markSchemePath, p.variantLabel]), [
+    ['HL_2099_May', 'tz1.txt', 'tz1_ms.txt', 'TZ1'],
+    ['HL_2099_May_tz2', 'tz2.txt', 'tz2_ms.txt', 'TZ2'],
+    ['HL_2099_May_alt1', 'alt1.txt', 'tz1_ms.txt', 'Alternative transcription'],
+  ]);
+  assert.ok(papers.every(p => p.sessionId === 'HL_2099_May' && p.level === 'HL' && !('variants' in p)));
+  assert.equal(papers[0].variantId, null);
+});
+
+test('blank answers and untouched starter code are not attempts', () => {
+  const { questions } = parsePaper('exams/HL/2018_May/IB_CS_HL_2018_May_Paper2.txt', 'exams/HL/2018_May/IB_CS_HL_2018_May_Paper2_MS.txt');
+  const subs = questions.flatMap(q => q.subQuestions);
+  const coding = subs.find(sub => sub.key === '15-e');
+  const written = subs.find(sub => !sub.isCoding);
+
+  assert.equal(coding.starterCode, '// Write your isGold() method below\n\n');
+  assert.ok(!isAttempted(coding, coding.starterCode));
+  assert.ok(!isAttempted(coding, '  // Write your isGold() method below\n'));
+  assert.ok(isAttempted(coding, `${coding.starterCode}public boolean isGold()`));
+
+  assert.ok(!isAttempted(written, undefined));
+  assert.ok(!isAttempted(written, ' \n'));
+  assert.ok(isAttempted(written, 'Encapsulation'));
+});
+
+test('definition questions make flashcards, scenario questions do not', () => {
+  const sub = (text, marks, extra = {}) => ({
+    text: `${text} [${marks}]`, marks, isCoding: false, markScheme: 'Award [1 max]. A point;', ...extra,
+  });
+
+  assert.ok(detectDefinitionQuestion(sub('Define the term encapsulation.', 1)));
+  assert.ok(detectDefinitionQuestion(sub('Outline one purpose of a default constructor.', 2)));
+  assert.ok(detectDefinitionQuestion(sub('State one advantage of using a library.', 2)));
+
+  // Too many marks, code, or no mark scheme to put on the back
+  assert.ok(!detectDefinitionQuestion(sub('Explain the benefits of polymorphism.', 4)));
+  assert.ok(!detectDefinitionQuestion(sub('Define the term method signature.', 2, { isCoding: true })));
+  assert.ok(!detectDefinitionQuestion(sub('Define recursion.', 1, { markScheme: 'Mark scheme not available.' })));
+
+  // Questions that need the paper in front of you
+  assert.ok(!detectDefinitionQuestion(sub('Identify an accessor method in the Specimen class.', 1), ['Specimen']));
+  assert.ok(!detectDefinitionQuestion(sub('State the purpose of the findNextPatientIndex method.', 1)));
+  assert.ok(!detectDefinitionQuestion(sub('State the output after the above code is executed.', 3)));
+  assert.ok(!detectDefinitionQuestion(sub('Construct the method getName().', 3)));
+
+  // Scenario text after the marks doesn't count against the question
+  assert.ok(detectDefinitionQuestion({ ...sub('Define the term polymorphism.', 2), text: 'Define the term polymorphism. [2]\nThe Room class below...' }, ['Room']));
+});
+
+test('binary tree data comes from the table or figure after the tree is mentioned', () => {
+  // Two rows one cell per line, then the rest a column at a time
+  const [table] = parsePaper('exams/HL/2016_May/IB_CS_HL_2016_May_Paper2.txt', 'exams/HL/2016_May/IB_CS_HL_2016_May_Paper2_MS.txt').examInfo.treeData;
+  assert.deepEqual(table.columns, ['customerID', 'dateOut']);
+  assert.equal(table.rows.length, 7);
+  assert.deepEqual(table.rows[2], ['154', '14/05/2016']);
+  assert.deepEqual(table.rows[6], ['133', '07/05/2016']);
+
+  // Figure node labels, with the column named by the text above it
+  const [figure] = parsePaper('exams/HL/2024_May/IB_CS_HL_2024_May_Paper2.txt', 'exams/HL/2024_May/IB_CS_HL_2024_May_Paper2_MS.txt').examInfo.treeData;
+  assert.equal(figure.title, 'Figure 12: A binary search tree of customers');
+  assert.deepEqual(figure.columns, ['customerID']);
+  assert.deepEqual(figure.rows.flat(), ['519', '337', '101', '788', '451', '612', '999']);
+
+  assert.deepEqual(extractBinaryTreeData('Explain how a binary tree structure would allow a faster search.\n\nA palindrome is a word.'), []);
+});
+
+function paperTables(id) {
+  const exam = exams.find(e => e.id === id);
+  return parsePaper(exam.questionPath, exam.markSchemePath).examInfo.tables.map(t => ({ headers: t.headers, rows: t.rows }));
+}
+
+test('Option D tables come out with their headers and every row', () => {
+  assert.deepEqual(paperTables('SL_2018_May'), [{
+    headers: [],
+    rows: [['Bronze', 'less than 10 000 points'], ['Silver', '10 000 or more but less than 50 000'], ['Gold', '50 000 or more']],
+  }]);
+  assert.deepEqual(paperTables('HL_2024_May'), [{
+    headers: ['Number of rentals', 'Loyalty programme level'],
+    rows: [['Greater than 19', 'Diamond'], ['Greater than 9', 'Gold'], ['Greater than 2', 'Silver'], ['Up to 2', 'Basic']],
+  }]);
+  assert.deepEqual(paperTables('HL_2023_November'), [{
+    headers: ['', 'Ice', 'Water', 'Fire'],
+    rows: [['Ice', '0', '−4', '+2'], ['Water', '−8', '0', '+5'], ['Fire', '+6', '-3', '0']],
+  }]);
+
+  // The tree table is the binary tree data, not the two rows printed one cell per line
+  assert.deepEqual(paperTables('HL_2016_May'), [{
+    headers: ['customerID', 'dateOut'],
+    rows: [
+      ['121', '08/05/2016'], ['132', '06/05/2016'], ['154', '14/05/2016'], ['124', '02/06/2016'],
+      ['117', '15/05/2016'], ['150', '10/05/2016'], ['133', '07/05/2016'],
+    ],
+  }]);
+});
+
+test('tables in the other options of a full paper are left out', () => {
+  const text = [
+    'Option A — Databases', 'LOANS', 'Loan_ID', '', 'Customer_ID', '', 'Amount', '', '12', '', 'AB1', '', '5000', '',
+    'Option D — Object-oriented programming', 'Scores are kept in a table.', 'Name', '', 'Score', '', 'Ines', '', '30', '', 'Eva', '', '67',
+  ].join('\n');
+  assert.deepEqual(extractTablesStructured(text).map(t => t.headers), [['Name', 'Score']]);
+});
+
+test('runs of values, words or repeated labels are not tables', () => {
+  const tables = cells => extractTablesStructured(cells.join('\n\n'));
+  assert.deepEqual(tables(['Name', 'Score', 'Ines', '30', 'Eva', '67']).map(t => t.rows), [[['Ines', '30'], ['Eva', '67']]]);
+
+  // Dates and IDs are values, so a run starting with one has no header row
+  assert.deepEqual(tables(['MOHAMA', '17/08/1999', 'RALPH', '02/03/2001', 'SUNIL', '11/11/2000']), []);
+  assert.deepEqual(tables(['XY080911', 'Home', '5000', 'RD050789', 'Venture', '20000', 'AB120384', 'Car', '8000']), []);
+
+  assert.deepEqual(tables(['Paris', 'Rome', 'Seville', 'Madrid', 'Lyon', 'Milan']), []);
+  assert.deepEqual(tables(['Name', 'Name', 'Ines', '30', 'Eva', '67']), []);
+});
+
+test('only "sketch/draw the tree" questions are answered with a drawing', () => {
+  assert.ok(detectTreeDrawingQuestion('Sketch the resulting binary search tree using your output from part (b). [3]'));
+  assert.ok(detectTreeDrawingQuestion('Draw the binary tree after 17 is added. [2]'));
+  assert.ok(!detectTreeDrawingQuestion('By drawing such a binary tree for the clients, explain the inorder traversal. [4]'));
+  assert.ok(!detectTreeDrawingQuestion('Construct the recursive code for a method storeBST() that stores the binary tree. [5]'));
+});
+
+test('arrays, linked lists and object references are drawn as diagrams, UML is not', () => {
+  assert.ok(detectDiagramQuestion('Draw the mEngines array after the code fragment has been executed. [2]'));
+  assert.ok(detectDiagramQuestion('Sketch the resulting linked list when an airplane with ID RO225 is added to this list. [2]'));
+  assert.ok(detectDiagramQuestion('Draw the relationship between Customer and Car objects. [1]'));
+  assert.ok(!detectDiagramQuestion('Construct a UML diagram for the Visits class. [4]'));
+  assert.ok(!detectDiagramQuestion('Draw a diagram showing the dependencies between all of the classes described so far. [4]'));
+  assert.ok(!detectDiagramQuestion('Sketch the resulting binary search tree using your output from part (b). [3]'));
+  assert.ok(!detectDiagramQuestion('Outline how the list is searched. [2]'));
+});
+
+test('trace questions give their table and the call to trace', () => {
+  assert.ok(detectTraceQuestion('Trace the method result(3, 4) showing the intermediate steps. [4]'));
+  assert.ok(detectTraceQuestion('Copy and complete the following table to show the output when the method is called by:'));
+  assert.ok(!detectTraceQuestion('Outline how a trace table helps a programmer. [2]'));
+
+  // HL November 2018 16(d)(ii), with the page break that splits the printed table
+  const text = [
+    'Trace the call process(runway1,0) given the diagram of runway1 as drawn',
+    'above. Copy and complete the following table.',
+    'i', '', 'id', '', '0', '', 'KL1102', '', '…', '', '…', '',
+    '(Option D continues on the following page)', '', 'output', '', '…', '', '[4]',
+  ].join('\n');
+  assert.deepEqual(extractTraceTable(text), { columns: ['i', 'id', 'output'], rows: [['0', 'KL1102', '']] });
+  assert.deepEqual(extractTracedCall(text), { name: 'process', args: ['runway1', '0'] });
+
+  assert.equal(extractTraceTable('Trace the method result(3, 4). [4]'), null);
+  assert.deepEqual(extractTracedCall('Copy and complete the table below to trace a call to the findNextPatientIndex\nmethod for this list.'),
+    { name: 'findNextPatientIndex', args: null });
+});
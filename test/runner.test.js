@@ -0,0 +1,103 @@
+// Java runner tests: runner/server.js started with --stub, so no JDK is needed,
+// and called over HTTP the way the answer panel and scratchpad call it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.resolve(__dirname, '..', 'runner', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the runner prints that it is listening
+function startRunner(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER, '--stub', '--port', String(port)], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('Runner did not start in time.'));
+    }, 5000);
+    child.stdout.on('data', chunk => {
+      if (!String(chunk).includes('listening')) return;
+      clearTimeout(timer);
+      resolve(child);
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Runner exited with ${code}.`));
+    });
+  });
+}
+
+let runner;
+let baseUrl;
+
+test.before(async () => {
+  const port = await freePort();
+  runner = await startRunner(port);
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+test.after(() => {
+  runner.kill();
+});
+
+function postRun(body, headers = {}) {
+  return fetch(`${baseUrl}/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test('stub mode reports itself on /health', async () => {
+  const response = await fetch(`${baseUrl}/health`);
+  assert.deepEqual(await response.json(), { ok: true, mode: 'stub' });
+});
+
+test('balanced files compile and "run" the main class', async () => {
+  const files = [
+    { name: 'Car.java', content: 'public class Car {\n  private String id;\n}\n' },
+    { name: 'Main.java', content: 'public class Main {\n  public static void main(String[] args) { }\n}\n' },
+  ];
+  const response = await postRun({ files, mainClass: 'Main' }, { Origin: 'http://localhost:8000' });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+
+  const result = await response.json();
+  assert.equal(result.compiled, true);
+  assert.deepEqual(result.diagnostics, []);
+  assert.match(result.stdout, /Main\.main\(\) would run here/);
+});
+
+test('unbalanced braces come back as diagnostics on the right file and line', async () => {
+  const files = [{ name: 'Car.java', content: 'public class Car {\n  void drive() {\n}\n' }];
+  const result = await (await postRun({ files, mainClass: null })).json();
+  assert.equal(result.compiled, false);
+  assert.deepEqual(result.diagnostics.map(d => [d.file, d.line, d.message]), [['Car.java', 4, 'reached end of file while parsing']]);
+  assert.equal(result.stdout, '');
+});
+
+test('bad requests get a 400 with the reason', async () => {
+  const response = await postRun({ files: [] });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).ok, false);
+});
+
+test('pages from other origins are refused without CORS headers', async () => {
+  const files = [{ name: 'Car.java', content: 'public class Car { }' }];
+  const response = await postRun({ files, mainClass: null }, { Origin: 'https://example.com' });
+  assert.equal(response.status, 403);
+  assert.equal(response.headers.get('access-control-allow-origin'), null);
+  assert.equal((await response.json()).ok, false);
+});
@@ -0,0 +1,74 @@
+// Search index tests: entries come from parseExam() output of the bundled papers,
+// the same data the search worker indexes in the browser.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { expandManifest, parseExam } = require('../parser.js');
+const { buildSearchEntries, parseSearchQuery, searchEntries } = require('../search.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function read(relativePath) {
+  return fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+}
+
+const exams = expandManifest(JSON.parse(read('exams.json')));
+const entries = exams.flatMap(exam =>
+  buildSearchEntries(exam, parseExam(read(exam.questionPath), read(exam.markSchemePath))));
+
+test('queries split into words and quoted phrases', () => {
+  assert.deepEqual(parseSearchQuery('fuelType  being Boolean'), ['fueltype', 'being', 'boolean']);
+  assert.deepEqual(parseSearchQuery('"linked  list" node node'), ['linked list', 'node']);
+  assert.deepEqual(parseSearchQuery('   '), []);
+});
+
+test('every word has to match, in the question or its mark scheme', () => {
+  const { results } = searchEntries(entries, 'fuelType boolean');
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => r.examId.endsWith('2024_May')));
+
+  results.forEach(r => {
+    const entry = entries.find(e => e.examId === r.examId && e.key === r.key);
+    const haystack = `${entry.searchText} ${entry.searchMarkScheme}`;
+    assert.ok(haystack.includes('fueltype') && haystack.includes('boolean'), `${r.examId} ${r.key}`);
+  });
+
+  assert.equal(searchEntries(entries, 'fuelType zzzznotaword').total, 0);
+});
+
+test('snippets highlight each match', () => {
+  const { results } = searchEntries(entries, 'fuelType');
+  const snippet = results[0].textSnippet || results[0].markSchemeSnippet;
+  assert.ok(snippet.highlights.length > 0);
+  snippet.highlights.forEach(([start, end]) => {
+    assert.equal(snippet.text.slice(start, end).toLowerCase(), 'fueltype');
+  });
+});
+
+test('filters narrow by level, question type and year', () => {
+  const all = searchEntries(entries, 'method').results;
+  assert.ok(all.some(r => r.level === 'SL') && all.some(r => r.level === 'HL'));
+
+  const hl = searchEntries(entries, 'method', { level: 'HL' }).results;
+  assert.ok(hl.length > 0 && hl.every(r => r.level === 'HL'));
+
+  const coding = searchEntries(entries, 'method', { type: 'coding' }).results;
+  assert.ok(coding.length > 0 && coding.every(r => r.isCoding));
+
+  const written = searchEntries(entries, 'method', { type: 'written' }).results;
+  assert.ok(written.length > 0 && written.every(r => !r.isCoding));
+
+  const recent = searchEntries(entries, 'method', { fromYear: 2019, toYear: 2024 }).results;
+  assert.ok(recent.length > 0 && recent.every(r => r.year >= 2019 && r.year <= 2024));
+});
+
+test('variants are searched, with each sub-question of a session listed once', () => {
+  // Only the alternative transcription of HL May 2023 gives 15(c) its own part
+  const { results } = searchEntries(entries, '"intended purpose of the method unknown"', { level: 'HL' });
+  assert.deepEqual(results.map(r => [r.examId, r.key]), [['HL_2023_May', '15-b'], ['HL_2023_May_alt1', '15-c']]);
+
+  const listed = searchEntries(entries, 'method').results.map(r => `${r.examId.replace(/_alt1$/, '')}:${r.key}`);
+  assert.equal(new Set(listed).size, listed.length);
+  assert.ok(entries.some(e => e.examId === 'HL_2023_May_alt1'));
+});
@@ -0,0 +1,120 @@
+// Trace table tests: the interpreter on the methods the HL papers trace, the
+// reference table filled row by row as by hand, checking a student's table
+// against it, and the saved answer text.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatTraceAnswer,
+  parseTraceAnswer,
+  traceMethodCall,
+  findMethodVariables,
+  defaultTraceColumns,
+  buildReferenceTrace,
+  compareTraceTables,
+} = require('../trace.js');
+
+// HL May 2018 19(b), as the paper prints it
+const RECURSION_EX = [
+  'Consider the following recursive method.',
+  'public void recursionEx(int x)',
+  '{',
+  'if(x != 0)',
+  '{',
+  '\t\tSystem.out.println(x);',
+  '\t\t recursionEx(x - 1);',
+  '\t\tSystem.out.println(x);',
+  '}',
+  '}',
+].join('\n');
+
+// HL November 2015 19, with the ";" the paper leaves out
+const RESULT = [
+  'public int result(int x, int y)',
+  '{',
+  '  if (y == 0) { return 1; }',
+  '  else { return (x+y)*result(x, y-1) }',
+  '}',
+].join('\n');
+
+test('traced calls record calls, assignments, output and returns with Java values', () => {
+  const events = traceMethodCall(RESULT, 'result', ['3', '4']);
+  assert.deepEqual(events.filter(e => e.type === 'call').map(e => e.values.map(([, v]) => v).join(',')), ['3,4', '3,3', '3,2', '3,1', '3,0']);
+  assert.equal(events[events.length - 1].value, '840');
+
+  const code = 'double average(int n) { int total = 0; for (int i = 1; i <= n; i++) { total += i; } System.out.println("total " + total); return total / 2; }';
+  const averaged = traceMethodCall(code, 'average', ['4']);
+  assert.deepEqual(averaged.filter(e => e.type === 'assign' && e.name === 'total').map(e => e.value), ['0', '1', '3', '6', '10']);
+  assert.equal(averaged.find(e => e.type === 'output').text, 'total 10');
+  assert.equal(averaged[averaged.length - 1].value, '5.0');
+});
+
+test('code the tracer cannot follow throws an Error saying why', () => {
+  assert.throws(() => traceMethodCall('int f(int n) { Node x = new Node(); return n; }', 'f', ['1']), /creates a Node object/);
+  assert.throws(() => traceMethodCall('int f(int n) { return f(n); }', 'f', ['1']), /calls itself too many times/);
+  assert.throws(() => traceMethodCall('void f(int n) { while (n > 0) { } }', 'f', ['1']), /runs for too long/);
+  assert.throws(() => traceMethodCall(RECURSION_EX, 'recursionEx', ['runway1']), /argument runway1/);
+  assert.throws(() => traceMethodCall(RESULT, 'process', []), /no code for process/);
+});
+
+// The classic traps in trace questions: each gives Java's answer or no reference at all
+test('String methods, == on Strings and long follow Java or refuse to trace', () => {
+  const output = body => traceMethodCall(`void f() { ${body} }`, 'f', [])
+    .filter(e => e.type === 'output').map(e => e.text);
+  assert.deepEqual(output('System.out.println("apple".compareTo("dog")); System.out.println("app".compareTo("apple"));'), ['-3', '-2']);
+  assert.deepEqual(output('String s = "apple"; System.out.println(s.charAt(4) + s.substring(5) + s.substring(1, 3));'), ['epp']);
+
+  assert.throws(() => output('String s = "apple"; System.out.println(s.charAt(9));'), /charAt\(9\) throws StringIndexOutOfBoundsException/);
+  assert.throws(() => output('String s = "apple"; System.out.println(s.substring(2, 7));'), /StringIndexOutOfBoundsException/);
+  assert.throws(() => output('String a = "ap" + "ple"; String b = "apple"; System.out.println(a == b);'), /compares Strings with ==/);
+  assert.deepEqual(output('String a = null; System.out.println(a == null);'), ['true']);
+  assert.throws(() => output('long x = 100000; System.out.println(x * x * x);'), /long values/);
+  assert.throws(() => traceMethodCall('long cube(int x) { return x * x * x; }', 'cube', ['100000']), /long values/);
+});
+
+test('compound assignments and returns narrow doubles to int as Java does', () => {
+  const events = traceMethodCall('int total(int n) { int s = 0; s += 2.5; s *= 1.9; s -= n / 4.0; return s * 1.5; }', 'total', ['10']);
+  assert.deepEqual(events.filter(e => e.type === 'assign').map(e => `${e.name}=${e.value}`), ['s=0', 's=2', 's=3', 's=0']);
+  assert.equal(events.at(-1).value, '0');
+
+  assert.equal(traceMethodCall('int half(int x) { return x / 2.0; }', 'half', ['7']).at(-1).value, '3');
+  assert.equal(traceMethodCall('int neg() { int s = 0; s -= 2.5; return s; }', 'neg', []).at(-1).value, '-2');
+  assert.equal(traceMethodCall('int big() { int s = 1; s *= 1e10; return (int) 1e10; }', 'big', []).at(-1).value, '2147483647');
+
+  // double variables keep the fraction
+  assert.equal(traceMethodCall('double avg() { double s = 0; s += 2.5; return s; }', 'avg', []).at(-1).value, '2.5');
+});
+
+test('reference tables start a new row only when a filled cell would be overwritten', () => {
+  // The mark scheme's table for recursionEx(3)
+  const reference = buildReferenceTrace(RECURSION_EX, { name: 'recursionEx', args: ['3'] }, ['parameter passed to method', 'output']);
+  assert.deepEqual(reference.rows, [['3', '3'], ['2', '2'], ['1', '1'], ['0', '1'], ['', '2'], ['', '3']]);
+
+  const variables = findMethodVariables(RESULT, 'result');
+  assert.deepEqual(defaultTraceColumns(variables), ['x', 'y', 'return']);
+  const rows = buildReferenceTrace(RESULT, { name: 'result', args: ['3', '4'] }, ['x', 'y', 'return', 'current.name']);
+  assert.deepEqual(rows.rows[4], ['3', '0', '1', null]);
+  assert.deepEqual(rows.rows[rows.rows.length - 1], ['', '', '840', null]);
+  assert.deepEqual(rows.unmapped, ['current.name']);
+});
+
+test('student tables are checked row by row, forgiving dashes, quotes and 2.0 for 2', () => {
+  const reference = [['3', '3'], ['2', '2'], ['0', '1'], ['', '2']];
+  const student = [['3', '"3"'], ['2', '2.0'], ['0', '2'], ['–', '2'], ['', '9'], ['', '']];
+  const result = compareTraceTables(student, reference);
+  assert.deepEqual(result.rows.map(row => row.status), ['match', 'match', 'mismatch', 'match', 'extra']);
+  assert.deepEqual(result.rows[2].cells, [true, false]);
+  assert.equal(result.matched, 3);
+  assert.equal(result.total, 4);
+
+  assert.deepEqual(compareTraceTables([['3', 'x']], [['3', null], ['2', null]]).rows.map(row => row.status), ['match', 'missing']);
+});
+
+test('tables round-trip through the answer text', () => {
+  const table = { columns: ['i', 'id', 'output'], rows: [['0', 'KL1102', ''], ['', 'a|b', '12:55'], ['', '', '']] };
+  const text = formatTraceAnswer(table);
+  assert.equal(text, 'i | id | output\n0 | KL1102 |\n | a/b | 12:55');
+  assert.deepEqual(parseTraceAnswer(text), { columns: ['i', 'id', 'output'], rows: [['0', 'KL1102', ''], ['', 'a/b', '12:55']] });
+
+  assert.equal(formatTraceAnswer({ columns: ['x'], rows: [['']] }), '');
+  assert.equal(parseTraceAnswer('It prints 3 2 1 1 2 3'), null);
+});
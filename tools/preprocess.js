@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Offline preprocessing for the IB Paper 2 practice app.
+ *
+ * Runs the browser's parsing pipeline (parser.js) over every paper and variant
+ * in exams.json and writes one JSON file per paper, which the app loads instead
+ * of downloading and parsing the raw text. Also reports what looks wrong:
+ * missing mark schemes, questions without parts, marks that don't agree.
+ *
+ *   node tools/preprocess.js                 # writes parsed/<exam id>.json and parsed/report.json
+ *   node tools/preprocess.js --out dist/parsed
+ *   node tools/preprocess.js --check         # report only, write nothing
+ *   node tools/preprocess.js --strict        # exit with status 1 if anything was reported
+ *
+ * Re-run it after changing parser.js or the exam text; the app ignores JSON
+ * written by a different PARSER_VERSION and falls back to parsing live.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PARSER_VERSION, expandManifest, parseExam, findParseAnomalies } = require('../parser.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_OUT_DIR = 'parsed';
+
+function parseArgs(argv) {
+  const options = { outDir: DEFAULT_OUT_DIR, check: false, strict: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.outDir = argv[++i];
+    else if (argv[i] === '--check') options.check = true;
+    else if (argv[i] === '--strict') options.strict = true;
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  if (!options.outDir) throw new Error('--out needs a directory');
+  return options;
+}
+
+function readIfExists(relativePath) {
+  const file = path.join(ROOT, relativePath);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// Parse one manifest entry into { output, anomalies }; output is null when the paper can't be read
+function preprocessExam(exam) {
+  const qpText = readIfExists(exam.questionPath);
+  if (qpText === null) {
+    return { output: null, anomalies: [{ type: 'missing-question-paper', message: `${exam.questionPath} not found` }] };
+  }
+  const msText = exam.markSchemePath ? readIfExists(exam.markSchemePath) : null;
+
+  const parsed = parseExam(qpText, msText || '');
+  let anomalies = findParseAnomalies(qpText, msText || '', parsed);
+  if (msText === null) {
+    // Say which file is missing rather than that it's empty
+    anomalies = [
+      { type: 'missing-mark-scheme', message: `${exam.markSchemePath || 'No mark scheme path'} not found` },
+      ...anomalies.filter(a => a.type !== 'missing-mark-scheme' || a.key),
+    ];
+  }
+
+  return {
+    output: { parserVersion: PARSER_VERSION, id: exam.id, ...parsed },
+    anomalies,
+  };
+}
+
+function formatReport(results) {
+  const lines = [];
+  results.forEach(({ exam, anomalies, questions, subQuestions }) => {
+    const summary = `${exam.id}: ${questions} questions, ${subQuestions} parts`;
+    lines.push(anomalies.length === 0 ? `✓ ${summary}` : `✗ ${summary}, ${anomalies.length} anomalies`);
+    anomalies.forEach(a => lines.push(`    [${a.type}] ${a.message}`));
+  });
+
+  const total = results.reduce((sum, r) => sum + r.anomalies.length, 0);
+  const clean = results.filter(r => r.anomalies.length === 0).length;
+  lines.push('', `${results.length} papers, ${clean} clean, ${total} anomalies`);
+  return lines.join('\n');
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+
+  const exams = expandManifest(JSON.parse(fs.readFileSync(path.join(ROOT, 'exams.json'), 'utf8')));
+  const outDir = path.resolve(ROOT, options.outDir);
+  if (!options.check) fs.mkdirSync(outDir, { recursive: true });
+
+  const results = exams.map(exam => {
+    let result;
+    try {
+      result = preprocessExam(exam);
+    } catch (err) {
+      result = { output: null, anomalies: [{ type: 'parse-error', message: err.stack || String(err) }] };
+    }
+
+    if (result.output && !options.check) {
+      fs.writeFileSync(path.join(outDir, `${exam.id}.json`), JSON.stringify(result.output, null, 2) + '\n');
+    }
+
+    const questions = result.output ? result.output.questions : [];
+    return {
+      exam,
+      written: Boolean(result.output) && !options.check,
+      anomalies: result.anomalies,
+      questions: questions.length,
+      subQuestions: questions.reduce((sum, q) => sum + q.subQuestions.length, 0),
+    };
+  });
+
+  if (!options.check) {
+    const report = {
+      parserVersion: PARSER_VERSION,
+      papers: results.map(r => ({ id: r.exam.id, questions: r.questions, subQuestions: r.subQuestions, anomalies: r.anomalies })),
+    };
+    fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2) + '\n');
+  }
+
+  console.log(formatReport(results));
+  if (!options.check) console.log(`Wrote ${results.filter(r => r.written).length} papers to ${path.relative(ROOT, outDir) || '.'}`);
+
+  if (options.strict && results.some(r => r.anomalies.length > 0)) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { preprocessExam, formatReport };
@@ -0,0 +1,830 @@
+// Trace tables for "Trace the method ..." and "Copy and complete the table ..."
+// parts: the student's table as answer text, a small interpreter that runs the
+// traced call to build a reference table, and a row-by-row comparison of the two.
+//
+// The interpreter covers the Java those questions trace on numbers, booleans and
+// Strings: local variables, if/else, loops, return, recursion, a few Math and
+// String methods, and System.out.print/println. Objects, arrays and fields are
+// out of its reach; traceMethodCall() throws an Error saying what stopped it.
+//
+// Loaded as a plain script after parser.js, whose Java tokenizer it uses. Nothing
+// in here may touch the DOM.
+
+const javaSource = typeof tokenizeJava === 'function' ? { tokenizeJava, findMatchingToken } : require('./parser.js');
+
+const TRACE_MAX_STEPS = 20000;
+const TRACE_MAX_DEPTH = 100;
+const TRACE_PRIMITIVE_TYPES = new Set(['int', 'long', 'short', 'byte', 'double', 'float', 'boolean', 'char', 'String', 'var']);
+const TRACE_ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+const TRACE_EMPTY_CELL = /^(?:|-|–|—|…|\.\.\.)$/;
+
+// ============== ANSWERS ==============
+// Tables are saved as answer text, a header line and then one line per row with
+// cells between pipes, so the answer reads as a table in exports:
+//   i | id | output
+//   0 | KL1102 |
+function formatTraceAnswer(table) {
+  const rows = [...table.rows];
+  while (rows.length > 0 && rows[rows.length - 1].every(cell => !cell.trim())) rows.pop();
+  if (rows.length === 0) return '';
+  
+  return [table.columns, ...rows]
+    .map(cells => cells.map(cell => cell.replace(/\|/g, '/').trim()).join(' | ').trimEnd())
+    .join('\n');
+}
+
+// Reads formatTraceAnswer() text back into { columns, rows }; null when the text
+// isn't a table (an answer typed before the part became a trace)
+function parseTraceAnswer(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  if (lines.length === 0 || !lines[0].includes('|')) return null;
+  
+  const [columns, ...rows] = lines.map(line => line.split('|').map(cell => cell.trim()));
+  return { columns, rows: rows.map(row => columns.map((column, i) => row[i] || '')) };
+}
+
+// ============== PARSING ==============
+// Finds "Type name(params) {" declarations in code (which may sit in question prose)
+// and parses their bodies: Map of name → { name, returnType, params, body, error }
+function parseTraceMethods(code) {
+  const tokens = mergeCompoundOperators(javaSource.tokenizeJava(code));
+  const methods = new Map();
+  
+  tokens.forEach((token, i) => {
+    // The return type ends in a word, or in > or ] for generics and arrays
+    const type = tokens[i - 1];
+    if (token.type !== 'word' || tokens[i + 1]?.value !== '(' || !type) return;
+    if (!(type.type === 'word' || type.value === '>' || type.value === ']') || ['new', 'return', 'else'].includes(type.value)) return;
+  
+    const close = javaSource.findMatchingToken(tokens, i + 1);
+    if (close === -1 || tokens[close + 1]?.value !== '{') return;
+  
+    const params = splitTopLevel(tokens.slice(i + 2, close)).map(part => ({
+      type: part.slice(0, -1).map(t => t.value).join(''),
+      name: part[part.length - 1].value,
+    }));
+    // A method the parser can't read only matters if the trace reaches it
+    const method = { name: token.value, returnType: type.type === 'word' ? type.value : 'Object', params, body: null, error: null };
+    try {
+      [method.returnType, ...params.map(param => param.type)].forEach(checkTraceType);
+      method.body = createTraceParser(tokens, close + 1).block();
+    } catch (err) {
+      method.error = err;
+    }
+    methods.set(token.value, method);
+  });
+  
+  return methods;
+}
+
+// The tokenizer leaves "%=" as two tokens
+function mergeCompoundOperators(tokens) {
+  return tokens.reduce((merged, token) => {
+    const last = merged[merged.length - 1];
+    if (token.value === '=' && last?.value === '%' && last.line === token.line && last.ch + 1 === token.ch) {
+      merged[merged.length - 1] = { ...last, value: '%=' };
+    } else {
+      merged.push(token);
+    }
+    return merged;
+  }, []);
+}
+
+// Splits a parameter or argument list at its top-level commas
+function splitTopLevel(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  
+  tokens.forEach(token => {
+    if (['(', '[', '{', '<'].includes(token.value)) depth++;
+    if ([')', ']', '}', '>'].includes(token.value)) depth--;
+    if (token.value === ',' && depth === 0) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  });
+  
+  return parts.filter(part => part.length > 0);
+}
+
+// Recursive descent over the tokens from start, producing plain statement and
+// expression nodes ({ kind, ... }) for runTrace() to walk
+function createTraceParser(tokens, start) {
+  let pos = start;
+  
+  const peek = (offset = 0) => tokens[pos + offset] || { type: 'end', value: '' };
+  const next = () => tokens[pos++] || { type: 'end', value: '' };
+  const accept = value => {
+    if (peek().value !== value) return false;
+    pos++;
+    return true;
+  };
+  const expect = value => {
+    if (!accept(value)) {
+      const token = peek();
+      throw new Error(`expected "${value}" on line ${token.line + 1} but found "${token.value || 'the end'}"`);
+    }
+  };
+  // Printed papers sometimes drop the ";" before a "}"
+  const endStatement = () => {
+    if (peek().value !== '}') expect(';');
+  };
+  
+  const isDeclaration = () => {
+    const token = peek();
+    if (token.type !== 'word' || !(TRACE_PRIMITIVE_TYPES.has(token.value) || /^[A-Z]/.test(token.value))) return false;
+  
+    let offset = 1;
+    if (peek(offset).value === '<') {
+      while (peek(offset).value && peek(offset).value !== '>') offset++;
+      offset++;
+    }
+    while (peek(offset).value === '[' && peek(offset + 1).value === ']') offset += 2;
+    return peek(offset).type === 'word' && ['=', ';', ',', ')', '['].includes(peek(offset + 1).value);
+  };
+  
+  const declaration = () => {
+    let type = next().value;
+    if (peek().value === '<') {
+      while (peek().value && peek().value !== '>') type += next().value;
+      type += next().value;
+    }
+    while (accept('[')) {
+      expect(']');
+      type += '[]';
+    }
+    checkTraceType(type);
+  
+    const names = [];
+    do {
+      const name = next().value;
+      names.push({ name, init: accept('=') ? expression() : null });
+    } while (accept(','));
+    return { kind: 'declare', type, names };
+  };
+  
+  const block = () => {
+    expect('{');
+    const body = [];
+    while (peek().value !== '}' && peek().type !== 'end') body.push(statement());
+    expect('}');
+    return { kind: 'block', body };
+  };
+  
+  const statement = () => {
+    const token = peek();
+  
+    if (token.value === '{') return block();
+    if (accept(';')) return { kind: 'block', body: [] };
+  
+    if (accept('if')) {
+      expect('(');
+      const test = expression();
+      expect(')');
+      const then = statement();
+      return { kind: 'if', test, then, otherwise: accept('else') ? statement() : null };
+    }
+    if (accept('while')) {
+      expect('(');
+      const test = expression();
+      expect(')');
+      return { kind: 'while', test, body: statement() };
+    }
+    if (accept('do')) {
+      const body = statement();
+      expect('while');
+      expect('(');
+      const test = expression();
+      expect(')');
+      endStatement();
+      return { kind: 'do', test, body };
+    }
+    if (accept('for')) {
+      expect('(');
+      const init = peek().value === ';' ? null : (isDeclaration() ? declaration() : { kind: 'expression', expression: expression() });
+      expect(';');
+      const test = peek().value === ';' ? null : expression();
+      expect(';');
+      const update = [];
+      while (peek().value !== ')') {
+        update.push(expression());
+        accept(',');
+      }
+      expect(')');
+      return { kind: 'for', init, test, update, body: statement() };
+    }
+    if (accept('return')) {
+      const value = peek().value === ';' || peek().value === '}' ? null : expression();
+      endStatement();
+      return { kind: 'return', value };
+    }
+    if (accept('break') || accept('continue')) {
+      endStatement();
+      return { kind: token.value };
+    }
+  
+    const node = isDeclaration() ? declaration() : { kind: 'expression', expression: expression() };
+    endStatement();
+    return node;
+  };
+  
+  const expression = () => {
+    const target = conditional();
+    if (TRACE_ASSIGNMENT_OPERATORS.has(peek().value)) {
+      const operator = next().value;
+      return { kind: 'assign', operator, target, value: expression() };
+    }
+    return target;
+  };
+  
+  const conditional = () => {
+    const test = binary(0);
+    if (!accept('?')) return test;
+    const then = expression();
+    expect(':');
+    return { kind: 'conditional', test, then, otherwise: conditional() };
+  };
+  
+  const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+  const binary = level => {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (BINARY_LEVELS[level].includes(peek().value)) {
+      const operator = next().value;
+      left = { kind: 'binary', operator, left, right: binary(level + 1) };
+    }
+    return left;
+  };
+  
+  const unary = () => {
+    const token = peek();
+    if (['!', '-', '+'].includes(token.value)) {
+      next();
+      return { kind: 'unary', operator: token.value, operand: unary() };
+    }
+    if (token.value === '++' || token.value === '--') {
+      next();
+      return { kind: 'update', operator: token.value, prefix: true, target: unary() };
+    }
+    // A cast to a primitive: (int) x
+    if (token.value === '(' && TRACE_PRIMITIVE_TYPES.has(peek(1).value) && peek(2).value === ')') {
+      const type = peek(1).value;
+      checkTraceType(type);
+      pos += 3;
+      return { kind: 'cast', type, operand: unary() };
+    }
+    return postfix();
+  };
+  
+  const postfix = () => {
+    let node = primary();
+    for (;;) {
+      if (accept('.')) {
+        node = { kind: 'member', object: node, name: next().value };
+      } else if (accept('(')) {
+        const args = [];
+        while (peek().value !== ')' && peek().type !== 'end') {
+          args.push(expression());
+          accept(',');
+        }
+        expect(')');
+        node = { kind: 'call', callee: node, args };
+      } else if (accept('[')) {
+        node = { kind: 'index', object: node, index: expression() };
+        expect(']');
+      } else if (peek().value === '++' || peek().value === '--') {
+        node = { kind: 'update', operator: next().value, prefix: false, target: node };
+      } else {
+        return node;
+      }
+    }
+  };
+  
+  const primary = () => {
+    const token = next();
+    if (token.type === 'number') return { kind: 'literal', value: numberLiteral(token.value) };
+    if (token.type === 'string') {
+      const text = token.value.slice(1, -1).replace(/\\(.)/g, (m, c) => ({ n: '\n', t: '\t' })[c] || c);
+      return { kind: 'literal', value: token.value[0] === '"' ? { type: 'String', value: text } : { type: 'char', value: text } };
+    }
+    if (token.value === 'true' || token.value === 'false') return { kind: 'literal', value: { type: 'boolean', value: token.value === 'true' } };
+    if (token.value === 'null') return { kind: 'literal', value: { type: 'null', value: null } };
+    if (token.value === 'new') {
+      const name = next().value;
+      while (peek().value === '(' || peek().value === '[') pos = javaSource.findMatchingToken(tokens, pos) + 1 || tokens.length;
+      return { kind: 'new', name };
+    }
+    if (token.value === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'word') return { kind: 'name', name: token.value };
+    throw new Error(`can't read "${token.value || 'the end'}" on line ${token.line + 1}`);
+  };
+  
+  return { block, expression, atEnd: () => pos >= tokens.length };
+}
+
+function numberLiteral(text) {
+  if (/[lL]$/.test(text)) checkTraceType('long');
+  if (/[.eEdDfF]/.test(text) && !/^0x/i.test(text)) return { type: 'double', value: parseFloat(text) };
+  return { type: 'int', value: parseInt(text.replace(/_/g, ''), text.startsWith('0x') ? 16 : 10) };
+}
+
+// Values are JavaScript numbers wrapped to 32 bits, so 64-bit long arithmetic would
+// come out wrong; better no reference than a wrong one
+function checkTraceType(type) {
+  if (type === 'long') throw new Error('it uses long values, which the tracer can\'t follow');
+}
+
+// ============== RUNNING ==============
+// Values as Java would print them: doubles always with a decimal point
+function javaText(value) {
+  if (value.type === 'double') return Number.isInteger(value.value) ? value.value.toFixed(1) : String(value.value);
+  if (value.type === 'null') return 'null';
+  return String(value.value);
+}
+
+function numericValue(value) {
+  if (value.type === 'char') return value.value.charCodeAt(0);
+  if (value.type === 'int' || value.type === 'double') return value.value;
+  throw new Error(`${javaText(value)} isn't a number`);
+}
+
+function intValue(number) {
+  return { type: 'int', value: number | 0 };
+}
+
+function applyOperator(operator, a, b) {
+  if (operator === '+' && (a.type === 'String' || b.type === 'String')) {
+    return { type: 'String', value: javaText(a) + javaText(b) };
+  }
+  if (operator === '==' || operator === '!=') {
+    // Whether two Strings are the same object depends on how they were built
+    if (a.type === 'String' && b.type === 'String') {
+      throw new Error(`it compares Strings with ${operator}, which compares objects rather than text`);
+    }
+    const same = a.type === 'null' || b.type === 'null' || a.type === 'String' || b.type === 'boolean'
+      ? a.value === b.value
+      : numericValue(a) === numericValue(b);
+    return { type: 'boolean', value: operator === '==' ? same : !same };
+  }
+  
+  const x = numericValue(a);
+  const y = numericValue(b);
+  const isDouble = a.type === 'double' || b.type === 'double';
+  if (['<', '>', '<=', '>='].includes(operator)) {
+    const result = { '<': x < y, '>': x > y, '<=': x <= y, '>=': x >= y }[operator];
+    return { type: 'boolean', value: result };
+  }
+  if (isDouble) {
+    const result = { '+': x + y, '-': x - y, '*': x * y, '/': x / y, '%': x % y }[operator];
+    return { type: 'double', value: result };
+  }
+  if ((operator === '/' || operator === '%') && y === 0) throw new Error('it divides by zero');
+  if (operator === '*') return intValue(Math.imul(x, y));
+  if (operator === '/') return intValue(Math.trunc(x / y));
+  return intValue({ '+': x + y, '-': x - y, '%': x % y }[operator]);
+}
+
+// A double narrowed as Java's (int) cast does: the fraction is dropped, and values
+// beyond the int range stop at its ends
+function narrowToInt(number) {
+  if (Number.isNaN(number)) return intValue(0);
+  return intValue(Math.max(-2147483648, Math.min(2147483647, Math.trunc(number))));
+}
+
+// Assigning an int to a double variable widens it, as Java does. A double only
+// reaches an int variable through a compound assignment ("s += 2.5" is
+// "s = (int)(s + 2.5)") or a return, and is narrowed the same way.
+function coerce(type, value) {
+  const isIntType = type === 'int' || type === 'long' || type === 'short' || type === 'byte';
+  if ((type === 'double' || type === 'float') && value.type === 'int') return { type: 'double', value: value.value };
+  if (isIntType && value.type === 'char') return intValue(numericValue(value));
+  if (isIntType && value.type === 'double') return narrowToInt(value.value);
+  return value;
+}
+
+const TRACE_MATH = {
+  max: (a, b) => (a.type === 'double' || b.type === 'double' ? { type: 'double', value: Math.max(a.value, b.value) } : intValue(Math.max(a.value, b.value))),
+  min: (a, b) => (a.type === 'double' || b.type === 'double' ? { type: 'double', value: Math.min(a.value, b.value) } : intValue(Math.min(a.value, b.value))),
+  abs: a => ({ type: a.type, value: Math.abs(a.value) }),
+  pow: (a, b) => ({ type: 'double', value: Math.pow(numericValue(a), numericValue(b)) }),
+  sqrt: a => ({ type: 'double', value: Math.sqrt(numericValue(a)) }),
+  floor: a => ({ type: 'double', value: Math.floor(numericValue(a)) }),
+  ceil: a => ({ type: 'double', value: Math.ceil(numericValue(a)) }),
+  round: a => intValue(Math.round(numericValue(a))),
+};
+
+// Out-of-range indexes throw as they would in Java, instead of JavaScript's quiet ''
+function checkStringIndex(s, method, from, to, limit) {
+  if (from < 0 || to > limit || from > to) {
+    throw new Error(`"${s}".${method} throws StringIndexOutOfBoundsException`);
+  }
+}
+
+const TRACE_STRING_METHODS = {
+  length: s => intValue(s.length),
+  charAt: (s, i) => {
+    checkStringIndex(s, `charAt(${i.value})`, i.value, i.value, s.length - 1);
+    return { type: 'char', value: s.charAt(i.value) };
+  },
+  substring: (s, from, to) => {
+    const end = to ? to.value : s.length;
+    checkStringIndex(s, `substring(${from.value}${to ? `, ${to.value}` : ''})`, from.value, end, s.length);
+    return { type: 'String', value: s.substring(from.value, end) };
+  },
+  indexOf: (s, part) => intValue(s.indexOf(part.value)),
+  equals: (s, other) => ({ type: 'boolean', value: s === other.value }),
+  equalsIgnoreCase: (s, other) => ({ type: 'boolean', value: s.toLowerCase() === String(other.value).toLowerCase() }),
+  // The difference at the first character that differs, else in length
+  compareTo: (s, other) => {
+    const i = [...s].findIndex((c, j) => c !== other.value[j]);
+    if (i !== -1 && i < other.value.length) return intValue(s.charCodeAt(i) - other.value.charCodeAt(i));
+    return intValue(s.length - other.value.length);
+  },
+  toUpperCase: s => ({ type: 'String', value: s.toUpperCase() }),
+  toLowerCase: s => ({ type: 'String', value: s.toLowerCase() }),
+};
+
+// "System.out.println" for a chain of member accesses on names, or null
+function memberPath(node) {
+  if (node.kind === 'name') return node.name;
+  if (node.kind === 'member') {
+    const object = memberPath(node.object);
+    return object && `${object}.${node.name}`;
+  }
+  return null;
+}
+
+function describeNode(node) {
+  return memberPath(node) || (node.kind === 'call' ? `${describeNode(node.callee)}()` : 'an expression');
+}
+
+// Runs name(args) from the code and returns the events a trace table records, with
+// values as Java prints them:
+//   { type: 'call', depth, method, values: [[param, value]] }
+//   { type: 'assign', depth, method, name, value }
+//   { type: 'output', depth, method, text }
+//   { type: 'return', depth, method, value }  (value null for void methods)
+// args are Java expressions as the question writes them ("3", "\"abc\"").
+// Throws an Error saying what it couldn't run.
+function traceMethodCall(code, name, args) {
+  const methods = parseTraceMethods(code);
+  if (!methods.has(name)) throw new Error(`there's no code for ${name}()`);
+  
+  const events = [];
+  let steps = 0;
+  let depth = -1;
+  
+  const step = () => {
+    if (++steps > TRACE_MAX_STEPS) throw new Error('it runs for too long (is there an infinite loop?)');
+  };
+  
+  const invoke = (method, values) => {
+    if (values.length !== method.params.length) {
+      throw new Error(`${method.name}() takes ${method.params.length} ${method.params.length === 1 ? 'argument' : 'arguments'}, not ${values.length}`);
+    }
+    if (method.error) throw method.error;
+    if (depth + 1 >= TRACE_MAX_DEPTH) throw new Error(`${method.name}() calls itself too many times (is the base case reached?)`);
+    depth++;
+  
+    const scope = new Map();
+    method.params.forEach((param, i) => scope.set(param.name, { type: param.type, value: coerce(param.type, values[i]) }));
+    events.push({ type: 'call', depth, method: method.name, values: method.params.map(p => [p.name, javaText(scope.get(p.name).value)]) });
+  
+    const frame = { method, scopes: [scope] };
+    const signal = execute(frame, method.body);
+    const result = signal?.kind === 'return' && signal.value ? coerce(method.returnType, signal.value) : null;
+    events.push({ type: 'return', depth, method: method.name, value: result && javaText(result) });
+  
+    depth--;
+    return result || { type: 'null', value: null };
+  };
+  
+  const lookup = (frame, name) => {
+    for (let i = frame.scopes.length - 1; i >= 0; i--) {
+      if (frame.scopes[i].has(name)) return frame.scopes[i].get(name);
+    }
+    return null;
+  };
+  
+  const assign = (frame, target, value) => {
+    if (target.kind !== 'name') throw new Error(`it assigns to ${describeNode(target)}, which the tracer can't follow`);
+    const variable = lookup(frame, target.name);
+    if (!variable) throw new Error(`it uses ${target.name}, which isn't a local variable or parameter`);
+  
+    variable.value = coerce(variable.type, value);
+    events.push({ type: 'assign', depth, method: frame.method.name, name: target.name, value: javaText(variable.value) });
+    return variable.value;
+  };
+  
+  const execute = (frame, node) => {
+    step();
+  
+    switch (node.kind) {
+      case 'block': {
+        frame.scopes.push(new Map());
+        try {
+          for (const statement of node.body) {
+            const signal = execute(frame, statement);
+            if (signal) return signal;
+          }
+          return null;
+        } finally {
+          frame.scopes.pop();
+        }
+      }
+      case 'declare':
+        node.names.forEach(({ name, init }) => {
+          frame.scopes[frame.scopes.length - 1].set(name, { type: node.type, value: { type: 'null', value: null } });
+          if (init) assign(frame, { kind: 'name', name }, evaluate(frame, init));
+        });
+        return null;
+      case 'expression':
+        evaluate(frame, node.expression);
+        return null;
+      case 'if':
+        if (truthy(evaluate(frame, node.test))) return execute(frame, node.then);
+        return node.otherwise ? execute(frame, node.otherwise) : null;
+      case 'while':
+      case 'do':
+      case 'for': {
+        frame.scopes.push(new Map());
+        try {
+          if (node.init) execute(frame, node.init);
+          let first = node.kind === 'do';
+          while (first || !node.test || truthy(evaluate(frame, node.test))) {
+            first = false;
+            const signal = execute(frame, node.body);
+            if (signal?.kind === 'break') break;
+            if (signal?.kind === 'return') return signal;
+            (node.update || []).forEach(update => evaluate(frame, update));
+            step();
+          }
+          return null;
+        } finally {
+          frame.scopes.pop();
+        }
+      }
+      case 'return':
+        return { kind: 'return', value: node.value ? evaluate(frame, node.value) : null };
+      case 'break':
+      case 'continue':
+        return { kind: node.kind };
+      default:
+        throw new Error(`can't run a ${node.kind} statement`);
+    }
+  };
+  
+  const truthy = value => {
+    if (value.type !== 'boolean') throw new Error(`${javaText(value)} isn't true or false`);
+    return value.value;
+  };
+  
+  const call = (frame, node) => {
+    const path = memberPath(node.callee);
+    const values = () => node.args.map(arg => evaluate(frame, arg));
+  
+    if (path === 'System.out.println' || path === 'System.out.print') {
+      const [value] = values();
+      events.push({ type: 'output', depth, method: frame.method.name, text: value ? javaText(value) : '' });
+      return { type: 'null', value: null };
+    }
+    if (path?.startsWith('Math.') && TRACE_MATH[node.callee.name]) return TRACE_MATH[node.callee.name](...values());
+  
+    const methodName = node.callee.kind === 'name' ? node.callee.name : path === `this.${node.callee.name}` ? node.callee.name : null;
+    if (methodName && methods.has(methodName)) return invoke(methods.get(methodName), values());
+  
+    if (node.callee.kind === 'member' && TRACE_STRING_METHODS[node.callee.name]) {
+      const object = evaluate(frame, node.callee.object);
+      if (object.type === 'String') return TRACE_STRING_METHODS[node.callee.name](object.value, ...values());
+    }
+    throw new Error(`it calls ${describeNode(node.callee)}(), which the tracer can't follow`);
+  };
+  
+  const evaluate = (frame, node) => {
+    step();
+  
+    switch (node.kind) {
+      case 'literal':
+        return node.value;
+      case 'name': {
+        const variable = lookup(frame, node.name);
+        if (!variable) throw new Error(`it uses ${node.name}, which isn't a local variable or parameter`);
+        if (variable.value.type === 'null' && TRACE_PRIMITIVE_TYPES.has(variable.type) && variable.type !== 'String') {
+          throw new Error(`${node.name} is used before it's given a value`);
+        }
+        return variable.value;
+      }
+      case 'assign': {
+        if (node.operator === '=') return assign(frame, node.target, evaluate(frame, node.value));
+        const current = evaluate(frame, node.target);
+        return assign(frame, node.target, applyOperator(node.operator[0], current, evaluate(frame, node.value)));
+      }
+      case 'update': {
+        const before = evaluate(frame, node.target);
+        const after = assign(frame, node.target, applyOperator(node.operator[0], before, { type: 'int', value: 1 }));
+        return node.prefix ? after : before;
+      }
+      case 'binary': {
+        const left = evaluate(frame, node.left);
+        if (node.operator === '&&') return truthy(left) ? { type: 'boolean', value: truthy(evaluate(frame, node.right)) } : left;
+        if (node.operator === '||') return truthy(left) ? left : { type: 'boolean', value: truthy(evaluate(frame, node.right)) };
+        return applyOperator(node.operator, left, evaluate(frame, node.right));
+      }
+      case 'unary': {
+        const operand = evaluate(frame, node.operand);
+        if (node.operator === '!') return { type: 'boolean', value: !truthy(operand) };
+        return node.operator === '-' ? applyOperator('-', { type: operand.type, value: 0 }, operand) : operand;
+      }
+      case 'conditional':
+        return truthy(evaluate(frame, node.test)) ? evaluate(frame, node.then) : evaluate(frame, node.otherwise);
+      case 'cast': {
+        const value = evaluate(frame, node.operand);
+        if (['int', 'long', 'short', 'byte'].includes(node.type)) return narrowToInt(numericValue(value));
+        if (node.type === 'double' || node.type === 'float') return { type: 'double', value: numericValue(value) };
+        if (node.type === 'char') return { type: 'char', value: String.fromCharCode(numericValue(value)) };
+        return value;
+      }
+      case 'call':
+        return call(frame, node);
+      case 'new':
+        throw new Error(`it creates a ${node.name} object, which the tracer can't follow`);
+      case 'index':
+        throw new Error(`it uses the array ${describeNode(node.object)}, which the tracer can't follow`);
+      default:
+        throw new Error(`it uses ${describeNode(node)}, which the tracer can't follow`);
+    }
+  };
+  
+  // The question's arguments, read as Java expressions with nothing in scope
+  const values = args.map(arg => {
+    const parser = createTraceParser(mergeCompoundOperators(javaSource.tokenizeJava(arg)), 0);
+    try {
+      const node = parser.expression();
+      if (!parser.atEnd()) throw new Error(`can't read ${arg}`);
+      return evaluate({ method: methods.get(name), scopes: [] }, node);
+    } catch (err) {
+      throw new Error(`the argument ${arg} isn't a number, String or boolean, which is all the tracer can pass`);
+    }
+  });
+  invoke(methods.get(name), values);
+  return events;
+}
+
+// ============== REFERENCE TABLES ==============
+// The traced method's parameters and local variables (in the order declared),
+// whether it returns a value and whether it prints; null when the code has no such
+// method or it can't be parsed
+function findMethodVariables(code, name) {
+  const method = parseTraceMethods(code).get(name);
+  return method && !method.error ? methodVariables(method) : null;
+}
+
+function methodVariables(method) {
+  const locals = [];
+  let prints = false;
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (node.kind === 'declare') node.names.forEach(({ name: local }) => locals.includes(local) || locals.push(local));
+    if (node.kind === 'call' && /^System\.out\.print/.test(memberPath(node.callee) || '')) prints = true;
+    Object.values(node).forEach(child => (Array.isArray(child) ? child.forEach(visit) : visit(child)));
+  };
+  visit(method.body);
+  
+  return { params: method.params.map(p => p.name), locals, returnsValue: method.returnType !== 'void', prints };
+}
+
+// The columns a trace of the method needs when the question doesn't print a table
+function defaultTraceColumns(variables) {
+  return [
+    ...variables.params,
+    ...variables.locals,
+    ...(variables.prints ? ['output'] : []),
+    ...(variables.returnsValue ? ['return'] : []),
+  ];
+}
+
+// What fills each column: a variable by name, the output, the value returned or
+// the call itself. null for a column the tracer can't fill (such as current.name).
+function mapTraceColumns(columns, variables) {
+  const names = [...variables.params, ...variables.locals];
+  
+  return columns.map(column => {
+    const label = column.trim();
+    const lower = label.toLowerCase();
+    if (names.includes(label)) return { kind: 'variable', name: label };
+    if (/output|print/.test(lower)) return { kind: 'output' };
+    if (/param|argument/.test(lower) && variables.params.length > 0) return { kind: 'variable', name: variables.params[0] };
+    if (/return|result/.test(lower)) return { kind: 'return' };
+    if (/\bcall/.test(lower)) return { kind: 'call' };
+    return null;
+  });
+}
+
+// The reference table for the columns, filled the way trace tables are written by
+// hand: values go into the current row until one would overwrite a filled cell,
+// and then a new row starts. Only the traced method's own variables count, and
+// columns the tracer can't fill are left null.
+function buildTraceTable(events, mapping, methodName) {
+  const rows = [];
+  let row = null;
+  
+  events.forEach(event => {
+    const updates = new Map();
+    mapping.forEach((source, i) => {
+      if (!source) return;
+      if (source.kind === 'output' && event.type === 'output') updates.set(i, event.text);
+      if (event.method !== methodName) return;
+  
+      if (source.kind === 'variable' && event.type === 'call') {
+        const param = event.values.find(([name]) => name === source.name);
+        if (param) updates.set(i, param[1]);
+      }
+      if (source.kind === 'variable' && event.type === 'assign' && event.name === source.name) updates.set(i, event.value);
+      if (source.kind === 'call' && event.type === 'call') updates.set(i, `${event.method}(${event.values.map(([, value]) => value).join(', ')})`);
+      if (source.kind === 'return' && event.type === 'return' && event.value !== null) updates.set(i, event.value);
+    });
+    if (updates.size === 0) return;
+  
+    if (!row || [...updates.keys()].some(i => row[i] !== '')) {
+      row = mapping.map(source => (source ? '' : null));
+      rows.push(row);
+    }
+    updates.forEach((value, i) => { row[i] = value; });
+  });
+  
+  return rows;
+}
+
+// Traces call ({ name, args }) in the code and returns { rows, unmapped } for the
+// student's columns, where unmapped lists the columns left unchecked. Throws an
+// Error saying why there can't be a reference.
+function buildReferenceTrace(code, call, columns) {
+  const method = parseTraceMethods(code).get(call.name);
+  if (!method) throw new Error(`there's no code for ${call.name}()`);
+  if (method.error) throw method.error;
+  
+  const variables = methodVariables(method);
+  if (call.args === null && variables.params.length > 0) {
+    throw new Error(`the question doesn't give the arguments for ${call.name}()`);
+  }
+  
+  const events = traceMethodCall(code, call.name, call.args || []);
+  const mapping = mapTraceColumns(columns, variables);
+  return {
+    rows: buildTraceTable(events, mapping, call.name),
+    unmapped: columns.filter((column, i) => !mapping[i]),
+  };
+}
+
+// ============== CHECKING ==============
+// "2.0" reads as "2", quotes and case don't matter, and dashes mean an empty cell
+function normaliseTraceCell(cell) {
+  const text = cell.trim().replace(/^["'](.*)["']$/, '$1').toLowerCase();
+  if (TRACE_EMPTY_CELL.test(text)) return '';
+  return /^-?\d+(\.0+)?$/.test(text) ? String(parseFloat(text)) : text;
+}
+
+// Row by row against the reference: { rows: [{ status, cells }], matched, total }
+// where status is 'match', 'mismatch', 'missing' (a reference row the student
+// hasn't written) or 'extra', and cells says for each cell whether it agrees
+// (null for columns the reference doesn't fill). Empty rows at the end don't count.
+function compareTraceTables(studentRows, referenceRows) {
+  const written = [...studentRows];
+  while (written.length > 0 && written[written.length - 1].every(cell => normaliseTraceCell(cell) === '')) written.pop();
+  
+  const rows = [];
+  for (let i = 0; i < Math.max(written.length, referenceRows.length); i++) {
+    const student = written[i];
+    const reference = referenceRows[i];
+  
+    if (!reference) {
+      rows.push({ status: 'extra', cells: student.map(() => false) });
+    } else if (!student) {
+      rows.push({ status: 'missing', cells: reference.map(cell => (cell === null ? null : false)) });
+    } else {
+      const cells = reference.map((cell, j) => (cell === null ? null : normaliseTraceCell(student[j] || '') === normaliseTraceCell(cell)));
+      rows.push({ status: cells.every(agrees => agrees !== false) ? 'match' : 'mismatch', cells });
+    }
+  }
+  
+  return { rows, matched: rows.filter(row => row.status === 'match').length, total: referenceRows.length };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatTraceAnswer,
+    parseTraceAnswer,
+    traceMethodCall,
+    findMethodVariables,
+    defaultTraceColumns,
+    mapTraceColumns,
+    buildTraceTable,
+    buildReferenceTrace,
+    compareTraceTables,
+  };
+}